@@ -39,7 +39,24 @@ pool.on('error', (err) => {
   console.error('❌ Database connection error:', err);
 });
 
+// Run callback(client) in a transaction; it is rolled back if callback throws
+const withTransaction = async (callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  withTransaction,
   pool
 };
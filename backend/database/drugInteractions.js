@@ -0,0 +1,640 @@
+// Bundled drug interaction data, read locally when a medication is checked
+// against a member's other medications and allergies (no network lookups).
+// It covers commonly prescribed drugs and well-known interactions; it is not
+// a complete reference, and a drug it does not know simply gets no warnings.
+//
+// classes:      drug classes; `duplicateSeverity` warns when two different
+//               drugs of the class are taken together (duplicate therapy),
+//               `aliases` are names an allergy to the class is written as, and
+//               `allergyGroup` marks classes whose drugs are alike enough that
+//               an allergy to one is a warning for the others
+// drugs:        generic drugs by key, with the class(es) they belong to, other
+//               generic names (`aliases`) and brand names as printed on
+//               prescriptions; names are matched as whole words, ignoring case
+//               and treating hyphens as spaces ("Pan-D" is "pan d")
+// combinations: brand names of fixed-dose combinations and their generics
+// interactions: pairs of drug keys or `class:<key>` that interact, with how
+//               severe it is (major, moderate or minor), what happens and what
+//               to do about it
+// crossReactivity: an allergy to the first drug or class that can also show
+//               up with the second
+module.exports = {
+  classes: {
+    nsaid: { label: 'NSAID painkillers', duplicateSeverity: 'moderate', allergyGroup: true, aliases: ['nsaid', 'nsaids'] },
+    antiplatelet: { label: 'antiplatelets' },
+    anticoagulant: { label: 'blood thinners', duplicateSeverity: 'major', aliases: ['blood thinner', 'blood thinners'] },
+    statin: { label: 'statins', duplicateSeverity: 'moderate', aliases: ['statin', 'statins'] },
+    ppi: { label: 'acid reducers (PPIs)', duplicateSeverity: 'minor' },
+    h2_blocker: { label: 'acid reducers (H2 blockers)', duplicateSeverity: 'minor' },
+    ace_inhibitor: { label: 'ACE inhibitors', duplicateSeverity: 'major', aliases: ['ace inhibitor', 'ace inhibitors'] },
+    arb: { label: 'ARBs (sartans)', duplicateSeverity: 'major' },
+    ccb: { label: 'calcium channel blockers', duplicateSeverity: 'moderate' },
+    ccb_rate: { label: 'rate-lowering calcium channel blockers', duplicateSeverity: 'major' },
+    beta_blocker: { label: 'beta blockers', duplicateSeverity: 'major', aliases: ['beta blocker', 'beta blockers'] },
+    thiazide: { label: 'thiazide diuretics', duplicateSeverity: 'moderate' },
+    loop_diuretic: { label: 'loop diuretics', duplicateSeverity: 'moderate' },
+    potassium_sparing: { label: 'potassium-sparing diuretics', duplicateSeverity: 'major' },
+    nitrate: { label: 'nitrates', duplicateSeverity: 'moderate', aliases: ['nitrate', 'nitrates'] },
+    biguanide: { label: 'biguanides' },
+    sulfonylurea: { label: 'sulfonylureas', duplicateSeverity: 'major' },
+    dpp4_inhibitor: { label: 'DPP-4 inhibitors (gliptins)', duplicateSeverity: 'moderate' },
+    sglt2_inhibitor: { label: 'SGLT2 inhibitors (gliflozins)', duplicateSeverity: 'moderate' },
+    insulin: { label: 'insulins' },
+    thyroid_hormone: { label: 'thyroid hormones', duplicateSeverity: 'moderate' },
+    ssri: { label: 'SSRI antidepressants', duplicateSeverity: 'major', aliases: ['ssri', 'ssris'] },
+    benzodiazepine: { label: 'benzodiazepines', duplicateSeverity: 'major', aliases: ['benzodiazepine', 'benzodiazepines'] },
+    opioid: { label: 'opioid painkillers', duplicateSeverity: 'major', aliases: ['opioid', 'opioids', 'opiates'] },
+    penicillin: { label: 'penicillins', duplicateSeverity: 'moderate', allergyGroup: true, aliases: ['penicillin', 'penicillins'] },
+    cephalosporin: { label: 'cephalosporins', duplicateSeverity: 'moderate', allergyGroup: true, aliases: ['cephalosporin', 'cephalosporins'] },
+    macrolide: { label: 'macrolide antibiotics', duplicateSeverity: 'moderate', allergyGroup: true, aliases: ['macrolide', 'macrolides'] },
+    fluoroquinolone: { label: 'fluoroquinolone antibiotics', duplicateSeverity: 'moderate', allergyGroup: true, aliases: ['quinolone', 'quinolones', 'fluoroquinolone', 'fluoroquinolones'] },
+    sulfonamide: { label: 'sulfa drugs', allergyGroup: true, aliases: ['sulfa', 'sulpha', 'sulfa drugs', 'sulpha drugs', 'sulfonamide', 'sulfonamides'] },
+    azole_antifungal: { label: 'azole antifungals', duplicateSeverity: 'moderate' },
+    corticosteroid: { label: 'steroids', duplicateSeverity: 'moderate', aliases: ['steroid', 'steroids', 'corticosteroid', 'corticosteroids'] },
+    antihistamine: { label: 'antihistamines', duplicateSeverity: 'minor' },
+    mineral: { label: 'calcium, iron and antacid supplements' }
+  },
+
+  drugs: {
+    paracetamol: { name: 'Paracetamol', aliases: ['acetaminophen'], brands: ['dolo', 'crocin', 'calpol', 'pacimol'] },
+    ibuprofen: { name: 'Ibuprofen', classes: ['nsaid'], brands: ['brufen', 'ibugesic'] },
+    diclofenac: { name: 'Diclofenac', classes: ['nsaid'], brands: ['voveran', 'voltaren', 'dynapar'] },
+    aceclofenac: { name: 'Aceclofenac', classes: ['nsaid'], brands: ['zerodol', 'hifenac', 'aceclo'] },
+    naproxen: { name: 'Naproxen', classes: ['nsaid'], brands: ['naprosyn'] },
+    etoricoxib: { name: 'Etoricoxib', classes: ['nsaid'], brands: ['etoshine', 'nucoxia', 'arcoxia'] },
+    mefenamic_acid: { name: 'Mefenamic acid', classes: ['nsaid'], brands: ['meftal'] },
+    ketorolac: { name: 'Ketorolac', classes: ['nsaid'], brands: ['toradol', 'ketorol'] },
+    aspirin: { name: 'Aspirin', aliases: ['acetylsalicylic acid'], classes: ['antiplatelet'], brands: ['ecosprin', 'disprin', 'loprin'] },
+    clopidogrel: { name: 'Clopidogrel', classes: ['antiplatelet'], brands: ['clopilet', 'plavix', 'deplatt'] },
+    ticagrelor: { name: 'Ticagrelor', classes: ['antiplatelet'], brands: ['brilinta', 'axcer'] },
+    prasugrel: { name: 'Prasugrel', classes: ['antiplatelet'], brands: ['prasita'] },
+    warfarin: { name: 'Warfarin', classes: ['anticoagulant'], brands: ['warf', 'coumadin'] },
+    acenocoumarol: { name: 'Acenocoumarol', classes: ['anticoagulant'], brands: ['acitrom'] },
+    apixaban: { name: 'Apixaban', classes: ['anticoagulant'], brands: ['eliquis', 'apigat'] },
+    rivaroxaban: { name: 'Rivaroxaban', classes: ['anticoagulant'], brands: ['xarelto'] },
+    dabigatran: { name: 'Dabigatran', classes: ['anticoagulant'], brands: ['pradaxa'] },
+    atorvastatin: { name: 'Atorvastatin', classes: ['statin'], brands: ['atorva', 'lipitor', 'storvas', 'atocor', 'tonact'] },
+    rosuvastatin: { name: 'Rosuvastatin', classes: ['statin'], brands: ['rosuvas', 'crestor', 'rozavel', 'rozucor'] },
+    simvastatin: { name: 'Simvastatin', classes: ['statin'], brands: ['zocor', 'simvotin'] },
+    pantoprazole: { name: 'Pantoprazole', classes: ['ppi'], brands: ['pan', 'pantocid', 'pantop'] },
+    omeprazole: { name: 'Omeprazole', classes: ['ppi'], brands: ['omez', 'prilosec'] },
+    esomeprazole: { name: 'Esomeprazole', classes: ['ppi'], brands: ['nexpro', 'nexium', 'esoz'] },
+    rabeprazole: { name: 'Rabeprazole', classes: ['ppi'], brands: ['razo', 'rablet', 'happi'] },
+    famotidine: { name: 'Famotidine', classes: ['h2_blocker'], brands: ['famocid', 'pepcid'] },
+    ranitidine: { name: 'Ranitidine', classes: ['h2_blocker'], brands: ['rantac', 'aciloc', 'zinetac'] },
+    enalapril: { name: 'Enalapril', classes: ['ace_inhibitor'], brands: ['envas', 'enam'] },
+    ramipril: { name: 'Ramipril', classes: ['ace_inhibitor'], brands: ['cardace', 'ramistar'] },
+    lisinopril: { name: 'Lisinopril', classes: ['ace_inhibitor'], brands: ['listril', 'zestril'] },
+    perindopril: { name: 'Perindopril', classes: ['ace_inhibitor'], brands: ['coversyl'] },
+    telmisartan: { name: 'Telmisartan', classes: ['arb'], brands: ['telma', 'telmikind', 'telsar'] },
+    losartan: { name: 'Losartan', classes: ['arb'], brands: ['losar', 'repace', 'cozaar'] },
+    olmesartan: { name: 'Olmesartan', classes: ['arb'], brands: ['olmezest', 'olsar', 'benicar'] },
+    valsartan: { name: 'Valsartan', classes: ['arb'], brands: ['valent', 'diovan'] },
+    amlodipine: { name: 'Amlodipine', classes: ['ccb'], brands: ['amlong', 'amlokind', 'stamlo', 'amlopres', 'norvasc'] },
+    cilnidipine: { name: 'Cilnidipine', classes: ['ccb'], brands: ['cilacar', 'cinod'] },
+    nifedipine: { name: 'Nifedipine', classes: ['ccb'], brands: ['depin', 'calcigard', 'adalat'] },
+    diltiazem: { name: 'Diltiazem', classes: ['ccb_rate'], brands: ['dilzem', 'angizem'] },
+    verapamil: { name: 'Verapamil', classes: ['ccb_rate'], brands: ['calaptin'] },
+    metoprolol: { name: 'Metoprolol', classes: ['beta_blocker'], brands: ['met xl', 'metolar', 'betaloc', 'seloken'] },
+    atenolol: { name: 'Atenolol', classes: ['beta_blocker'], brands: ['aten', 'tenormin'] },
+    bisoprolol: { name: 'Bisoprolol', classes: ['beta_blocker'], brands: ['concor', 'corbis'] },
+    propranolol: { name: 'Propranolol', classes: ['beta_blocker'], brands: ['ciplar', 'inderal'] },
+    carvedilol: { name: 'Carvedilol', classes: ['beta_blocker'], brands: ['carloc', 'cardivas'] },
+    nebivolol: { name: 'Nebivolol', classes: ['beta_blocker'], brands: ['nebicard', 'nebistar'] },
+    hydrochlorothiazide: { name: 'Hydrochlorothiazide', aliases: ['hctz'], classes: ['thiazide'], brands: ['aquazide'] },
+    chlorthalidone: { name: 'Chlorthalidone', classes: ['thiazide'], brands: ['thalizide'] },
+    indapamide: { name: 'Indapamide', classes: ['thiazide'], brands: ['natrilix', 'lorvas'] },
+    furosemide: { name: 'Furosemide', aliases: ['frusemide'], classes: ['loop_diuretic'], brands: ['lasix'] },
+    torsemide: { name: 'Torsemide', classes: ['loop_diuretic'], brands: ['dytor', 'tide'] },
+    spironolactone: { name: 'Spironolactone', classes: ['potassium_sparing'], brands: ['aldactone'] },
+    eplerenone: { name: 'Eplerenone', classes: ['potassium_sparing'], brands: ['eptus'] },
+    isosorbide_mononitrate: { name: 'Isosorbide mononitrate', classes: ['nitrate'], brands: ['monotrate', 'imdur'] },
+    isosorbide_dinitrate: { name: 'Isosorbide dinitrate', classes: ['nitrate'], brands: ['sorbitrate', 'isordil'] },
+    nitroglycerin: { name: 'Nitroglycerin', aliases: ['glyceryl trinitrate'], classes: ['nitrate'], brands: ['nitrocontin', 'angised'] },
+    sildenafil: { name: 'Sildenafil', brands: ['viagra', 'penegra', 'manforce'] },
+    tadalafil: { name: 'Tadalafil', brands: ['cialis', 'tadacip', 'megalis'] },
+    digoxin: { name: 'Digoxin', brands: ['lanoxin'] },
+    amiodarone: { name: 'Amiodarone', brands: ['cordarone', 'tachyra'] },
+    metformin: { name: 'Metformin', classes: ['biguanide'], brands: ['glycomet', 'glucophage', 'obimet', 'gluconorm'] },
+    glimepiride: { name: 'Glimepiride', classes: ['sulfonylurea'], brands: ['amaryl', 'glimy', 'glimestar'] },
+    gliclazide: { name: 'Gliclazide', classes: ['sulfonylurea'], brands: ['diamicron', 'glizid', 'reclide'] },
+    glibenclamide: { name: 'Glibenclamide', aliases: ['glyburide'], classes: ['sulfonylurea'], brands: ['daonil', 'euglucon'] },
+    sitagliptin: { name: 'Sitagliptin', classes: ['dpp4_inhibitor'], brands: ['januvia', 'istavel', 'zita'] },
+    vildagliptin: { name: 'Vildagliptin', classes: ['dpp4_inhibitor'], brands: ['galvus', 'jalra', 'zomelis'] },
+    teneligliptin: { name: 'Teneligliptin', classes: ['dpp4_inhibitor'], brands: ['tenepride', 'teneza', 'dynaglipt'] },
+    linagliptin: { name: 'Linagliptin', classes: ['dpp4_inhibitor'], brands: ['trajenta'] },
+    dapagliflozin: { name: 'Dapagliflozin', classes: ['sglt2_inhibitor'], brands: ['forxiga', 'oxra', 'dapaglyn'] },
+    empagliflozin: { name: 'Empagliflozin', classes: ['sglt2_inhibitor'], brands: ['jardiance', 'gibtulio'] },
+    insulin: { name: 'Insulin', aliases: ['insulin glargine', 'insulin aspart', 'insulin lispro'], classes: ['insulin'], brands: ['lantus', 'basalog', 'mixtard', 'huminsulin', 'novorapid', 'humalog', 'tresiba'] },
+    levothyroxine: { name: 'Levothyroxine', aliases: ['thyroxine'], classes: ['thyroid_hormone'], brands: ['thyronorm', 'eltroxin', 'thyrox', 'lethyrox'] },
+    sertraline: { name: 'Sertraline', classes: ['ssri'], brands: ['zoloft', 'serta', 'daxid'] },
+    escitalopram: { name: 'Escitalopram', classes: ['ssri'], brands: ['nexito', 'cipralex', 'stalopam'] },
+    fluoxetine: { name: 'Fluoxetine', classes: ['ssri'], brands: ['fludac', 'prozac'] },
+    paroxetine: { name: 'Paroxetine', classes: ['ssri'], brands: ['pari', 'paxil'] },
+    alprazolam: { name: 'Alprazolam', classes: ['benzodiazepine'], brands: ['alprax', 'restyl', 'xanax'] },
+    clonazepam: { name: 'Clonazepam', classes: ['benzodiazepine'], brands: ['clonotril', 'rivotril', 'lonazep'] },
+    lorazepam: { name: 'Lorazepam', classes: ['benzodiazepine'], brands: ['ativan'] },
+    diazepam: { name: 'Diazepam', classes: ['benzodiazepine'], brands: ['valium', 'calmpose'] },
+    tramadol: { name: 'Tramadol', classes: ['opioid'], brands: ['contramal', 'tramazac'] },
+    tapentadol: { name: 'Tapentadol', classes: ['opioid'], brands: ['tapal', 'tydol'] },
+    codeine: { name: 'Codeine', classes: ['opioid'], brands: ['codistar'] },
+    lithium: { name: 'Lithium', brands: ['licab', 'lithosun'] },
+    methotrexate: { name: 'Methotrexate', brands: ['folitrax', 'imutrex'] },
+    allopurinol: { name: 'Allopurinol', brands: ['zyloric', 'zyloprim'] },
+    azathioprine: { name: 'Azathioprine', brands: ['azoran', 'imuran'] },
+    amoxicillin: { name: 'Amoxicillin', aliases: ['amoxycillin'], classes: ['penicillin'], brands: ['mox', 'novamox', 'amoxil'] },
+    ampicillin: { name: 'Ampicillin', classes: ['penicillin'], brands: ['roscillin'] },
+    cloxacillin: { name: 'Cloxacillin', classes: ['penicillin'] },
+    clavulanic_acid: { name: 'Clavulanic acid', aliases: ['clavulanate', 'potassium clavulanate'] },
+    cefixime: { name: 'Cefixime', classes: ['cephalosporin'], brands: ['taxim-o', 'zifi', 'mahacef'] },
+    cefuroxime: { name: 'Cefuroxime', classes: ['cephalosporin'], brands: ['ceftum', 'zinnat'] },
+    cefpodoxime: { name: 'Cefpodoxime', classes: ['cephalosporin'], brands: ['cepodem', 'monocef-o'] },
+    ceftriaxone: { name: 'Ceftriaxone', classes: ['cephalosporin'], brands: ['monocef', 'oframax'] },
+    cephalexin: { name: 'Cephalexin', aliases: ['cefalexin'], classes: ['cephalosporin'], brands: ['sporidex', 'phexin'] },
+    azithromycin: { name: 'Azithromycin', classes: ['macrolide'], brands: ['azithral', 'azee', 'zithromax'] },
+    clarithromycin: { name: 'Clarithromycin', classes: ['macrolide'], brands: ['claribid', 'biaxin'] },
+    erythromycin: { name: 'Erythromycin', classes: ['macrolide'], brands: ['althrocin', 'erythrocin'] },
+    ciprofloxacin: { name: 'Ciprofloxacin', classes: ['fluoroquinolone'], brands: ['ciplox', 'cifran', 'cipro'] },
+    levofloxacin: { name: 'Levofloxacin', classes: ['fluoroquinolone'], brands: ['levoflox', 'glevo', 'tavanic'] },
+    ofloxacin: { name: 'Ofloxacin', classes: ['fluoroquinolone'], brands: ['zanocin', 'oflox'] },
+    moxifloxacin: { name: 'Moxifloxacin', classes: ['fluoroquinolone'], brands: ['moxif', 'avelox'] },
+    sulfamethoxazole: { name: 'Sulfamethoxazole', classes: ['sulfonamide'] },
+    trimethoprim: { name: 'Trimethoprim' },
+    metronidazole: { name: 'Metronidazole', brands: ['flagyl', 'metrogyl'] },
+    fluconazole: { name: 'Fluconazole', classes: ['azole_antifungal'], brands: ['forcan', 'zocon', 'diflucan'] },
+    itraconazole: { name: 'Itraconazole', classes: ['azole_antifungal'], brands: ['itaspor', 'canditral'] },
+    prednisolone: { name: 'Prednisolone', classes: ['corticosteroid'], brands: ['wysolone', 'omnacortil'] },
+    methylprednisolone: { name: 'Methylprednisolone', classes: ['corticosteroid'], brands: ['medrol', 'solu-medrol'] },
+    dexamethasone: { name: 'Dexamethasone', classes: ['corticosteroid'], brands: ['dexona', 'decadron'] },
+    deflazacort: { name: 'Deflazacort', classes: ['corticosteroid'], brands: ['defcort', 'defza'] },
+    cetirizine: { name: 'Cetirizine', classes: ['antihistamine'], brands: ['cetzine', 'okacet', 'alerid', 'zyrtec'] },
+    levocetirizine: { name: 'Levocetirizine', classes: ['antihistamine'], brands: ['levocet', 'xyzal', 'teczine'] },
+    fexofenadine: { name: 'Fexofenadine', classes: ['antihistamine'], brands: ['allegra', 'fexova'] },
+    montelukast: { name: 'Montelukast', brands: ['montair', 'romilast', 'singulair'] },
+    domperidone: { name: 'Domperidone', brands: ['domstal', 'motilium'] },
+    ondansetron: { name: 'Ondansetron', brands: ['emeset', 'vomikind', 'ondem', 'zofran'] },
+    calcium_carbonate: { name: 'Calcium', aliases: ['calcium carbonate', 'calcium citrate'], classes: ['mineral'], brands: ['shelcal', 'calcimax', 'ccm', 'cipcal'] },
+    iron: { name: 'Iron', aliases: ['ferrous sulfate', 'ferrous sulphate', 'ferrous fumarate', 'ferrous ascorbate'], classes: ['mineral'], brands: ['livogen', 'orofer', 'autrin', 'dexorange'] },
+    antacid: { name: 'Antacid', aliases: ['aluminium hydroxide', 'magnesium hydroxide'], classes: ['mineral'], brands: ['digene', 'gelusil', 'mucaine'] },
+    potassium_chloride: { name: 'Potassium chloride', brands: ['k-cl', 'potklor'] }
+  },
+
+  combinations: {
+    combiflam: ['ibuprofen', 'paracetamol'],
+    'ibugesic plus': ['ibuprofen', 'paracetamol'],
+    'zerodol p': ['aceclofenac', 'paracetamol'],
+    'hifenac p': ['aceclofenac', 'paracetamol'],
+    'voveran plus': ['diclofenac', 'paracetamol'],
+    dolokind: ['aceclofenac', 'paracetamol'],
+    ultracet: ['tramadol', 'paracetamol'],
+    'ecosprin av': ['aspirin', 'atorvastatin'],
+    'ecosprin gold': ['aspirin', 'atorvastatin', 'clopidogrel'],
+    'clopitab a': ['clopidogrel', 'aspirin'],
+    'deplatt a': ['clopidogrel', 'aspirin'],
+    'rosuvas asp': ['rosuvastatin', 'aspirin'],
+    augmentin: ['amoxicillin', 'clavulanic_acid'],
+    clavam: ['amoxicillin', 'clavulanic_acid'],
+    moxikind: ['amoxicillin', 'clavulanic_acid'],
+    septran: ['sulfamethoxazole', 'trimethoprim'],
+    bactrim: ['sulfamethoxazole', 'trimethoprim'],
+    cotrimoxazole: ['sulfamethoxazole', 'trimethoprim'],
+    'telma h': ['telmisartan', 'hydrochlorothiazide'],
+    'telma am': ['telmisartan', 'amlodipine'],
+    'losar h': ['losartan', 'hydrochlorothiazide'],
+    'amlokind at': ['amlodipine', 'atenolol'],
+    'stamlo beta': ['amlodipine', 'atenolol'],
+    'glycomet gp': ['metformin', 'glimepiride'],
+    'glimisave m': ['glimepiride', 'metformin'],
+    janumet: ['sitagliptin', 'metformin'],
+    'istavel m': ['sitagliptin', 'metformin'],
+    'galvus met': ['vildagliptin', 'metformin'],
+    'jalra m': ['vildagliptin', 'metformin'],
+    'tenepride m': ['teneligliptin', 'metformin'],
+    'pan d': ['pantoprazole', 'domperidone'],
+    'razo d': ['rabeprazole', 'domperidone'],
+    'omez d': ['omeprazole', 'domperidone'],
+    'montair lc': ['montelukast', 'levocetirizine'],
+    'montek lc': ['montelukast', 'levocetirizine'],
+    'shelcal hd': ['calcium_carbonate']
+  },
+
+  interactions: [
+    {
+      between: ['class:anticoagulant', 'class:nsaid'],
+      severity: 'major',
+      effect: 'Much higher risk of bleeding, including stomach bleeding',
+      advice: 'Avoid the combination; paracetamol is usually the safer painkiller. Ask the doctor before taking both.'
+    },
+    {
+      between: ['class:anticoagulant', 'class:antiplatelet'],
+      severity: 'major',
+      effect: 'Much higher risk of bleeding',
+      advice: 'Only take both if a doctor prescribed them together on purpose and knows about each.'
+    },
+    {
+      between: ['class:antiplatelet', 'class:nsaid'],
+      severity: 'moderate',
+      effect: 'Higher risk of stomach bleeding; ibuprofen can also weaken the heart protection of low-dose aspirin',
+      advice: 'Prefer paracetamol for pain, or ask the doctor about a stomach-protecting medicine.'
+    },
+    {
+      between: ['clopidogrel', 'omeprazole'],
+      severity: 'moderate',
+      effect: 'Omeprazole can make clopidogrel work less well',
+      advice: 'Ask the doctor whether pantoprazole can be used instead.'
+    },
+    {
+      between: ['clopidogrel', 'esomeprazole'],
+      severity: 'moderate',
+      effect: 'Esomeprazole can make clopidogrel work less well',
+      advice: 'Ask the doctor whether pantoprazole can be used instead.'
+    },
+    {
+      between: ['class:nsaid', 'class:ace_inhibitor'],
+      severity: 'moderate',
+      effect: 'Blood pressure control is weaker and the kidneys can be harmed, especially in older people',
+      advice: 'Keep NSAID courses short, drink enough water and check blood pressure and kidney function.'
+    },
+    {
+      between: ['class:nsaid', 'class:arb'],
+      severity: 'moderate',
+      effect: 'Blood pressure control is weaker and the kidneys can be harmed, especially in older people',
+      advice: 'Keep NSAID courses short, drink enough water and check blood pressure and kidney function.'
+    },
+    {
+      between: ['class:nsaid', 'class:loop_diuretic'],
+      severity: 'moderate',
+      effect: 'The diuretic works less well and the kidneys can be harmed',
+      advice: 'Watch for swelling and breathlessness; ask the doctor before regular painkiller use.'
+    },
+    {
+      between: ['class:nsaid', 'class:corticosteroid'],
+      severity: 'moderate',
+      effect: 'Higher risk of stomach ulcers and bleeding',
+      advice: 'Ask the doctor about a stomach-protecting medicine while both are taken.'
+    },
+    {
+      between: ['class:nsaid', 'class:ssri'],
+      severity: 'moderate',
+      effect: 'Higher risk of stomach bleeding',
+      advice: 'Prefer paracetamol for pain while taking the antidepressant.'
+    },
+    {
+      between: ['class:anticoagulant', 'class:ssri'],
+      severity: 'moderate',
+      effect: 'Higher risk of bleeding',
+      advice: 'Watch for unusual bruising or bleeding and tell the doctor.'
+    },
+    {
+      between: ['class:ace_inhibitor', 'class:arb'],
+      severity: 'major',
+      effect: 'Blocking the same hormone system twice raises potassium and can harm the kidneys',
+      advice: 'These are usually not combined; confirm with the doctors who prescribed them.'
+    },
+    {
+      between: ['class:ace_inhibitor', 'class:potassium_sparing'],
+      severity: 'major',
+      effect: 'Potassium in the blood can rise to dangerous levels',
+      advice: 'Needs regular potassium and kidney tests if both are prescribed.'
+    },
+    {
+      between: ['class:arb', 'class:potassium_sparing'],
+      severity: 'major',
+      effect: 'Potassium in the blood can rise to dangerous levels',
+      advice: 'Needs regular potassium and kidney tests if both are prescribed.'
+    },
+    {
+      between: ['potassium_chloride', 'class:potassium_sparing'],
+      severity: 'major',
+      effect: 'Potassium in the blood can rise to dangerous levels',
+      advice: 'Potassium supplements are usually avoided with these diuretics; ask the doctor.'
+    },
+    {
+      between: ['potassium_chloride', 'class:ace_inhibitor'],
+      severity: 'moderate',
+      effect: 'Potassium in the blood can rise too high',
+      advice: 'Get potassium checked regularly.'
+    },
+    {
+      between: ['potassium_chloride', 'class:arb'],
+      severity: 'moderate',
+      effect: 'Potassium in the blood can rise too high',
+      advice: 'Get potassium checked regularly.'
+    },
+    {
+      between: ['class:beta_blocker', 'class:ccb_rate'],
+      severity: 'major',
+      effect: 'The heart can slow down too much or beat irregularly',
+      advice: 'Only combined under close supervision; watch for dizziness, fainting or a pulse below 50.'
+    },
+    {
+      between: ['class:beta_blocker', 'class:insulin'],
+      severity: 'minor',
+      effect: 'Beta blockers can hide the warning signs of low blood sugar such as a racing heart',
+      advice: 'Check sugar when feeling unwell, sweaty or confused.'
+    },
+    {
+      between: ['class:sulfonylurea', 'class:insulin'],
+      severity: 'moderate',
+      effect: 'Higher risk of low blood sugar',
+      advice: 'Check sugar more often and keep glucose or sugar handy.'
+    },
+    {
+      between: ['class:sulfonylurea', 'class:fluoroquinolone'],
+      severity: 'moderate',
+      effect: 'Blood sugar can swing too low or too high',
+      advice: 'Check sugar more often during the antibiotic course.'
+    },
+    {
+      between: ['class:insulin', 'class:fluoroquinolone'],
+      severity: 'moderate',
+      effect: 'Blood sugar can swing too low or too high',
+      advice: 'Check sugar more often during the antibiotic course.'
+    },
+    {
+      between: ['class:sulfonylurea', 'fluconazole'],
+      severity: 'moderate',
+      effect: 'Fluconazole raises sulfonylurea levels, causing low blood sugar',
+      advice: 'Check sugar more often during the antifungal course.'
+    },
+    {
+      between: ['class:corticosteroid', 'class:biguanide'],
+      severity: 'minor',
+      effect: 'Steroids raise blood sugar',
+      advice: 'Check sugar more often while on steroids.'
+    },
+    {
+      between: ['warfarin', 'fluconazole'],
+      severity: 'major',
+      effect: 'Fluconazole raises warfarin levels sharply, with a risk of serious bleeding',
+      advice: 'The INR needs checking within a few days; the warfarin dose may need lowering.'
+    },
+    {
+      between: ['warfarin', 'metronidazole'],
+      severity: 'major',
+      effect: 'Metronidazole raises warfarin levels sharply, with a risk of serious bleeding',
+      advice: 'The INR needs checking during the course; the warfarin dose may need lowering.'
+    },
+    {
+      between: ['acenocoumarol', 'metronidazole'],
+      severity: 'major',
+      effect: 'Metronidazole raises acenocoumarol levels, with a risk of serious bleeding',
+      advice: 'The INR needs checking during the course.'
+    },
+    {
+      between: ['warfarin', 'amiodarone'],
+      severity: 'major',
+      effect: 'Amiodarone raises warfarin levels for weeks, with a risk of serious bleeding',
+      advice: 'The warfarin dose usually needs lowering and the INR close checks.'
+    },
+    {
+      between: ['warfarin', 'class:macrolide'],
+      severity: 'moderate',
+      effect: 'Some of these antibiotics raise warfarin levels',
+      advice: 'Get the INR checked during and after the course.'
+    },
+    {
+      between: ['warfarin', 'class:fluoroquinolone'],
+      severity: 'moderate',
+      effect: 'These antibiotics can raise warfarin levels',
+      advice: 'Get the INR checked during and after the course.'
+    },
+    {
+      between: ['warfarin', 'sulfamethoxazole'],
+      severity: 'major',
+      effect: 'Co-trimoxazole raises warfarin levels, with a risk of serious bleeding',
+      advice: 'Ask the doctor for another antibiotic or an INR check during the course.'
+    },
+    {
+      between: ['warfarin', 'paracetamol'],
+      severity: 'minor',
+      effect: 'Regular paracetamol every day for several days can raise the INR',
+      advice: 'Occasional doses are fine; tell the doctor if it is taken daily.'
+    },
+    {
+      between: ['simvastatin', 'clarithromycin'],
+      severity: 'major',
+      effect: 'Statin levels rise sharply, with a risk of severe muscle damage',
+      advice: 'The statin is usually paused during the antibiotic course; ask the doctor.'
+    },
+    {
+      between: ['simvastatin', 'erythromycin'],
+      severity: 'major',
+      effect: 'Statin levels rise sharply, with a risk of severe muscle damage',
+      advice: 'The statin is usually paused during the antibiotic course; ask the doctor.'
+    },
+    {
+      between: ['atorvastatin', 'clarithromycin'],
+      severity: 'moderate',
+      effect: 'Statin levels rise, with a risk of muscle pain and damage',
+      advice: 'Report unexplained muscle pain or weakness.'
+    },
+    {
+      between: ['class:statin', 'itraconazole'],
+      severity: 'major',
+      effect: 'Statin levels rise sharply, with a risk of severe muscle damage',
+      advice: 'The statin is usually paused during the antifungal course; ask the doctor.'
+    },
+    {
+      between: ['simvastatin', 'amlodipine'],
+      severity: 'moderate',
+      effect: 'Amlodipine raises simvastatin levels',
+      advice: 'Simvastatin should not go above 20 mg a day with amlodipine.'
+    },
+    {
+      between: ['simvastatin', 'class:ccb_rate'],
+      severity: 'major',
+      effect: 'Diltiazem and verapamil raise simvastatin levels, with a risk of muscle damage',
+      advice: 'Ask the doctor about a lower dose or another statin.'
+    },
+    {
+      between: ['digoxin', 'amiodarone'],
+      severity: 'major',
+      effect: 'Amiodarone raises digoxin to toxic levels',
+      advice: 'The digoxin dose is usually halved; watch for nausea, vision changes or a slow pulse.'
+    },
+    {
+      between: ['digoxin', 'class:ccb_rate'],
+      severity: 'moderate',
+      effect: 'Digoxin levels rise and the heart can slow down too much',
+      advice: 'Watch the pulse and get digoxin levels checked.'
+    },
+    {
+      between: ['digoxin', 'class:loop_diuretic'],
+      severity: 'moderate',
+      effect: 'Low potassium from the diuretic makes digoxin toxicity more likely',
+      advice: 'Get potassium checked regularly.'
+    },
+    {
+      between: ['digoxin', 'class:thiazide'],
+      severity: 'moderate',
+      effect: 'Low potassium from the diuretic makes digoxin toxicity more likely',
+      advice: 'Get potassium checked regularly.'
+    },
+    {
+      between: ['amiodarone', 'class:fluoroquinolone'],
+      severity: 'major',
+      effect: 'Both lengthen the QT interval, with a risk of dangerous heart rhythms',
+      advice: 'Ask the doctor for another antibiotic.'
+    },
+    {
+      between: ['amiodarone', 'class:macrolide'],
+      severity: 'major',
+      effect: 'Both lengthen the QT interval, with a risk of dangerous heart rhythms',
+      advice: 'Ask the doctor for another antibiotic.'
+    },
+    {
+      between: ['domperidone', 'clarithromycin'],
+      severity: 'major',
+      effect: 'Domperidone levels rise, with a risk of dangerous heart rhythms',
+      advice: 'Do not take them together; ask the doctor for an alternative.'
+    },
+    {
+      between: ['domperidone', 'erythromycin'],
+      severity: 'major',
+      effect: 'Domperidone levels rise, with a risk of dangerous heart rhythms',
+      advice: 'Do not take them together; ask the doctor for an alternative.'
+    },
+    {
+      between: ['domperidone', 'fluconazole'],
+      severity: 'major',
+      effect: 'Domperidone levels rise, with a risk of dangerous heart rhythms',
+      advice: 'Do not take them together; ask the doctor for an alternative.'
+    },
+    {
+      between: ['domperidone', 'amiodarone'],
+      severity: 'major',
+      effect: 'Both lengthen the QT interval, with a risk of dangerous heart rhythms',
+      advice: 'Do not take them together; ask the doctor for an alternative.'
+    },
+    {
+      between: ['ondansetron', 'amiodarone'],
+      severity: 'moderate',
+      effect: 'Both lengthen the QT interval',
+      advice: 'Use the lowest dose for the shortest time.'
+    },
+    {
+      between: ['lithium', 'class:ace_inhibitor'],
+      severity: 'major',
+      effect: 'Lithium levels can rise to toxic levels',
+      advice: 'Lithium levels need checking after starting or changing the dose.'
+    },
+    {
+      between: ['lithium', 'class:arb'],
+      severity: 'major',
+      effect: 'Lithium levels can rise to toxic levels',
+      advice: 'Lithium levels need checking after starting or changing the dose.'
+    },
+    {
+      between: ['lithium', 'class:thiazide'],
+      severity: 'major',
+      effect: 'Lithium levels can rise to toxic levels',
+      advice: 'Lithium levels need checking after starting or changing the dose.'
+    },
+    {
+      between: ['lithium', 'class:nsaid'],
+      severity: 'major',
+      effect: 'Lithium levels can rise to toxic levels',
+      advice: 'Prefer paracetamol for pain; ask the doctor before any NSAID.'
+    },
+    {
+      between: ['methotrexate', 'class:nsaid'],
+      severity: 'major',
+      effect: 'Methotrexate levels can rise, harming the blood count, liver and kidneys',
+      advice: 'Ask the doctor who prescribed methotrexate before taking any NSAID.'
+    },
+    {
+      between: ['methotrexate', 'sulfamethoxazole'],
+      severity: 'major',
+      effect: 'Together they can severely suppress the bone marrow',
+      advice: 'Do not take them together; ask the doctor for another antibiotic.'
+    },
+    {
+      between: ['methotrexate', 'class:ppi'],
+      severity: 'minor',
+      effect: 'Acid reducers can slow the clearance of high-dose methotrexate',
+      advice: 'Mention it to the doctor if methotrexate is given in high doses.'
+    },
+    {
+      between: ['allopurinol', 'azathioprine'],
+      severity: 'major',
+      effect: 'Allopurinol raises azathioprine levels, with a risk of severe bone marrow suppression',
+      advice: 'The azathioprine dose needs cutting to a quarter or less; confirm with the doctors.'
+    },
+    {
+      between: ['sildenafil', 'class:nitrate'],
+      severity: 'major',
+      effect: 'Blood pressure can drop dangerously low',
+      advice: 'Never take these together.'
+    },
+    {
+      between: ['tadalafil', 'class:nitrate'],
+      severity: 'major',
+      effect: 'Blood pressure can drop dangerously low',
+      advice: 'Never take these together; tadalafil lasts up to two days.'
+    },
+    {
+      between: ['tramadol', 'class:ssri'],
+      severity: 'major',
+      effect: 'Risk of serotonin syndrome (agitation, fever, shaking) and seizures',
+      advice: 'Ask the doctor for another painkiller.'
+    },
+    {
+      between: ['class:opioid', 'class:benzodiazepine'],
+      severity: 'major',
+      effect: 'Heavy sedation and slowed or stopped breathing',
+      advice: 'Avoid taking them together, and never with alcohol.'
+    },
+    {
+      between: ['levothyroxine', 'class:mineral'],
+      severity: 'moderate',
+      effect: 'Calcium, iron and antacids stop thyroxine from being absorbed',
+      advice: 'Take thyroxine on an empty stomach and these at least 4 hours later.'
+    },
+    {
+      between: ['levothyroxine', 'class:ppi'],
+      severity: 'minor',
+      effect: 'Acid reducers can lower thyroxine absorption',
+      advice: 'Get TSH checked a few weeks after starting.'
+    },
+    {
+      between: ['class:fluoroquinolone', 'class:mineral'],
+      severity: 'moderate',
+      effect: 'Calcium, iron and antacids stop the antibiotic from being absorbed',
+      advice: 'Take the antibiotic 2 hours before or 6 hours after these.'
+    },
+    {
+      between: ['class:fluoroquinolone', 'class:corticosteroid'],
+      severity: 'moderate',
+      effect: 'Higher risk of tendon damage, especially in people over 60',
+      advice: 'Stop and tell the doctor about any heel or tendon pain.'
+    },
+    {
+      between: ['metformin', 'class:loop_diuretic'],
+      severity: 'minor',
+      effect: 'Dehydration from the diuretic can affect the kidneys and metformin clearance',
+      advice: 'Drink enough water and keep kidney tests up to date.'
+    }
+  ],
+
+  crossReactivity: [
+    {
+      allergy: 'class:penicillin',
+      drugs: 'class:cephalosporin',
+      severity: 'moderate',
+      effect: 'A small share of people allergic to penicillins also react to cephalosporins'
+    },
+    {
+      allergy: 'aspirin',
+      drugs: 'class:nsaid',
+      severity: 'moderate',
+      effect: 'People who react to aspirin often react to other NSAID painkillers too'
+    },
+    {
+      allergy: 'class:nsaid',
+      drugs: 'aspirin',
+      severity: 'moderate',
+      effect: 'People who react to one NSAID painkiller often react to aspirin too'
+    }
+  ]
+};
@@ -0,0 +1,68 @@
+// Built-in lab templates, seeded into the lab_templates table on startup.
+// Rows that already exist are left alone, so edits made in the database win;
+// a family template with the same key replaces a built-in one for that family.
+//
+// headerPattern: case-insensitive regex source that recognises the lab in the
+//                report header (the first lines of the text)
+// fields:        labels printed before the report date (`reportDate`) and the
+//                patient's name (`patientName`), most reliable first
+// rowParsers:    per vital type; `names` are extra names the lab prints the
+//                analyte under, `valueIndex` picks which number after the name
+//                is the result (0 = first), and `pattern` is a regex source
+//                with a named `value` group (optionally `unit`, `low`, `high`
+//                and `flag`) for rows the table reader cannot handle.
+//                Labels and names are case-insensitive regex sources too.
+module.exports = [
+  {
+    key: 'thyrocare',
+    name: 'Thyrocare',
+    headerPattern: 'thyrocare',
+    fields: {
+      reportDate: ['Sample Collected on \\(SCT\\)', 'Report Released on \\(RRT\\)', 'Sample Collected on', 'Report Released on'],
+      patientName: ['NAME']
+    },
+    rowParsers: [
+      { vitalType: 'thyroid_tsh', names: ['TSH - ULTRASENSITIVE', 'TSH ULTRASENSITIVE'] },
+      { vitalType: 'vitamin_d', names: ['25-OH VITAMIN D \\(TOTAL\\)'] },
+      { vitalType: 'hba1c', names: ['HbA1c - \\(HPLC\\)', 'HBA1C'] }
+    ]
+  },
+  {
+    key: 'lal_pathlabs',
+    name: 'Lal PathLabs',
+    headerPattern: 'lal\\s*path\\s*labs|dr\\.?\\s*lal',
+    fields: {
+      reportDate: ['Collected', 'Reported'],
+      patientName: ['Name']
+    },
+    rowParsers: [
+      { vitalType: 'fasting_blood_glucose', names: ['Glucose,? Fasting'] },
+      { vitalType: 'vitamin_b12', names: ['Vitamin B12;? Cyanocobalamin'] }
+    ]
+  },
+  {
+    key: 'srl',
+    name: 'SRL / Agilus Diagnostics',
+    headerPattern: '\\bsrl\\b|agilus',
+    fields: {
+      reportDate: ['COLLECTED', 'Collection Date', 'REPORTED'],
+      patientName: ['PATIENT NAME', 'Patient Name']
+    },
+    rowParsers: [
+      { vitalType: 'fasting_blood_glucose', names: ['GLUCOSE,? FASTING,? PLASMA', 'GLUCOSE FASTING'] },
+      { vitalType: 'hemoglobin', names: ['HEMOGLOBIN \\(HB\\)'] }
+    ]
+  },
+  {
+    key: 'metropolis',
+    name: 'Metropolis Healthcare',
+    headerPattern: 'metropolis',
+    fields: {
+      reportDate: ['Sample Collected On', 'Collected On', 'Reported On'],
+      patientName: ['Patient Name', 'Name']
+    },
+    rowParsers: [
+      { vitalType: 'fasting_blood_glucose', names: ['Glucose \\(Fasting\\)', 'Fasting Plasma Glucose'] }
+    ]
+  }
+];
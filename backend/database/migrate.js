@@ -46,7 +46,796 @@ async function runMigrations() {
     } else {
       console.log('✓ mobile_number column already exists');
     }
-    
+
+    // Check if unit_preferences column exists (per-user display units for vitals)
+    const unitPreferencesCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'unit_preferences'
+    `);
+
+    if (unitPreferencesCheck.rows.length === 0) {
+      console.log('Adding unit_preferences column...');
+      await client.query(`
+        ALTER TABLE users
+        ADD COLUMN unit_preferences JSONB DEFAULT '{}'
+      `);
+      console.log('✓ unit_preferences column added successfully');
+    } else {
+      console.log('✓ unit_preferences column already exists');
+    }
+
+    // Check if notification_preferences column exists (per-user email categories)
+    const notificationPreferencesCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'notification_preferences'
+    `);
+
+    if (notificationPreferencesCheck.rows.length === 0) {
+      console.log('Adding notification_preferences column...');
+      await client.query(`
+        ALTER TABLE users
+        ADD COLUMN notification_preferences JSONB DEFAULT '{}'
+      `);
+      console.log('✓ notification_preferences column added successfully');
+    } else {
+      console.log('✓ notification_preferences column already exists');
+    }
+
+    // Check if readings column exists (compound vitals such as blood pressure)
+    const readingsCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'health_vitals' AND column_name = 'readings'
+    `);
+
+    if (readingsCheck.rows.length === 0) {
+      console.log('Adding readings column...');
+      await client.query(`
+        ALTER TABLE health_vitals
+        ADD COLUMN readings JSONB
+      `);
+      console.log('✓ readings column added successfully');
+    } else {
+      console.log('✓ readings column already exists');
+    }
+
+    // Check if report_id column exists (links extracted vitals to their source report)
+    const reportIdCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'health_vitals' AND column_name = 'report_id'
+    `);
+
+    if (reportIdCheck.rows.length === 0) {
+      console.log('Adding report_id column...');
+      await client.query(`
+        ALTER TABLE health_vitals
+        ADD COLUMN report_id UUID REFERENCES medical_reports(id) ON DELETE SET NULL
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_health_vitals_report_id ON health_vitals(report_id)
+      `);
+      console.log('✓ report_id column added successfully');
+    } else {
+      console.log('✓ report_id column already exists');
+    }
+
+    // Check if lab_range column exists (reference interval printed by the lab)
+    const labRangeCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'health_vitals' AND column_name = 'lab_range'
+    `);
+
+    if (labRangeCheck.rows.length === 0) {
+      console.log('Adding lab_range and lab_flag columns...');
+      await client.query(`
+        ALTER TABLE health_vitals
+        ADD COLUMN lab_range JSONB,
+        ADD COLUMN lab_flag VARCHAR(10)
+      `);
+      console.log('✓ lab_range and lab_flag columns added successfully');
+    } else {
+      console.log('✓ lab_range column already exists');
+    }
+
+    // Check if content_hash columns exist (duplicate upload detection)
+    const contentHashCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'medical_reports' AND column_name = 'content_hash'
+    `);
+
+    if (contentHashCheck.rows.length === 0) {
+      console.log('Adding content_hash columns...');
+      await client.query(`
+        ALTER TABLE medical_reports ADD COLUMN content_hash VARCHAR(64)
+      `);
+      await client.query(`
+        ALTER TABLE documents ADD COLUMN content_hash VARCHAR(64)
+      `);
+      await client.query(`
+        CREATE INDEX idx_medical_reports_content_hash ON medical_reports(content_hash)
+      `);
+      await client.query(`
+        CREATE INDEX idx_documents_content_hash ON documents(content_hash)
+      `);
+      console.log('✓ content_hash columns added successfully');
+    } else {
+      console.log('✓ content_hash columns already exist');
+    }
+
+    // Create vital_types registry table (rows are seeded by the backend on startup)
+    const vitalTypesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'vital_types'
+    `);
+
+    if (vitalTypesCheck.rows.length === 0) {
+      console.log('Creating vital_types table...');
+      await client.query(`
+        CREATE TABLE vital_types (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+          key VARCHAR(50) NOT NULL,
+          label VARCHAR(100) NOT NULL,
+          unit VARCHAR(20) NOT NULL,
+          placeholder VARCHAR(20),
+          ranges JSONB,
+          fields JSONB,
+          aliases JSONB DEFAULT '[]',
+          extraction JSONB,
+          calculated BOOLEAN DEFAULT FALSE,
+          sort_order INTEGER DEFAULT 0,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE TRIGGER update_vital_types_updated_at BEFORE UPDATE ON vital_types
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ vital_types table created successfully');
+    } else {
+      console.log('✓ vital_types table already exists');
+    }
+
+    // Check if family_id column exists on vital_types (family-defined custom types)
+    const vitalTypeFamilyCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'vital_types' AND column_name = 'family_id'
+    `);
+
+    if (vitalTypeFamilyCheck.rows.length === 0) {
+      console.log('Adding family_id column to vital_types...');
+      await client.query(`
+        ALTER TABLE vital_types
+        ADD COLUMN family_id UUID REFERENCES families(id) ON DELETE CASCADE
+      `);
+      await client.query(`
+        ALTER TABLE vital_types
+        DROP CONSTRAINT IF EXISTS vital_types_key_key
+      `);
+      console.log('✓ family_id column added successfully');
+    } else {
+      console.log('✓ family_id column already exists on vital_types');
+    }
+
+    // Vital type keys are unique among built-in types and within each family
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_vital_types_builtin_key ON vital_types(key) WHERE family_id IS NULL
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_vital_types_family_key ON vital_types(family_id, key) WHERE family_id IS NOT NULL
+    `);
+    console.log('✓ vital_types key indexes ready');
+
+    // Valid vital types now come from the registry instead of a CHECK constraint
+    await client.query(`
+      ALTER TABLE health_vitals
+      DROP CONSTRAINT IF EXISTS health_vitals_vital_type_check
+    `);
+    console.log('✓ vital_type constraint removed');
+
+    // Create notifications table (abnormal reading alerts and other notices)
+    const notificationsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'notifications'
+    `);
+
+    if (notificationsCheck.rows.length === 0) {
+      console.log('Creating notifications table...');
+      await client.query(`
+        CREATE TABLE notifications (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          member_id UUID REFERENCES family_members(id) ON DELETE CASCADE,
+          vital_id UUID REFERENCES health_vitals(id) ON DELETE CASCADE,
+          type VARCHAR(50) NOT NULL,
+          severity VARCHAR(20) NOT NULL DEFAULT 'info',
+          title VARCHAR(255) NOT NULL,
+          message TEXT,
+          data JSONB,
+          read_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at)
+      `);
+      await client.query(`
+        CREATE INDEX idx_notifications_vital_id ON notifications(vital_id)
+      `);
+      console.log('✓ notifications table created successfully');
+    } else {
+      console.log('✓ notifications table already exists');
+    }
+
+    // Create email_queue table (outgoing emails are retried until delivered)
+    const emailQueueCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'email_queue'
+    `);
+
+    if (emailQueueCheck.rows.length === 0) {
+      console.log('Creating email_queue table...');
+      await client.query(`
+        CREATE TABLE email_queue (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+          to_address VARCHAR(255) NOT NULL,
+          category VARCHAR(50) NOT NULL,
+          subject VARCHAR(255) NOT NULL,
+          text_body TEXT NOT NULL,
+          html_body TEXT,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          sent_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_email_queue_status ON email_queue(status, next_attempt_at)
+      `);
+      await client.query(`
+        CREATE INDEX idx_email_queue_user_category ON email_queue(user_id, category, created_at)
+      `);
+      console.log('✓ email_queue table created successfully');
+    } else {
+      console.log('✓ email_queue table already exists');
+    }
+
+    // Create agent_analyses table (PDF agent reviews survive restarts)
+    const agentAnalysesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'agent_analyses'
+    `);
+
+    if (agentAnalysesCheck.rows.length === 0) {
+      console.log('Creating agent_analyses table...');
+      await client.query(`
+        CREATE TABLE agent_analyses (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+          user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'analyzing' CHECK (status IN ('queued', 'analyzing', 'awaiting_review', 'confirmed', 'discarded', 'expired')),
+          file_path VARCHAR(500) NOT NULL,
+          file_name VARCHAR(255) NOT NULL,
+          file_size BIGINT NOT NULL,
+          mime_type VARCHAR(100),
+          content_hash VARCHAR(64),
+          proposal JSONB,
+          extracted_text TEXT,
+          pdf_password VARCHAR(255),
+          error_message TEXT,
+          record_type VARCHAR(20),
+          record_id UUID,
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_agent_analyses_family_status ON agent_analyses(family_id, status, created_at)
+      `);
+      await client.query(`
+        CREATE INDEX idx_agent_analyses_expires ON agent_analyses(status, expires_at)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_agent_analyses_updated_at BEFORE UPDATE ON agent_analyses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ agent_analyses table created successfully');
+    } else {
+      console.log('✓ agent_analyses table already exists');
+    }
+
+    // Check if content_hash column exists on agent_analyses (duplicate upload detection)
+    const analysisHashCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'agent_analyses' AND column_name = 'content_hash'
+    `);
+
+    if (analysisHashCheck.rows.length === 0) {
+      console.log('Adding content_hash column to agent_analyses...');
+      await client.query(`
+        ALTER TABLE agent_analyses ADD COLUMN content_hash VARCHAR(64)
+      `);
+      console.log('✓ agent_analyses content_hash column added successfully');
+    } else {
+      console.log('✓ agent_analyses content_hash column already exists');
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_analyses_content_hash ON agent_analyses(family_id, content_hash)
+    `);
+
+    // Check if batch_id column exists on agent_analyses (batch uploads are polled by it)
+    const analysisBatchCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'agent_analyses' AND column_name = 'batch_id'
+    `);
+
+    if (analysisBatchCheck.rows.length === 0) {
+      console.log('Adding batch_id column to agent_analyses...');
+      await client.query(`
+        ALTER TABLE agent_analyses ADD COLUMN batch_id UUID
+      `);
+      console.log('✓ agent_analyses batch_id column added successfully');
+    } else {
+      console.log('✓ agent_analyses batch_id column already exists');
+    }
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_agent_analyses_batch ON agent_analyses(family_id, batch_id)
+    `);
+
+    // Files of a batch upload are 'queued' until their turn comes
+    await client.query(`
+      ALTER TABLE agent_analyses
+      DROP CONSTRAINT IF EXISTS agent_analyses_status_check
+    `);
+    await client.query(`
+      ALTER TABLE agent_analyses
+      ADD CONSTRAINT agent_analyses_status_check
+      CHECK (status IN ('queued', 'analyzing', 'awaiting_review', 'confirmed', 'discarded', 'expired'))
+    `);
+    console.log('✓ agent_analyses status constraint ready');
+
+    // Create agent_corrections table (review changes the PDF agent learns from)
+    const agentCorrectionsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'agent_corrections'
+    `);
+
+    if (agentCorrectionsCheck.rows.length === 0) {
+      console.log('Creating agent_corrections table...');
+      await client.query(`
+        CREATE TABLE agent_corrections (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+          analysis_id UUID REFERENCES agent_analyses(id) ON DELETE SET NULL,
+          user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          field VARCHAR(20) NOT NULL CHECK (field IN ('member', 'category', 'report_date', 'vital')),
+          lab_key VARCHAR(100),
+          patient_key VARCHAR(100),
+          original_value JSONB,
+          corrected_value JSONB NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_agent_corrections_lab ON agent_corrections(family_id, lab_key)
+      `);
+      await client.query(`
+        CREATE INDEX idx_agent_corrections_patient ON agent_corrections(family_id, patient_key)
+      `);
+      console.log('✓ agent_corrections table created successfully');
+    } else {
+      console.log('✓ agent_corrections table already exists');
+    }
+
+    // Create lab_templates table (rows for built-in labs are seeded by the backend on startup)
+    const labTemplatesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'lab_templates'
+    `);
+
+    if (labTemplatesCheck.rows.length === 0) {
+      console.log('Creating lab_templates table...');
+      await client.query(`
+        CREATE TABLE lab_templates (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+          key VARCHAR(50) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          header_pattern TEXT NOT NULL,
+          fields JSONB DEFAULT '{}',
+          row_parsers JSONB DEFAULT '[]',
+          enabled BOOLEAN DEFAULT TRUE,
+          sort_order INTEGER DEFAULT 0,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE UNIQUE INDEX idx_lab_templates_builtin_key ON lab_templates(key) WHERE family_id IS NULL
+      `);
+      await client.query(`
+        CREATE UNIQUE INDEX idx_lab_templates_family_key ON lab_templates(family_id, key) WHERE family_id IS NOT NULL
+      `);
+      await client.query(`
+        CREATE TRIGGER update_lab_templates_updated_at BEFORE UPDATE ON lab_templates
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ lab_templates table created successfully');
+    } else {
+      console.log('✓ lab_templates table already exists');
+    }
+
+    // Check if import_batch_id columns exist (PDF agent imports can be undone)
+    const importBatchCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'health_vitals' AND column_name = 'import_batch_id'
+    `);
+
+    if (importBatchCheck.rows.length === 0) {
+      console.log('Adding import_batch_id columns...');
+      for (const table of ['medical_reports', 'documents', 'health_vitals']) {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN import_batch_id UUID`);
+        await client.query(`CREATE INDEX idx_${table}_import_batch ON ${table}(import_batch_id)`);
+      }
+      console.log('✓ import_batch_id columns added successfully');
+    } else {
+      console.log('✓ import_batch_id columns already exist');
+    }
+
+    // Create agent_imports table (confirmed PDF agent uploads, undone as a unit)
+    const agentImportsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'agent_imports'
+    `);
+
+    if (agentImportsCheck.rows.length === 0) {
+      console.log('Creating agent_imports table...');
+      await client.query(`
+        CREATE TABLE agent_imports (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+          analysis_id UUID REFERENCES agent_analyses(id) ON DELETE SET NULL,
+          member_id UUID REFERENCES family_members(id) ON DELETE SET NULL,
+          imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          record_type VARCHAR(20),
+          record_id UUID,
+          file_path VARCHAR(500) NOT NULL,
+          file_name VARCHAR(255) NOT NULL,
+          vitals_count INTEGER NOT NULL DEFAULT 0,
+          undone_at TIMESTAMP WITH TIME ZONE,
+          undone_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_agent_imports_family ON agent_imports(family_id, created_at DESC)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_agent_imports_updated_at BEFORE UPDATE ON agent_imports
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ agent_imports table created successfully');
+    } else {
+      console.log('✓ agent_imports table already exists');
+    }
+
+    // Create medications table (what each member takes; prescriptions read by the PDF agent link their report)
+    const medicationsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'medications'
+    `);
+
+    if (medicationsCheck.rows.length === 0) {
+      console.log('Creating medications table...');
+      await client.query(`
+        CREATE TABLE medications (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+          name VARCHAR(255) NOT NULL,
+          form VARCHAR(30),
+          strength VARCHAR(50),
+          dose VARCHAR(50),
+          frequency VARCHAR(30),
+          duration VARCHAR(50),
+          instructions TEXT,
+          prescribed_by VARCHAR(255),
+          start_date DATE,
+          end_date DATE,
+          status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'stopped')),
+          stop_reason TEXT,
+          reminders_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+          dose_schedule TEXT[],
+          report_id UUID REFERENCES medical_reports(id) ON DELETE SET NULL,
+          import_batch_id UUID,
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_medications_member ON medications(member_id, status)
+      `);
+      await client.query(`
+        CREATE INDEX idx_medications_import_batch ON medications(import_batch_id)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_medications_updated_at BEFORE UPDATE ON medications
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ medications table created successfully');
+    } else {
+      console.log('✓ medications table already exists');
+    }
+
+    // Add stop_reason to medications (why a medication was stopped)
+    const stopReasonCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'medications' AND column_name = 'stop_reason'
+    `);
+
+    if (stopReasonCheck.rows.length === 0) {
+      console.log('Adding stop_reason column to medications...');
+      await client.query('ALTER TABLE medications ADD COLUMN stop_reason TEXT');
+      console.log('✓ stop_reason column added successfully');
+    } else {
+      console.log('✓ stop_reason column already exists');
+    }
+
+    // Create medication_history table (each start, change, stop and resume of a medication)
+    const medicationHistoryCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'medication_history'
+    `);
+
+    if (medicationHistoryCheck.rows.length === 0) {
+      console.log('Creating medication_history table...');
+      await client.query(`
+        CREATE TABLE medication_history (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          medication_id UUID NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+          user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          action VARCHAR(20) NOT NULL CHECK (action IN ('started', 'changed', 'stopped', 'resumed')),
+          changes JSONB NOT NULL DEFAULT '{}',
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_medication_history_medication ON medication_history(medication_id, created_at)
+      `);
+      console.log('✓ medication_history table created successfully');
+    } else {
+      console.log('✓ medication_history table already exists');
+    }
+
+    // Add dose reminder settings to medications
+    const remindersCheck = await client.query(`
+      SELECT column_name
+      FROM information_schema.columns
+      WHERE table_name = 'medications' AND column_name = 'reminders_enabled'
+    `);
+
+    if (remindersCheck.rows.length === 0) {
+      console.log('Adding reminders_enabled and dose_schedule columns to medications...');
+      await client.query(`
+        ALTER TABLE medications
+        ADD COLUMN reminders_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN dose_schedule TEXT[]
+      `);
+      console.log('✓ reminders_enabled and dose_schedule columns added successfully');
+    } else {
+      console.log('✓ reminders_enabled and dose_schedule columns already exist');
+    }
+
+    // Create medication_doses table (scheduled doses of medications with reminders and whether each was taken)
+    const medicationDosesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'medication_doses'
+    `);
+
+    if (medicationDosesCheck.rows.length === 0) {
+      console.log('Creating medication_doses table...');
+      await client.query(`
+        CREATE TABLE medication_doses (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          medication_id UUID NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+          member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+          scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'taken', 'skipped', 'snoozed', 'missed', 'cancelled')),
+          snoozed_until TIMESTAMP WITH TIME ZONE,
+          snooze_count INTEGER NOT NULL DEFAULT 0,
+          reminded_at TIMESTAMP WITH TIME ZONE,
+          logged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          logged_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          UNIQUE (medication_id, scheduled_at)
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_medication_doses_member ON medication_doses(member_id, scheduled_at)
+      `);
+      await client.query(`
+        CREATE INDEX idx_medication_doses_status ON medication_doses(status, scheduled_at)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_medication_doses_updated_at BEFORE UPDATE ON medication_doses
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ medication_doses table created successfully');
+    } else {
+      console.log('✓ medication_doses table already exists');
+    }
+
+    // Doses of stopped medications, or with reminders turned off, are cancelled
+    await client.query(`
+      ALTER TABLE medication_doses
+      DROP CONSTRAINT IF EXISTS medication_doses_status_check
+    `);
+    await client.query(`
+      ALTER TABLE medication_doses
+      ADD CONSTRAINT medication_doses_status_check CHECK (status IN ('pending', 'taken', 'skipped', 'snoozed', 'missed', 'cancelled'))
+    `);
+    console.log('✓ medication_doses status constraint ready');
+
+    // Create member_allergies table (substances a member is allergic to, checked when medications are added)
+    const memberAllergiesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'member_allergies'
+    `);
+
+    if (memberAllergiesCheck.rows.length === 0) {
+      console.log('Creating member_allergies table...');
+      await client.query(`
+        CREATE TABLE member_allergies (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+          substance VARCHAR(200) NOT NULL,
+          reaction TEXT,
+          severity VARCHAR(20) CHECK (severity IN ('mild', 'moderate', 'severe')),
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_member_allergies_member ON member_allergies(member_id)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_member_allergies_updated_at BEFORE UPDATE ON member_allergies
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ member_allergies table created successfully');
+    } else {
+      console.log('✓ member_allergies table already exists');
+    }
+
+    // Create member_conditions table (chronic conditions with when they were diagnosed and whether they are active)
+    const memberConditionsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'member_conditions'
+    `);
+
+    if (memberConditionsCheck.rows.length === 0) {
+      console.log('Creating member_conditions table...');
+      await client.query(`
+        CREATE TABLE member_conditions (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+          name VARCHAR(200) NOT NULL,
+          diagnosed_on DATE,
+          status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'controlled', 'resolved')),
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_member_conditions_member ON member_conditions(member_id)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_member_conditions_updated_at BEFORE UPDATE ON member_conditions
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ member_conditions table created successfully');
+    } else {
+      console.log('✓ member_conditions table already exists');
+    }
+
+    // Create member_surgeries table (past surgeries and procedures)
+    const memberSurgeriesCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'member_surgeries'
+    `);
+
+    if (memberSurgeriesCheck.rows.length === 0) {
+      console.log('Creating member_surgeries table...');
+      await client.query(`
+        CREATE TABLE member_surgeries (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+          name VARCHAR(200) NOT NULL,
+          performed_on DATE,
+          hospital VARCHAR(200),
+          notes TEXT,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE INDEX idx_member_surgeries_member ON member_surgeries(member_id)
+      `);
+      await client.query(`
+        CREATE TRIGGER update_member_surgeries_updated_at BEFORE UPDATE ON member_surgeries
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ member_surgeries table created successfully');
+    } else {
+      console.log('✓ member_surgeries table already exists');
+    }
+
+    // Create emergency_cards table (what a member's emergency card shows and its public link; token is NULL once revoked)
+    const emergencyCardsCheck = await client.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name = 'emergency_cards'
+    `);
+
+    if (emergencyCardsCheck.rows.length === 0) {
+      console.log('Creating emergency_cards table...');
+      await client.query(`
+        CREATE TABLE emergency_cards (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          member_id UUID NOT NULL UNIQUE REFERENCES family_members(id) ON DELETE CASCADE,
+          fields TEXT[] NOT NULL DEFAULT '{}',
+          contacts JSONB NOT NULL DEFAULT '[]',
+          notes TEXT,
+          token VARCHAR(64) UNIQUE,
+          shared_at TIMESTAMP WITH TIME ZONE,
+          last_viewed_at TIMESTAMP WITH TIME ZONE,
+          updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      await client.query(`
+        CREATE TRIGGER update_emergency_cards_updated_at BEFORE UPDATE ON emergency_cards
+        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()
+      `);
+      console.log('✓ emergency_cards table created successfully');
+    } else {
+      console.log('✓ emergency_cards table already exists');
+    }
+
     console.log('Migration completed successfully!');
     
   } catch (error) {
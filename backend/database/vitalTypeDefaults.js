@@ -0,0 +1,383 @@
+// Built-in vital types, seeded into the vital_types table on startup.
+// Rows that already exist are left alone (apart from gaining missing `age`
+// bands and following `calculated`), so edits made in the database win.
+//
+// ranges:     reference ranges; `display` is the short label shown in the UI and
+//             `age` lists bands ({ minAge, maxAge, gender?, min, max }, minAge
+//             inclusive, maxAge exclusive) that override the adult range for children
+// fields:     components of a compound reading (first required one is the primary value)
+// calculated: derived from other readings by services/derivedVitals.js rather than entered;
+//             types that labs also measure (LDL) are recordable and derived only on
+//             days without a measured reading
+// aliases:    other names the analyte is printed under on lab reports
+// extraction: hints for the PDF agent; `pattern` is a case-insensitive regex
+//             source matching the analyte name (aliases are used when omitted).
+//             Types without extraction hints are never auto-extracted.
+module.exports = [
+  {
+    key: 'height',
+    label: 'Height',
+    unit: 'cm',
+    placeholder: '170',
+    ranges: { normal: { min: 0, max: 200 }, display: '0-200' }
+  },
+  {
+    key: 'weight',
+    label: 'Weight',
+    unit: 'kg',
+    placeholder: '70',
+    ranges: { normal: { min: 0, max: 120 }, display: '0-120' }
+  },
+  {
+    key: 'bmi',
+    label: 'BMI',
+    unit: 'kg/m²',
+    placeholder: '24.2',
+    calculated: true,
+    ranges: {
+      underweight: { min: 0, max: 18.4 },
+      normal: { min: 18.5, max: 24.9 },
+      overweight: { min: 25, max: 29.9 },
+      obese: { min: 30, max: 100 },
+      display: '18.5-24.9'
+    }
+  },
+  {
+    key: 'cholesterol',
+    label: 'Cholesterol',
+    unit: 'mg/dL',
+    placeholder: '200',
+    ranges: {
+      optimal: { min: 0, max: 199 },
+      borderline: { min: 200, max: 239 },
+      high: { min: 240, max: 500 },
+      display: '<200'
+    },
+    aliases: ['Total Cholesterol', 'Serum Cholesterol'],
+    extraction: { pattern: 'total\\s*cholesterol|cholesterol\\s*\\(total\\)|serum\\s*cholesterol' }
+  },
+  {
+    key: 'hdl',
+    label: 'HDL Cholesterol',
+    unit: 'mg/dL',
+    placeholder: '50',
+    ranges: {
+      normal: { min: 40, max: 150 },
+      male: { min: 40, max: 150 },
+      female: { min: 50, max: 150 },
+      display: '>40'
+    },
+    aliases: ['HDL', 'HDL-C', 'High Density Lipoprotein'],
+    extraction: { pattern: '(?<!non[-\\s]?)\\bhdl\\b|high\\s*density' }
+  },
+  {
+    key: 'triglycerides',
+    label: 'Triglycerides',
+    unit: 'mg/dL',
+    placeholder: '120',
+    ranges: {
+      normal: { min: 0, max: 149 },
+      borderline: { min: 150, max: 199 },
+      high: { min: 200, max: 1000 },
+      display: '<150'
+    },
+    aliases: ['Serum Triglycerides', 'TG'],
+    extraction: { pattern: 'triglycerides?|\\btg\\b' }
+  },
+  {
+    key: 'ldl',
+    label: 'LDL Cholesterol',
+    unit: 'mg/dL',
+    placeholder: '100',
+    ranges: {
+      optimal: { min: 0, max: 99 },
+      borderline: { min: 100, max: 159 },
+      high: { min: 160, max: 500 },
+      display: '<100'
+    },
+    aliases: ['LDL', 'LDL-C'],
+    extraction: { pattern: '\\bldl\\b(?![\\s:]*(?:\\/|hdl|ratio))|low\\s*density' }
+  },
+  {
+    key: 'non_hdl',
+    label: 'Non-HDL Cholesterol',
+    unit: 'mg/dL',
+    placeholder: '130',
+    calculated: true,
+    ranges: {
+      optimal: { min: 0, max: 129 },
+      borderline: { min: 130, max: 189 },
+      high: { min: 190, max: 500 },
+      display: '<130'
+    },
+    aliases: ['Non-HDL']
+  },
+  {
+    key: 'hemoglobin',
+    label: 'Hemoglobin',
+    unit: 'g/dL',
+    placeholder: '14',
+    ranges: {
+      male: { min: 13.8, max: 17.2 },
+      female: { min: 12.1, max: 15.1 },
+      age: [
+        { minAge: 0, maxAge: 2, min: 10.5, max: 13.5 },
+        { minAge: 2, maxAge: 6, min: 11.5, max: 13.5 },
+        { minAge: 6, maxAge: 12, min: 11.5, max: 15.5 },
+        { minAge: 12, maxAge: 18, gender: 'male', min: 13.0, max: 16.0 },
+        { minAge: 12, maxAge: 18, gender: 'female', min: 12.0, max: 16.0 }
+      ],
+      display: 'M: 13.8-17.2, F: 12.1-15.1'
+    },
+    aliases: ['Haemoglobin', 'Hb'],
+    extraction: { pattern: 'hemoglobin|haemoglobin|\\bhb\\b' }
+  },
+  {
+    key: 'sgpt',
+    label: 'S.G.P.T.',
+    unit: 'U/L',
+    placeholder: '40',
+    ranges: { normal: { min: 7, max: 56 }, display: '7-56' },
+    aliases: ['SGPT', 'ALT', 'Alanine Aminotransferase'],
+    extraction: { pattern: 'sgpt|\\balt\\b|alanine' }
+  },
+  {
+    key: 'sgot',
+    label: 'S.G.O.T.',
+    unit: 'U/L',
+    placeholder: '40',
+    ranges: { normal: { min: 10, max: 40 }, display: '10-40' },
+    aliases: ['SGOT', 'AST', 'Aspartate Aminotransferase'],
+    extraction: { pattern: 'sgot|\\bast\\b|aspartate' }
+  },
+  {
+    key: 'vitamin_d',
+    label: 'Vitamin D',
+    unit: 'ng/mL',
+    placeholder: '30',
+    ranges: {
+      deficient: { min: 0, max: 19 },
+      insufficient: { min: 20, max: 29 },
+      sufficient: { min: 30, max: 100 },
+      display: '30-100'
+    },
+    aliases: ['25-OH Vitamin D', 'Vitamin D3'],
+    extraction: { pattern: 'vitamin\\s*d|25[\\s-]*\\(oh\\)' }
+  },
+  {
+    key: 'thyroid_tsh',
+    label: 'Thyroid TSH',
+    unit: 'μIU/mL',
+    placeholder: '2.5',
+    ranges: {
+      normal: { min: 0.27, max: 4.2 },
+      age: [
+        { minAge: 0, maxAge: 1, min: 0.7, max: 8.4 },
+        { minAge: 1, maxAge: 12, min: 0.7, max: 6.0 },
+        { minAge: 12, maxAge: 18, min: 0.5, max: 4.5 }
+      ],
+      display: '0.27-4.2'
+    },
+    aliases: ['TSH', 'Thyroid Stimulating Hormone'],
+    extraction: { pattern: '\\btsh\\b|thyroid stimulating' }
+  },
+  {
+    key: 'thyroid_t3',
+    label: 'Thyroid T3',
+    unit: 'ng/dL',
+    placeholder: '120',
+    ranges: { normal: { min: 80, max: 200 }, display: '80-200' },
+    aliases: ['T3', 'Triiodothyronine'],
+    extraction: { pattern: '\\bt3\\b|triiodothyronine' }
+  },
+  {
+    key: 'thyroid_t4',
+    label: 'Thyroid T4',
+    unit: 'μg/dL',
+    placeholder: '1.2',
+    ranges: { normal: { min: 5.1, max: 14.1 }, display: '5.1-14.1' },
+    aliases: ['T4', 'Thyroxine'],
+    extraction: { pattern: '\\bt4\\b|thyroxine' }
+  },
+  {
+    key: 'vitamin_b12',
+    label: 'Vitamin B12',
+    unit: 'pg/mL',
+    placeholder: '500',
+    ranges: {
+      deficient: { min: 0, max: 199 },
+      low: { min: 200, max: 299 },
+      normal: { min: 300, max: 900 },
+      display: '300-900'
+    },
+    aliases: ['B12', 'Cobalamin'],
+    extraction: { pattern: 'vitamin\\s*b[\\s-]*12|\\bb12\\b' }
+  },
+  {
+    key: 'calcium',
+    label: 'Calcium',
+    unit: 'mg/dL',
+    placeholder: '9.5',
+    ranges: {
+      normal: { min: 8.5, max: 10.2 },
+      age: [
+        { minAge: 0, maxAge: 12, min: 8.8, max: 10.8 },
+        { minAge: 12, maxAge: 18, min: 8.4, max: 10.5 }
+      ],
+      display: '8.5-10.2'
+    },
+    aliases: ['Serum Calcium'],
+    extraction: { pattern: '\\bcalcium\\b|serum calcium' }
+  },
+  {
+    key: 'hba1c',
+    label: 'HbA1c',
+    unit: '%',
+    placeholder: '5.7',
+    ranges: {
+      normal: { min: 0, max: 5.6 },
+      prediabetic: { min: 5.7, max: 6.4 },
+      diabetic: { min: 6.5, max: 15 },
+      display: '<5.7'
+    },
+    aliases: ['Glycated Hemoglobin', 'Hb A1c'],
+    extraction: { pattern: 'hba1c|hb\\s*a1c|glycated' }
+  },
+  {
+    key: 'urea',
+    label: 'Urea',
+    unit: 'mg/dL',
+    placeholder: '20',
+    ranges: {
+      normal: { min: 6, max: 24 },
+      age: [
+        { minAge: 0, maxAge: 1, min: 4, max: 19 },
+        { minAge: 1, maxAge: 18, min: 5, max: 18 }
+      ],
+      display: '6-24'
+    },
+    aliases: ['Blood Urea', 'BUN'],
+    extraction: { pattern: 'blood\\s*urea|\\burea\\b|bun' }
+  },
+  {
+    key: 'fasting_blood_glucose',
+    label: 'Fasting Blood Glucose',
+    unit: 'mg/dL',
+    placeholder: '100',
+    ranges: {
+      normal: { min: 70, max: 99 },
+      prediabetic: { min: 100, max: 125 },
+      diabetic: { min: 126, max: 300 },
+      display: '70-99'
+    },
+    aliases: ['Fasting Glucose', 'FBS', 'FBG', 'Blood Sugar Fasting'],
+    extraction: { pattern: 'fasting\\s*(?:blood\\s*)?glucose|\\bfbs\\b|\\bfbg\\b|blood sugar' }
+  },
+  {
+    key: 'fasting_insulin',
+    label: 'Fasting Insulin',
+    unit: 'μIU/mL',
+    placeholder: '8',
+    ranges: { normal: { min: 2, max: 25 }, display: '2-25' },
+    aliases: ['Insulin Fasting', 'Serum Insulin'],
+    extraction: { pattern: 'fasting\\s*insulin|\\binsulin\\b' }
+  },
+  {
+    key: 'homa_ir',
+    label: 'HOMA-IR',
+    unit: '',
+    placeholder: '1.5',
+    calculated: true,
+    ranges: {
+      normal: { min: 0, max: 1.9 },
+      borderline: { min: 2, max: 2.9 },
+      high: { min: 3, max: 50 },
+      display: '<2'
+    },
+    aliases: ['Insulin Resistance Index']
+  },
+  {
+    key: 'creatinine',
+    label: 'Creatinine',
+    unit: 'mg/dL',
+    placeholder: '1.0',
+    ranges: {
+      normal: { min: 0.6, max: 1.4 },
+      age: [
+        { minAge: 0, maxAge: 3, min: 0.1, max: 0.4 },
+        { minAge: 3, maxAge: 12, min: 0.3, max: 0.7 },
+        { minAge: 12, maxAge: 18, min: 0.5, max: 1.0 }
+      ],
+      display: '0.6-1.4'
+    },
+    aliases: ['Serum Creatinine'],
+    extraction: { pattern: '\\bcreatinine\\b|serum creatinine' }
+  },
+  {
+    key: 'egfr',
+    label: 'eGFR',
+    unit: 'mL/min/1.73m²',
+    placeholder: '90',
+    calculated: true,
+    ranges: {
+      impaired: { min: 0, max: 29 },
+      reduced: { min: 30, max: 59 },
+      normal: { min: 60, max: 200 },
+      display: '≥60'
+    },
+    aliases: ['Estimated GFR']
+  },
+  {
+    key: 'blood_pressure',
+    label: 'Blood Pressure',
+    unit: 'mmHg',
+    placeholder: '120/80',
+    fields: [
+      { key: 'systolic', label: 'Systolic', placeholder: '120', required: true },
+      { key: 'diastolic', label: 'Diastolic', placeholder: '80', required: true },
+      { key: 'pulse', label: 'Pulse (bpm)', placeholder: '72', required: false }
+    ],
+    ranges: {
+      low: { systolic: 89, diastolic: 59 },
+      normal: { systolic: 119, diastolic: 79 },
+      elevated: { systolic: 129, diastolic: 79 },
+      stage1: { systolic: 139, diastolic: 89 },
+      display: '<120/80'
+    },
+    aliases: ['BP']
+  },
+  {
+    key: 'heart_rate',
+    label: 'Heart Rate',
+    unit: 'bpm',
+    placeholder: '72',
+    ranges: {
+      normal: { min: 60, max: 100 },
+      age: [
+        { minAge: 0, maxAge: 1, min: 100, max: 160 },
+        { minAge: 1, maxAge: 3, min: 90, max: 150 },
+        { minAge: 3, maxAge: 6, min: 80, max: 140 },
+        { minAge: 6, maxAge: 12, min: 70, max: 120 },
+        { minAge: 12, maxAge: 18, min: 60, max: 100 }
+      ],
+      display: '60-100'
+    },
+    aliases: ['Pulse', 'Pulse Rate']
+  },
+  {
+    key: 'spo2',
+    label: 'SpO2',
+    unit: '%',
+    placeholder: '98',
+    ranges: { normal: { min: 95, max: 100 }, display: '95-100' },
+    aliases: ['Oxygen Saturation']
+  },
+  {
+    key: 'temperature',
+    label: 'Temperature',
+    unit: '°F',
+    placeholder: '98.6',
+    ranges: { normal: { min: 97, max: 99 }, display: '97-99' },
+    aliases: ['Body Temperature']
+  }
+];
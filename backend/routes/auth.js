@@ -5,6 +5,9 @@ const { body, validationResult } = require('express-validator');
 const { query } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
 const { authRateLimit } = require('../middleware/rateLimiter');
+const { getVitalTypeMap } = require('../services/vitalTypes');
+const { resolveUnit } = require('../services/unitConversion');
+const { EMAIL_CATEGORIES } = require('../services/emailQueue');
 
 const router = express.Router();
 
@@ -105,7 +108,7 @@ router.post('/login', [
 
     // Find user
     const userResult = await query(
-      `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.family_id, u.role, f.name as family_name,
+      `SELECT u.id, u.email, u.password, u.first_name, u.last_name, u.family_id, u.role, u.unit_preferences, u.notification_preferences, f.name as family_name,
               fm.name as display_name
        FROM users u 
        JOIN families f ON u.family_id = f.id 
@@ -164,7 +167,9 @@ router.post('/login', [
         lastName: lastName,
         familyId: user.family_id,
         familyName: user.family_name,
-        role: user.role
+        role: user.role,
+        unitPreferences: user.unit_preferences || {},
+        notificationPreferences: user.notification_preferences || {}
       },
       token
     };
@@ -183,7 +188,7 @@ router.post('/login', [
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const userResult = await query(
-      `SELECT u.id, u.email, u.first_name, u.last_name, u.family_id, u.role, f.name as family_name,
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.family_id, u.role, u.unit_preferences, u.notification_preferences, f.name as family_name,
               fm.name as display_name
        FROM users u 
        JOIN families f ON u.family_id = f.id 
@@ -224,7 +229,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
         lastName: lastName,
         familyId: user.family_id,
         familyName: user.family_name,
-        role: user.role
+        role: user.role,
+        unitPreferences: user.unit_preferences || {},
+        notificationPreferences: user.notification_preferences || {}
       }
     });
   } catch (error) {
@@ -236,4 +243,81 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Update the current user's preferences. Either part may be sent on its own:
+// { unitPreferences: { fasting_blood_glucose: 'mmol/L', weight: 'lb' },
+//   notificationPreferences: { email: { alerts: true, reminders: true, digest: false } } }
+router.put('/preferences', [
+  authenticateToken,
+  body('unitPreferences').optional().isObject(),
+  body('notificationPreferences.email').optional().isObject(),
+  body('notificationPreferences.email.*').optional().isBoolean({ strict: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    if (req.body.unitPreferences === undefined && req.body.notificationPreferences === undefined) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: 'Provide unitPreferences or notificationPreferences' 
+      });
+    }
+
+    const response = { message: 'Preferences updated successfully' };
+
+    if (req.body.unitPreferences !== undefined) {
+      const vitalTypes = await getVitalTypeMap(req.user.family_id);
+      const unitPreferences = {};
+
+      for (const [vitalType, unit] of Object.entries(req.body.unitPreferences)) {
+        // An empty unit clears the preference
+        if (!unit) continue;
+
+        const option = resolveUnit(vitalTypes[vitalType], unit);
+        if (!option) {
+          return res.status(400).json({ 
+            error: 'Validation failed', 
+            message: `Unsupported unit "${unit}" for ${vitalTypes[vitalType]?.label || vitalType}` 
+          });
+        }
+        unitPreferences[vitalType] = option.unit;
+      }
+
+      await query(
+        'UPDATE users SET unit_preferences = $1 WHERE id = $2',
+        [JSON.stringify(unitPreferences), req.user.id]
+      );
+      response.unitPreferences = unitPreferences;
+    }
+
+    if (req.body.notificationPreferences !== undefined) {
+      // Unknown categories are dropped; missing ones keep their default (on)
+      const email = Object.fromEntries(
+        Object.entries(req.body.notificationPreferences.email || {})
+          .filter(([category]) => EMAIL_CATEGORIES.includes(category))
+      );
+      const notificationPreferences = { email };
+
+      await query(
+        'UPDATE users SET notification_preferences = $1 WHERE id = $2',
+        [JSON.stringify(notificationPreferences), req.user.id]
+      );
+      response.notificationPreferences = notificationPreferences;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({ 
+      error: 'Preferences update failed', 
+      message: 'Could not update preferences' 
+    });
+  }
+});
+
 module.exports = router;
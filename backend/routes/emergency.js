@@ -0,0 +1,34 @@
+const express = require('express');
+const { getSharedCard } = require('../services/emergencyCards');
+
+const router = express.Router();
+
+// Public emergency cards. Anyone with the link (or its QR code) can read the
+// card without signing in, so only the fields the admin picked are returned.
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Get a shared emergency card
+router.get('/:token', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' });
+
+    const card = TOKEN_PATTERN.test(req.params.token) ? await getSharedCard(req.params.token) : null;
+    if (!card) {
+      return res.status(404).json({
+        error: 'Emergency card not found',
+        message: 'This emergency card link is invalid or has been revoked'
+      });
+    }
+
+    res.json({ card });
+  } catch (error) {
+    console.error('Get shared emergency card error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch emergency card',
+      message: 'Could not retrieve emergency card'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,25 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { query, withTransaction } = require('../config/database');
+const { authenticateToken, requireAdmin, authorizeOwnDataOrAdmin } = require('../middleware/auth');
+const {
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  MEDICAL_HISTORY_SECTIONS,
+  getMedicalHistory,
+  replaceSection
+} = require('../services/medicalHistory');
+const {
+  EMERGENCY_CARD_FIELDS,
+  MAX_EMERGENCY_CONTACTS,
+  getCardSettings,
+  saveCardSettings,
+  shareCard,
+  revokeCard,
+  buildCard,
+  describeCardSettings
+} = require('../services/emergencyCards');
 
 const router = express.Router();
 
@@ -300,7 +317,22 @@ router.post('/members', [
   }
 });
 
-// Get specific family member
+// Allergies, conditions and surgeries; each list sent replaces the saved one
+const medicalHistoryValidation = [
+  body(['allergies', 'conditions', 'surgeries']).optional().isArray({ max: 50 }),
+  body(['allergies.*.id', 'conditions.*.id', 'surgeries.*.id']).optional({ values: 'falsy' }).isUUID(),
+  body('allergies.*.substance').isString().trim().notEmpty().isLength({ max: 200 }),
+  body('allergies.*.reaction').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }),
+  body('allergies.*.severity').optional({ values: 'falsy' }).isIn(ALLERGY_SEVERITIES),
+  body(['conditions.*.name', 'surgeries.*.name']).isString().trim().notEmpty().isLength({ max: 200 }),
+  body('conditions.*.diagnosedOn').optional({ values: 'falsy' }).isISO8601(),
+  body('conditions.*.status').optional({ values: 'falsy' }).isIn(CONDITION_STATUSES),
+  body('surgeries.*.performedOn').optional({ values: 'falsy' }).isISO8601(),
+  body('surgeries.*.hospital').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }),
+  body(['allergies.*.notes', 'conditions.*.notes', 'surgeries.*.notes']).optional({ values: 'null' }).isString().trim().isLength({ max: 1000 })
+];
+
+// Get specific family member, with their allergies, conditions and surgeries
 router.get('/members/:memberId', authenticateToken, async (req, res) => {
   try {
     const { memberId } = req.params;
@@ -330,7 +362,7 @@ router.get('/members/:memberId', authenticateToken, async (req, res) => {
     }
 
     res.json({
-      member: result.rows[0]
+      member: { ...result.rows[0], ...(await getMedicalHistory(memberId)) }
     });
   } catch (error) {
     console.error('Get family member error:', error);
@@ -352,7 +384,8 @@ router.put('/members/:memberId', [
   body('mobileNumber').optional().isString(),
   body('email').optional().isEmail().normalizeEmail(),
   body('password').optional().isLength({ min: 6 }),
-  body('role').optional().isIn(['non_admin', 'admin'])
+  body('role').optional().isIn(['non_admin', 'admin']),
+  ...medicalHistoryValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -475,6 +508,15 @@ router.put('/members/:memberId', [
       );
     }
 
+    const historyKeys = Object.keys(MEDICAL_HISTORY_SECTIONS).filter(key => req.body[key] !== undefined);
+    if (historyKeys.length > 0) {
+      await withTransaction(async (client) => {
+        for (const key of historyKeys) {
+          await replaceSection(client, memberId, key, req.body[key]);
+        }
+      });
+    }
+
     // Get updated member data
     const result = await query(
       `SELECT 
@@ -496,7 +538,7 @@ router.put('/members/:memberId', [
 
     res.json({
       message: 'Family member updated successfully',
-      member: result.rows[0]
+      member: { ...result.rows[0], ...(await getMedicalHistory(memberId)) }
     });
   } catch (error) {
     console.error('Update family member error:', error);
@@ -617,4 +659,155 @@ router.post('/members/:memberId/profile-picture', [authenticateToken, requireAdm
   }
 });
 
+// Fields shown on the emergency card, who to call and notes for responders
+const emergencyCardValidation = [
+  body('fields').isArray(),
+  body('fields.*').isIn(EMERGENCY_CARD_FIELDS),
+  body('contacts').optional().isArray({ max: MAX_EMERGENCY_CONTACTS }),
+  body('contacts.*.name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('contacts.*.relation').optional({ values: 'null' }).isString().trim().isLength({ max: 50 }),
+  body('contacts.*.phone').isString().trim().matches(/^\+?[0-9 ()-]{6,20}$/),
+  body('notes').optional({ values: 'null' }).isString().isLength({ max: 1000 })
+];
+
+// Get a member's emergency card settings and the card as its link shows it
+router.get('/members/:memberId/emergency-card', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const checkResult = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Family member not found', 
+        message: 'Family member does not exist' 
+      });
+    }
+
+    const settings = await getCardSettings(memberId);
+    res.json({
+      settings: await describeCardSettings(settings),
+      card: await buildCard(settings)
+    });
+  } catch (error) {
+    console.error('Get emergency card error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch emergency card', 
+      message: 'Could not retrieve emergency card' 
+    });
+  }
+});
+
+// Choose what a member's emergency card shows
+router.put('/members/:memberId/emergency-card', [
+  authenticateToken,
+  requireAdmin,
+  ...emergencyCardValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const { memberId } = req.params;
+    const { fields, contacts = [], notes } = req.body;
+
+    const checkResult = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Family member not found', 
+        message: 'Family member does not exist' 
+      });
+    }
+
+    const settings = await saveCardSettings(memberId, req.user.id, { fields, contacts, notes });
+    res.json({
+      message: 'Emergency card saved successfully',
+      settings: await describeCardSettings(settings),
+      card: await buildCard(settings)
+    });
+  } catch (error) {
+    console.error('Save emergency card error:', error);
+    res.status(500).json({ 
+      error: 'Failed to save emergency card', 
+      message: 'Could not save emergency card' 
+    });
+  }
+});
+
+// Create a public link to the emergency card, replacing the previous one
+router.post('/members/:memberId/emergency-card/share', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const checkResult = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Family member not found', 
+        message: 'Family member does not exist' 
+      });
+    }
+
+    const settings = await shareCard(memberId, req.user.id);
+    res.json({
+      message: 'Emergency card link created successfully',
+      settings: await describeCardSettings(settings),
+      card: await buildCard(settings)
+    });
+  } catch (error) {
+    console.error('Share emergency card error:', error);
+    res.status(500).json({ 
+      error: 'Failed to share emergency card', 
+      message: 'Could not create emergency card link' 
+    });
+  }
+});
+
+// Revoke the emergency card's public link
+router.delete('/members/:memberId/emergency-card/share', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const checkResult = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Family member not found', 
+        message: 'Family member does not exist' 
+      });
+    }
+
+    const settings = await revokeCard(memberId, req.user.id);
+    res.json({
+      message: 'Emergency card link revoked successfully',
+      settings: await describeCardSettings(settings),
+      card: await buildCard(settings)
+    });
+  } catch (error) {
+    console.error('Revoke emergency card error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke emergency card link', 
+      message: 'Could not revoke emergency card link' 
+    });
+  }
+});
+
 module.exports = router;
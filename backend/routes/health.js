@@ -2,9 +2,62 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const validator = require('validator');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
 const { authenticateToken, authorizeFamilyMember, requireAdmin, authorizeOwnDataOrAdmin } = require('../middleware/auth');
+const {
+  getVitalTypes,
+  getVitalTypeMap,
+  invalidateVitalTypes,
+  slugifyVitalKey,
+  buildCustomRanges,
+  normalizeReadings,
+  primaryField
+} = require('../services/vitalTypes');
+const { withVitalStatus } = require('../services/vitalStatus');
+const { DERIVED_KEYS, derivedInputTypes, deriveVitals } = require('../services/derivedVitals');
+const { checkVitalAlerts } = require('../services/vitalAlerts');
+const { IMAGE_MIME_TYPES, IMAGE_EXTENSIONS } = require('../services/ocr');
+const { PdfPasswordError, parsePdf, replaceWithDecryptedCopy } = require('../services/pdfPassword');
+const { ANALYSIS_STATUSES, listAnalyses, discardAnalysis } = require('../services/agentAnalyses');
+const { ZIP_MIME_TYPES, storedFileName } = require('../services/uploads');
+const { MAX_BATCH_FILES, startBatch } = require('../services/agentBatch');
+const { getLabTemplates, invalidateLabTemplates } = require('../services/labTemplates');
+const { hashFile, findDuplicateUpload, duplicateMessage } = require('../services/duplicates');
+const { getImport, undoImport } = require('../services/agentImports');
+const {
+  MEDICATION_STATUSES,
+  MEDICATION_FIELDS,
+  listMemberMedications,
+  listFamilyMedications,
+  getMedication,
+  addHistory,
+  getMedicationHistory
+} = require('../services/medications');
+const {
+  DEFAULT_SNOOZE_MINUTES,
+  DOSE_ACTIONS,
+  DOSE_TIME_REGEX,
+  doseTimesFor,
+  localIsoDate,
+  clearUpcomingDoses,
+  cancelOpenDoses,
+  logDose,
+  getDose,
+  listDoses,
+  getAdherence
+} = require('../services/medicationReminders');
+const { checkMemberMedication, getMemberWarnings } = require('../services/drugInteractions');
+const {
+  getUnitOptions,
+  resolveUnit,
+  toCanonical,
+  fromCanonical,
+  preferredUnit,
+  normalizeStoredVital,
+  convertVitalForUser
+} = require('../services/unitConversion');
 
 const router = express.Router();
 
@@ -19,14 +72,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // Sanitize original filename and preserve it with unique suffix to avoid conflicts
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const sanitizedName = file.originalname
-      .replace(/[^a-zA-Z0-9._-]/g, '_') // Replace special chars with underscore
-      .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-      .substring(0, 200); // Limit length
-    const ext = path.extname(file.originalname);
-    const nameWithoutExt = path.basename(sanitizedName, ext);
-    cb(null, `${nameWithoutExt}-${uniqueSuffix}${ext}`);
+    cb(null, storedFileName(file.originalname));
   }
 });
 
@@ -48,9 +94,301 @@ const upload = multer({
   }
 });
 
+// The PDF agent also accepts photos of reports, which it reads with OCR
+const agentUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 20 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const isPdf = file.mimetype === 'application/pdf' && ext === '.pdf';
+    const isImage = IMAGE_MIME_TYPES.includes(file.mimetype) && IMAGE_EXTENSIONS.includes(ext);
+
+    if (isPdf || isImage) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF, JPEG and PNG files are allowed'));
+  }
+});
+
+// Batch uploads may also be ZIP archives of reports, so the per-file limit is
+// larger; files unpacked from them are still held to MAX_FILE_SIZE
+const agentBatchUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_BATCH_UPLOAD_SIZE) || 200 * 1024 * 1024,
+    files: MAX_BATCH_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const isPdf = file.mimetype === 'application/pdf' && ext === '.pdf';
+    const isImage = IMAGE_MIME_TYPES.includes(file.mimetype) && IMAGE_EXTENSIONS.includes(ext);
+    const isZip = ZIP_MIME_TYPES.includes(file.mimetype) && ext === '.zip';
+
+    if (isPdf || isImage || isZip) {
+      return cb(null, true);
+    }
+    cb(new Error('Only PDF, JPEG, PNG and ZIP files are allowed'));
+  }
+});
+
+// Reject vital types that are not in the registry
+const isKnownVitalType = async (value, { req }) => {
+  const vitalTypes = await getVitalTypeMap(req.user.family_id);
+  if (!vitalTypes[value]) {
+    throw new Error('Unknown vital type');
+  }
+  return true;
+};
+
+// Calculated types (BMI, eGFR, ...) are derived from other readings, not recorded
+const isRecordableVitalType = async (value, { req }) => {
+  const vitalTypes = await getVitalTypeMap(req.user.family_id);
+  if (vitalTypes[value]?.calculated) {
+    throw new Error(`${vitalTypes[value].label} is calculated from other readings`);
+  }
+  return true;
+};
+
+// Bring stored readings to canonical units, add the vitals calculated from
+// them (unless `derived` is false), evaluate everything for the member and
+// convert to the units the requesting user prefers
+const presentVitals = (vitals, vitalTypes, member, unitPreferences, { derived = true } = {}) => {
+  const normalized = vitals.map((vital) => normalizeStoredVital(vital, vitalTypes[vital.vital_type]));
+  const toUserUnits = (vital) => convertVitalForUser(vital, vitalTypes[vital.vital_type], unitPreferences);
+
+  return withVitalStatus(
+    [...normalized, ...(derived ? deriveVitals(normalized, vitalTypes, member) : [])],
+    vitalTypes,
+    member
+  ).map((vital) => (vital.sources
+    ? { ...toUserUnits(vital), sources: vital.sources.map(toUserUnits) }
+    : toUserUnits(vital)));
+};
+
+const byRecordedAtDesc = (a, b) => new Date(b.recorded_at) - new Date(a.recorded_at);
+
+const unsupportedUnitMessage = (vitalConfig) =>
+  `${vitalConfig.label} can be recorded in ${getUnitOptions(vitalConfig).map((option) => option.unit).join(', ')}`;
+
+// Vital Type Registry Routes
+
+// Get built-in and family vital types with labels, units, reference ranges and extraction hints
+router.get('/vital-types', authenticateToken, async (req, res) => {
+  try {
+    const vitalTypes = (await getVitalTypes(req.user.family_id)).map((vitalType) => ({
+      ...vitalType,
+      units: getUnitOptions(vitalType).map((option) => option.unit),
+      preferredUnit: preferredUnit(vitalType, req.user.unit_preferences)
+    }));
+    res.json({ vitalTypes });
+  } catch (error) {
+    console.error('Get vital types error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch vital types', 
+      message: 'Could not retrieve vital types' 
+    });
+  }
+});
+
+// Shared validation for custom vital type definitions
+const customVitalTypeValidation = [
+  body('name').notEmpty().trim().isLength({ max: 100 }),
+  body('unit').notEmpty().trim().isLength({ max: 20 }),
+  body('placeholder').optional().trim().isLength({ max: 20 }),
+  body('ranges.normal.min').isFloat(),
+  body('ranges.normal.max').isFloat(),
+  body('ranges.male.min').optional().isFloat(),
+  body('ranges.male.max').optional().isFloat(),
+  body('ranges.female.min').optional().isFloat(),
+  body('ranges.female.max').optional().isFloat(),
+  body('ranges.age').optional().isArray(),
+  body('ranges.age.*.minAge').optional({ values: 'falsy' }).isFloat({ min: 0 }),
+  body('ranges.age.*.maxAge').optional({ values: 'falsy' }).isFloat({ min: 0 }),
+  body('ranges.age.*.gender').optional({ values: 'falsy' }).isIn(['male', 'female', 'other']),
+  body('ranges.age.*.min').isFloat(),
+  body('ranges.age.*.max').isFloat(),
+  body('aliases').optional().isArray(),
+  body('aliases.*').isString().trim().notEmpty()
+];
+
+// Create a custom vital type for the family (admin only)
+router.post('/vital-types', [
+  authenticateToken,
+  requireAdmin,
+  ...customVitalTypeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    // sanitizeInput HTML-escapes strings; registry values are rendered as plain text
+    const label = validator.unescape(req.body.name);
+    const unit = validator.unescape(req.body.unit);
+    const aliases = req.body.aliases || [];
+    const key = slugifyVitalKey(label);
+
+    if (!key) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: 'Name must contain letters or numbers' 
+      });
+    }
+
+    const vitalTypes = await getVitalTypeMap(req.user.family_id);
+    if (vitalTypes[key]) {
+      return res.status(409).json({ 
+        error: 'Vital type exists', 
+        message: `A vital type named "${vitalTypes[key].label}" already exists` 
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO vital_types 
+        (family_id, key, label, unit, placeholder, ranges, aliases, extraction, sort_order) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 1000) 
+       RETURNING key, label, unit, placeholder, ranges, fields, aliases, extraction, calculated, sort_order, true AS custom`,
+      [
+        req.user.family_id,
+        key,
+        label,
+        unit,
+        req.body.placeholder ? validator.unescape(req.body.placeholder) : null,
+        JSON.stringify(buildCustomRanges(req.body.ranges)),
+        JSON.stringify(aliases),
+        // Aliases double as extraction hints so the PDF agent can pick the value up
+        aliases.length > 0 ? JSON.stringify({}) : null
+      ]
+    );
+
+    invalidateVitalTypes();
+
+    res.status(201).json({
+      message: 'Vital type created successfully',
+      vitalType: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create vital type error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create vital type', 
+      message: 'Could not create vital type' 
+    });
+  }
+});
+
+// Update a family's custom vital type (admin only). The key stays the same so
+// existing readings keep pointing at it.
+router.put('/vital-types/:key', [
+  authenticateToken,
+  requireAdmin,
+  ...customVitalTypeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors.array() 
+      });
+    }
+
+    const aliases = req.body.aliases || [];
+
+    const result = await query(
+      `UPDATE vital_types 
+       SET label = $1, unit = $2, placeholder = $3, ranges = $4, aliases = $5, extraction = $6, updated_at = NOW() 
+       WHERE family_id = $7 AND key = $8 
+       RETURNING key, label, unit, placeholder, ranges, fields, aliases, extraction, calculated, sort_order, true AS custom`,
+      [
+        validator.unescape(req.body.name),
+        validator.unescape(req.body.unit),
+        req.body.placeholder ? validator.unescape(req.body.placeholder) : null,
+        JSON.stringify(buildCustomRanges(req.body.ranges)),
+        JSON.stringify(aliases),
+        aliases.length > 0 ? JSON.stringify({}) : null,
+        req.user.family_id,
+        req.params.key
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Vital type not found', 
+        message: 'Only custom vital types of your family can be edited' 
+      });
+    }
+
+    invalidateVitalTypes();
+
+    res.json({
+      message: 'Vital type updated successfully',
+      vitalType: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update vital type error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update vital type', 
+      message: 'Could not update vital type' 
+    });
+  }
+});
+
+// Delete a family's custom vital type (admin only), as long as no readings use it
+router.delete('/vital-types/:key', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    const usageCheck = await query(
+      `SELECT COUNT(*) as total FROM health_vitals hv 
+       JOIN family_members fm ON hv.member_id = fm.id 
+       WHERE fm.family_id = $1 AND hv.vital_type = $2`,
+      [req.user.family_id, key]
+    );
+
+    if (parseInt(usageCheck.rows[0].total) > 0) {
+      return res.status(409).json({ 
+        error: 'Vital type in use', 
+        message: 'Delete the readings recorded for this vital type first' 
+      });
+    }
+
+    const result = await query(
+      'DELETE FROM vital_types WHERE family_id = $1 AND key = $2 RETURNING key',
+      [req.user.family_id, key]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Vital type not found', 
+        message: 'Only custom vital types of your family can be deleted' 
+      });
+    }
+
+    invalidateVitalTypes();
+
+    res.json({
+      message: 'Vital type deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete vital type error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete vital type', 
+      message: 'Could not delete vital type' 
+    });
+  }
+});
+
 // Health Vitals Routes
 
-// Get vitals for a family member
+// Get vitals for a family member. `vitals` is one page of stored readings;
+// `calculatedVitals` are derived from all of the member's input readings and
+// are not part of the paginated total.
 router.get('/vitals/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
   try {
     if (!req.user || !req.user.family_id) {
@@ -64,17 +402,23 @@ router.get('/vitals/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], as
 
     const result = await query(
       `SELECT 
-        id, 
-        member_id, 
-        vital_type, 
-        value, 
-        unit, 
-        notes, 
-        recorded_at,
-        created_at
-      FROM health_vitals 
-      WHERE member_id = $1 
-      ORDER BY recorded_at DESC 
+        hv.id, 
+        hv.member_id, 
+        hv.vital_type, 
+        hv.value, 
+        hv.readings,
+        hv.unit, 
+        hv.notes, 
+        hv.lab_range,
+        hv.lab_flag,
+        hv.recorded_at,
+        hv.created_at,
+        hv.report_id,
+        mr.title as report_title
+      FROM health_vitals hv 
+      LEFT JOIN medical_reports mr ON hv.report_id = mr.id 
+      WHERE hv.member_id = $1 
+      ORDER BY hv.recorded_at DESC 
       LIMIT $2 OFFSET $3`,
       [memberId, parseInt(limit), parseInt(offset)]
     );
@@ -85,8 +429,27 @@ router.get('/vitals/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], as
       [memberId]
     );
 
+    // Gender and date of birth pick the reference range each reading is judged against
+    const memberResult = await query(
+      'SELECT gender, date_of_birth FROM family_members WHERE id = $1',
+      [memberId]
+    );
+    const vitalTypes = await getVitalTypeMap(req.user.family_id);
+
+    // A carried input such as height may be on another page, or none
+    const inputsResult = await query(
+      `SELECT id, member_id, vital_type, value, readings, unit, recorded_at 
+       FROM health_vitals 
+       WHERE member_id = $1 AND vital_type = ANY($2)`,
+      [memberId, derivedInputTypes()]
+    );
+
     res.json({
-      vitals: result.rows,
+      vitals: presentVitals(result.rows, vitalTypes, memberResult.rows[0], req.user.unit_preferences, { derived: false })
+        .sort(byRecordedAtDesc),
+      calculatedVitals: presentVitals(inputsResult.rows, vitalTypes, memberResult.rows[0], req.user.unit_preferences)
+        .filter((vital) => vital.calculated)
+        .sort(byRecordedAtDesc),
       pagination: {
         total: parseInt(countResult.rows[0].total),
         limit: parseInt(limit),
@@ -102,15 +465,93 @@ router.get('/vitals/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], as
   }
 });
 
+// Get time series for one or two vital types of a member (trend charts).
+// Query: types=sgpt,sgot and an optional from=YYYY-MM-DD window start.
+router.get('/vitals/:memberId/trends', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const types = String(req.query.types || '')
+      .split(',')
+      .map((type) => type.trim())
+      .filter(Boolean);
+
+    if (types.length === 0 || types.length > 2) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: 'Provide one or two vital types' 
+      });
+    }
+
+    const vitalTypes = await getVitalTypeMap(req.user.family_id);
+    const unknownType = types.find((type) => !vitalTypes[type]);
+    if (unknownType) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: `Unknown vital type: ${unknownType}` 
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    if (from && isNaN(from.getTime())) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: 'Invalid from date' 
+      });
+    }
+
+    const result = await query(
+      `SELECT 
+        hv.id, 
+        hv.vital_type, 
+        hv.value, 
+        hv.readings,
+        hv.unit, 
+        hv.recorded_at,
+        hv.report_id,
+        mr.title as report_title,
+        mr.file_name as report_file_name
+      FROM health_vitals hv 
+      LEFT JOIN medical_reports mr ON hv.report_id = mr.id 
+      WHERE hv.member_id = $1 AND hv.vital_type = ANY($2) 
+        AND ($3::timestamptz IS NULL OR hv.recorded_at >= $3 OR hv.vital_type = ANY($4)) 
+      ORDER BY hv.recorded_at ASC`,
+      // Calculated types are plotted from their inputs, which may predate the window
+      [memberId, [...types, ...derivedInputTypes(types)], from, derivedInputTypes(types)]
+    );
+
+    const memberResult = await query(
+      'SELECT gender, date_of_birth FROM family_members WHERE id = $1',
+      [memberId]
+    );
+    const vitals = presentVitals(result.rows, vitalTypes, memberResult.rows[0], req.user.unit_preferences);
+
+    res.json({
+      series: types.map((type) => {
+        const { key, label, fields, ranges } = vitalTypes[type];
+        return {
+          vitalType: { key, label, unit: preferredUnit(vitalTypes[type], req.user.unit_preferences), fields, ranges },
+          points: vitals
+            .filter((vital) => vital.vital_type === type && (!from || new Date(vital.recorded_at) >= from))
+            .sort((a, b) => new Date(a.recorded_at) - new Date(b.recorded_at))
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get vital trends error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch vital trends', 
+      message: 'Could not retrieve vital trends' 
+    });
+  }
+});
+
 // Add new vital
 router.post('/vitals', [
   authenticateToken,
   body('memberId').isUUID(),
-  body('vitalType').isIn([
-    'height', 'weight', 'cholesterol', 'hemoglobin', 'sgpt', 'sgot', 'vitamin_d', 'thyroid_tsh', 
-    'thyroid_t3', 'thyroid_t4', 'vitamin_b12', 'calcium', 'hba1c', 'urea', 'fasting_blood_glucose', 'creatinine'
-  ]),
-  body('value').isNumeric(),
+  body('vitalType').custom(isKnownVitalType).bail().custom(isRecordableVitalType),
+  body('value').optional().isNumeric(),
+  body('readings').optional().isObject(),
   body('unit').notEmpty().trim(),
   body('notes').optional().trim(),
   body('recordedAt').optional().isISO8601()
@@ -124,7 +565,38 @@ router.post('/vitals', [
       });
     }
 
-    const { memberId, vitalType, value, unit, notes, recordedAt } = req.body;
+    const { memberId, vitalType, unit, notes, recordedAt } = req.body;
+    let { value } = req.body;
+    let readings = null;
+
+    const vitalConfig = (await getVitalTypeMap(req.user.family_id))[vitalType];
+    if (vitalConfig.fields) {
+      readings = normalizeReadings(vitalConfig, req.body.readings);
+      if (!readings) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          message: `${vitalConfig.label} readings must include ${vitalConfig.fields.filter(f => f.required).map(f => f.key).join(' and ')}` 
+        });
+      }
+      value = readings[primaryField(vitalConfig)];
+    } else if (value === undefined || value === null) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: 'Value is required' 
+      });
+    }
+
+    // Readings are stored in the vital type's canonical unit
+    if (!resolveUnit(vitalConfig, unit)) {
+      return res.status(400).json({ 
+        error: 'Unsupported unit', 
+        message: unsupportedUnitMessage(vitalConfig) 
+      });
+    }
+    if (!vitalConfig.fields) {
+      value = toCanonical(vitalConfig, parseFloat(value), unit).value;
+    }
+    const canonicalUnit = vitalConfig.unit;
 
     // Check if member belongs to family
     const memberCheck = await query(
@@ -144,8 +616,8 @@ router.post('/vitals', [
     const duplicateCheck = await query(
       `SELECT id FROM health_vitals 
        WHERE member_id = $1 AND vital_type = $2 AND value = $3 AND unit = $4 
-       AND created_at > $5`,
-      [memberId, vitalType, value, unit, fiveSecondsAgo]
+       AND readings IS NOT DISTINCT FROM $5 AND created_at > $6`,
+      [memberId, vitalType, value, canonicalUnit, readings, fiveSecondsAgo]
     );
 
     if (duplicateCheck.rows.length > 0) {
@@ -157,15 +629,17 @@ router.post('/vitals', [
 
     const result = await query(
       `INSERT INTO health_vitals 
-        (member_id, vital_type, value, unit, notes, recorded_at) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, member_id, vital_type, value, unit, notes, recorded_at, created_at`,
-      [memberId, vitalType, value, unit, notes, recordedAt || new Date()]
+        (member_id, vital_type, value, readings, unit, notes, recorded_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+       RETURNING id, member_id, vital_type, value, readings, unit, notes, recorded_at, created_at`,
+      [memberId, vitalType, value, readings, canonicalUnit, notes, recordedAt || new Date()]
     );
 
+    await checkVitalAlerts(result.rows, req.user.family_id);
+
     res.status(201).json({
       message: 'Vital added successfully',
-      vital: result.rows[0]
+      vital: convertVitalForUser(result.rows[0], vitalConfig, req.user.unit_preferences)
     });
   } catch (error) {
     console.error('Add vital error:', error);
@@ -179,11 +653,9 @@ router.post('/vitals', [
 // Update vital
 router.put('/vitals/:vitalId', [
   authenticateToken,
-  body('vitalType').optional().isIn([
-    'height', 'weight', 'cholesterol', 'hemoglobin', 'sgpt', 'sgot', 'vitamin_d', 'thyroid_tsh', 
-    'thyroid_t3', 'thyroid_t4', 'vitamin_b12', 'calcium', 'hba1c', 'urea', 'fasting_blood_glucose', 'creatinine'
-  ]),
+  body('vitalType').optional().custom(isKnownVitalType),
   body('value').optional().isNumeric(),
+  body('readings').optional().isObject(),
   body('unit').optional().notEmpty().trim(),
   body('notes').optional().trim(),
   body('recordedAt').optional().isISO8601()
@@ -198,11 +670,12 @@ router.put('/vitals/:vitalId', [
     }
 
     const { vitalId } = req.params;
-    const { vitalType, value, unit, notes, recordedAt } = req.body;
+    const { vitalType, notes, recordedAt } = req.body;
+    let { value, unit } = req.body;
 
     // Check if vital exists and belongs to user's family
     const checkResult = await query(
-      `SELECT hv.id FROM health_vitals hv 
+      `SELECT hv.id, hv.vital_type FROM health_vitals hv 
        JOIN family_members fm ON hv.member_id = fm.id 
        WHERE hv.id = $1 AND fm.family_id = $2`,
       [vitalId, req.user.family_id]
@@ -215,6 +688,54 @@ router.put('/vitals/:vitalId', [
       });
     }
 
+    // Compound readings must be resupplied when switching to a compound type,
+    // and are cleared when switching away from one
+    const vitalConfig = (await getVitalTypeMap(req.user.family_id))[vitalType || checkResult.rows[0].vital_type];
+    const typeChanged = vitalType !== undefined && vitalType !== checkResult.rows[0].vital_type;
+    let readings;
+
+    if (typeChanged && vitalConfig.calculated) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        message: `${vitalConfig.label} is calculated from other readings` 
+      });
+    }
+
+    if (vitalConfig?.fields) {
+      if (req.body.readings !== undefined || typeChanged) {
+        readings = normalizeReadings(vitalConfig, req.body.readings);
+        if (!readings) {
+          return res.status(400).json({ 
+            error: 'Validation failed', 
+            message: `${vitalConfig.label} readings must include ${vitalConfig.fields.filter(f => f.required).map(f => f.key).join(' and ')}` 
+          });
+        }
+        value = readings[primaryField(vitalConfig)];
+      } else if (value !== undefined) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          message: 'Update compound vitals through readings instead of value' 
+        });
+      }
+    } else if (typeChanged) {
+      readings = null;
+    }
+
+    // Values are converted from the unit they were entered in (canonical when
+    // no unit is given) and always stored in the canonical unit
+    if (unit !== undefined && !resolveUnit(vitalConfig, unit)) {
+      return res.status(400).json({ 
+        error: 'Unsupported unit', 
+        message: unsupportedUnitMessage(vitalConfig) 
+      });
+    }
+    if (value !== undefined && !vitalConfig?.fields) {
+      value = toCanonical(vitalConfig, parseFloat(value), unit ?? vitalConfig.unit).value;
+    }
+    if (unit !== undefined || typeChanged) {
+      unit = vitalConfig.unit;
+    }
+
     // Build update query
     const updateFields = [];
     const updateValues = [];
@@ -228,6 +749,10 @@ router.put('/vitals/:vitalId', [
       updateFields.push(`value = $${paramCount++}`);
       updateValues.push(value);
     }
+    if (readings !== undefined) {
+      updateFields.push(`readings = $${paramCount++}`);
+      updateValues.push(readings);
+    }
     if (unit !== undefined) {
       updateFields.push(`unit = $${paramCount++}`);
       updateValues.push(unit);
@@ -240,6 +765,10 @@ router.put('/vitals/:vitalId', [
       updateFields.push(`recorded_at = $${paramCount++}`);
       updateValues.push(recordedAt);
     }
+    if (typeChanged) {
+      // The lab's reference interval belonged to the old analyte
+      updateFields.push('lab_range = NULL', 'lab_flag = NULL');
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({ 
@@ -254,13 +783,17 @@ router.put('/vitals/:vitalId', [
       `UPDATE health_vitals 
        SET ${updateFields.join(', ')}, updated_at = NOW() 
        WHERE id = $${paramCount++} 
-       RETURNING id, member_id, vital_type, value, unit, notes, recorded_at, created_at, updated_at`,
+       RETURNING id, member_id, vital_type, value, readings, unit, notes, lab_range, lab_flag, recorded_at, created_at, updated_at`,
       updateValues
     );
 
+    if (vitalType !== undefined || value !== undefined || readings !== undefined || recordedAt !== undefined) {
+      await checkVitalAlerts(result.rows, req.user.family_id);
+    }
+
     res.json({
       message: 'Vital updated successfully',
-      vital: result.rows[0]
+      vital: convertVitalForUser(result.rows[0], vitalConfig, req.user.unit_preferences)
     });
   } catch (error) {
     console.error('Update vital error:', error);
@@ -365,7 +898,10 @@ router.post('/reports', [
   body('reportSubType').optional().isString(),
   body('title').optional().trim(),
   body('description').optional().trim(),
-  body('reportDate').optional().isISO8601()
+  body('reportDate').optional().isISO8601(),
+  body('password').optional().isString(),
+  body('storeDecrypted').optional().isBoolean(),
+  body('allowDuplicate').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -383,11 +919,11 @@ router.post('/reports', [
       });
     }
 
-    const { memberId, reportType, reportSubType, title, description, reportDate } = req.body;
+    const { memberId, reportType, reportSubType, title, description, reportDate, password, storeDecrypted, allowDuplicate } = req.body;
 
     // Check if member belongs to family
     const memberCheck = await query(
-      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      'SELECT id, name, date_of_birth, mobile_number FROM family_members WHERE id = $1 AND family_id = $2',
       [memberId, req.user.family_id]
     );
 
@@ -398,6 +934,48 @@ router.post('/reports', [
       });
     }
 
+    // The same file uploaded before is only stored again when confirmed
+    const uploadedPath = path.join(process.env.UPLOAD_PATH || '/app/uploads', req.file.filename);
+    const contentHash = await hashFile(uploadedPath);
+    const duplicate = await findDuplicateUpload(req.user.family_id, contentHash);
+    if (duplicate && allowDuplicate !== 'true') {
+      fs.unlinkSync(uploadedPath);
+      return res.status(409).json({
+        error: 'Duplicate file',
+        message: duplicateMessage(duplicate),
+        duplicate
+      });
+    }
+
+    // Locked PDFs must open with the given password or one derived from the
+    // member's date of birth / mobile number
+    let unlocked = null;
+    try {
+      unlocked = await parsePdf(fs.readFileSync(uploadedPath), { password, members: memberCheck.rows, max: 1 });
+    } catch (error) {
+      if (error instanceof PdfPasswordError) {
+        fs.unlinkSync(uploadedPath);
+        return res.status(422).json({
+          error: 'Password required',
+          message: error.incorrect
+            ? 'The password for this PDF is incorrect'
+            : 'This PDF is password protected. Please enter its password.',
+          passwordRequired: true,
+          incorrect: error.incorrect
+        });
+      }
+      // Unreadable PDFs are still stored as before
+      console.error('Read report PDF error:', error);
+    }
+
+    if (unlocked?.encrypted && storeDecrypted === 'true') {
+      try {
+        req.file.size = await replaceWithDecryptedCopy(uploadedPath, unlocked.password);
+      } catch (error) {
+        console.error('Unlock PDF error:', error);
+      }
+    }
+
     // Use provided title or fall back to original filename without extension
     const reportTitle = title && title.trim() 
       ? title.trim() 
@@ -408,8 +986,8 @@ router.post('/reports', [
 
     const result = await query(
       `INSERT INTO medical_reports 
-        (member_id, report_type, report_sub_type, title, description, file_path, file_name, file_size, report_date) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+        (member_id, report_type, report_sub_type, title, description, file_path, file_name, file_size, report_date, content_hash) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
        RETURNING id, member_id, report_type, report_sub_type, title, description, file_path, file_name, file_size, report_date, created_at`,
       [
         memberId, 
@@ -420,7 +998,8 @@ router.post('/reports', [
         req.file.filename, 
         originalFileName, 
         req.file.size, 
-        reportDate || new Date()
+        reportDate || new Date(),
+        contentHash
       ]
     );
 
@@ -516,6 +1095,8 @@ router.put('/reports/:reportId', [
       updateValues.push(req.file.originalname);
       updateFields.push(`file_size = $${paramCount++}`);
       updateValues.push(req.file.size);
+      updateFields.push(`content_hash = $${paramCount++}`);
+      updateValues.push(await hashFile(path.join(uploadDir, req.file.filename)));
     }
 
     if (updateFields.length === 0) {
@@ -632,6 +1213,12 @@ router.get('/reports/:reportId/view', authenticateToken, async (req, res) => {
       res.setHeader('X-Frame-Options', 'SAMEORIGIN');
       return res.sendFile(filePath);
     }
+
+    // Photographed reports uploaded through the agent
+    if (IMAGE_EXTENSIONS.includes(ext)) {
+      res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(originalName)}`);
+      return res.sendFile(filePath);
+    }
     
     // For non-PDF files, redirect to download
     return res.redirect(`/api/health/reports/${reportId}/download`);
@@ -702,19 +1289,12 @@ router.get('/history/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], a
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - parseInt(days));
 
-    // Get vitals summary
-    const vitalsResult = await query(
-      `SELECT 
-        vital_type,
-        COUNT(*) as count,
-        AVG(CAST(value AS DECIMAL)) as avg_value,
-        MIN(CAST(value AS DECIMAL)) as min_value,
-        MAX(CAST(value AS DECIMAL)) as max_value,
-        MIN(recorded_at) as first_recorded,
-        MAX(recorded_at) as last_recorded
+    // Get the period's readings; they are summarized once in canonical units,
+    // since older rows may be stored in the unit they were typed in
+    const periodVitalsResult = await query(
+      `SELECT vital_type, value, unit, recorded_at 
       FROM health_vitals 
-      WHERE member_id = $1 AND recorded_at >= $2
-      GROUP BY vital_type`,
+      WHERE member_id = $1 AND recorded_at >= $2`,
       [memberId, cutoffDate]
     );
 
@@ -733,7 +1313,7 @@ router.get('/history/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], a
 
     // Get recent vitals (last 10)
     const recentVitalsResult = await query(
-      `SELECT vital_type, value, unit, recorded_at 
+      `SELECT vital_type, value, readings, unit, recorded_at 
        FROM health_vitals 
        WHERE member_id = $1 
        ORDER BY recorded_at DESC 
@@ -751,13 +1331,91 @@ router.get('/history/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], a
       [memberId]
     );
 
+    // Label vitals from the family's registry so custom types read like built-in ones
+    const vitalTypes = await getVitalTypeMap(req.user.family_id);
+
+    const periodVitals = periodVitalsResult.rows.map((row) => normalizeStoredVital(row, vitalTypes[row.vital_type]));
+    const storedTypes = [...new Set(periodVitals.map((vital) => vital.vital_type))];
+
+    // Calculated vitals (BMI, eGFR, ...) from all of the member's input readings,
+    // since a carried input such as height may predate the period
+    const inputsResult = await query(
+      `SELECT id, member_id, vital_type, value, unit, recorded_at 
+       FROM health_vitals 
+       WHERE member_id = $1 AND vital_type = ANY($2)`,
+      [memberId, derivedInputTypes()]
+    );
+    const memberResult = await query(
+      'SELECT gender, date_of_birth FROM family_members WHERE id = $1',
+      [memberId]
+    );
+    const derivedVitals = deriveVitals(
+      inputsResult.rows.map((row) => normalizeStoredVital(row, vitalTypes[row.vital_type])),
+      vitalTypes,
+      memberResult.rows[0]
+    ).filter((vital) => new Date(vital.recorded_at) >= cutoffDate);
+
+    // Count, average, range and first/last date of one type's readings
+    const summarize = (vitals) => {
+      const values = vitals.map((vital) => parseFloat(vital.value)).filter((value) => Number.isFinite(value));
+      const dates = vitals.map((vital) => new Date(vital.recorded_at)).sort((a, b) => a - b);
+      return {
+        vital_type: vitals[0].vital_type,
+        count: String(vitals.length),
+        avg_value: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        min_value: values.length ? Math.min(...values) : null,
+        max_value: values.length ? Math.max(...values) : null,
+        first_recorded: dates[0],
+        last_recorded: dates[dates.length - 1]
+      };
+    };
+    // A type with measured readings (e.g. a lab-reported LDL) is summarized
+    // together with the values calculated on the other days
+    const storedSummary = storedTypes.map((type) => summarize([
+      ...periodVitals.filter((vital) => vital.vital_type === type),
+      ...derivedVitals.filter((vital) => vital.vital_type === type)
+    ]));
+
+    const derivedSummary = DERIVED_KEYS
+      .filter((key) => !storedTypes.includes(key))
+      .map((key) => derivedVitals.filter((vital) => vital.vital_type === key))
+      .filter((vitals) => vitals.length > 0)
+      .map((vitals) => ({ ...summarize(vitals), calculated: true }));
+    const withVitalTypeInfo = (row) => ({
+      ...row,
+      label: vitalTypes[row.vital_type]?.label || row.vital_type,
+      custom: Boolean(vitalTypes[row.vital_type]?.custom)
+    });
+
+    // Summary statistics in the user's preferred unit
+    const withPreferredUnit = (row) => {
+      const vitalConfig = vitalTypes[row.vital_type];
+      if (!vitalConfig || vitalConfig.fields) return row;
+      const unit = preferredUnit(vitalConfig, req.user.unit_preferences);
+      const convert = (stat) => (stat === null ? null : fromCanonical(vitalConfig, stat, unit).value);
+      return {
+        ...row,
+        avg_value: convert(row.avg_value),
+        min_value: convert(row.min_value),
+        max_value: convert(row.max_value),
+        unit
+      };
+    };
+
     res.json({
       summary: {
-        vitals: vitalsResult.rows,
+        vitals: [...storedSummary, ...derivedSummary].map(withPreferredUnit).map(withVitalTypeInfo),
         reports: reportsResult.rows
       },
       recent: {
-        vitals: recentVitalsResult.rows,
+        vitals: [
+          ...recentVitalsResult.rows.map((row) => normalizeStoredVital(row, vitalTypes[row.vital_type])),
+          ...derivedVitals
+        ]
+          .sort(byRecordedAtDesc)
+          .slice(0, 10)
+          .map((row) => convertVitalForUser(row, vitalTypes[row.vital_type], req.user.unit_preferences))
+          .map(withVitalTypeInfo),
         reports: recentReportsResult.rows
       },
       period: {
@@ -821,7 +1479,8 @@ router.post('/documents/:memberId', [
   upload.single('file'),
   body('title').notEmpty().trim(),
   body('description').optional().trim(),
-  body('uploadDate').optional().isISO8601()
+  body('uploadDate').optional().isISO8601(),
+  body('allowDuplicate').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -848,7 +1507,7 @@ router.post('/documents/:memberId', [
     }
 
     const { memberId } = req.params;
-    const { title, description, uploadDate } = req.body;
+    const { title, description, uploadDate, allowDuplicate } = req.body;
 
     // Check if member belongs to family
     const memberCheck = await query(
@@ -863,10 +1522,23 @@ router.post('/documents/:memberId', [
       });
     }
 
+    // The same file uploaded before is only stored again when confirmed
+    const uploadedPath = path.join(process.env.UPLOAD_PATH || '/app/uploads', req.file.filename);
+    const contentHash = await hashFile(uploadedPath);
+    const duplicate = await findDuplicateUpload(req.user.family_id, contentHash);
+    if (duplicate && allowDuplicate !== 'true') {
+      fs.unlinkSync(uploadedPath);
+      return res.status(409).json({
+        error: 'Duplicate file',
+        message: duplicateMessage(duplicate),
+        duplicate
+      });
+    }
+
     const result = await query(
       `INSERT INTO documents 
-        (member_id, title, description, file_path, file_name, file_size, upload_date) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) 
+        (member_id, title, description, file_path, file_name, file_size, upload_date, content_hash) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
        RETURNING id, member_id, title, description, file_path, file_name, file_size, upload_date, created_at`,
       [
         memberId, 
@@ -875,7 +1547,8 @@ router.post('/documents/:memberId', [
         req.file.filename,
         req.file.originalname,
         req.file.size,
-        uploadDate || new Date()
+        uploadDate || new Date(),
+        contentHash
       ]
     );
 
@@ -1024,6 +1697,8 @@ router.put('/documents/:documentId', [
       updateValues.push(req.file.originalname);
       updateFields.push(`file_size = $${paramCount++}`);
       updateValues.push(req.file.size);
+      updateFields.push(`content_hash = $${paramCount++}`);
+      updateValues.push(await hashFile(path.join(uploadDir, req.file.filename)));
     }
 
     if (updateFields.length === 0) {
@@ -1107,35 +1782,550 @@ router.delete('/documents/:documentId', [
   }
 });
 
-// PDF Agent - analyze (stream) then confirm (save after review)
-router.post('/agent/analyze', authenticateToken, upload.single('file'), async (req, res) => {
-  res.setHeader('Content-Type', 'application/x-ndjson');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.flushHeaders?.();
+// Medication Routes
+
+const MEDICATION_TEXT_LIMITS = {
+  name: 255, form: 30, strength: 50, dose: 50, frequency: 30, duration: 50,
+  instructions: 1000, prescribedBy: 255, notes: 2000, stopReason: 1000
+};
+
+const medicationValidation = [
+  ...Object.entries(MEDICATION_TEXT_LIMITS)
+    .filter(([key]) => key !== 'name')
+    .map(([key]) => body(key).optional({ values: 'null' }).isString()),
+  body('startDate').optional({ values: 'falsy' }).isISO8601(),
+  body('endDate').optional({ values: 'falsy' }).isISO8601(),
+  body('reportId').optional({ values: 'falsy' }).isUUID(),
+  body('remindersEnabled').optional().isBoolean().toBoolean(),
+  body('doseSchedule').optional({ values: 'null' }).isArray({ max: 12 }),
+  body('doseSchedule.*').matches(DOSE_TIME_REGEX).withMessage('Dose times must be HH:MM')
+];
+
+// Changing these reschedules a medication's upcoming doses
+const DOSE_SCHEDULE_KEYS = ['frequency', 'doseSchedule', 'remindersEnabled', 'status', 'startDate', 'endDate'];
+
+const remindersWithoutTimes = (remindersEnabled, frequency, doseSchedule) =>
+  remindersEnabled && doseTimesFor({ frequency, dose_schedule: doseSchedule }).length === 0;
+
+// sanitizeInput HTML-escapes strings and turns dates into Date objects;
+// medication fields are stored as typed ("1/2-0-1", "500 mg/5 ml") and dates
+// as plain days
+const medicationValue = (key, value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (Array.isArray(value)) return value.length ? [...new Set(value)].sort() : null;
+  if (MEDICATION_TEXT_LIMITS[key]) {
+    return validator.unescape(String(value)).trim().substring(0, MEDICATION_TEXT_LIMITS[key]) || null;
+  }
+  return value;
+};
 
-  const writeEvent = (payload) => res.write(`${JSON.stringify(payload)}\n`);
+// The prescription a medication links to must be a report of the same member
+const isMembersReport = async (reportId, memberId) => {
+  const result = await query('SELECT id FROM medical_reports WHERE id = $1 AND member_id = $2', [reportId, memberId]);
+  return result.rows.length > 0;
+};
 
+// Get medications across the family (?status=active for the ones currently taken)
+router.get('/medications', authenticateToken, async (req, res) => {
   try {
-    if (!req.file) {
-      writeEvent({ type: 'step', id: 'upload', status: 'error', title: 'PDF Received', message: 'Please upload a PDF file' });
-      return res.end();
-    }
-    if (!req.user?.family_id) {
-      writeEvent({ type: 'step', id: 'upload', status: 'error', title: 'PDF Received', message: 'User family not found' });
-      return res.end();
-    }
-
-    const result = await require('../services/pdfAgent').analyzePdfAgent({
-      file: req.file,
-      user: req.user,
-      onStep: (step) => writeEvent({ type: 'step', ...step }),
+    const medications = await listFamilyMedications(req.user.family_id, {
+      // Regular users only see their own medications
+      userId: req.user.role === 'admin' ? undefined : req.user.id,
+      currentOnly: req.query.status === 'active'
     });
 
-    writeEvent({ type: 'review', ...result });
+    res.json({ medications });
   } catch (error) {
-    console.error('PDF agent analyze error:', error);
-    writeEvent({ type: 'error', message: error.message || 'Analysis failed' });
+    console.error('Get family medications error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch medications',
+      message: 'Could not retrieve medications'
+    });
+  }
+});
+
+// Get medications for a family member
+router.get('/medications/:memberId', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const memberCheck = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access medications for your family members'
+      });
+    }
+
+    const medications = await listMemberMedications(memberId);
+    res.json({ medications });
+  } catch (error) {
+    console.error('Get medications error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch medications',
+      message: 'Could not retrieve medications'
+    });
+  }
+});
+
+// Get the start, change, stop and resume history of a medication
+router.get('/medications/:medicationId/history', authenticateToken, async (req, res) => {
+  try {
+    const { medicationId } = req.params;
+    const medication = validator.isUUID(medicationId)
+      ? await getMedication(medicationId, req.user.family_id)
+      : null;
+
+    if (!medication) {
+      return res.status(404).json({
+        error: 'Medication not found',
+        message: 'Medication does not exist'
+      });
+    }
+
+    // Regular users can only see the history of their own medications
+    if (req.user.role !== 'admin') {
+      const ownMember = await query(
+        'SELECT id FROM family_members WHERE id = $1 AND user_id = $2',
+        [medication.member_id, req.user.id]
+      );
+      if (ownMember.rows.length === 0) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only access your own data'
+        });
+      }
+    }
+
+    const history = await getMedicationHistory(medicationId);
+    res.json({ medication, history });
+  } catch (error) {
+    console.error('Get medication history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch medication history',
+      message: 'Could not retrieve medication history'
+    });
+  }
+});
+
+// Add medication
+router.post('/medications', [
+  authenticateToken,
+  body('memberId').isUUID(),
+  body('name').isString().trim().notEmpty(),
+  ...medicationValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { memberId } = req.body;
+
+    // Check if member belongs to family
+    const memberCheck = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only add medications for your family members'
+      });
+    }
+
+    const values = {};
+    Object.keys(MEDICATION_FIELDS).forEach((key) => {
+      const value = medicationValue(key, req.body[key]);
+      if (value !== undefined && value !== null) values[key] = value;
+    });
+
+    if (values.startDate && values.endDate && values.endDate < values.startDate) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'End date cannot be before the start date', path: 'endDate' }]
+      });
+    }
+    if (remindersWithoutTimes(values.remindersEnabled, values.frequency, values.doseSchedule)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'Add dose times or a 1-0-1 style frequency to get reminders', path: 'doseSchedule' }]
+      });
+    }
+    if (values.reportId && !(await isMembersReport(values.reportId, memberId))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'The prescription must be a report of this member', path: 'reportId' }]
+      });
+    }
+
+    const keys = Object.keys(values);
+    const medicationId = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO medications (member_id, ${keys.map((key) => MEDICATION_FIELDS[key]).join(', ')})
+         VALUES ($1, ${keys.map((key, index) => `$${index + 2}`).join(', ')})
+         RETURNING id`,
+        [memberId, ...keys.map((key) => values[key])]
+      );
+      const id = result.rows[0].id;
+      await addHistory(client, id, req.user.id, 'started', values);
+      return id;
+    });
+
+    // Checked once saved, so the new medication is compared as stored
+    const medication = await getMedication(medicationId, req.user.family_id);
+    res.status(201).json({
+      message: 'Medication added successfully',
+      medication,
+      warnings: await checkMemberMedication(medication)
+    });
+  } catch (error) {
+    console.error('Add medication error:', error);
+    res.status(500).json({
+      error: 'Failed to add medication',
+      message: 'Could not add medication'
+    });
+  }
+});
+
+// Update medication; status 'stopped' stops it (ending it today unless an
+// end date is given) and 'active' resumes it
+router.put('/medications/:medicationId', [
+  authenticateToken,
+  body('name').optional().isString().trim().notEmpty(),
+  body('status').optional().isIn(MEDICATION_STATUSES),
+  ...medicationValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { medicationId } = req.params;
+    const medication = validator.isUUID(medicationId)
+      ? await getMedication(medicationId, req.user.family_id)
+      : null;
+
+    if (!medication) {
+      return res.status(404).json({
+        error: 'Medication not found',
+        message: 'Medication does not exist'
+      });
+    }
+
+    const { status } = req.body;
+    const stopping = status === 'stopped' && medication.status !== 'stopped';
+    const resuming = status === 'active' && medication.status === 'stopped';
+
+    // Only fields that actually change are written and recorded
+    const changes = {};
+    Object.entries(MEDICATION_FIELDS).forEach(([key, column]) => {
+      const value = medicationValue(key, req.body[key]);
+      if (value !== undefined && JSON.stringify(value) !== JSON.stringify(medication[column])) {
+        changes[key] = { from: medication[column], to: value };
+      }
+    });
+    if (stopping) {
+      const today = localIsoDate(new Date());
+      changes.status = { from: 'active', to: 'stopped' };
+      if (!changes.endDate && (!medication.end_date || medication.end_date > today)) {
+        changes.endDate = { from: medication.end_date, to: today };
+      }
+      const stopReason = medicationValue('stopReason', req.body.stopReason);
+      if (stopReason) changes.stopReason = { from: medication.stop_reason, to: stopReason };
+    }
+    if (resuming) {
+      changes.status = { from: 'stopped', to: 'active' };
+      if (req.body.endDate === undefined && medication.end_date) {
+        changes.endDate = { from: medication.end_date, to: null };
+      }
+      if (medication.stop_reason) changes.stopReason = { from: medication.stop_reason, to: null };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({
+        message: 'Medication is unchanged',
+        medication
+      });
+    }
+
+    const startDate = changes.startDate ? changes.startDate.to : medication.start_date;
+    const endDate = changes.endDate ? changes.endDate.to : medication.end_date;
+    if (startDate && endDate && endDate < startDate) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'End date cannot be before the start date', path: 'endDate' }]
+      });
+    }
+    if (changes.reportId?.to && !(await isMembersReport(changes.reportId.to, medication.member_id))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'The prescription must be a report of this member', path: 'reportId' }]
+      });
+    }
+    const updated = (key, column) => (changes[key] ? changes[key].to : medication[column]);
+    if (remindersWithoutTimes(updated('remindersEnabled', 'reminders_enabled'), updated('frequency', 'frequency'), updated('doseSchedule', 'dose_schedule'))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'Add dose times or a 1-0-1 style frequency to get reminders', path: 'doseSchedule' }]
+      });
+    }
+
+    const columns = { ...MEDICATION_FIELDS, status: 'status', stopReason: 'stop_reason' };
+    const keys = Object.keys(changes);
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE medications
+         SET ${keys.map((key, index) => `${columns[key]} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [medicationId, ...keys.map((key) => changes[key].to)]
+      );
+      await addHistory(client, medicationId, req.user.id, stopping ? 'stopped' : resuming ? 'resumed' : 'changed', changes);
+      if (stopping || changes.remindersEnabled?.to === false) {
+        await cancelOpenDoses(client, medicationId);
+      } else if (keys.some((key) => DOSE_SCHEDULE_KEYS.includes(key))) {
+        await clearUpcomingDoses(client, medicationId);
+      }
+    });
+
+    // A renamed or resumed medication is checked again
+    const saved = await getMedication(medicationId, req.user.family_id);
+    res.json({
+      message: stopping
+        ? 'Medication stopped successfully'
+        : resuming ? 'Medication resumed successfully' : 'Medication updated successfully',
+      medication: saved,
+      warnings: (changes.name || resuming) && saved.is_current ? await checkMemberMedication(saved) : []
+    });
+  } catch (error) {
+    console.error('Update medication error:', error);
+    res.status(500).json({
+      error: 'Failed to update medication',
+      message: 'Could not update medication'
+    });
+  }
+});
+
+// Delete medication
+router.delete('/medications/:medicationId', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { medicationId } = req.params;
+    const medication = validator.isUUID(medicationId)
+      ? await getMedication(medicationId, req.user.family_id)
+      : null;
+
+    if (!medication) {
+      return res.status(404).json({
+        error: 'Medication not found',
+        message: 'Medication does not exist'
+      });
+    }
+
+    await query('DELETE FROM medications WHERE id = $1', [medicationId]);
+
+    res.json({
+      message: 'Medication deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete medication error:', error);
+    res.status(500).json({
+      error: 'Failed to delete medication',
+      message: 'Could not delete medication'
+    });
+  }
+});
+
+// Get a member's scheduled doses for a day (?date=YYYY-MM-DD, today by default)
+router.get('/medications/:memberId/doses', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const { date } = req.query;
+
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'Date must be YYYY-MM-DD', path: 'date' }]
+      });
+    }
+
+    const memberCheck = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access medications for your family members'
+      });
+    }
+
+    const day = date || localIsoDate(new Date());
+    res.json({ date: day, doses: await listDoses(memberId, day) });
+  } catch (error) {
+    console.error('Get doses error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch doses',
+      message: 'Could not retrieve scheduled doses'
+    });
+  }
+});
+
+// Get how many of a member's doses were taken, skipped or missed (?days=30)
+router.get('/medications/:memberId/adherence', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+
+    const memberCheck = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access medications for your family members'
+      });
+    }
+
+    res.json({ period: { days }, ...(await getAdherence(memberId, days)) });
+  } catch (error) {
+    console.error('Get adherence error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch adherence',
+      message: 'Could not retrieve medication adherence'
+    });
+  }
+});
+
+// Get interaction, duplicate therapy and allergy warnings across a member's
+// current medications
+router.get('/medications/:memberId/warnings', [authenticateToken, authorizeOwnDataOrAdmin], async (req, res) => {
+  try {
+    const { memberId } = req.params;
+
+    const memberCheck = await query(
+      'SELECT id FROM family_members WHERE id = $1 AND family_id = $2',
+      [memberId, req.user.family_id]
+    );
+
+    if (memberCheck.rows.length === 0) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only access medications for your family members'
+      });
+    }
+
+    res.json({ warnings: await getMemberWarnings(memberId) });
+  } catch (error) {
+    console.error('Get medication warnings error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch medication warnings',
+      message: 'Could not check medications for interactions'
+    });
+  }
+});
+
+// Log a dose as taken, skipped or snoozed (snoozeMinutes, 15 by default)
+router.put('/medications/doses/:doseId', [
+  authenticateToken,
+  body('action').isIn(DOSE_ACTIONS),
+  body('snoozeMinutes').optional().isInt({ min: 5, max: 240 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { doseId } = req.params;
+    const { action, snoozeMinutes } = req.body;
+    const dose = validator.isUUID(doseId) ? await getDose(doseId, req.user.family_id) : null;
+
+    if (!dose) {
+      return res.status(404).json({
+        error: 'Dose not found',
+        message: 'Dose does not exist'
+      });
+    }
+
+    // Only doses still waiting to be taken can be put off
+    if (action === 'snoozed' && !['pending', 'snoozed'].includes(dose.status)) {
+      return res.status(409).json({
+        error: 'Dose already logged',
+        message: `This dose was already marked as ${dose.status}`
+      });
+    }
+
+    const logged = await logDose(doseId, req.user.family_id, req.user.id, action, snoozeMinutes || DEFAULT_SNOOZE_MINUTES);
+
+    res.json({
+      message: 'Dose logged successfully',
+      dose: logged
+    });
+  } catch (error) {
+    console.error('Log dose error:', error);
+    res.status(500).json({
+      error: 'Failed to log dose',
+      message: 'Could not log dose'
+    });
+  }
+});
+
+// PDF Agent - analyze (stream) then confirm (save after review)
+router.post('/agent/analyze', authenticateToken, agentUpload.single('file'), async (req, res) => {
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  const writeEvent = (payload) => res.write(`${JSON.stringify(payload)}\n`);
+
+  try {
+    if (!req.file) {
+      writeEvent({ type: 'step', id: 'upload', status: 'error', title: 'File Received', message: 'Please upload a PDF, JPEG or PNG file' });
+      return res.end();
+    }
+    if (!req.user?.family_id) {
+      writeEvent({ type: 'step', id: 'upload', status: 'error', title: 'File Received', message: 'User family not found' });
+      return res.end();
+    }
+
+    const result = await require('../services/pdfAgent').analyzePdfAgent({
+      file: req.file,
+      user: req.user,
+      password: req.body.password || undefined,
+      onStep: (step) => writeEvent({ type: 'step', ...step }),
+    });
+
+    writeEvent({ type: 'review', ...result });
+  } catch (error) {
+    if (error instanceof PdfPasswordError) {
+      // The client asks for the password and uploads the file again
+      writeEvent({ type: 'password_required', incorrect: error.incorrect, message: error.message });
+    } else {
+      console.error('PDF agent analyze error:', error);
+      writeEvent({ type: 'error', message: error.message || 'Analysis failed' });
+    }
     if (req.file?.filename) {
       const uploadDir = process.env.UPLOAD_PATH || '/app/uploads';
       const filePath = path.join(uploadDir, req.file.filename);
@@ -1145,6 +2335,43 @@ router.post('/agent/analyze', authenticateToken, upload.single('file'), async (r
   res.end();
 });
 
+// PDF Agent - batch of files or ZIP archives, analyzed in the background. The
+// stream reports per-file progress; the batch keeps going if the client goes
+// away, and its progress can be resumed from GET /agent/analyses?batchId=.
+router.post('/agent/analyze-batch', authenticateToken, agentBatchUpload.array('files', MAX_BATCH_FILES), async (req, res) => {
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+
+  const writeEvent = (payload) => {
+    if (!res.writableEnded && !res.destroyed) res.write(`${JSON.stringify(payload)}\n`);
+  };
+
+  try {
+    if (!req.files?.length) {
+      writeEvent({ type: 'error', message: 'Please upload PDF, JPEG, PNG or ZIP files' });
+      return res.end();
+    }
+    if (!req.user?.family_id) {
+      writeEvent({ type: 'error', message: 'User family not found' });
+      req.files.forEach((file) => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.end();
+    }
+
+    await startBatch({
+      files: req.files,
+      user: req.user,
+      password: req.body.password || undefined,
+      onEvent: writeEvent,
+    });
+  } catch (error) {
+    console.error('PDF agent batch error:', error);
+    writeEvent({ type: 'error', message: error.message || 'Batch analysis failed' });
+  }
+  res.end();
+});
+
 router.post('/agent/confirm', authenticateToken, async (req, res) => {
   res.setHeader('Content-Type', 'application/x-ndjson');
   res.setHeader('Cache-Control', 'no-cache');
@@ -1154,7 +2381,7 @@ router.post('/agent/confirm', authenticateToken, async (req, res) => {
   const writeEvent = (payload) => res.write(`${JSON.stringify(payload)}\n`);
 
   try {
-    const { analysisId, memberId, category, reportDate, vitals, title } = req.body;
+    const { analysisId, memberId, category, reportDate, vitals, medications, prescribedBy, title, storeDecrypted, skipDuplicates } = req.body;
     if (!analysisId) {
       writeEvent({ type: 'error', message: 'Missing analysis ID' });
       return res.end();
@@ -1163,7 +2390,17 @@ router.post('/agent/confirm', authenticateToken, async (req, res) => {
     const result = await require('../services/pdfAgent').confirmPdfAgent({
       analysisId,
       user: req.user,
-      overrides: { memberId, category, reportDate, vitals, title },
+      overrides: {
+        memberId,
+        category,
+        reportDate,
+        vitals,
+        medications,
+        prescribedBy,
+        title,
+        storeDecrypted: storeDecrypted === true,
+        skipDuplicates: skipDuplicates !== false
+      },
       onStep: (step) => writeEvent({ type: 'step', ...step }),
     });
 
@@ -1175,4 +2412,338 @@ router.post('/agent/confirm', authenticateToken, async (req, res) => {
   res.end();
 });
 
+// PDF agent analyses - list reviews that can be resumed (?status=a,b for others,
+// ?batchId= for the files of one batch upload)
+router.get('/agent/analyses', authenticateToken, async (req, res) => {
+  try {
+    const { batchId } = req.query;
+    if (batchId !== undefined && !validator.isUUID(String(batchId))) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: 'Batch ID must be a UUID', path: 'batchId' }]
+      });
+    }
+
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').filter((status) => ANALYSIS_STATUSES.includes(status))
+      : undefined;
+    if (statuses && statuses.length === 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{ msg: `Status must be one of: ${ANALYSIS_STATUSES.join(', ')}`, path: 'status' }]
+      });
+    }
+
+    const analyses = await listAnalyses(req.user.family_id, statuses, { batchId });
+    res.json(analyses);
+  } catch (error) {
+    console.error('Get agent analyses error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analyses',
+      message: 'Could not retrieve PDF agent analyses'
+    });
+  }
+});
+
+// PDF agent analyses - review payload of one analysis, to resume it
+router.get('/agent/analyses/:analysisId', authenticateToken, async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+    const review = validator.isUUID(analysisId)
+      ? await require('../services/pdfAgent').getAnalysisReview(analysisId, req.user)
+      : null;
+
+    if (!review) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'Analysis expired or not found. Please upload again.'
+      });
+    }
+
+    res.json(review);
+  } catch (error) {
+    console.error('Get agent analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch analysis',
+      message: 'Could not retrieve PDF agent analysis'
+    });
+  }
+});
+
+// PDF agent analyses - discard an unconfirmed upload and its file
+router.delete('/agent/analyses/:analysisId', authenticateToken, async (req, res) => {
+  try {
+    const { analysisId } = req.params;
+    const discarded = validator.isUUID(analysisId)
+      && await discardAnalysis(analysisId, { familyId: req.user.family_id });
+
+    if (!discarded) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        message: 'Analysis does not exist or was already saved'
+      });
+    }
+
+    res.json({
+      message: 'Analysis discarded successfully'
+    });
+  } catch (error) {
+    console.error('Discard agent analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to discard analysis',
+      message: 'Could not discard PDF agent analysis'
+    });
+  }
+});
+
+// PDF agent imports - delete everything a confirmed upload created
+router.post('/agent/imports/:importId/undo', authenticateToken, async (req, res) => {
+  try {
+    const { importId } = req.params;
+    const agentImport = validator.isUUID(importId)
+      ? await getImport(importId, req.user.family_id)
+      : null;
+
+    if (!agentImport) {
+      return res.status(404).json({
+        error: 'Import not found',
+        message: 'Import does not exist'
+      });
+    }
+
+    if (req.user.role !== 'admin' && agentImport.importedBy !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only an admin or the user who imported it can undo an import'
+      });
+    }
+
+    const undone = await undoImport(importId, req.user.id);
+    if (!undone) {
+      return res.status(409).json({
+        error: 'Import already undone',
+        message: 'This import was already undone'
+      });
+    }
+
+    res.json({
+      message: 'Import undone successfully',
+      ...undone
+    });
+  } catch (error) {
+    console.error('Undo agent import error:', error);
+    res.status(500).json({
+      error: 'Failed to undo import',
+      message: 'Could not undo PDF agent import'
+    });
+  }
+});
+
+// Shared validation for lab template definitions. Family templates hold plain
+// text (the lab's name, labels and analyte names), matched literally; regex
+// patterns are left to built-in templates.
+const labTemplateValidation = [
+  body('name').notEmpty().trim(),
+  body('headerPattern').isString().trim().isLength({ min: 1, max: 100 }),
+  body('fields').optional().isObject(),
+  body('fields.reportDate').optional().isArray({ max: 10 }),
+  body('fields.reportDate.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('fields.patientName').optional().isArray({ max: 10 }),
+  body('fields.patientName.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('rowParsers').optional().isArray({ max: 50 }),
+  body('rowParsers.*')
+    .custom((parser) => parser?.names?.length > 0 || parser?.valueIndex !== undefined)
+    .withMessage('Each row parser needs names or a valueIndex'),
+  body('rowParsers.*.vitalType').custom(isKnownVitalType),
+  body('rowParsers.*.names').optional().isArray({ max: 10 }),
+  body('rowParsers.*.names.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('rowParsers.*.valueIndex').optional().isInt({ min: 0, max: 20 }).toInt(),
+  body('rowParsers.*.pattern').not().exists().withMessage('Patterns are only available in built-in templates'),
+  body('enabled').optional().isBoolean().toBoolean()
+];
+
+// Template as stored, from a validated request body. sanitizeInput
+// HTML-escapes top-level strings; the lab's name must keep its < and & characters.
+const labTemplateFromBody = (body) => ({
+  name: validator.unescape(body.name),
+  headerPattern: validator.unescape(body.headerPattern),
+  fields: {
+    reportDate: body.fields?.reportDate || [],
+    patientName: body.fields?.patientName || []
+  },
+  rowParsers: (body.rowParsers || []).map((parser) => ({
+    vitalType: parser.vitalType,
+    ...(parser.names?.length ? { names: parser.names } : {}),
+    ...(parser.valueIndex !== undefined ? { valueIndex: parser.valueIndex } : {})
+  })),
+  enabled: body.enabled !== undefined ? body.enabled : true
+});
+
+const LAB_TEMPLATE_COLUMNS = `key, name, header_pattern AS "headerPattern", fields, row_parsers AS "rowParsers",
+       enabled, true AS custom, updated_at AS "updatedAt"`;
+
+// PDF agent lab templates - built-in templates plus the family's own
+router.get('/agent/templates', authenticateToken, async (req, res) => {
+  try {
+    const templates = await getLabTemplates(req.user.family_id);
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get lab templates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lab templates',
+      message: 'Could not retrieve lab templates'
+    });
+  }
+});
+
+// Create a lab template for the family (admin only). Using the name of a
+// built-in template replaces it for the family.
+router.post('/agent/templates', [
+  authenticateToken,
+  requireAdmin,
+  ...labTemplateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const template = labTemplateFromBody(req.body);
+    const key = slugifyVitalKey(template.name);
+    if (!key) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Name must contain letters or numbers'
+      });
+    }
+
+    const existing = await query(
+      'SELECT name FROM lab_templates WHERE family_id = $1 AND key = $2',
+      [req.user.family_id, key]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        error: 'Lab template exists',
+        message: `A lab template named "${existing.rows[0].name}" already exists`
+      });
+    }
+
+    const result = await query(
+      `INSERT INTO lab_templates (family_id, key, name, header_pattern, fields, row_parsers, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${LAB_TEMPLATE_COLUMNS}`,
+      [
+        req.user.family_id,
+        key,
+        template.name,
+        template.headerPattern,
+        JSON.stringify(template.fields),
+        JSON.stringify(template.rowParsers),
+        template.enabled
+      ]
+    );
+
+    invalidateLabTemplates();
+
+    res.status(201).json({
+      message: 'Lab template created successfully',
+      template: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create lab template error:', error);
+    res.status(500).json({
+      error: 'Failed to create lab template',
+      message: 'Could not create lab template'
+    });
+  }
+});
+
+// Update one of the family's lab templates (admin only). The key stays the same.
+router.put('/agent/templates/:key', [
+  authenticateToken,
+  requireAdmin,
+  ...labTemplateValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const template = labTemplateFromBody(req.body);
+    const result = await query(
+      `UPDATE lab_templates
+       SET name = $1, header_pattern = $2, fields = $3, row_parsers = $4, enabled = $5, updated_at = NOW()
+       WHERE family_id = $6 AND key = $7
+       RETURNING ${LAB_TEMPLATE_COLUMNS}`,
+      [
+        template.name,
+        template.headerPattern,
+        JSON.stringify(template.fields),
+        JSON.stringify(template.rowParsers),
+        template.enabled,
+        req.user.family_id,
+        req.params.key
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Lab template not found',
+        message: 'Only your family\'s lab templates can be edited'
+      });
+    }
+
+    invalidateLabTemplates();
+
+    res.json({
+      message: 'Lab template updated successfully',
+      template: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update lab template error:', error);
+    res.status(500).json({
+      error: 'Failed to update lab template',
+      message: 'Could not update lab template'
+    });
+  }
+});
+
+// Delete one of the family's lab templates (admin only); a built-in template it
+// replaced applies again
+router.delete('/agent/templates/:key', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM lab_templates WHERE family_id = $1 AND key = $2 RETURNING key',
+      [req.user.family_id, req.params.key]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Lab template not found',
+        message: 'Only your family\'s lab templates can be deleted'
+      });
+    }
+
+    invalidateLabTemplates();
+
+    res.json({
+      message: 'Lab template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete lab template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete lab template',
+      message: 'Could not delete lab template'
+    });
+  }
+});
+
 module.exports = router;
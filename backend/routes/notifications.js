@@ -0,0 +1,132 @@
+const express = require('express');
+const { query } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get the current user's notifications (newest first) and the unread count
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const result = await query(
+      `SELECT
+        n.id,
+        n.member_id,
+        n.vital_id,
+        n.type,
+        n.severity,
+        n.title,
+        n.message,
+        n.data,
+        n.read_at,
+        n.created_at,
+        fm.name as member_name
+      FROM notifications n
+      LEFT JOIN family_members fm ON n.member_id = fm.id
+      WHERE n.user_id = $1 AND ($2::boolean = false OR n.read_at IS NULL)
+      ORDER BY n.created_at DESC
+      LIMIT $3`,
+      [req.user.id, unreadOnly, limit]
+    );
+
+    const countResult = await query(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      notifications: result.rows,
+      unreadCount: parseInt(countResult.rows[0].unread)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notifications',
+      message: 'Could not retrieve notifications'
+    });
+  }
+});
+
+// Mark all of the current user's notifications as read
+router.put('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+      [req.user.id]
+    );
+
+    res.json({
+      message: 'Notifications marked as read',
+      updated: result.rowCount
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      error: 'Failed to update notifications',
+      message: 'Could not mark notifications as read'
+    });
+  }
+});
+
+// Mark one notification as read (or unread with { read: false })
+router.put('/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const read = req.body.read !== false;
+
+    const result = await query(
+      `UPDATE notifications
+       SET read_at = ${read ? 'COALESCE(read_at, NOW())' : 'NULL'}
+       WHERE id = $1 AND user_id = $2
+       RETURNING id, read_at`,
+      [notificationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'Notification does not exist'
+      });
+    }
+
+    res.json({
+      message: 'Notification updated successfully',
+      notification: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification',
+      message: 'Could not update notification'
+    });
+  }
+});
+
+// Delete a notification
+router.delete('/:notificationId', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.notificationId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        message: 'Notification does not exist'
+      });
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({
+      error: 'Failed to delete notification',
+      message: 'Could not delete notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -8,10 +8,18 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const familyRoutes = require('./routes/family');
 const healthRoutes = require('./routes/health');
+const notificationRoutes = require('./routes/notifications');
+const emergencyRoutes = require('./routes/emergency');
 const { errorHandler } = require('./middleware/errorHandler');
 const { sanitizeInput } = require('./middleware/inputSanitizer');
 const { generalRateLimit } = require('./middleware/rateLimiter');
 const { initDatabase } = require('./init-db');
+const { seedVitalTypes } = require('./services/vitalTypes');
+const { seedLabTemplates } = require('./services/labTemplates');
+const { startEmailWorker } = require('./services/emailQueue');
+const { sendWeeklyDigests } = require('./services/weeklyDigest');
+const { startAnalysisSweeper } = require('./services/agentAnalyses');
+const { startReminderScheduler } = require('./services/medicationReminders');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -87,6 +95,9 @@ app.use('/uploads', (req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/family', familyRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/notifications', notificationRoutes);
+// Public, read-only: shared emergency cards are opened without signing in
+app.use('/api/emergency', emergencyRoutes);
 
 // Health check endpoint
 app.get('/api/health-check', (req, res) => {
@@ -125,6 +136,11 @@ app.listen(PORT, async () => {
   
   // Initialize database
   await initDatabase();
+  await seedVitalTypes();
+  await seedLabTemplates();
+  await startEmailWorker([sendWeeklyDigests]);
+  startAnalysisSweeper();
+  startReminderScheduler();
 });
 
 module.exports = app;
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { query } = require('../config/database');
+
+// PDF agent analyses are kept in the agent_analyses table so a review can be
+// resumed after a restart or from another container. Uploads that are never
+// confirmed expire after AGENT_ANALYSIS_TTL_HOURS and the sweeper deletes
+// their files. Files of a batch upload are 'queued' until their turn comes.
+
+const ANALYSIS_STATUSES = ['queued', 'analyzing', 'awaiting_review', 'confirmed', 'discarded', 'expired'];
+const ANALYSIS_TTL_HOURS = parseInt(process.env.AGENT_ANALYSIS_TTL_HOURS) || 72;
+// An analysis still 'analyzing' this long after it started lost its request
+// (crash or restart)
+const STUCK_ANALYSIS_MINUTES = 60;
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+let sweeperTimer = null;
+
+const removeUpload = (fileName) => {
+  const uploadDir = process.env.UPLOAD_PATH || '/app/uploads';
+  const filePath = path.join(uploadDir, fileName);
+  try {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+  } catch (error) {
+    console.error('Remove agent upload error:', error);
+  }
+};
+
+/**
+ * Record a new upload before it is analyzed.
+ * @param {{ familyId: string, userId: string, file: Object, batchId?: string }} params
+ *   file is the multer file; batchId groups the files of a batch upload, which
+ *   are queued until startAnalysis
+ * @returns {Promise<string>} the analysis id
+ */
+const createAnalysis = async ({ familyId, userId, file, batchId }) => {
+  const result = await query(
+    `INSERT INTO agent_analyses
+       (family_id, user_id, file_path, file_name, file_size, mime_type, batch_id, status, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + ($9 || ' hours')::interval)
+     RETURNING id`,
+    [
+      familyId,
+      userId,
+      file.filename,
+      file.originalname,
+      file.size,
+      file.mimetype,
+      batchId || null,
+      batchId ? 'queued' : 'analyzing',
+      String(ANALYSIS_TTL_HOURS),
+    ]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Start analyzing a queued file. Its review gets the full TTL from now.
+ * @param {string} analysisId
+ * @returns {Promise<boolean>} false if the analysis was discarded or expired
+ *   while it waited
+ */
+const startAnalysis = async (analysisId) => {
+  const result = await query(
+    `UPDATE agent_analyses
+     SET status = 'analyzing', expires_at = NOW() + ($2 || ' hours')::interval, updated_at = NOW()
+     WHERE id = $1 AND status = 'queued'`,
+    [analysisId, String(ANALYSIS_TTL_HOURS)]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Store the proposal and mark the analysis ready for review.
+ * @param {string} analysisId
+ * @param {{ proposal: Object, text: string, password?: string, contentHash?: string }} data
+ *   password is the one that opened a locked PDF, kept until confirm;
+ *   contentHash is the SHA-256 of the upload
+ * @returns {Promise<boolean>} false if the analysis was discarded or expired
+ *   (and its upload deleted) while it was being analyzed
+ */
+const saveProposal = async (analysisId, { proposal, text, password, contentHash }) => {
+  const result = await query(
+    `UPDATE agent_analyses
+     SET status = 'awaiting_review', proposal = $2, extracted_text = $3, pdf_password = $4, content_hash = $5,
+         updated_at = NOW()
+     WHERE id = $1 AND status = 'analyzing'`,
+    [analysisId, JSON.stringify(proposal), text, password || null, contentHash || null]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Analysis awaiting review for a family, or null if it is unknown, already
+ * handled or expired.
+ * @param {string} analysisId
+ * @param {string} familyId
+ * @returns {Promise<Object|null>}
+ */
+const getPendingAnalysis = async (analysisId, familyId) => {
+  const result = await query(
+    `SELECT * FROM agent_analyses
+     WHERE id = $1 AND family_id = $2 AND status = 'awaiting_review' AND expires_at > NOW()`,
+    [analysisId, familyId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Another analysis of the family awaiting review with the same upload content.
+ * @param {string} familyId
+ * @param {string} contentHash
+ * @param {string} excludeId - the analysis being checked
+ * @returns {Promise<Object|null>} id, file_name and created_at
+ */
+const findPendingByHash = async (familyId, contentHash, excludeId) => {
+  const result = await query(
+    `SELECT id, file_name, created_at FROM agent_analyses
+     WHERE family_id = $1 AND content_hash = $2 AND id <> $3
+       AND status = 'awaiting_review' AND expires_at > NOW()
+     ORDER BY created_at
+     LIMIT 1`,
+    [familyId, contentHash, excludeId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * A family's analyses, newest first.
+ * @param {string} familyId
+ * @param {string[]} [statuses] - defaults to those awaiting review
+ * @param {{ batchId?: string }} [options] - batchId lists every analysis of
+ *   one batch upload instead of the latest 100
+ * @returns {Promise<Object[]>}
+ */
+const listAnalyses = async (familyId, statuses = ['awaiting_review'], { batchId } = {}) => {
+  const result = await query(
+    `SELECT id, status, batch_id, file_name, file_size, mime_type, error_message, record_type, record_id,
+            proposal->>'memberId' AS member_id,
+            proposal->>'memberName' AS member_name,
+            proposal->>'category' AS category,
+            proposal->>'reportDate' AS report_date,
+            proposal->>'title' AS title,
+            COALESCE(jsonb_array_length(proposal->'vitals'), 0) AS vital_count,
+            expires_at, created_at, updated_at
+     FROM agent_analyses
+     WHERE family_id = $1 AND status = ANY($2)
+       AND (status <> 'awaiting_review' OR expires_at > NOW())
+       AND ($3::uuid IS NULL OR batch_id = $3)
+     ORDER BY created_at DESC
+     LIMIT $4`,
+    [familyId, statuses, batchId || null, batchId ? null : 100]
+  );
+  return result.rows;
+};
+
+/**
+ * Mark an analysis as saved. The PDF password is no longer needed.
+ * @param {string} analysisId
+ * @param {{ recordType: string, recordId: string }} record - the saved report or document
+ * @param {Object} [client] - transaction client to run in
+ * @returns {Promise<boolean>} false if the analysis was no longer awaiting review
+ */
+const completeAnalysis = async (analysisId, { recordType, recordId }, client = { query }) => {
+  const result = await client.query(
+    `UPDATE agent_analyses
+     SET status = 'confirmed', record_type = $2, record_id = $3, pdf_password = NULL, updated_at = NOW()
+     WHERE id = $1 AND status = 'awaiting_review'`,
+    [analysisId, recordType, recordId]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Discard an unconfirmed analysis and delete its upload.
+ * @param {string} analysisId
+ * @param {{ familyId?: string, error?: string }} [options] - familyId restricts
+ *   to one family; error records why the analysis failed
+ * @returns {Promise<boolean>} false if there was nothing to discard
+ */
+const discardAnalysis = async (analysisId, { familyId, error } = {}) => {
+  const result = await query(
+    `UPDATE agent_analyses
+     SET status = 'discarded', error_message = $3, pdf_password = NULL, updated_at = NOW()
+     WHERE id = $1 AND ($2::uuid IS NULL OR family_id = $2)
+       AND status IN ('queued', 'analyzing', 'awaiting_review')
+     RETURNING file_path`,
+    [analysisId, familyId || null, error || null]
+  );
+  if (result.rows.length === 0) return false;
+  removeUpload(result.rows[0].file_path);
+  return true;
+};
+
+// Expire reviews past their TTL, queued files whose batch never got to them
+// (restart) and analyses whose request died, and delete their uploads. An
+// analysis is not updated while it runs, so updated_at is when it started.
+const sweepExpiredAnalyses = async () => {
+  const result = await query(
+    `UPDATE agent_analyses
+     SET status = 'expired', pdf_password = NULL, updated_at = NOW()
+     WHERE (status IN ('queued', 'awaiting_review') AND expires_at <= NOW())
+        OR (status = 'analyzing' AND updated_at <= NOW() - ($1 || ' minutes')::interval)
+     RETURNING file_path`,
+    [String(STUCK_ANALYSIS_MINUTES)]
+  );
+  result.rows.forEach((row) => removeUpload(row.file_path));
+  if (result.rows.length > 0) {
+    console.log(`🧹 Expired ${result.rows.length} PDF agent analyses`);
+  }
+};
+
+// Start the periodic sweep of expired analyses
+const startAnalysisSweeper = () => {
+  if (sweeperTimer) return;
+
+  const tick = async () => {
+    try {
+      await sweepExpiredAnalyses();
+    } catch (error) {
+      console.error('Analysis sweeper error:', error);
+    }
+  };
+
+  sweeperTimer = setInterval(tick, SWEEP_INTERVAL_MS);
+  tick();
+};
+
+module.exports = {
+  ANALYSIS_STATUSES,
+  createAnalysis,
+  startAnalysis,
+  saveProposal,
+  getPendingAnalysis,
+  findPendingByHash,
+  listAnalyses,
+  completeAnalysis,
+  discardAnalysis,
+  sweepExpiredAnalyses,
+  startAnalysisSweeper,
+};
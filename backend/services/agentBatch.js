@@ -0,0 +1,142 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createAnalysis, startAnalysis } = require('./agentAnalyses');
+const { analyzePdfAgent } = require('./pdfAgent');
+const { PdfPasswordError } = require('./pdfPassword');
+const { MAX_FILE_SIZE, isZipFile, removeUploadedFile, extractZip } = require('./uploads');
+
+// Batch mode for the PDF agent: many files or ZIP archives are analyzed one
+// after another in the background. Every file becomes an analysis tagged with
+// the batch ID and queued until its turn. Progress is streamed while the client
+// stays connected; the batch keeps going without it, and the client can follow
+// it by polling the batch's analyses instead.
+
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 200;
+
+// Batches run one at a time; OCR is CPU heavy
+let queue = Promise.resolve();
+
+// Unpack ZIP archives and drop files the agent cannot take
+const expandUploads = async (uploads) => {
+  const uploadDir = process.env.UPLOAD_PATH || '/app/uploads';
+  const files = [];
+  const skipped = [];
+
+  for (const upload of uploads) {
+    if (isZipFile(upload)) {
+      try {
+        const archive = await extractZip(path.join(uploadDir, upload.filename));
+        files.push(...archive.files);
+        skipped.push(...archive.skipped.map((entry) => ({ ...entry, fileName: `${upload.originalname}/${entry.fileName}` })));
+      } catch (error) {
+        console.error('Extract ZIP error:', error);
+        skipped.push({ fileName: upload.originalname, reason: error.message || 'Could not read ZIP archive' });
+      } finally {
+        removeUploadedFile(upload.filename);
+      }
+    } else if (upload.size > MAX_FILE_SIZE) {
+      removeUploadedFile(upload.filename);
+      skipped.push({ fileName: upload.originalname, reason: 'File is too large' });
+    } else {
+      files.push(upload);
+    }
+  }
+
+  for (const file of files.splice(MAX_BATCH_FILES)) {
+    removeUploadedFile(file.filename);
+    skipped.push({ fileName: file.originalname, reason: `Batches are limited to ${MAX_BATCH_FILES} files` });
+  }
+
+  return { files, skipped };
+};
+
+const analyzeBatch = async ({ batchId, items, user, password, onEvent }) => {
+  const counts = { awaiting_review: 0, password_required: 0, failed: 0 };
+
+  for (const [index, { analysisId, file }] of items.entries()) {
+    const fileEvent = { type: 'file', batchId, analysisId, fileName: file.originalname, index, total: items.length };
+
+    try {
+      if (!(await startAnalysis(analysisId))) {
+        counts.failed += 1;
+        onEvent({ ...fileEvent, status: 'failed', message: 'Discarded before it was analyzed' });
+        continue;
+      }
+      onEvent({ ...fileEvent, status: 'analyzing', message: 'Analyzing...' });
+
+      const { proposal } = await analyzePdfAgent({
+        analysisId,
+        file,
+        user,
+        password,
+        onStep: (step) => onEvent({ type: 'step', batchId, analysisId, ...step }),
+      });
+      counts.awaiting_review += 1;
+      onEvent({
+        ...fileEvent,
+        status: 'awaiting_review',
+        message: (proposal.category === 'report'
+          ? `Report for ${proposal.memberName} · ${proposal.vitals.length} lab value${proposal.vitals.length === 1 ? '' : 's'}`
+          : `Document for ${proposal.memberName}`) + (proposal.duplicateOf ? ' · uploaded before' : ''),
+        duplicateOf: proposal.duplicateOf || null,
+      });
+    } catch (error) {
+      // Failed files are discarded with their error, which a polling client
+      // reads from the batch's analyses
+      const passwordRequired = error instanceof PdfPasswordError;
+      counts[passwordRequired ? 'password_required' : 'failed'] += 1;
+      if (!passwordRequired) console.error('PDF agent batch file error:', error);
+      onEvent({
+        ...fileEvent,
+        status: passwordRequired ? 'password_required' : 'failed',
+        message: passwordRequired
+          ? 'Locked PDF — upload it on its own to enter the password'
+          : error.message || 'Analysis failed',
+      });
+    }
+  }
+
+  const complete = { type: 'batch_complete', batchId, total: items.length, ...counts };
+  onEvent(complete);
+  return complete;
+};
+
+/**
+ * Queue uploaded files (PDFs, photos or ZIP archives of them) for analysis.
+ * onEvent receives a 'batch' event listing the queued files as soon as they
+ * are recorded, then 'file' and 'step' events per file and finally
+ * 'batch_complete'. The same progress can be polled through the batch's
+ * analyses (listAnalyses with the batchId).
+ * @param {{ files: Object[], user: Object, password?: string, onEvent?: Function }} params
+ *   files are multer files; password is tried on every locked PDF
+ * @returns {Promise<Object>} the 'batch_complete' event, once the batch has been analyzed
+ */
+const startBatch = async ({ files: uploads, user, password, onEvent = () => {} }) => {
+  const batchId = crypto.randomUUID();
+  const { files, skipped } = await expandUploads(uploads);
+
+  const items = [];
+  try {
+    for (const file of files) {
+      items.push({ file, analysisId: await createAnalysis({ familyId: user.family_id, userId: user.id, file, batchId }) });
+    }
+  } catch (error) {
+    // Files without an analysis would never be swept
+    files.slice(items.length).forEach((file) => removeUploadedFile(file.filename));
+    throw error;
+  }
+
+  onEvent({
+    type: 'batch',
+    batchId,
+    total: items.length,
+    files: items.map(({ analysisId, file }) => ({ analysisId, fileName: file.originalname, status: 'queued' })),
+    skipped,
+  });
+
+  const job = queue.then(() => analyzeBatch({ batchId, items, user, password, onEvent }));
+  queue = job.catch((error) => console.error('PDF agent batch error:', error));
+  return job;
+};
+
+module.exports = { MAX_BATCH_FILES, startBatch };
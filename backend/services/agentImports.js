@@ -0,0 +1,128 @@
+const { query, withTransaction } = require('../config/database');
+const { removeUploadedFile } = require('./uploads');
+
+// Every confirmed PDF agent upload is an import: the report or document and
+// the vitals and medications it created carry the import's ID in
+// import_batch_id, so the whole import can be undone at once.
+
+const toImport = (row) => ({
+  id: row.id,
+  analysisId: row.analysis_id,
+  memberId: row.member_id,
+  memberName: row.member_name,
+  importedBy: row.imported_by,
+  recordType: row.record_type,
+  recordId: row.record_id,
+  fileName: row.file_name,
+  vitalsCount: row.vitals_count,
+  undoneAt: row.undone_at,
+  createdAt: row.created_at,
+});
+
+/**
+ * Start an import inside the confirm transaction.
+ * @param {Object} client - transaction client
+ * @param {{ familyId: string, analysisId: string, memberId: string, userId: string,
+ *   filePath: string, fileName: string }} params
+ * @returns {Promise<string>} the import batch ID to stamp on created rows
+ */
+const startImport = async (client, { familyId, analysisId, memberId, userId, filePath, fileName }) => {
+  const result = await client.query(
+    `INSERT INTO agent_imports (family_id, analysis_id, member_id, imported_by, file_path, file_name)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [familyId, analysisId, memberId, userId, filePath, fileName]
+  );
+  return result.rows[0].id;
+};
+
+/**
+ * Record what an import created, inside the confirm transaction.
+ * @param {Object} client - transaction client
+ * @param {string} importId
+ * @param {{ recordType: string, recordId: string, vitalsCount: number }} record
+ */
+const finishImport = async (client, importId, { recordType, recordId, vitalsCount }) => {
+  await client.query(
+    `UPDATE agent_imports
+     SET record_type = $2, record_id = $3, vitals_count = $4, updated_at = NOW()
+     WHERE id = $1`,
+    [importId, recordType, recordId, vitalsCount]
+  );
+};
+
+/**
+ * An import of the family, or null.
+ * @param {string} importId
+ * @param {string} familyId
+ * @returns {Promise<Object|null>}
+ */
+const getImport = async (importId, familyId) => {
+  const result = await query(
+    `SELECT ai.*, fm.name AS member_name
+     FROM agent_imports ai
+     LEFT JOIN family_members fm ON ai.member_id = fm.id
+     WHERE ai.id = $1 AND ai.family_id = $2`,
+    [importId, familyId]
+  );
+  return result.rows[0] ? toImport(result.rows[0]) : null;
+};
+
+/**
+ * Delete everything an import created (its report or document, vitals,
+ * medications and the corrections learned from its review) and its uploaded
+ * file.
+ * @param {string} importId
+ * @param {string} userId - who undid it
+ * @returns {Promise<{ vitalsRemoved: number, medicationsRemoved: number, recordRemoved: boolean }|null>}
+ *   null when the import was already undone
+ */
+const undoImport = async (importId, userId) => {
+  const undone = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE agent_imports
+       SET undone_at = NOW(), undone_by = $2, updated_at = NOW()
+       WHERE id = $1 AND undone_at IS NULL
+       RETURNING analysis_id, file_path`,
+      [importId, userId]
+    );
+    if (result.rows.length === 0) return null;
+    const { analysis_id: analysisId, file_path: filePath } = result.rows[0];
+
+    const vitals = await client.query('DELETE FROM health_vitals WHERE import_batch_id = $1', [importId]);
+    const medications = await client.query('DELETE FROM medications WHERE import_batch_id = $1', [importId]);
+    const reports = await client.query('DELETE FROM medical_reports WHERE import_batch_id = $1', [importId]);
+    const documents = await client.query('DELETE FROM documents WHERE import_batch_id = $1', [importId]);
+    if (analysisId) {
+      await client.query('DELETE FROM agent_corrections WHERE analysis_id = $1', [analysisId]);
+    }
+
+    return {
+      filePath,
+      vitalsRemoved: vitals.rowCount,
+      medicationsRemoved: medications.rowCount,
+      recordRemoved: reports.rowCount + documents.rowCount > 0,
+    };
+  });
+  if (!undone) return null;
+
+  // The file goes only once the rows pointing at it are gone
+  try {
+    removeUploadedFile(undone.filePath);
+  } catch (error) {
+    console.error('Remove undone import file error:', error);
+  }
+
+  return {
+    vitalsRemoved: undone.vitalsRemoved,
+    medicationsRemoved: undone.medicationsRemoved,
+    recordRemoved: undone.recordRemoved,
+  };
+};
+
+module.exports = {
+  startImport,
+  finishImport,
+  getImport,
+  undoImport,
+};
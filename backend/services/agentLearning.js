@@ -0,0 +1,232 @@
+const { query } = require('../config/database');
+const { getVitalTypes } = require('./vitalTypes');
+const { toCanonical } = require('./unitConversion');
+const { findValueColumn } = require('./labResults');
+
+// What the PDF agent learns from review corrections. Each correction is
+// stored with a fingerprint of the document (the lab's header line and the
+// printed patient name), and later uploads with the same fingerprint reuse it:
+// the member a patient name belongs to, the lab's category, the label of the
+// date it prints and which column holds each result.
+
+const LAB_HEADER_REGEX = /lab|diagnostic|patholog|hospital|clinic|health\s*care|medical|imaging/i;
+const PATIENT_NAME_REGEX = /(?:patient'?s?\s*name|name\s*of\s*(?:the\s*)?patient|patient|name)\s*[:-]\s*(?:(?:mr|mrs|ms|miss|master|baby|dr)\.?\s+)?([a-z][a-z.' ]{1,60}?)(?=\t| {2,}|\s+(?:age|sex|gender|dob|uhid|id|ref)\b|\n|$)/im;
+const DATE_LABEL_REGEX = /([A-Za-z][A-Za-z ]{2,40}?)\s*[:-]?\s*$/;
+// A vital the family removed this often from a lab's reports is not proposed again
+const REMOVALS_TO_SKIP = 2;
+const REMOVED_VITAL_CONFIDENCE = 30;
+
+const EMPTY_LEARNING = { memberId: null, category: null, dateLabel: null, layouts: {}, removedVitals: {} };
+
+const normalizeKey = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().substring(0, 100) || null;
+
+/**
+ * Identify where a document came from and who it is about.
+ * @param {string} text - extracted document text
+ * @returns {{ labKey: string|null, patientKey: string|null }}
+ */
+const documentFingerprint = (text) => {
+  const header = text.split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .slice(0, 15)
+    .find((line) => line.length <= 80 && LAB_HEADER_REGEX.test(line));
+  const patient = text.slice(0, 6000).match(PATIENT_NAME_REGEX)?.[1];
+
+  return {
+    labKey: header ? normalizeKey(header) : null,
+    patientKey: patient ? normalizeKey(patient) : null,
+  };
+};
+
+/**
+ * What earlier corrections say about a document with this fingerprint.
+ * @param {string} familyId
+ * @param {{ labKey: string|null, patientKey: string|null }} fingerprint
+ * @returns {Promise<{ memberId: string|null, category: string|null, dateLabel: string|null,
+ *   layouts: Object, removedVitals: Object }>} layouts and removedVitals are keyed by vital type
+ */
+const loadLearning = async (familyId, { labKey, patientKey }) => {
+  if (!labKey && !patientKey) return EMPTY_LEARNING;
+
+  try {
+    const result = await query(
+      `SELECT field, lab_key, patient_key, corrected_value
+       FROM agent_corrections
+       WHERE family_id = $1 AND (lab_key = $2 OR patient_key = $3)
+       ORDER BY created_at DESC
+       LIMIT 500`,
+      [familyId, labKey, patientKey]
+    );
+    const rows = result.rows;
+    const fromLab = (field) => rows.filter((row) => row.field === field && labKey && row.lab_key === labKey);
+
+    // The same patient name at the same lab is the strongest signal
+    const memberRows = rows.filter((row) => row.field === 'member' && patientKey && row.patient_key === patientKey);
+    const memberRow = memberRows.find((row) => row.lab_key === labKey) || memberRows[0];
+
+    const layouts = {};
+    const removedVitals = {};
+    for (const row of fromLab('vital')) {
+      const { vitalType, action, valueIndex } = row.corrected_value;
+      if (action === 'removed') {
+        removedVitals[vitalType] = (removedVitals[vitalType] || 0) + 1;
+      } else if (action === 'value' && valueIndex !== null && valueIndex !== undefined && !(vitalType in layouts)) {
+        layouts[vitalType] = valueIndex;
+      }
+    }
+
+    return {
+      memberId: memberRow?.corrected_value.memberId || null,
+      category: fromLab('category')[0]?.corrected_value.category || null,
+      dateLabel: fromLab('report_date').find((row) => row.corrected_value.dateLabel)?.corrected_value.dateLabel || null,
+      layouts,
+      removedVitals,
+    };
+  } catch (error) {
+    // Learning only refines the proposal; never fail an analysis over it
+    console.error('Load agent learning error:', error);
+    return EMPTY_LEARNING;
+  }
+};
+
+/**
+ * Drop vitals the family keeps removing from this lab's reports and lower the
+ * confidence of ones removed before.
+ * @param {Object[]} vitals - proposed vitals
+ * @param {Object} removedVitals - removal counts by vital type
+ * @returns {Object[]}
+ */
+const applyRemovals = (vitals, removedVitals) => vitals
+  .filter((vital) => (removedVitals[vital.vitalType] || 0) < REMOVALS_TO_SKIP)
+  .map((vital) => (removedVitals[vital.vitalType]
+    ? { ...vital, confidence: Math.min(vital.confidence, REMOVED_VITAL_CONFIDENCE) }
+    : vital));
+
+// The words printed before the corrected date, e.g. "Reported On"
+const findDateLabel = (text, reportDate) => {
+  const [year, month, day] = reportDate.split('-');
+  const d = String(parseInt(day, 10));
+  const m = String(parseInt(month, 10));
+  const datePattern = new RegExp(
+    `(?:0?${d}[/\\-.]0?${m}[/\\-.](?:${year}|${year.slice(2)})|${year}[/\\-.]0?${m}[/\\-.]0?${d})(?!\\d)`
+  );
+
+  for (const line of text.split('\n')) {
+    const match = line.match(datePattern);
+    if (!match) continue;
+    const label = line.slice(0, match.index).match(DATE_LABEL_REGEX)?.[1].trim();
+    if (label) return label.split(/\s+/).slice(-3).join(' ');
+  }
+  return null;
+};
+
+const sameValue = (a, b) => Math.abs(a - b) < 0.01;
+
+const vitalCorrections = async (familyId, text, proposedVitals, confirmedVitals) => {
+  const vitalTypes = await getVitalTypes(familyId);
+  const byKey = Object.fromEntries(vitalTypes.map((vitalType) => [vitalType.key, vitalType]));
+  const corrections = [];
+
+  // Cumulative readings repeat a vital type across dates; there is no single
+  // value column to learn
+  for (const proposed of proposedVitals.filter((vital) => !vital.cumulative)) {
+    const confirmed = confirmedVitals.find((vital) => vital.vitalType === proposed.vitalType && !vital.cumulative);
+    const vitalType = byKey[proposed.vitalType];
+    if (!confirmed) {
+      corrections.push({
+        original: { vitalType: proposed.vitalType, value: proposed.value },
+        corrected: { vitalType: proposed.vitalType, action: 'removed' },
+      });
+      continue;
+    }
+
+    const value = toCanonical(vitalType, parseFloat(confirmed.value), confirmed.unit)?.value ?? parseFloat(confirmed.value);
+    if (Number.isNaN(value) || sameValue(value, proposed.value)) continue;
+
+    // Remember where the right number sits in the row, in the printed or stored unit
+    const valueIndex = vitalType
+      ? findValueColumn(text, vitalTypes, proposed.vitalType, (n) => sameValue(n, value) ||
+        (proposed.printedUnit && sameValue(toCanonical(vitalType, n, proposed.printedUnit)?.value ?? NaN, value)))
+      : null;
+    corrections.push({
+      original: { vitalType: proposed.vitalType, value: proposed.value },
+      corrected: { vitalType: proposed.vitalType, action: 'value', value, valueIndex },
+    });
+  }
+
+  return corrections;
+};
+
+/**
+ * Record how the reviewer changed the agent's proposal. Never throws; a
+ * failure only means nothing is learned from this review.
+ * @param {{ analysis: Object, user: Object, confirmed: Object }} params
+ *   analysis is the agent_analyses row; confirmed holds the saved memberId,
+ *   category, reportDate and vitals
+ * @returns {Promise<number>} how many corrections were recorded
+ */
+const recordCorrections = async ({ analysis, user, confirmed }) => {
+  try {
+    const { proposal } = analysis;
+    const text = analysis.extracted_text || '';
+    const corrections = [];
+
+    if (confirmed.memberId !== proposal.memberId) {
+      corrections.push({
+        field: 'member',
+        original: { memberId: proposal.memberId },
+        corrected: { memberId: confirmed.memberId },
+      });
+    }
+    if (confirmed.category !== proposal.category) {
+      corrections.push({
+        field: 'category',
+        original: { category: proposal.category },
+        corrected: { category: confirmed.category },
+      });
+    }
+    if (confirmed.reportDate !== proposal.reportDate) {
+      corrections.push({
+        field: 'report_date',
+        original: { reportDate: proposal.reportDate },
+        corrected: { reportDate: confirmed.reportDate, dateLabel: findDateLabel(text, confirmed.reportDate) },
+      });
+    }
+    if (confirmed.category === 'report' && proposal.category === 'report') {
+      const vitals = await vitalCorrections(user.family_id, text, proposal.vitals || [], confirmed.vitals || []);
+      corrections.push(...vitals.map((correction) => ({ field: 'vital', ...correction })));
+    }
+    if (corrections.length === 0) return 0;
+
+    const { labKey, patientKey } = documentFingerprint(text);
+    for (const correction of corrections) {
+      await query(
+        `INSERT INTO agent_corrections
+          (family_id, analysis_id, user_id, field, lab_key, patient_key, original_value, corrected_value)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+          user.family_id,
+          analysis.id,
+          user.id,
+          correction.field,
+          labKey,
+          patientKey,
+          JSON.stringify(correction.original),
+          JSON.stringify(correction.corrected),
+        ]
+      );
+    }
+    return corrections.length;
+  } catch (error) {
+    console.error('Record agent corrections error:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  documentFingerprint,
+  loadLearning,
+  applyRemovals,
+  recordCorrections,
+};
@@ -0,0 +1,162 @@
+const { ageAt } = require('./vitalStatus');
+
+// Vitals calculated from other readings of the same member. Inputs are paired
+// by calendar day and all values are in canonical units.
+
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// CKD-EPI 2021 creatinine equation (race-free), adults only
+const ckdEpi2021 = (creatinine, age, gender) => {
+  const female = gender === 'female';
+  const kappa = female ? 0.7 : 0.9;
+  const alpha = female ? -0.241 : -0.302;
+  const ratio = creatinine / kappa;
+  return 142
+    * Math.min(ratio, 1) ** alpha
+    * Math.max(ratio, 1) ** -1.2
+    * 0.9938 ** age
+    * (female ? 1.012 : 1);
+};
+
+// Each formula receives the latest same-day reading of every input and
+// returns null when the result would not be meaningful
+const DERIVED_VITALS = [
+  {
+    key: 'bmi',
+    inputs: ['weight', 'height'],
+    // Height changes slowly, so an earlier measurement may be used
+    carriedInputs: ['height'],
+    formula: 'weight / height²',
+    compute: ({ weight, height }) => (height > 0 ? round(weight / (height / 100) ** 2, 1) : null),
+  },
+  {
+    key: 'egfr',
+    inputs: ['creatinine'],
+    formula: 'CKD-EPI 2021',
+    compute: ({ creatinine }, { age, gender }) => {
+      if (creatinine <= 0 || age === null || age < 18 || !['male', 'female'].includes(gender)) return null;
+      return round(ckdEpi2021(creatinine, age, gender), 0);
+    },
+  },
+  {
+    key: 'ldl',
+    inputs: ['cholesterol', 'hdl', 'triglycerides'],
+    formula: 'Friedewald: total cholesterol − HDL − triglycerides / 5',
+    // Friedewald is not valid for triglycerides of 400 mg/dL and above
+    compute: ({ cholesterol, hdl, triglycerides }) => (
+      triglycerides < 400 ? round(cholesterol - hdl - triglycerides / 5, 0) : null
+    ),
+  },
+  {
+    key: 'non_hdl',
+    inputs: ['cholesterol', 'hdl'],
+    formula: 'total cholesterol − HDL',
+    compute: ({ cholesterol, hdl }) => round(cholesterol - hdl, 0),
+  },
+  {
+    key: 'homa_ir',
+    inputs: ['fasting_blood_glucose', 'fasting_insulin'],
+    formula: 'glucose × insulin / 405',
+    compute: ({ fasting_blood_glucose: glucose, fasting_insulin: insulin }) => round(glucose * insulin / 405, 2),
+  },
+];
+
+const DERIVED_KEYS = DERIVED_VITALS.map((derived) => derived.key);
+
+const dayOf = (date) => new Date(date).toISOString().split('T')[0];
+
+const byRecordedAt = (a, b) => new Date(a.recorded_at) - new Date(b.recorded_at);
+
+// Stored vital types needed to calculate the given derived types, including
+// the derived types themselves since a measured reading takes precedence
+const derivedInputTypes = (types = DERIVED_KEYS) => [...new Set(
+  DERIVED_VITALS
+    .filter((derived) => types.includes(derived.key))
+    .flatMap((derived) => [derived.key, ...derived.inputs])
+)];
+
+// Latest reading of a carried input on or before the day, else the earliest one
+const carriedReading = (readings, day) => {
+  const before = readings.filter((reading) => dayOf(reading.recorded_at) <= day);
+  return before.length ? before[before.length - 1] : readings[0];
+};
+
+/**
+ * Calculate derived vitals from a member's stored readings. A measured reading
+ * of a derived type (e.g. a lab-reported LDL) takes precedence, so nothing is
+ * calculated on days that have one.
+ * @param {Object[]} vitals - readings normalized to canonical units
+ * @param {Object} vitalTypes - registry keyed by vital type
+ * @param {Object} member - { gender, date_of_birth }
+ * @returns {Object[]} readings marked `calculated` with their `sources`
+ */
+const deriveVitals = (vitals, vitalTypes, member = {}) => {
+  const byType = {};
+  vitals
+    .filter((vital) => vital.value !== null && vital.value !== undefined && !isNaN(parseFloat(vital.value)))
+    .sort(byRecordedAt)
+    .forEach((vital) => {
+      (byType[vital.vital_type] = byType[vital.vital_type] || []).push(vital);
+    });
+
+  const derivedVitals = [];
+  DERIVED_VITALS.forEach((derived) => {
+    const vitalType = vitalTypes[derived.key];
+    if (!vitalType || derived.inputs.some((input) => !byType[input])) return;
+
+    const measuredDays = new Set((byType[derived.key] || []).map((vital) => dayOf(vital.recorded_at)));
+    const carried = derived.carriedInputs || [];
+    const pairedInputs = derived.inputs.filter((input) => !carried.includes(input));
+
+    // Days on which every same-day input was measured
+    const days = [...new Set(byType[pairedInputs[0]].map((vital) => dayOf(vital.recorded_at)))]
+      .filter((day) => !measuredDays.has(day))
+      .filter((day) => pairedInputs.every((input) => byType[input].some((vital) => dayOf(vital.recorded_at) === day)));
+
+    days.forEach((day) => {
+      const sources = derived.inputs.map((input) => (carried.includes(input)
+        ? carriedReading(byType[input], day)
+        : byType[input].filter((vital) => dayOf(vital.recorded_at) === day).pop()));
+      const values = Object.fromEntries(sources.map((source) => [source.vital_type, parseFloat(source.value)]));
+      const recordedAt = sources
+        .filter((source) => !carried.includes(source.vital_type))
+        .map((source) => source.recorded_at)
+        .sort((a, b) => new Date(b) - new Date(a))[0];
+
+      const value = derived.compute(values, { age: ageAt(member.date_of_birth, recordedAt), gender: member.gender });
+      if (value === null || !isFinite(value)) return;
+
+      derivedVitals.push({
+        id: `calculated-${derived.key}-${day}`,
+        member_id: sources[0].member_id,
+        vital_type: derived.key,
+        value,
+        readings: null,
+        unit: vitalType.unit,
+        notes: null,
+        recorded_at: recordedAt,
+        report_id: null,
+        calculated: true,
+        formula: derived.formula,
+        sources: sources.map(({ id, vital_type: sourceType, value: sourceValue, unit, recorded_at: sourceDate }) => ({
+          id,
+          vital_type: sourceType,
+          value: sourceValue,
+          unit,
+          recorded_at: sourceDate,
+        })),
+      });
+    });
+  });
+
+  return derivedVitals;
+};
+
+module.exports = {
+  DERIVED_KEYS,
+  derivedInputTypes,
+  deriveVitals,
+};
@@ -0,0 +1,232 @@
+const {
+  classes: CLASSES,
+  drugs: DRUGS,
+  combinations: COMBINATIONS,
+  interactions: INTERACTIONS,
+  crossReactivity: CROSS_REACTIVITY,
+} = require('../database/drugInteractions');
+const { listMemberMedications } = require('./medications');
+const { listMemberAllergies } = require('./medicalHistory');
+
+// Checks a medication against the member's other current medications
+// (interactions and duplicate therapy) and recorded allergies, using the
+// bundled dataset in database/drugInteractions.js. Medication names are
+// mapped to generic drugs by their generic, brand or combination name.
+
+const SEVERITY_ORDER = { major: 0, moderate: 1, minor: 2 };
+
+const normalizeName = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Every known name, longest first so "Ecosprin AV" wins over "Ecosprin"
+const NAME_INDEX = [
+  ...Object.entries(DRUGS).flatMap(([key, drug]) =>
+    [drug.name, ...(drug.aliases || []), ...(drug.brands || [])].map((name) => ({ name, drugs: [key] }))),
+  ...Object.entries(COMBINATIONS).map(([name, drugs]) => ({ name, drugs })),
+  ...Object.entries(CLASSES).flatMap(([key, drugClass]) =>
+    (drugClass.aliases || []).map((name) => ({ name, classKey: key }))),
+]
+  .map((entry) => ({ ...entry, regex: new RegExp(`(?<![a-z])${normalizeName(entry.name)}(?![a-z])`) }))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * The generic drugs a medication or allergy name refers to, and for
+ * allergies the drug classes it names ("penicillin", "sulfa").
+ * @param {string} text
+ * @param {{ withClasses?: boolean }} [options]
+ * @returns {{ drugs: string[], classes: string[] }}
+ */
+const resolveName = (text, { withClasses = false } = {}) => {
+  let remaining = normalizeName(text);
+  const drugs = new Set();
+  const classes = new Set();
+  NAME_INDEX.forEach((entry) => {
+    if (entry.classKey && !withClasses) return;
+    const match = remaining.match(entry.regex);
+    if (!match) return;
+    (entry.drugs || []).forEach((key) => drugs.add(key));
+    if (entry.classKey) classes.add(entry.classKey);
+    remaining = remaining.slice(0, match.index) + ' '.repeat(match[0].length) + remaining.slice(match.index + match[0].length);
+  });
+  return { drugs: [...drugs], classes: [...classes] };
+};
+
+const drugClasses = (key) => DRUGS[key]?.classes || [];
+
+// A drug key or `class:<key>` reference
+const refMatches = (ref, key) => (ref.startsWith('class:') ? drugClasses(key).includes(ref.slice(6)) : ref === key);
+
+const drugName = (key) => DRUGS[key]?.name || key;
+
+const describe = (medication) => ({ id: medication.id || null, name: medication.name });
+
+/**
+ * Interactions and duplicate therapy between two medications.
+ * @param {Object} first - { id, name }
+ * @param {Object} second - { id, name }
+ * @returns {Object[]} warnings
+ */
+const checkPair = (first, second) => {
+  const a = resolveName(first.name).drugs;
+  const b = resolveName(second.name).drugs;
+  const medications = [describe(first), describe(second)];
+  const warnings = [];
+
+  a.filter((key) => b.includes(key)).forEach((key) => {
+    warnings.push({
+      type: 'duplicate',
+      severity: 'moderate',
+      medications,
+      drugs: [drugName(key)],
+      message: `Both contain ${drugName(key).toLowerCase()}, so it is taken twice`,
+      advice: 'Check with the doctors whether both are meant to be taken; the total daily dose may be too high.',
+    });
+  });
+
+  Object.entries(CLASSES).forEach(([classKey, drugClass]) => {
+    if (!drugClass.duplicateSeverity) return;
+    const inA = a.filter((key) => drugClasses(key).includes(classKey));
+    const inB = b.filter((key) => drugClasses(key).includes(classKey));
+    const pair = inA.flatMap((x) => inB.filter((y) => y !== x).map((y) => [x, y]))[0];
+    if (!pair) return;
+    warnings.push({
+      type: 'duplicate',
+      severity: drugClass.duplicateSeverity,
+      medications,
+      drugs: pair.map(drugName),
+      message: `${drugName(pair[0])} and ${drugName(pair[1]).toLowerCase()} are both ${drugClass.label}`,
+      advice: 'Two medicines of the same kind are rarely meant to be taken together; check with the doctors who prescribed them.',
+    });
+  });
+
+  INTERACTIONS.forEach((interaction) => {
+    const [left, right] = interaction.between;
+    const pair = a.flatMap((x) => b.filter((y) => y !== x).map((y) => [x, y]))
+      .find(([x, y]) => (refMatches(left, x) && refMatches(right, y)) || (refMatches(right, x) && refMatches(left, y)));
+    if (!pair) return;
+    warnings.push({
+      type: 'interaction',
+      severity: interaction.severity,
+      medications,
+      drugs: pair.map(drugName),
+      message: interaction.effect,
+      advice: interaction.advice,
+    });
+  });
+
+  return warnings;
+};
+
+/**
+ * The most severe way a medication clashes with a recorded allergy, or null.
+ * @param {Object} medication - { id, name }
+ * @param {Object} allergy - { id, substance, reaction, severity }
+ * @returns {Object|null} warning
+ */
+const checkAllergy = (medication, allergy) => {
+  const drugs = resolveName(medication.name).drugs;
+  const allergen = resolveName(allergy.substance, { withClasses: true });
+  const found = [];
+  const warn = (severity, drugKey, message) => found.push({ severity, drugKey, message });
+
+  drugs.forEach((key) => {
+    if (allergen.drugs.includes(key)) {
+      warn('major', key, `Contains ${drugName(key).toLowerCase()}, which is recorded as an allergy`);
+    }
+    allergen.classes.filter((classKey) => drugClasses(key).includes(classKey)).forEach((classKey) => {
+      warn('major', key, `${drugName(key)} is one of the ${CLASSES[classKey].label}, recorded as an allergy`);
+    });
+    allergen.drugs.filter((other) => other !== key).forEach((other) => {
+      const shared = drugClasses(key).find((classKey) => CLASSES[classKey].allergyGroup && drugClasses(other).includes(classKey));
+      if (shared) {
+        warn('moderate', key, `${drugName(key)} is related to ${drugName(other).toLowerCase()} (both are ${CLASSES[shared].label})`);
+      }
+    });
+    CROSS_REACTIVITY.forEach((rule) => {
+      const allergic = rule.allergy.startsWith('class:')
+        ? allergen.classes.includes(rule.allergy.slice(6)) || allergen.drugs.some((other) => refMatches(rule.allergy, other))
+        : allergen.drugs.includes(rule.allergy);
+      if (allergic && refMatches(rule.drugs, key)) warn(rule.severity, key, rule.effect);
+    });
+  });
+
+  // Substances the dataset does not know are matched by name
+  const substance = normalizeName(allergy.substance);
+  if (!allergen.drugs.length && !allergen.classes.length && substance.length >= 3
+    && new RegExp(`(?<![a-z])${substance}(?![a-z])`).test(normalizeName(medication.name))) {
+    warn('major', null, `The name matches ${allergy.substance}, which is recorded as an allergy`);
+  }
+
+  if (found.length === 0) return null;
+  const worst = found.sort((x, y) => SEVERITY_ORDER[x.severity] - SEVERITY_ORDER[y.severity])[0];
+  return {
+    type: 'allergy',
+    severity: worst.severity,
+    medications: [describe(medication)],
+    drugs: worst.drugKey ? [drugName(worst.drugKey)] : [],
+    allergy: { id: allergy.id, substance: allergy.substance, reaction: allergy.reaction || null, severity: allergy.severity || null },
+    message: worst.message + (allergy.reaction ? ` (reaction: ${allergy.reaction})` : ''),
+    advice: 'Do not take it before checking with the doctor or pharmacist.',
+  };
+};
+
+const bySeverity = (warnings) => warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+/**
+ * Warnings for one medication against other medications and allergies.
+ * @param {Object} medication - { id, name }
+ * @param {Object[]} others - the member's other current medications
+ * @param {Object[]} allergies - the member's recorded allergies
+ * @returns {Object[]} warnings, most severe first
+ */
+const checkMedication = (medication, others, allergies) => bySeverity([
+  ...others.filter((other) => other.id !== medication.id).flatMap((other) => checkPair(medication, other)),
+  ...allergies.map((allergy) => checkAllergy(medication, allergy)).filter(Boolean),
+]);
+
+/**
+ * Warnings between every pair of medications and against allergies.
+ * @param {Object[]} medications
+ * @param {Object[]} allergies
+ * @returns {Object[]} warnings, most severe first
+ */
+const checkMedications = (medications, allergies) => bySeverity(medications.flatMap((medication, index) => [
+  ...medications.slice(index + 1).flatMap((other) => checkPair(medication, other)),
+  ...allergies.map((allergy) => checkAllergy(medication, allergy)).filter(Boolean),
+]));
+
+/**
+ * Warnings for a saved medication against the member's other current
+ * medications and allergies.
+ * @param {Object} medication - a row from getMedication
+ * @returns {Promise<Object[]>}
+ */
+const checkMemberMedication = async (medication) => {
+  const [medications, allergies] = await Promise.all([
+    listMemberMedications(medication.member_id),
+    listMemberAllergies(medication.member_id),
+  ]);
+  return checkMedication(medication, medications.filter((other) => other.is_current), allergies);
+};
+
+/**
+ * Warnings across a member's current medications and allergies.
+ * @param {string} memberId
+ * @returns {Promise<Object[]>}
+ */
+const getMemberWarnings = async (memberId) => {
+  const [medications, allergies] = await Promise.all([
+    listMemberMedications(memberId),
+    listMemberAllergies(memberId),
+  ]);
+  return checkMedications(medications.filter((medication) => medication.is_current), allergies);
+};
+
+module.exports = {
+  resolveName,
+  bySeverity,
+  checkAllergy,
+  checkMedication,
+  checkMedications,
+  checkMemberMedication,
+  getMemberWarnings,
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Duplicate detection: uploads are identified by the SHA-256 of their bytes as
+// uploaded (before any unlocked copy replaces them), and readings by member,
+// vital type, date and value.
+
+/**
+ * SHA-256 of a file, hex encoded.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * A report or document of the family with the same content, or null.
+ * @param {string} familyId
+ * @param {string} contentHash
+ * @returns {Promise<{ type: string, id: string, memberId: string, memberName: string,
+ *   title: string, fileName: string, date: string }|null>}
+ */
+const findDuplicateUpload = async (familyId, contentHash) => {
+  if (!contentHash) return null;
+
+  const result = await query(
+    `SELECT * FROM (
+       SELECT 'report' AS type, mr.id, mr.member_id, fm.name AS member_name, mr.title, mr.file_name,
+              to_char(mr.report_date, 'YYYY-MM-DD') AS date, mr.created_at
+       FROM medical_reports mr
+       JOIN family_members fm ON mr.member_id = fm.id
+       WHERE fm.family_id = $1 AND mr.content_hash = $2
+       UNION ALL
+       SELECT 'document' AS type, d.id, d.member_id, fm.name AS member_name, d.title, d.file_name,
+              to_char(d.upload_date, 'YYYY-MM-DD') AS date, d.created_at
+       FROM documents d
+       JOIN family_members fm ON d.member_id = fm.id
+       WHERE fm.family_id = $1 AND d.content_hash = $2
+     ) uploads
+     ORDER BY created_at
+     LIMIT 1`,
+    [familyId, contentHash]
+  );
+  const row = result.rows[0];
+  return row
+    ? {
+      type: row.type,
+      id: row.id,
+      memberId: row.member_id,
+      memberName: row.member_name,
+      title: row.title,
+      fileName: row.file_name,
+      date: row.date,
+    }
+    : null;
+};
+
+// Warning shown for a duplicate upload
+const duplicateMessage = (duplicate) =>
+  `This file was already uploaded as ${duplicate.type === 'report' ? 'the report' : 'the document'} "${duplicate.title}" for ${duplicate.memberName} (${duplicate.date})`;
+
+/**
+ * Split vitals into new readings and ones the member already has with the
+ * same vital type, date and value.
+ * @param {string} memberId
+ * @param {Object[]} vitals - proposal vitals with vitalType, value and recordedAt (YYYY-MM-DD)
+ * @returns {Promise<{ fresh: Object[], duplicates: Object[] }>}
+ */
+const splitRecordedVitals = async (memberId, vitals) => {
+  if (vitals.length === 0) return { fresh: vitals, duplicates: [] };
+
+  const result = await query(
+    `SELECT vital_type, value, to_char(recorded_at, 'YYYY-MM-DD') AS recorded_on
+     FROM health_vitals
+     WHERE member_id = $1 AND vital_type = ANY($2) AND recorded_at::date = ANY($3::date[])`,
+    [memberId, [...new Set(vitals.map((vital) => vital.vitalType))], [...new Set(vitals.map((vital) => vital.recordedAt))]]
+  );
+  const isRecorded = (vital) => result.rows.some((row) =>
+    row.vital_type === vital.vitalType &&
+    row.recorded_on === vital.recordedAt &&
+    Math.abs(parseFloat(row.value) - parseFloat(vital.value)) <= Math.max(0.01, Math.abs(parseFloat(vital.value)) * 0.005));
+
+  return {
+    fresh: vitals.filter((vital) => !isRecorded(vital)),
+    duplicates: vitals.filter(isRecorded),
+  };
+};
+
+module.exports = {
+  hashFile,
+  findDuplicateUpload,
+  duplicateMessage,
+  splitRecordedVitals,
+};
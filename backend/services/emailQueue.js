@@ -0,0 +1,160 @@
+const validator = require('validator');
+const { query } = require('../config/database');
+const { isEmailEnabled, sendMail } = require('./mailer');
+
+// Emails are written to email_queue and delivered by a background worker, so
+// a mail server problem never fails the request that raised the event.
+
+const EMAIL_CATEGORIES = ['alerts', 'reminders', 'digest'];
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 20;
+const WORKER_INTERVAL_MS = 30 * 1000;
+// Retry delays in minutes, by attempt number
+const RETRY_DELAYS = [1, 5, 15, 60];
+
+let workerTimer = null;
+let workerRunning = false;
+
+// Email categories are on unless the user switched them off
+const wantsEmail = (notificationPreferences, category) =>
+  notificationPreferences?.email?.[category] !== false;
+
+const appUrl = () => process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+const escapeHtml = (text) => validator.escape(validator.unescape(String(text || '')));
+
+// Minimal HTML version of a plain-text email
+const toHtml = (subject, text) => `
+  <div style="font-family: Arial, sans-serif; max-width: 560px;">
+    <h2 style="color: #0d9488;">${escapeHtml(subject)}</h2>
+    ${String(text).split('\n\n').map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('')}
+    <p style="color: #6b7280; font-size: 12px;">
+      Sent by Life Vault. Choose which emails you receive under Email notifications in the app.
+    </p>
+  </div>`;
+
+/**
+ * Queue an email for a user if they receive this category.
+ * @param {string} userId
+ * @param {string} category - one of EMAIL_CATEGORIES
+ * @param {{ subject: string, text: string, html?: string }} email
+ * @returns {Promise<Object|null>} the queued row, or null when skipped
+ */
+const queueUserEmail = async (userId, category, { subject, text, html }) => {
+  try {
+    if (!isEmailEnabled()) return null;
+
+    const userResult = await query(
+      'SELECT email, notification_preferences FROM users WHERE id = $1',
+      [userId]
+    );
+    const user = userResult.rows[0];
+    if (!user || !wantsEmail(user.notification_preferences, category)) return null;
+
+    // Stored text may still carry the input sanitizer's HTML escaping
+    const plainSubject = validator.unescape(subject);
+    const plainText = validator.unescape(text);
+    const result = await query(
+      `INSERT INTO email_queue (user_id, to_address, category, subject, text_body, html_body)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id, to_address, category, subject, status, created_at`,
+      [userId, user.email, category, plainSubject.substring(0, 255), plainText, html || toHtml(plainSubject, plainText)]
+    );
+    return result.rows[0];
+  } catch (error) {
+    console.error('Queue email error:', error);
+    return null;
+  }
+};
+
+const retryDelayMinutes = (attempts) => RETRY_DELAYS[Math.min(attempts - 1, RETRY_DELAYS.length - 1)];
+
+// Deliver due emails; failures are rescheduled until MAX_ATTEMPTS is reached
+const processEmailQueue = async () => {
+  if (!isEmailEnabled()) return;
+
+  const claimed = await query(
+    `UPDATE email_queue
+     SET status = 'sending', attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM email_queue
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY created_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, to_address, subject, text_body, html_body, attempts`,
+    [BATCH_SIZE]
+  );
+
+  for (const email of claimed.rows) {
+    try {
+      await sendMail({ to: email.to_address, subject: email.subject, text: email.text_body, html: email.html_body });
+      await query(
+        `UPDATE email_queue SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1`,
+        [email.id]
+      );
+    } catch (error) {
+      const failed = email.attempts >= MAX_ATTEMPTS;
+      console.error(`Email delivery failed (attempt ${email.attempts}/${MAX_ATTEMPTS}):`, error.message);
+      await query(
+        `UPDATE email_queue
+         SET status = $2, last_error = $3,
+             next_attempt_at = NOW() + ($4 || ' minutes')::interval
+         WHERE id = $1`,
+        [email.id, failed ? 'failed' : 'pending', error.message, String(retryDelayMinutes(email.attempts))]
+      );
+    }
+  }
+};
+
+// Emails left in 'sending' by a crash or restart are picked up again
+const releaseStuckEmails = async () => {
+  await query(`UPDATE email_queue SET status = 'pending' WHERE status = 'sending'`);
+};
+
+/**
+ * Start the background delivery loop. Extra jobs (such as the weekly digest)
+ * run on the same tick.
+ * @param {Function[]} [jobs]
+ */
+const startEmailWorker = async (jobs = []) => {
+  if (workerTimer) return;
+  if (!isEmailEnabled()) {
+    console.log('ℹ️ SMTP_HOST not set, email delivery disabled');
+    return;
+  }
+
+  try {
+    await releaseStuckEmails();
+  } catch (error) {
+    console.error('Email worker error:', error);
+  }
+
+  const tick = async () => {
+    // Skip a tick while the previous one is still delivering
+    if (workerRunning) return;
+    workerRunning = true;
+    for (const job of [...jobs, processEmailQueue]) {
+      try {
+        await job();
+      } catch (error) {
+        console.error('Email worker error:', error);
+      }
+    }
+    workerRunning = false;
+  };
+
+  workerTimer = setInterval(tick, WORKER_INTERVAL_MS);
+  console.log('✅ Email worker started');
+  tick();
+};
+
+module.exports = {
+  EMAIL_CATEGORIES,
+  wantsEmail,
+  appUrl,
+  queueUserEmail,
+  processEmailQueue,
+  startEmailWorker,
+};
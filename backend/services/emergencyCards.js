@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const validator = require('validator');
+const { query } = require('../config/database');
+const { getMedicalHistory } = require('./medicalHistory');
+const { listMemberMedications } = require('./medications');
+
+// A member's emergency card: blood group, allergies, conditions, current
+// medications and who to call. An admin picks which fields the card shows
+// and can share it through an unguessable public link (printed as a QR
+// code). Revoking the link clears the token, so old links and printed
+// codes stop working; sharing again issues a new one.
+
+const EMERGENCY_CARD_FIELDS = ['name', 'age', 'bloodGroup', 'allergies', 'conditions', 'medications', 'contacts', 'notes'];
+
+const MAX_EMERGENCY_CONTACTS = 5;
+
+const SETTINGS_COLUMNS = 'id, member_id, fields, contacts, notes, token, shared_at, last_viewed_at';
+
+const appUrl = () => process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+/**
+ * The public address of a shared card.
+ * @param {string} token
+ * @returns {string}
+ */
+const emergencyCardUrl = (token) => `${appUrl()}/emergency/${token}`;
+
+/**
+ * A member's card settings; members without a saved card show nothing
+ * (`id` is null until the card is first saved).
+ * @param {string} memberId
+ * @returns {Promise<Object>}
+ */
+const getCardSettings = async (memberId) => {
+  const result = await query(
+    `SELECT ${SETTINGS_COLUMNS} FROM emergency_cards WHERE member_id = $1`,
+    [memberId]
+  );
+  return result.rows[0] || {
+    id: null,
+    member_id: memberId,
+    fields: [],
+    contacts: [],
+    notes: null,
+    token: null,
+    shared_at: null,
+    last_viewed_at: null,
+  };
+};
+
+/**
+ * Save which fields the card shows, its emergency contacts and notes. Notes
+ * arrive HTML-escaped by sanitizeInput and are stored as typed; contacts are
+ * nested, so sanitizeInput leaves them as given.
+ * @param {string} memberId
+ * @param {string} userId
+ * @param {{ fields: string[], contacts: Object[], notes: string|null }} settings
+ * @returns {Promise<Object>} the saved settings
+ */
+const saveCardSettings = async (memberId, userId, { fields, contacts, notes }) => {
+  const result = await query(
+    `INSERT INTO emergency_cards (member_id, fields, contacts, notes, updated_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (member_id) DO UPDATE
+     SET fields = EXCLUDED.fields, contacts = EXCLUDED.contacts, notes = EXCLUDED.notes,
+         updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING ${SETTINGS_COLUMNS}`,
+    [
+      memberId,
+      EMERGENCY_CARD_FIELDS.filter((field) => fields.includes(field)),
+      JSON.stringify(contacts.map(({ name, relation, phone }) => ({
+        name,
+        relation: relation || null,
+        phone,
+      }))),
+      notes ? validator.unescape(notes) : null,
+      userId,
+    ]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Issue a new public link for the card, replacing any earlier one.
+ * @param {string} memberId
+ * @param {string} userId
+ * @returns {Promise<Object>} the updated settings
+ */
+const shareCard = async (memberId, userId) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const result = await query(
+    `INSERT INTO emergency_cards (member_id, token, shared_at, updated_by)
+     VALUES ($1, $2, NOW(), $3)
+     ON CONFLICT (member_id) DO UPDATE
+     SET token = EXCLUDED.token, shared_at = NOW(), last_viewed_at = NULL,
+         updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING ${SETTINGS_COLUMNS}`,
+    [memberId, token, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Stop the card's public link from working.
+ * @param {string} memberId
+ * @param {string} userId
+ * @returns {Promise<Object>} the updated settings
+ */
+const revokeCard = async (memberId, userId) => {
+  await query(
+    `UPDATE emergency_cards
+     SET token = NULL, shared_at = NULL, last_viewed_at = NULL, updated_by = $2, updated_at = NOW()
+     WHERE member_id = $1`,
+    [memberId, userId]
+  );
+  return getCardSettings(memberId);
+};
+
+/**
+ * The card as its public link shows it: only the fields that were picked.
+ * @param {Object} settings - from getCardSettings
+ * @returns {Promise<Object>}
+ */
+const buildCard = async (settings) => {
+  const fields = settings.fields || [];
+  const has = (field) => fields.includes(field);
+  const card = { fields };
+
+  const memberResult = await query(
+    `SELECT name, blood_group, date_part('year', age(date_of_birth))::int AS age
+     FROM family_members WHERE id = $1`,
+    [settings.member_id]
+  );
+  const member = memberResult.rows[0] || {};
+  if (has('name')) card.name = member.name || null;
+  if (has('age')) card.age = member.age ?? null;
+  if (has('bloodGroup')) card.bloodGroup = member.blood_group || null;
+
+  if (has('allergies') || has('conditions')) {
+    const history = await getMedicalHistory(settings.member_id);
+    if (has('allergies')) {
+      card.allergies = history.allergies.map(({ substance, reaction, severity }) => ({ substance, reaction, severity }));
+    }
+    if (has('conditions')) {
+      card.conditions = history.conditions
+        .filter((condition) => condition.status !== 'resolved')
+        .map(({ name, status }) => ({ name, status }));
+    }
+  }
+
+  if (has('medications')) {
+    const medications = await listMemberMedications(settings.member_id);
+    card.medications = medications
+      .filter((medication) => medication.is_current)
+      .map(({ name, strength, dose, frequency }) => ({ name, strength, dose, frequency }));
+  }
+
+  if (has('contacts')) card.contacts = settings.contacts || [];
+  if (has('notes')) card.notes = settings.notes || null;
+
+  return card;
+};
+
+/**
+ * Card settings for the admin screen, with the public link and its QR code
+ * (as SVG) while the card is shared.
+ * @param {Object} settings - from getCardSettings
+ * @returns {Promise<Object>}
+ */
+const describeCardSettings = async (settings) => {
+  const url = settings.token ? emergencyCardUrl(settings.token) : null;
+  return {
+    saved: Boolean(settings.id),
+    fields: settings.fields,
+    contacts: settings.contacts,
+    notes: settings.notes,
+    shared: Boolean(settings.token),
+    url,
+    qrCode: url ? await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' }) : null,
+    sharedAt: settings.shared_at,
+    lastViewedAt: settings.last_viewed_at,
+  };
+};
+
+/**
+ * The card behind a public link, or null for unknown and revoked links.
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+const getSharedCard = async (token) => {
+  const result = await query(
+    `UPDATE emergency_cards SET last_viewed_at = NOW()
+     WHERE token = $1
+     RETURNING ${SETTINGS_COLUMNS}`,
+    [token]
+  );
+  if (result.rows.length === 0) return null;
+  return buildCard(result.rows[0]);
+};
+
+module.exports = {
+  EMERGENCY_CARD_FIELDS,
+  MAX_EMERGENCY_CONTACTS,
+  getCardSettings,
+  saveCardSettings,
+  shareCard,
+  revokeCard,
+  buildCard,
+  describeCardSettings,
+  getSharedCard,
+};
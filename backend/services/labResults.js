@@ -0,0 +1,456 @@
+const { buildNameRegex } = require('./vitalTypes');
+const { resolveUnit, toCanonical } = require('./unitConversion');
+
+// Reads lab result tables ("Test | Result | Unit | Reference Interval") row
+// by row. Each row yields the value, the printed unit, the lab's reference
+// interval and H/L flag, and a 0-100 confidence for how cleanly it parsed.
+
+const NUMBER = '\\d+(?:\\.\\d+)?';
+// A standalone number: not part of a name such as HbA1c, B12 or T3
+const VALUE_REGEX = new RegExp(`(?<![A-Za-z\\d.])(${NUMBER})`, 'g');
+// Text just before a number that makes it a bound of a reference interval
+const RANGE_BOUND_PREFIX = new RegExp(`(?:${NUMBER}\\s*(?:-|–|—|to)|<=?|≤|>=?|≥|less\\s*than|up\\s*to|upto|more\\s*than|greater\\s*than|above)\\s*$`, 'i');
+const RANGE_PATTERNS = [
+  { regex: new RegExp(`(${NUMBER})\\s*(?:-|–|—|to)\\s*(${NUMBER})`, 'i'), bounds: (m) => ({ min: +m[1], max: +m[2] }) },
+  { regex: new RegExp(`(?:<=?|≤|less\\s*than|up\\s*to|upto)\\s*(${NUMBER})`, 'i'), bounds: (m) => ({ max: +m[1] }) },
+  { regex: new RegExp(`(?:>=?|≥|more\\s*than|greater\\s*than|above)\\s*(${NUMBER})`, 'i'), bounds: (m) => ({ min: +m[1] }) },
+];
+// Flag right after the value ("15.2 H", "15.2H") or anywhere as its own column
+const LEADING_FLAG_REGEX = /^[\s*]*(?:(HH|LL|H|L|High|Low|Critical)\b|([↑↓]))/i;
+const COLUMN_FLAG_REGEX = /(?:^|[\s*])(?:(HH|LL|H|L|High|Low|Critical)(?=[\s*]|$)|([↑↓]))/i;
+const UNIT_REGEX = /^[\s]*([a-zA-Zµμ°%][^\s,;()]*)/;
+const FLAG_CODES = { hh: 'HH', ll: 'LL', h: 'H', l: 'L', high: 'H', low: 'L', critical: 'HH', '↑': 'H', '↓': 'L' };
+// Cumulative reports: a column header that is a date (optionally with a time),
+// result cells and the marks printed where a date has no result
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_CELL_REGEX = /^(?:(\d{1,2})[/\-. ](\d{1,2}|[a-z]{3})[a-z]*[/\-., ]+(\d{4}|\d{2})|(\d{4})[/\-.](\d{1,2})[/\-.](\d{1,2}))(?:\s+\d{1,2}:\d{2}(?::\d{2})?\s*(?:am|pm)?)?$/i;
+const RESULT_CELL_REGEX = new RegExp(`^[\\s*]*(?:(HH|LL|H|L)\\s+)?(${NUMBER})(?:\\s*(HH|LL|H|L|[↑↓*]))?$`, 'i');
+const EMPTY_CELL_REGEX = /^(?:-+|–|—|\*+|na|n\/a|nil|not\s*done)$/i;
+// Labels that make a line of dates the report's details, not column headers
+const DATE_LABEL_CELL_REGEX = /collect|report|receiv|regist|print|sample|date|time|\bage\b|dob|birth/i;
+// A single-date results table starts after the cumulative one
+const RESULT_HEADER_REGEX = /^\s*(?:tests?|investigations?|parameters?)(?:\s*name)?\b.*\bresults?\b/i;
+
+/**
+ * pdf-parse page renderer that keeps table layout: text items on the same
+ * line are joined with a tab when there is a column gap between them.
+ */
+const renderPageRows = (pageData) => pageData
+  .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+  .then((textContent) => {
+    const rows = [];
+    for (const item of textContent.items) {
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const fontSize = Math.hypot(item.transform[2], item.transform[3]) || item.height || 10;
+      let row = rows.find((r) => Math.abs(r.y - y) <= fontSize * 0.3);
+      if (!row) {
+        row = { y, items: [] };
+        rows.push(row);
+      }
+      row.items.push({ x, end: x + (item.width || 0), fontSize, str: item.str });
+    }
+
+    return rows
+      .sort((a, b) => b.y - a.y)
+      .map((row) => row.items
+        .sort((a, b) => a.x - b.x)
+        .reduce((line, item, index, items) => {
+          if (index === 0) return item.str;
+          const gap = item.x - items[index - 1].end;
+          const separator = gap > item.fontSize ? '\t' : gap > item.fontSize * 0.15 ? ' ' : '';
+          return line + separator + item.str;
+        }, ''))
+      .join('\n');
+  });
+
+const parseFlag = (text, regex = LEADING_FLAG_REGEX) => {
+  const match = text.match(regex);
+  if (!match) return null;
+  return { flag: FLAG_CODES[(match[1] || match[2]).toLowerCase()], length: match[0].length };
+};
+
+const parseRange = (text) => {
+  for (const { regex, bounds } of RANGE_PATTERNS) {
+    const match = text.match(regex);
+    if (match) return { ...bounds(match), text: match[0].trim(), index: match.index, length: match[0].length };
+  }
+  return null;
+};
+
+// The unit printed after the value (or after the reference interval), if the
+// vital type knows it
+const parseUnit = (vitalType, texts) => {
+  for (const text of texts) {
+    const printed = text.match(UNIT_REGEX)?.[1];
+    if (printed && !parseFlag(printed) && resolveUnit(vitalType, printed)) {
+      return resolveUnit(vitalType, printed).unit;
+    }
+  }
+  return null;
+};
+
+// Earliest (then longest) analyte name on a line, so "HbA1c" beats "Hb"
+const matchAnalyte = (line, nameRegexes) => {
+  let best = null;
+  for (const { vitalType, regex, template = false } of nameRegexes) {
+    const match = line.match(regex);
+    if (!match || !match[0]) continue;
+    if (!best || match.index < best.index || (match.index === best.index && match[0].length > best.length)) {
+      best = { vitalType, index: match.index, length: match[0].length, template };
+    }
+  }
+  return best;
+};
+
+// Flag implied by the lab's interval when none is printed
+const flagFromRange = (value, range) => {
+  if (!range) return null;
+  if (range.max !== undefined && value > range.max) return 'H';
+  if (range.min !== undefined && value < range.min) return 'L';
+  return null;
+};
+
+// Blank out qualifiers such as "(Hb)" or "(25-OH)" so their digits are not
+// read as the result
+const maskQualifiers = (row) => row.replace(/\([^)]*[A-Za-z][^)]*\)/g, (match) => ' '.repeat(match.length));
+
+const numbersAfter = (line, nameEnd) => [...line.matchAll(VALUE_REGEX)].filter((match) => match.index >= nameEnd);
+
+// valueIndex is a learned or template layout: which number after the name is
+// the result
+const parseRow = (row, analyte, valueIndex) => {
+  const nameEnd = analyte.index + analyte.length;
+  const line = maskQualifiers(row);
+  const numbers = numbersAfter(line, nameEnd);
+
+  // By default the result is the first standalone number after the name that
+  // is not part of the reference interval (some labs print the interval first)
+  const layoutMatch = valueIndex !== undefined ? numbers[valueIndex] : undefined;
+  const valueMatch = layoutMatch || numbers.find((match) =>
+    parseRange(line.slice(match.index))?.index !== 0 &&
+    !RANGE_BOUND_PREFIX.test(line.slice(nameEnd, match.index)));
+  if (!valueMatch) return null;
+
+  const value = parseFloat(valueMatch[1]);
+  if (Number.isNaN(value) || value <= 0 || value >= 10000) return null;
+
+  const beforeValue = line.slice(nameEnd, valueMatch.index);
+  const afterValue = line.slice(valueMatch.index + valueMatch[0].length);
+  const leadingFlag = parseFlag(afterValue);
+  const afterFlag = leadingFlag ? afterValue.slice(leadingFlag.length) : afterValue;
+  const range = parseRange(afterFlag) || parseRange(beforeValue);
+  const afterRange = range && afterFlag.includes(range.text)
+    ? afterFlag.slice(afterFlag.indexOf(range.text) + range.text.length)
+    : '';
+  const columnFlag = leadingFlag ? null : parseFlag(afterRange || afterFlag, COLUMN_FLAG_REGEX);
+
+  return {
+    value,
+    unit: parseUnit(analyte.vitalType, [afterFlag, afterRange]),
+    range: range ? { min: range.min, max: range.max, text: range.text } : null,
+    flag: (leadingFlag || columnFlag)?.flag || null,
+    usedLayout: Boolean(layoutMatch),
+  };
+};
+
+// 0-100: a name and value alone is a weak match; a recognised unit, a
+// reference interval and a flag consistent with it make a clean table row
+const scoreRow = (row) => {
+  let score = 50;
+  if (row.unit) score += 20;
+  if (row.range) score += 20;
+  if (row.range && row.range.min !== undefined && row.range.max !== undefined) {
+    // Results wildly outside the interval are usually a misread column
+    if (row.value > row.range.max * 10 || row.value < row.range.min / 10) score -= 30;
+  }
+  if (row.flag) {
+    // A printed H/L that disagrees with the printed interval suggests a misread
+    score += row.range && flagFromRange(row.value, row.range) !== row.flag.slice(-1) ? -20 : 10;
+  }
+  // The family corrected this lab's layout before, or the lab's template read it
+  if (row.learned) score += 15;
+  else if (row.template) score += 10;
+  return Math.max(0, Math.min(100, score));
+};
+
+// Single-value vital types a lab template may read, by key
+const templateTargets = (vitalTypes) => Object.fromEntries(vitalTypes
+  .filter((vitalType) => !vitalType.fields && !vitalType.calculated)
+  .map((vitalType) => [vitalType.key, vitalType]));
+
+// Registry names plus the names a lab template adds for known vital types
+const nameRegexesFor = (vitalTypes, rowParsers = []) => {
+  const byKey = templateTargets(vitalTypes);
+  return [
+    ...vitalTypes.map((vitalType) => ({ vitalType, regex: buildNameRegex(vitalType) })),
+    ...rowParsers
+      .filter((parser) => parser.nameRegex && byKey[parser.vitalType])
+      .map((parser) => ({ vitalType: byKey[parser.vitalType], regex: parser.nameRegex, template: true })),
+  ].filter(({ regex }) => regex);
+};
+
+// A row read by a template's own pattern: named groups value, unit, low, high, flag
+const parsePatternRow = (groups, vitalType) => {
+  const value = parseFloat(groups.value);
+  if (Number.isNaN(value) || value <= 0 || value >= 10000) return null;
+
+  const min = groups.low !== undefined ? parseFloat(groups.low) : undefined;
+  const max = groups.high !== undefined ? parseFloat(groups.high) : undefined;
+  const hasRange = Number.isFinite(min) || Number.isFinite(max);
+  return {
+    value,
+    unit: groups.unit ? resolveUnit(vitalType, groups.unit.trim())?.unit || null : null,
+    range: hasRange
+      ? {
+        min: Number.isFinite(min) ? min : undefined,
+        max: Number.isFinite(max) ? max : undefined,
+        text: [groups.low, groups.high].filter(Boolean).join(' - '),
+      }
+      : null,
+    flag: groups.flag ? parseFlag(groups.flag)?.flag || null : null,
+  };
+};
+
+/**
+ * Which number after the analyte name holds a known result, so a corrected
+ * value can be remembered as the lab's layout.
+ * @param {string} text - report text
+ * @param {Object[]} vitalTypes - registry types
+ * @param {string} vitalKey - the analyte's vital type
+ * @param {Function} matchesValue - (number) => whether it is the result
+ * @returns {number|null} index among the numbers after the name
+ */
+const findValueColumn = (text, vitalTypes, vitalKey, matchesValue) => {
+  const nameRegexes = nameRegexesFor(vitalTypes);
+  for (const line of text.split('\n')) {
+    const analyte = matchAnalyte(line, nameRegexes);
+    if (!analyte || analyte.vitalType.key !== vitalKey) continue;
+
+    const index = numbersAfter(maskQualifiers(line), analyte.index + analyte.length)
+      .findIndex((match) => matchesValue(parseFloat(match[1])));
+    if (index !== -1) return index;
+  }
+  return null;
+};
+
+// A parsed row in the agent's proposal shape, converted to the canonical unit
+const toVital = (vitalType, row, { recordedAt, notes, textConfidence }) => {
+  const confidence = Math.round(scoreRow(row) * textConfidence / 100);
+  const printedUnit = row.unit || vitalType.unit;
+  const canonical = toCanonical(vitalType, row.value, printedUnit) || { value: row.value, unit: vitalType.unit };
+  const toStoredUnit = (bound) => (bound === undefined
+    ? undefined
+    : (toCanonical(vitalType, bound, printedUnit) || { value: bound }).value);
+  const converted = canonical.unit === printedUnit ? {} : {
+    printedValue: row.value,
+    printedUnit,
+    notes: `${notes} (converted from ${row.value} ${printedUnit})`,
+  };
+
+  return {
+    vitalType: vitalType.key,
+    label: vitalType.label,
+    value: canonical.value,
+    unit: canonical.unit,
+    notes,
+    ...converted,
+    recordedAt,
+    labRange: row.range
+      ? { min: toStoredUnit(row.range.min), max: toStoredUnit(row.range.max), text: row.range.text, printedUnit }
+      : null,
+    labFlag: row.flag || flagFromRange(row.value, row.range),
+    confidence,
+    source: row.cumulative ? 'cumulative' : 'table',
+    ...(row.cumulative ? { cumulative: true } : {}),
+    ...(row.learned ? { learned: true } : {}),
+    ...(row.template ? { template: true } : {}),
+  };
+};
+
+const splitCells = (line) => line.split(/\t| {2,}/).map((cell) => cell.trim()).filter(Boolean);
+
+// ISO date of a column header cell such as "12/03/2024", "12-Mar-24 10:15" or
+// "2024-03-12", or null
+const parseDateCell = (cell) => {
+  const match = cell.match(DATE_CELL_REGEX);
+  if (!match) return null;
+
+  let year, month, day;
+  if (match[4]) {
+    [year, month, day] = [match[4], match[5], match[6]].map((part) => parseInt(part, 10));
+  } else {
+    day = parseInt(match[1], 10);
+    month = /\d/.test(match[2]) ? parseInt(match[2], 10) : MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = parseInt(match[3], 10);
+    if (year < 100) year += 2000;
+  }
+  if (month < 1 || month > 12 || day < 1 || day > 31 || year < 1990 || year > 2100) return null;
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+};
+
+// A row of column headers with two or more dates
+const parseDateHeader = (line) => {
+  const cells = splitCells(line);
+  const dates = cells
+    .map((cell, index) => ({ index, date: parseDateCell(cell) }))
+    .filter(({ date }) => date);
+  if (dates.length < 2 || cells.some((cell) => !parseDateCell(cell) && DATE_LABEL_CELL_REGEX.test(cell))) {
+    return null;
+  }
+  return { cellCount: cells.length, dates };
+};
+
+const parseResultCell = (cell) => {
+  if (EMPTY_CELL_REGEX.test(cell)) return { empty: true };
+  const match = cell.match(RESULT_CELL_REGEX);
+  if (!match) return null;
+  const flag = match[1] || match[3];
+  return { value: parseFloat(match[2]), flag: (flag && FLAG_CODES[flag.toLowerCase()]) || null };
+};
+
+// Results of one analyte row, one per date column. Cells line up with the
+// header when none are missing; otherwise the first run of result cells after
+// the name is taken in date order.
+const parseCumulativeRow = (row, analyte, header) => {
+  const cells = splitCells(maskQualifiers(row).slice(analyte.index + analyte.length));
+  let results;
+  if (cells.length === header.cellCount - 1) {
+    results = header.dates.map(({ index }) => parseResultCell(cells[index - 1]));
+  } else {
+    const leading = [];
+    for (const cell of cells) {
+      const result = parseResultCell(cell);
+      if (result) leading.push(result);
+      else if (leading.length > 0) break;
+    }
+    if (leading.length !== header.dates.length) return null;
+    results = leading;
+  }
+  if (results.some((result) => !result)) return null;
+
+  // Unit and reference interval are printed once, after the results
+  const rest = cells.filter((cell) => !parseResultCell(cell)).join('\t');
+  const range = parseRange(rest);
+  const unit = parseUnit(analyte.vitalType, [rest, ...cells]);
+
+  return header.dates
+    .map(({ date }, index) => ({ date, result: results[index] }))
+    .filter(({ result }) => !result.empty && result.value > 0 && result.value < 10000)
+    .map(({ date, result }) => ({
+      date,
+      row: {
+        value: result.value,
+        unit,
+        range: range ? { min: range.min, max: range.max, text: range.text } : null,
+        flag: result.flag,
+        template: analyte.template,
+        cumulative: true,
+      },
+    }));
+};
+
+/**
+ * Read cumulative reports, where each test is printed once with results for
+ * several dates in columns.
+ * @param {string} text - report text
+ * @param {Object[]} vitalTypes - registry types
+ * @param {{ notes: string, textConfidence?: number, rowParsers?: Object[] }} options
+ * @returns {{ vitals: Object[], dates: string[], text: string }} one vital per
+ *   (vital type, date) with recordedAt set to its column's date, the dates
+ *   found and the text without the rows read, for the single-date readers
+ */
+const extractCumulativeResults = (text, vitalTypes, { notes, textConfidence = 100, rowParsers = [] }) => {
+  const nameRegexes = nameRegexesFor(vitalTypes, rowParsers);
+  const vitals = new Map();
+  const dates = new Set();
+  const remaining = [];
+  let header = null;
+
+  for (const line of text.split('\n')) {
+    const dateHeader = parseDateHeader(line);
+    if (dateHeader) {
+      header = dateHeader;
+      remaining.push(line);
+      continue;
+    }
+    if (RESULT_HEADER_REGEX.test(line)) header = null;
+
+    const analyte = header && matchAnalyte(line, nameRegexes);
+    if (!analyte) {
+      remaining.push(line);
+      continue;
+    }
+
+    // A row whose cells cannot be matched to dates is left out rather than
+    // read as a single result of unknown date
+    const results = parseCumulativeRow(line, analyte, header) || [];
+
+    for (const { date, row } of results) {
+      const key = `${analyte.vitalType.key}:${date}`;
+      if (vitals.has(key)) continue;
+      dates.add(date);
+      vitals.set(key, toVital(analyte.vitalType, row, { recordedAt: date, notes, textConfidence }));
+    }
+  }
+
+  return {
+    vitals: [...vitals.values()],
+    dates: [...dates].sort(),
+    text: remaining.join('\n'),
+  };
+};
+
+/**
+ * Extract lab results from report text, one per vital type.
+ * @param {string} text - report text, table cells separated by tabs or spaces
+ * @param {Object[]} vitalTypes - registry types (only extractable ones are used)
+ * @param {{ recordedAt: string, notes: string, textConfidence?: number, layouts?: Object,
+ *   rowParsers?: Object[] }} options
+ *   textConfidence (0-100) scales every row's confidence, e.g. OCR confidence;
+ *   layouts maps vital type keys to a learned value column (see findValueColumn);
+ *   rowParsers are the compiled parsers of the lab's template (services/labTemplates.js)
+ * @returns {Object[]} vitals in the agent's proposal shape, with labRange,
+ *   labFlag and confidence
+ */
+const extractLabResults = (text, vitalTypes, { recordedAt, notes, textConfidence = 100, layouts = {}, rowParsers = [] }) => {
+  const byKey = templateTargets(vitalTypes);
+  const nameRegexes = nameRegexesFor(vitalTypes, rowParsers);
+  const templateLayouts = Object.fromEntries(rowParsers
+    .filter((parser) => parser.valueIndex !== undefined)
+    .map((parser) => [parser.vitalType, parser.valueIndex]));
+  const rows = [];
+
+  // The template's own patterns win over the generic table reader
+  for (const parser of rowParsers) {
+    const vitalType = byKey[parser.vitalType];
+    const match = parser.regex && vitalType ? text.match(parser.regex) : null;
+    const row = match?.groups ? parsePatternRow(match.groups, vitalType) : null;
+    if (row) rows.push({ vitalType, row: { ...row, template: true } });
+  }
+
+  for (const line of text.split('\n')) {
+    const analyte = matchAnalyte(line, nameRegexes);
+    if (!analyte || rows.some((entry) => entry.vitalType.key === analyte.vitalType.key)) continue;
+
+    const { key } = analyte.vitalType;
+    const learned = layouts[key] !== undefined;
+    const row = parseRow(line, analyte, learned ? layouts[key] : templateLayouts[key]);
+    if (!row) continue;
+
+    const { usedLayout, ...fields } = row;
+    rows.push({
+      vitalType: analyte.vitalType,
+      row: { ...fields, learned: usedLayout && learned, template: analyte.template || (usedLayout && !learned) },
+    });
+  }
+
+  return rows.map(({ vitalType, row }) => toVital(vitalType, row, { recordedAt, notes, textConfidence }));
+};
+
+module.exports = {
+  renderPageRows,
+  findValueColumn,
+  extractLabResults,
+  extractCumulativeResults,
+};
@@ -0,0 +1,188 @@
+const { query } = require('../config/database');
+const DEFAULT_LAB_TEMPLATES = require('../database/labTemplateDefaults');
+
+// Lab templates tell the PDF agent how a particular lab lays out its reports:
+// the header text that identifies the lab, where the report date and patient
+// name are printed and lab-specific row parsers. Built-in templates are seeded
+// on startup; family admins can add their own (or replace a built-in one)
+// through the API. Family templates are plain text matched literally, since
+// their patterns run on every report the family uploads; only built-in
+// templates use regex sources.
+
+const CACHE_TTL_MS = 60 * 1000;
+// The header is searched for the lab's name; footers repeat it too often
+const HEADER_LINES = 40;
+const PATIENT_NAME_VALUE = `\\s*[:\\-]\\s*(?:(?:mr|mrs|ms|miss|master|baby|dr)\\.?\\s+)?([a-z][a-z.' ]{1,60}?)(?=\\t| {2,}|\\s+(?:age|sex|gender|dob|uhid|id|ref)\\b|\\s*[|/(]|\\n|$)`;
+
+// Cached templates per family ('builtin' when no family is given)
+const cache = new Map();
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex source for a template's header, label or name: family templates are
+// escaped, with any run of whitespace matching any other
+const templateSource = (template, text) => (template.custom
+  ? escapeRegex(text.trim()).replace(/\s+/g, '\\s+')
+  : text);
+
+const compileRegex = (source, flags, context) => {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    console.error(`Invalid lab template pattern (${context}):`, error.message);
+    return null;
+  }
+};
+
+// Insert built-in templates missing from the table. Existing rows are left alone.
+const seedLabTemplates = async () => {
+  try {
+    for (const [index, template] of DEFAULT_LAB_TEMPLATES.entries()) {
+      await query(
+        `INSERT INTO lab_templates (key, name, header_pattern, fields, row_parsers, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (key) WHERE family_id IS NULL DO NOTHING`,
+        [
+          template.key,
+          template.name,
+          template.headerPattern,
+          JSON.stringify(template.fields || {}),
+          JSON.stringify(template.rowParsers || []),
+          index,
+        ]
+      );
+    }
+    cache.clear();
+    console.log('✅ Lab templates ready');
+  } catch (error) {
+    console.error('❌ Lab template seeding failed:', error.message);
+  }
+};
+
+/**
+ * Built-in templates plus the family's own. A family template with the same
+ * key as a built-in one takes its place for that family.
+ * @param {string|null} [familyId]
+ * @returns {Promise<Object[]>} rows in API shape (key, name, headerPattern,
+ *   fields, rowParsers, enabled, custom)
+ */
+const getLabTemplates = async (familyId = null) => {
+  const cacheKey = familyId || 'builtin';
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.templates;
+  }
+
+  const result = await query(
+    `SELECT key, name, header_pattern, fields, row_parsers, enabled, sort_order,
+            family_id IS NOT NULL AS custom, updated_at
+     FROM lab_templates
+     WHERE family_id IS NULL OR family_id = $1
+     ORDER BY family_id IS NULL, sort_order, name`,
+    [familyId]
+  );
+
+  const customKeys = new Set(result.rows.filter((row) => row.custom).map((row) => row.key));
+  const templates = result.rows
+    .filter((row) => row.custom || !customKeys.has(row.key))
+    .map((row) => ({
+      key: row.key,
+      name: row.name,
+      headerPattern: row.header_pattern,
+      fields: row.fields || {},
+      rowParsers: row.row_parsers || [],
+      enabled: row.enabled,
+      custom: row.custom,
+      updatedAt: row.updated_at,
+    }));
+
+  cache.set(cacheKey, { templates, loadedAt: Date.now() });
+  return templates;
+};
+
+const invalidateLabTemplates = () => {
+  cache.clear();
+};
+
+const compileRowParsers = (template) => template.rowParsers
+  .map((parser) => ({
+    vitalType: parser.vitalType,
+    nameRegex: parser.names?.length
+      ? compileRegex(parser.names.map((name) => `(?:${templateSource(template, name)})`).join('|'), 'i', template.key)
+      : null,
+    valueIndex: Number.isInteger(parser.valueIndex) ? parser.valueIndex : undefined,
+    regex: parser.pattern && !template.custom ? compileRegex(parser.pattern, 'im', template.key) : null,
+  }))
+  .filter((parser) => parser.nameRegex || parser.valueIndex !== undefined || parser.regex);
+
+// Compile a template's patterns; anything invalid is logged and left out. A
+// family template that replaces a built-in one keeps the built-in's row
+// parsers (regex patterns included) for the vital types it does not parse itself.
+const compileTemplate = (template, builtIn = null) => {
+  const context = template.key;
+  const labels = (texts = []) => texts
+    .map((text) => templateSource(template, text))
+    .filter((source) => compileRegex(`(?:${source})`, 'i', context));
+  const ownTypes = new Set(template.rowParsers.map((parser) => parser.vitalType));
+
+  return {
+    key: template.key,
+    name: template.name,
+    dateLabels: labels(template.fields.reportDate),
+    nameLabels: labels(template.fields.patientName),
+    rowParsers: [
+      ...compileRowParsers(template),
+      ...(builtIn ? compileRowParsers(builtIn).filter((parser) => !ownTypes.has(parser.vitalType)) : []),
+    ],
+  };
+};
+
+/**
+ * The enabled template whose header pattern matches the report, compiled for
+ * extraction, or null when no lab is recognised.
+ * @param {string} familyId
+ * @param {string} text - extracted report text
+ * @returns {Promise<{ key: string, name: string, dateLabels: string[], nameLabels: string[],
+ *   rowParsers: Object[] }|null>}
+ */
+const matchLabTemplate = async (familyId, text) => {
+  try {
+    const header = text.split('\n').filter((line) => line.trim()).slice(0, HEADER_LINES).join('\n');
+    for (const template of await getLabTemplates(familyId)) {
+      if (!template.enabled) continue;
+      const headerRegex = compileRegex(templateSource(template, template.headerPattern), 'i', template.key);
+      if (headerRegex?.test(header)) {
+        const builtIn = template.custom
+          ? (await getLabTemplates()).find((candidate) => candidate.key === template.key)
+          : null;
+        return compileTemplate(template, builtIn);
+      }
+    }
+  } catch (error) {
+    // Templates only refine extraction; the generic readers still run
+    console.error('Match lab template error:', error);
+  }
+  return null;
+};
+
+/**
+ * The patient name printed after one of the template's name labels.
+ * @param {string} text
+ * @param {string[]} nameLabels - regex sources
+ * @returns {string|null}
+ */
+const readPatientName = (text, nameLabels) => {
+  for (const label of nameLabels) {
+    const match = text.match(new RegExp(`(?:^|[\\t ])(?:${label})${PATIENT_NAME_VALUE}`, 'im'));
+    if (match) return match[1].trim();
+  }
+  return null;
+};
+
+module.exports = {
+  seedLabTemplates,
+  getLabTemplates,
+  invalidateLabTemplates,
+  matchLabTemplate,
+  readPatientName,
+};
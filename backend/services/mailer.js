@@ -0,0 +1,56 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail transport. SMTP settings come from the environment; in
+// development point SMTP_HOST/SMTP_PORT at a local catcher such as Mailpit
+// (localhost:1025). Without SMTP_HOST email delivery is disabled.
+let transport = null;
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) return null;
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createSmtpTransport();
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with another nodemailer transport
+// ({ sendMail(message) }) for a different provider
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const isEmailEnabled = () => Boolean(getTransport());
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const activeTransport = getTransport();
+  if (!activeTransport) {
+    throw new Error('Email delivery is not configured');
+  }
+  return activeTransport.sendMail({
+    from: process.env.MAIL_FROM || 'Life Vault <no-reply@lifevault.local>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  isEmailEnabled,
+  sendMail,
+};
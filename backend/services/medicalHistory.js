@@ -0,0 +1,117 @@
+const { query } = require('../config/database');
+
+// A member's allergies, chronic conditions and past surgeries. Each section
+// is saved as a whole list from the profile form: entries with an id are
+// updated, new ones inserted and the ones left out deleted.
+
+const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe'];
+const CONDITION_STATUSES = ['active', 'controlled', 'resolved'];
+
+// Request body keys of each section and the columns they set; dates come
+// back as YYYY-MM-DD
+const MEDICAL_HISTORY_SECTIONS = {
+  allergies: {
+    table: 'member_allergies',
+    fields: { substance: 'substance', reaction: 'reaction', severity: 'severity', notes: 'notes' },
+    order: 'substance',
+  },
+  conditions: {
+    table: 'member_conditions',
+    fields: { name: 'name', diagnosedOn: 'diagnosed_on', status: 'status', notes: 'notes' },
+    order: "CASE status WHEN 'resolved' THEN 1 ELSE 0 END, diagnosed_on NULLS LAST, name",
+  },
+  surgeries: {
+    table: 'member_surgeries',
+    fields: { name: 'name', performedOn: 'performed_on', hospital: 'hospital', notes: 'notes' },
+    order: 'performed_on DESC NULLS LAST, name',
+  },
+};
+
+const DATE_COLUMNS = ['diagnosed_on', 'performed_on'];
+
+const selectColumns = (section) => ['id', ...Object.values(section.fields)]
+  .map((column) => (DATE_COLUMNS.includes(column) ? `to_char(${column}, 'YYYY-MM-DD') AS ${column}` : column))
+  .join(', ');
+
+/**
+ * One section of a member's medical history.
+ * @param {string} memberId
+ * @param {string} key - allergies, conditions or surgeries
+ * @returns {Promise<Object[]>}
+ */
+const listSection = async (memberId, key) => {
+  const section = MEDICAL_HISTORY_SECTIONS[key];
+  const result = await query(
+    `SELECT ${selectColumns(section)}
+     FROM ${section.table}
+     WHERE member_id = $1
+     ORDER BY ${section.order}`,
+    [memberId]
+  );
+  return result.rows;
+};
+
+/**
+ * A member's recorded allergies.
+ * @param {string} memberId
+ * @returns {Promise<Object[]>}
+ */
+const listMemberAllergies = (memberId) => listSection(memberId, 'allergies');
+
+/**
+ * A member's allergies, conditions and surgeries.
+ * @param {string} memberId
+ * @returns {Promise<{ allergies: Object[], conditions: Object[], surgeries: Object[] }>}
+ */
+const getMedicalHistory = async (memberId) => {
+  const keys = Object.keys(MEDICAL_HISTORY_SECTIONS);
+  const lists = await Promise.all(keys.map((key) => listSection(memberId, key)));
+  return Object.fromEntries(keys.map((key, index) => [key, lists[index]]));
+};
+
+/**
+ * Replace one section of a member's medical history with the given entries.
+ * @param {Object} db - transaction client
+ * @param {string} memberId
+ * @param {string} key - allergies, conditions or surgeries
+ * @param {Object[]} entries - body-key objects, with `id` for existing ones
+ */
+const replaceSection = async (db, memberId, key, entries) => {
+  const { table, fields } = MEDICAL_HISTORY_SECTIONS[key];
+  const keys = Object.keys(fields);
+  const columns = Object.values(fields);
+  const values = (entry) => keys.map((field) => (entry[field] === undefined || entry[field] === '' ? null : entry[field]));
+
+  await db.query(
+    `DELETE FROM ${table} WHERE member_id = $1 AND NOT (id = ANY($2::uuid[]))`,
+    [memberId, entries.filter((entry) => entry.id).map((entry) => entry.id)]
+  );
+
+  for (const entry of entries) {
+    // Statuses left empty fall back to the column default
+    const row = values(entry).map((value, index) => (value === null && columns[index] === 'status' ? 'active' : value));
+    if (entry.id) {
+      const updated = await db.query(
+        `UPDATE ${table}
+         SET ${columns.map((column, index) => `${column} = $${index + 3}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1 AND member_id = $2`,
+        [entry.id, memberId, ...row]
+      );
+      if (updated.rowCount > 0) continue;
+    }
+    await db.query(
+      `INSERT INTO ${table} (member_id, ${columns.join(', ')})
+       VALUES ($1, ${columns.map((column, index) => `$${index + 2}`).join(', ')})`,
+      [memberId, ...row]
+    );
+  }
+};
+
+module.exports = {
+  ALLERGY_SEVERITIES,
+  CONDITION_STATUSES,
+  MEDICAL_HISTORY_SECTIONS,
+  listMemberAllergies,
+  getMedicalHistory,
+  replaceSection,
+};
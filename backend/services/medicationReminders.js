@@ -0,0 +1,344 @@
+const { query } = require('../config/database');
+const { getMemberRecipients, createNotifications } = require('./notifications');
+
+// Dose reminders for medications with reminders on. Every minute the
+// scheduler creates today's doses, reminds when a dose is due (or its snooze
+// ends) and marks doses nobody logged within DOSE_MISSED_AFTER_MINUTES as
+// missed, telling the family's caregivers. Dose times are clock times in the
+// server's time zone (TZ).
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+const MISSED_AFTER_MINUTES = parseInt(process.env.DOSE_MISSED_AFTER_MINUTES) || 120;
+const DEFAULT_SNOOZE_MINUTES = 15;
+const DOSE_ACTIONS = ['taken', 'skipped', 'snoozed'];
+const DOSE_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Clock times of the morning-noon-night(-bedtime) positions of a 1-0-1 style frequency
+const SLOT_TIMES = {
+  3: ['08:00', '14:00', '21:00'],
+  4: ['08:00', '13:00', '18:00', '22:00'],
+};
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+/**
+ * Clock times (HH:MM) a medication is taken at: its own dose schedule, or the
+ * slots of its 1-0-1 style frequency. As-needed medications have none.
+ * @param {{ dose_schedule?: string[], frequency?: string }} medication
+ * @returns {string[]}
+ */
+const doseTimesFor = (medication) => {
+  if (medication.dose_schedule?.length) return [...medication.dose_schedule].sort();
+
+  const parts = (medication.frequency || '').split('-').map((part) => part.trim());
+  const slots = SLOT_TIMES[parts.length];
+  return slots ? slots.filter((slot, index) => parts[index] !== '0') : [];
+};
+
+// YYYY-MM-DD of a local date
+const localIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const atClockTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+// "Dolo 650 mg"
+const medicineLabel = (dose) => [dose.name, dose.strength].filter(Boolean).join(' ');
+
+const clockTime = (date) =>
+  new Date(date).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false });
+
+// One notification per member and dose time, however many medicines are due
+const groupDoses = (doses) => {
+  const groups = new Map();
+  doses.forEach((dose) => {
+    const key = `${dose.member_id}|${new Date(dose.scheduled_at).getTime()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(dose);
+  });
+  return [...groups.values()];
+};
+
+// Doses later today for medications with reminders on. Doses already past the
+// missed window (reminders switched on late in the day) are not created.
+const scheduleTodaysDoses = async (now = new Date()) => {
+  const result = await query(
+    `SELECT id, member_id, frequency, dose_schedule
+     FROM medications
+     WHERE reminders_enabled AND status = 'active'
+       AND (start_date IS NULL OR start_date <= $1)
+       AND (end_date IS NULL OR end_date >= $1)`,
+    [localIsoDate(now)]
+  );
+
+  const earliest = now.getTime() - MISSED_AFTER_MINUTES * 60 * 1000;
+  for (const medication of result.rows) {
+    for (const time of doseTimesFor(medication)) {
+      const scheduledAt = atClockTime(now, time);
+      if (scheduledAt.getTime() < earliest) continue;
+      await query(
+        `INSERT INTO medication_doses (medication_id, member_id, scheduled_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (medication_id, scheduled_at) DO NOTHING`,
+        [medication.id, medication.member_id, scheduledAt]
+      );
+    }
+  }
+};
+
+// Remind the member (or, for members without an account, the family's
+// admins) about doses that are due or whose snooze ended
+const sendDueReminders = async () => {
+  const result = await query(
+    `UPDATE medication_doses d
+     SET status = 'pending', reminded_at = NOW(), snoozed_until = NULL, updated_at = NOW()
+     FROM medications m, family_members fm
+     WHERE d.medication_id = m.id AND d.member_id = fm.id
+       AND m.status = 'active' AND m.reminders_enabled
+       AND ((d.status = 'pending' AND d.reminded_at IS NULL AND d.scheduled_at <= NOW())
+         OR (d.status = 'snoozed' AND d.snoozed_until <= NOW()))
+     RETURNING d.id, d.medication_id, d.member_id, d.scheduled_at, m.name, m.strength, m.dose, m.instructions,
+               fm.name AS member_name, fm.family_id, fm.user_id`
+  );
+
+  for (const doses of groupDoses(result.rows)) {
+    const [first] = doses;
+    const recipients = first.user_id
+      ? [first.user_id]
+      : (await query("SELECT id FROM users WHERE family_id = $1 AND role = 'admin'", [first.family_id])).rows.map((row) => row.id);
+
+    await createNotifications(recipients, {
+      type: 'medication_reminder',
+      severity: 'info',
+      title: doses.length === 1
+        ? `${first.member_name}: time for ${medicineLabel(first)}`
+        : `${first.member_name}: ${doses.length} medicines due at ${clockTime(first.scheduled_at)}`,
+      message: [
+        ...doses.map((dose) => [medicineLabel(dose), dose.dose, dose.instructions].filter(Boolean).join(', ')),
+        'Mark each dose as taken, skipped or snoozed in Life Vault.',
+      ].join('\n'),
+      memberId: first.member_id,
+      data: { doseIds: doses.map((dose) => dose.id), scheduledAt: first.scheduled_at },
+    });
+  }
+};
+
+// Doses nobody logged in time are missed; the member's caregivers (admins
+// and the member's own account) are told
+const markMissedDoses = async () => {
+  const result = await query(
+    `UPDATE medication_doses d
+     SET status = 'missed', snoozed_until = NULL, updated_at = NOW()
+     FROM medications m, family_members fm
+     WHERE d.medication_id = m.id AND d.member_id = fm.id
+       AND m.status = 'active' AND m.reminders_enabled
+       AND d.status IN ('pending', 'snoozed')
+       AND COALESCE(d.snoozed_until, d.scheduled_at) < NOW() - ($1 || ' minutes')::interval
+     RETURNING d.id, d.member_id, d.scheduled_at, m.name, m.strength, fm.name AS member_name, fm.family_id`,
+    [String(MISSED_AFTER_MINUTES)]
+  );
+
+  for (const doses of groupDoses(result.rows)) {
+    const [first] = doses;
+    const recipients = await getMemberRecipients(first.member_id, first.family_id);
+    await createNotifications(recipients, {
+      type: 'missed_dose',
+      severity: 'warning',
+      title: `${first.member_name} missed the ${clockTime(first.scheduled_at)} dose`,
+      message: `Not marked as taken: ${doses.map(medicineLabel).join(', ')}`,
+      memberId: first.member_id,
+      data: { doseIds: doses.map((dose) => dose.id), scheduledAt: first.scheduled_at },
+    });
+  }
+};
+
+const runReminders = async () => {
+  await scheduleTodaysDoses();
+  await sendDueReminders();
+  await markMissedDoses();
+};
+
+/**
+ * Start the dose reminder loop.
+ */
+const startReminderScheduler = () => {
+  if (schedulerTimer) return;
+
+  const tick = async () => {
+    // Skip a tick while the previous one is still running
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+    try {
+      await runReminders();
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    }
+    schedulerRunning = false;
+  };
+
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+};
+
+/**
+ * Drop a medication's upcoming doses that were not reminded yet, after its
+ * schedule changed; the scheduler recreates them from the new settings.
+ * @param {Object} db - query or transaction client
+ * @param {string} medicationId
+ */
+const clearUpcomingDoses = async (db, medicationId) => {
+  await db.query(
+    `DELETE FROM medication_doses
+     WHERE medication_id = $1 AND status = 'pending' AND reminded_at IS NULL AND scheduled_at > NOW()`,
+    [medicationId]
+  );
+};
+
+/**
+ * Cancel a medication's doses nobody logged, after it was stopped or its
+ * reminders were turned off. Upcoming doses not reminded yet are dropped, so
+ * they are scheduled again if the medication is resumed.
+ * @param {Object} db - query or transaction client
+ * @param {string} medicationId
+ */
+const cancelOpenDoses = async (db, medicationId) => {
+  await clearUpcomingDoses(db, medicationId);
+  await db.query(
+    `UPDATE medication_doses
+     SET status = 'cancelled', snoozed_until = NULL, updated_at = NOW()
+     WHERE medication_id = $1 AND status IN ('pending', 'snoozed')`,
+    [medicationId]
+  );
+};
+
+/**
+ * Log a dose of the family as taken, skipped or snoozed.
+ * @param {string} doseId
+ * @param {string} familyId
+ * @param {string} userId - who logged it
+ * @param {string} action - one of DOSE_ACTIONS
+ * @param {number} [snoozeMinutes]
+ * @returns {Promise<Object|null>} the dose, or null when it does not exist
+ */
+const logDose = async (doseId, familyId, userId, action, snoozeMinutes = DEFAULT_SNOOZE_MINUTES) => {
+  const result = await query(
+    `UPDATE medication_doses d
+     SET status = $3::varchar,
+         snoozed_until = CASE WHEN $3::varchar = 'snoozed' THEN NOW() + ($5 || ' minutes')::interval END,
+         snooze_count = d.snooze_count + CASE WHEN $3::varchar = 'snoozed' THEN 1 ELSE 0 END,
+         logged_by = $4, logged_at = NOW(), updated_at = NOW()
+     FROM family_members fm
+     WHERE d.id = $1 AND d.member_id = fm.id AND fm.family_id = $2
+     RETURNING d.id, d.medication_id, d.member_id, d.scheduled_at, d.status, d.snoozed_until, d.snooze_count, d.logged_at`,
+    [doseId, familyId, action, userId, String(snoozeMinutes)]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * A dose of the family, or null.
+ * @param {string} doseId
+ * @param {string} familyId
+ * @returns {Promise<Object|null>}
+ */
+const getDose = async (doseId, familyId) => {
+  const result = await query(
+    `SELECT d.id, d.member_id, d.status, d.scheduled_at
+     FROM medication_doses d
+     JOIN family_members fm ON d.member_id = fm.id
+     WHERE d.id = $1 AND fm.family_id = $2`,
+    [doseId, familyId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * A member's doses scheduled on a day, by time.
+ * @param {string} memberId
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<Object[]>}
+ */
+const listDoses = async (memberId, day) => {
+  const result = await query(
+    `SELECT d.id, d.medication_id, d.scheduled_at, d.status, d.snoozed_until, d.snooze_count, d.logged_at,
+            m.name, m.strength, m.dose, m.instructions,
+            TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS logged_by_name
+     FROM medication_doses d
+     JOIN medications m ON d.medication_id = m.id
+     LEFT JOIN users u ON d.logged_by = u.id
+     WHERE d.member_id = $1 AND d.scheduled_at::date = $2::date
+     ORDER BY d.scheduled_at, m.name`,
+    [memberId, day]
+  );
+  return result.rows;
+};
+
+/**
+ * How many of a member's past doses were taken, skipped or missed, per day
+ * and per medication.
+ * @param {string} memberId
+ * @param {number} days - how far back to look
+ * @returns {Promise<{ days: Object[], medications: Object[], rate: number|null }>}
+ *   rate is the percentage of logged or missed doses that were taken
+ */
+const getAdherence = async (memberId, days) => {
+  const counts = `COUNT(*) FILTER (WHERE d.status = 'taken')::int AS taken,
+                  COUNT(*) FILTER (WHERE d.status = 'skipped')::int AS skipped,
+                  COUNT(*) FILTER (WHERE d.status = 'missed')::int AS missed`;
+  const recent = `d.member_id = $1
+       AND d.scheduled_at >= CURRENT_DATE - ($2 || ' days')::interval
+       AND d.status IN ('taken', 'skipped', 'missed')`;
+
+  const byDay = await query(
+    `SELECT to_char(d.scheduled_at, 'YYYY-MM-DD') AS date, ${counts}
+     FROM medication_doses d
+     WHERE ${recent}
+     GROUP BY 1
+     ORDER BY 1`,
+    [memberId, String(days - 1)]
+  );
+  const byMedication = await query(
+    `SELECT m.id, m.name, m.strength, ${counts}
+     FROM medication_doses d
+     JOIN medications m ON d.medication_id = m.id
+     WHERE ${recent}
+     GROUP BY m.id, m.name, m.strength
+     ORDER BY m.name`,
+    [memberId, String(days - 1)]
+  );
+
+  const rate = (row) => {
+    const total = row.taken + row.skipped + row.missed;
+    return total ? Math.round((row.taken / total) * 100) : null;
+  };
+  const totals = byDay.rows.reduce((sum, row) => ({
+    taken: sum.taken + row.taken,
+    skipped: sum.skipped + row.skipped,
+    missed: sum.missed + row.missed,
+  }), { taken: 0, skipped: 0, missed: 0 });
+
+  return {
+    days: byDay.rows,
+    medications: byMedication.rows.map((row) => ({ ...row, rate: rate(row) })),
+    rate: rate(totals),
+  };
+};
+
+module.exports = {
+  DEFAULT_SNOOZE_MINUTES,
+  DOSE_ACTIONS,
+  DOSE_TIME_REGEX,
+  doseTimesFor,
+  localIsoDate,
+  startReminderScheduler,
+  clearUpcomingDoses,
+  cancelOpenDoses,
+  logDose,
+  getDose,
+  listDoses,
+  getAdherence,
+};
@@ -0,0 +1,139 @@
+const { query } = require('../config/database');
+
+// Medications each member takes. A medication is current while it is active
+// and its end date (if any) has not passed; every start, change, stop and
+// resume is kept in medication_history with who made it.
+
+const MEDICATION_STATUSES = ['active', 'stopped'];
+
+// Request body keys and the columns they set
+const MEDICATION_FIELDS = {
+  name: 'name',
+  form: 'form',
+  strength: 'strength',
+  dose: 'dose',
+  frequency: 'frequency',
+  duration: 'duration',
+  instructions: 'instructions',
+  prescribedBy: 'prescribed_by',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  reportId: 'report_id',
+  notes: 'notes',
+  remindersEnabled: 'reminders_enabled',
+  doseSchedule: 'dose_schedule',
+};
+
+const MEDICATION_COLUMNS = `m.id, m.member_id, fm.name AS member_name, m.name, m.form, m.strength, m.dose,
+       m.frequency, m.duration, m.instructions, m.prescribed_by,
+       to_char(m.start_date, 'YYYY-MM-DD') AS start_date, to_char(m.end_date, 'YYYY-MM-DD') AS end_date,
+       m.status, m.stop_reason, m.reminders_enabled, m.dose_schedule, m.report_id, mr.title AS report_title, m.notes, m.created_at, m.updated_at,
+       (m.status = 'active' AND (m.end_date IS NULL OR m.end_date >= CURRENT_DATE)) AS is_current`;
+
+const MEDICATION_FROM = `FROM medications m
+     JOIN family_members fm ON m.member_id = fm.id
+     LEFT JOIN medical_reports mr ON m.report_id = mr.id`;
+
+/**
+ * A member's medications, current ones first.
+ * @param {string} memberId
+ * @returns {Promise<Object[]>}
+ */
+const listMemberMedications = async (memberId) => {
+  const result = await query(
+    `SELECT ${MEDICATION_COLUMNS}
+     ${MEDICATION_FROM}
+     WHERE m.member_id = $1
+     ORDER BY is_current DESC, m.start_date DESC NULLS LAST, m.created_at DESC`,
+    [memberId]
+  );
+  return result.rows;
+};
+
+/**
+ * Medications of the family, or only of the members linked to userId.
+ * @param {string} familyId
+ * @param {{ userId?: string, currentOnly?: boolean }} [options]
+ * @returns {Promise<Object[]>}
+ */
+const listFamilyMedications = async (familyId, { userId, currentOnly = false } = {}) => {
+  const conditions = ['fm.family_id = $1'];
+  const params = [familyId];
+  if (userId) {
+    params.push(userId);
+    conditions.push(`fm.user_id = $${params.length}`);
+  }
+  if (currentOnly) {
+    conditions.push("m.status = 'active' AND (m.end_date IS NULL OR m.end_date >= CURRENT_DATE)");
+  }
+
+  const result = await query(
+    `SELECT ${MEDICATION_COLUMNS}
+     ${MEDICATION_FROM}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY fm.name, m.name`,
+    params
+  );
+  return result.rows;
+};
+
+/**
+ * A medication of the family, or null.
+ * @param {string} medicationId
+ * @param {string} familyId
+ * @returns {Promise<Object|null>}
+ */
+const getMedication = async (medicationId, familyId) => {
+  const result = await query(
+    `SELECT ${MEDICATION_COLUMNS}
+     ${MEDICATION_FROM}
+     WHERE m.id = $1 AND fm.family_id = $2`,
+    [medicationId, familyId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a history entry for a medication.
+ * @param {Object} db - query or transaction client
+ * @param {string} medicationId
+ * @param {string|null} userId
+ * @param {string} action - started, changed, stopped or resumed
+ * @param {Object} [changes] - changed fields as { field: { from, to } }, or the
+ *   starting values
+ */
+const addHistory = async (db, medicationId, userId, action, changes = {}) => {
+  await db.query(
+    `INSERT INTO medication_history (medication_id, user_id, action, changes)
+     VALUES ($1, $2, $3, $4)`,
+    [medicationId, userId, action, JSON.stringify(changes)]
+  );
+};
+
+/**
+ * A medication's history, oldest first.
+ * @param {string} medicationId
+ * @returns {Promise<Object[]>}
+ */
+const getMedicationHistory = async (medicationId) => {
+  const result = await query(
+    `SELECT mh.id, mh.action, mh.changes, mh.created_at,
+            TRIM(CONCAT(u.first_name, ' ', u.last_name)) AS user_name
+     FROM medication_history mh
+     LEFT JOIN users u ON mh.user_id = u.id
+     WHERE mh.medication_id = $1
+     ORDER BY mh.created_at, mh.id`,
+    [medicationId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  MEDICATION_STATUSES,
+  MEDICATION_FIELDS,
+  listMemberMedications,
+  listFamilyMedications,
+  getMedication,
+  addHistory,
+  getMedicationHistory,
+};
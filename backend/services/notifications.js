@@ -0,0 +1,66 @@
+const { query } = require('../config/database');
+const { appUrl, queueUserEmail } = require('./emailQueue');
+
+// Email category each notification type is delivered under
+const EMAIL_CATEGORY_BY_TYPE = {
+  abnormal_reading: 'alerts',
+  sharp_change: 'alerts',
+  medication_reminder: 'reminders',
+  missed_dose: 'alerts',
+};
+
+// Users who should hear about a member: the family's admins and the user
+// account linked to the member (if any)
+const getMemberRecipients = async (memberId, familyId) => {
+  const result = await query(
+    `SELECT u.id
+     FROM users u
+     WHERE u.family_id = $1
+       AND (u.role = 'admin' OR u.id = (SELECT user_id FROM family_members WHERE id = $2))`,
+    [familyId, memberId]
+  );
+  return result.rows.map((row) => row.id);
+};
+
+/**
+ * Store one notification per recipient and queue the matching email for
+ * recipients who receive that category.
+ * @param {string[]} userIds - recipients
+ * @param {Object} notification - { type, severity, title, message, memberId, vitalId, data, emailCategory }
+ * @returns {Promise<Object[]>} the stored rows
+ */
+const createNotifications = async (userIds, notification) => {
+  const rows = [];
+  for (const userId of userIds) {
+    const result = await query(
+      `INSERT INTO notifications (user_id, member_id, vital_id, type, severity, title, message, data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, user_id, member_id, vital_id, type, severity, title, message, data, read_at, created_at`,
+      [
+        userId,
+        notification.memberId || null,
+        notification.vitalId || null,
+        notification.type,
+        notification.severity || 'info',
+        notification.title,
+        notification.message || null,
+        notification.data ? JSON.stringify(notification.data) : null,
+      ]
+    );
+    rows.push(result.rows[0]);
+
+    const emailCategory = notification.emailCategory || EMAIL_CATEGORY_BY_TYPE[notification.type];
+    if (emailCategory) {
+      await queueUserEmail(userId, emailCategory, {
+        subject: notification.title,
+        text: [notification.message, `Open Life Vault: ${appUrl()}`].filter(Boolean).join('\n\n'),
+      });
+    }
+  }
+  return rows;
+};
+
+module.exports = {
+  getMemberRecipients,
+  createNotifications,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Local OCR for scanned PDFs and photos of reports. Uses the Tesseract CLI
+// (TESSERACT_PATH) and poppler's pdftoppm (PDFTOPPM_PATH) to rasterise PDF
+// pages; both are installed in the backend Docker image. Nothing leaves the
+// server.
+
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+const OCR_DPI = 300;
+const PAGE_TIMEOUT_MS = 120 * 1000;
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+let available = null;
+
+const run = (command, args, timeout = PAGE_TIMEOUT_MS) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout, maxBuffer: 32 * 1024 * 1024 }, (error, stdout) => {
+    if (error) return reject(error);
+    resolve(stdout);
+  });
+});
+
+// Whether the tesseract binary can be run (checked once)
+const isOcrAvailable = async () => {
+  if (available === null) {
+    try {
+      await run(TESSERACT_PATH, ['--version'], 10 * 1000);
+      available = true;
+    } catch (error) {
+      console.warn('⚠️ Tesseract not found, OCR disabled:', error.message);
+      available = false;
+    }
+  }
+  return available;
+};
+
+const isImageFile = (file) =>
+  IMAGE_MIME_TYPES.includes(file.mimetype) &&
+  IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+// Words on a line are joined with a tab across wide gaps, so table columns
+// survive for the lab result reader
+const joinLine = (lineWords) => lineWords.reduce((line, word, index) => {
+  if (index === 0) return word.text;
+  const previous = lineWords[index - 1];
+  const gap = word.bbox.x0 - previous.bbox.x1;
+  return line + (gap > (word.bbox.y1 - word.bbox.y0) * 1.5 ? '\t' : ' ') + word.text;
+}, '');
+
+// Tesseract TSV columns: level page_num block_num par_num line_num word_num
+// left top width height conf text. Level 5 rows are words.
+const parseTsv = (tsv) => {
+  const words = [];
+  const lines = new Map();
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const cols = row.split('\t');
+    if (cols.length < 12 || cols[0] !== '5') continue;
+
+    const text = cols.slice(11).join('\t').trim();
+    const confidence = parseFloat(cols[10]);
+    if (!text || confidence < 0) continue;
+
+    const [left, top, width, height] = cols.slice(6, 10).map((n) => parseInt(n, 10));
+    const lineKey = cols.slice(1, 5).join('-');
+    const word = {
+      text,
+      confidence: Math.round(confidence),
+      bbox: { x0: left, y0: top, x1: left + width, y1: top + height },
+      line: lineKey,
+    };
+    words.push(word);
+    if (!lines.has(lineKey)) lines.set(lineKey, []);
+    lines.get(lineKey).push(word);
+  }
+
+  const confidence = words.length
+    ? Math.round(words.reduce((sum, word) => sum + word.confidence, 0) / words.length)
+    : 0;
+
+  return {
+    text: [...lines.values()].map(joinLine).join('\n'),
+    confidence,
+    words,
+  };
+};
+
+/**
+ * OCR a single image.
+ * @param {string} imagePath
+ * @returns {Promise<{ text: string, confidence: number, words: Object[] }>}
+ *   confidence is the mean word confidence (0-100); each word has a pixel bbox
+ */
+const ocrImage = async (imagePath) => {
+  const tsv = await run(TESSERACT_PATH, [imagePath, 'stdout', '-l', OCR_LANGUAGES, '--psm', '3', 'tsv']);
+  return parseTsv(tsv);
+};
+
+// Render PDF pages to grayscale PNGs and OCR each one
+const ocrPdf = async (pdfPath, password) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifevault-ocr-'));
+  try {
+    await run(PDFTOPPM_PATH, [
+      '-r', String(OCR_DPI), '-gray', '-png',
+      '-l', String(OCR_MAX_PAGES),
+      ...(password ? ['-upw', password] : []),
+      pdfPath, path.join(tmpDir, 'page'),
+    ]);
+
+    const images = fs.readdirSync(tmpDir).filter((name) => name.endsWith('.png')).sort();
+    const pages = [];
+    for (const [index, image] of images.entries()) {
+      pages.push({ page: index + 1, ...(await ocrImage(path.join(tmpDir, image))) });
+    }
+    return pages;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * OCR an uploaded PDF or image.
+ * @param {string} filePath
+ * @param {{ mimetype: string, originalname: string }} file
+ * @param {{ password?: string }} [options] - password of a locked PDF
+ * @returns {Promise<{ text: string, confidence: number, pages: Object[] }|null>}
+ *   null when OCR is not available on this server
+ */
+const ocrFile = async (filePath, file, { password } = {}) => {
+  if (!(await isOcrAvailable())) return null;
+
+  const pages = isImageFile(file)
+    ? [{ page: 1, ...(await ocrImage(filePath)) }]
+    : await ocrPdf(filePath, password);
+  const wordCount = pages.reduce((sum, page) => sum + page.words.length, 0);
+  const confidence = wordCount
+    ? Math.round(pages.reduce((sum, page) => sum + page.confidence * page.words.length, 0) / wordCount)
+    : 0;
+
+  return {
+    text: pages.map((page) => page.text).join('\n\n'),
+    confidence,
+    pages,
+  };
+};
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  IMAGE_EXTENSIONS,
+  isImageFile,
+  isOcrAvailable,
+  ocrImage,
+  ocrFile,
+};
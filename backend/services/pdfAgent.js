@@ -1,35 +1,39 @@
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-const pdfParse = require('pdf-parse');
-const { query } = require('../config/database');
-
-const pendingAnalyses = new Map();
-const PENDING_TTL_MS = 30 * 60 * 1000;
-
-const VITAL_PATTERNS = [
-  { type: 'hemoglobin', unit: 'g/dL', regex: /(?:hemoglobin|haemoglobin|\bhb\b)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)\s*(?:g\/dl|gm\/dl|g\/dL)?/i },
-  { type: 'cholesterol', unit: 'mg/dL', regex: /(?:total\s*cholesterol|cholesterol\s*\(total\)|serum\s*cholesterol)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'sgpt', unit: 'U/L', regex: /(?:sgpt|\balt\b|alanine)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'sgot', unit: 'U/L', regex: /(?:sgot|\bast\b|aspartate)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'vitamin_d', unit: 'ng/mL', regex: /(?:vitamin\s*d|25[\s-]*\(oh\))(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'thyroid_tsh', unit: 'μIU/mL', regex: /(?:\btsh\b|thyroid stimulating)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'thyroid_t3', unit: 'ng/dL', regex: /(?:\bt3\b|triiodothyronine)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'thyroid_t4', unit: 'μg/dL', regex: /(?:\bt4\b|thyroxine)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'vitamin_b12', unit: 'pg/mL', regex: /(?:vitamin\s*b[\s-]*12|\bb12\b)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'calcium', unit: 'mg/dL', regex: /(?:\bcalcium\b|serum calcium)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'hba1c', unit: '%', regex: /(?:hba1c|hb\s*a1c|glycated)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'urea', unit: 'mg/dL', regex: /(?:blood\s*urea|\burea\b|bun)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'fasting_blood_glucose', unit: 'mg/dL', regex: /(?:fasting\s*(?:blood\s*)?glucose|\bfbs\b|\bfbg\b|blood sugar)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-  { type: 'creatinine', unit: 'mg/dL', regex: /(?:\bcreatinine\b|serum creatinine)(?:[\s:(]*|.*?\n.*?){0,3}?(\d+\.?\d*)/i },
-];
+const validator = require('validator');
+const { query, withTransaction } = require('../config/database');
+const { getVitalTypes, getVitalTypeMap, buildExtractionRegex } = require('./vitalTypes');
+const { resolveUnit, toCanonical } = require('./unitConversion');
+const { checkVitalAlerts } = require('./vitalAlerts');
+const { isImageFile, ocrFile } = require('./ocr');
+const { PdfPasswordError, parsePdf, replaceWithDecryptedCopy } = require('./pdfPassword');
+const { renderPageRows, extractLabResults, extractCumulativeResults } = require('./labResults');
+const {
+  createAnalysis,
+  saveProposal,
+  getPendingAnalysis,
+  findPendingByHash,
+  completeAnalysis,
+  discardAnalysis,
+} = require('./agentAnalyses');
+const { documentFingerprint, loadLearning, applyRemovals, recordCorrections } = require('./agentLearning');
+const { matchLabTemplate, readPatientName } = require('./labTemplates');
+const { hashFile, findDuplicateUpload, duplicateMessage, splitRecordedVitals } = require('./duplicates');
+const { startImport, finishImport } = require('./agentImports');
+const { parseDuration, extractMedications, extractPrescriber } = require('./prescriptions');
+const { addHistory } = require('./medications');
+const { bySeverity, checkMemberMedication } = require('./drugInteractions');
+
+// PDFs with less embedded text than this are treated as scans and OCR'd
+const MIN_TEXT_LAYER_CHARS = 20;
+const LOW_OCR_CONFIDENCE = 60;
 
 const REPORT_KEYWORDS = [
   'lab report', 'pathology', 'biochemistry', 'hematology', 'blood test',
   'lipid profile', 'cbc', 'complete blood count', 'thyroid profile', 'hba1c',
   'diagnostic', 'reference range', 'test result', 'investigation', 'laboratory',
   'serum', 'plasma', 'mg/dl', 'g/dl', 'u/l', 'patient name', 'sample collected',
-  'haemoglobin', 'hemoglobin', 'glucose', 'cholesterol'
+  'haemoglobin', 'hemoglobin', 'glucose', 'cholesterol', 'prescription'
 ];
 
 const DOCUMENT_KEYWORDS = [
@@ -38,13 +42,6 @@ const DOCUMENT_KEYWORDS = [
   'identity card', 'terms and conditions', 'agreement between'
 ];
 
-const VITAL_LABELS = {
-  hemoglobin: 'Hemoglobin', cholesterol: 'Cholesterol', sgpt: 'SGPT', sgot: 'SGOT',
-  vitamin_d: 'Vitamin D', thyroid_tsh: 'TSH', thyroid_t3: 'T3', thyroid_t4: 'T4',
-  vitamin_b12: 'Vitamin B12', calcium: 'Calcium', hba1c: 'HbA1c', urea: 'Urea',
-  fasting_blood_glucose: 'Fasting Glucose', creatinine: 'Creatinine',
-};
-
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const emit = async (onStep, step) => {
@@ -52,12 +49,17 @@ const emit = async (onStep, step) => {
   await delay(100);
 };
 
-const extractPdfText = async (buffer, filename) => {
-  const pdfData = await pdfParse(buffer, { max: 0 });
+const filenameHint = (filename) => filename.replace(/\.[^/.]+$/, '').replace(/[_\-.]+/g, ' ');
+
+const extractPdfText = async (buffer, filename, { password, members } = {}) => {
+  const { pdfData, encrypted, password: usedPassword, guessed } = await parsePdf(buffer, {
+    password,
+    members,
+    pagerender: renderPageRows,
+  });
   const rawText = (pdfData.text || '').replace(/\r/g, '\n');
   const metaParts = [pdfData.info?.Title, pdfData.info?.Author, pdfData.info?.Subject].filter(Boolean);
-  const filenameHint = filename.replace(/\.pdf$/i, '').replace(/[_\-.]+/g, ' ');
-  const combined = [rawText, ...metaParts, filenameHint].join('\n').trim();
+  const combined = [rawText, ...metaParts, filenameHint(filename)].join('\n').trim();
 
   return {
     text: combined,
@@ -65,10 +67,43 @@ const extractPdfText = async (buffer, filename) => {
     pageCount: pdfData.numpages || 0,
     charCount: combined.length,
     fromMetadata: metaParts.length > 0,
+    encrypted,
+    password: usedPassword,
+    passwordGuessed: guessed,
+  };
+};
+
+// OCR result in the same shape as extractPdfText, plus per-page confidence
+// and word bounding boxes
+const extractOcrText = async (filePath, file, password) => {
+  const ocr = await ocrFile(filePath, file, { password });
+  if (!ocr || !ocr.text.trim()) return null;
+
+  const combined = [ocr.text, filenameHint(file.originalname)].join('\n').trim();
+  return {
+    text: combined,
+    rawText: ocr.text,
+    pageCount: ocr.pages.length,
+    charCount: combined.length,
+    fromMetadata: false,
+    encrypted: Boolean(password),
+    password: password || null,
+    ocr,
   };
 };
 
-const identifyMember = (text, members) => {
+// learnedMemberId is the member earlier corrections assigned this patient name
+// to; printedName is the name read from the lab template's name field
+const identifyMember = (text, members, { learnedMemberId, printedName } = {}) => {
+  const learned = learnedMemberId && members.find((member) => member.id === learnedMemberId);
+  if (learned) return { member: learned, score: 10, confidence: 'high', learned: true };
+
+  // The printed patient name avoids matching the referring doctor or a relative
+  if (printedName) {
+    const match = identifyMember(printedName, members);
+    if (match) return match;
+  }
+
   const searchArea = text.slice(0, 6000).toLowerCase();
   let best = null;
   let bestScore = 0;
@@ -92,8 +127,13 @@ const identifyMember = (text, members) => {
   return bestScore >= 3 ? best : null;
 };
 
-const extractReportDate = (text) => {
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// dateLabels are regex sources for the labels this lab prints before the
+// report date: one learned from an earlier correction and the template's
+const extractReportDate = (text, dateLabels = []) => {
   const patterns = [
+    ...dateLabels.map((label) => new RegExp(`(?:${label})[:\\s-]*(\\d{1,2})[\\/\\-.](\\d{1,2})[\\/\\-.](\\d{2,4})`, 'i')),
     /(?:report\s*date|sample\s*(?:collected|collection)\s*(?:on|date)|collected\s*on|date\s*of\s*report|dated|visit\s*date)[:\s]*(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})/i,
     /(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})/,
     /(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})/,
@@ -122,7 +162,8 @@ const extractReportDate = (text) => {
   return new Date().toISOString().split('T')[0];
 };
 
-const classifyContent = (text) => {
+// learnedCategory is what the family corrected this lab's uploads to before
+const classifyContent = (text, learnedCategory) => {
   const lower = text.toLowerCase();
   let reportScore = 0;
   let documentScore = 0;
@@ -134,7 +175,11 @@ const classifyContent = (text) => {
     if (lower.includes(keyword)) documentScore += 2;
   }
 
-  if (reportScore >= 1 && reportScore >= documentScore) {
+  const isReport = learnedCategory
+    ? learnedCategory === 'report'
+    : reportScore >= 1 && reportScore >= documentScore;
+
+  if (isReport) {
     let reportType = 'lab_report';
     let reportSubType = 'general_lab';
 
@@ -159,33 +204,63 @@ const classifyContent = (text) => {
       reportSubType = 'blood_report';
     }
 
-    return { category: 'report', reportType, reportSubType, confidence: reportScore };
+    return { category: 'report', reportType, reportSubType, confidence: reportScore, learned: Boolean(learnedCategory) };
+  }
+
+  return { category: 'document', confidence: documentScore, learned: Boolean(learnedCategory) };
+};
+
+const PRINTED_UNIT_REGEX = /^[ \t]*([a-zA-Zµμ°%][^\s,;()]*)/;
+const EXTRACTION_NOTES = 'Auto-extracted from uploaded PDF by Life Vault agent';
+// Confidence (0-100) of a value found by the name-then-number fallback
+const PATTERN_MATCH_CONFIDENCE = 40;
+
+// Labs print values in their own units (e.g. glucose in mmol/L). Convert to the
+// canonical unit when the unit after the value is a known alternative; anything
+// unrecognised is assumed to already be canonical.
+const readPrintedUnit = (vitalType, value, textAfterValue) => {
+  const notes = EXTRACTION_NOTES;
+  const printed = textAfterValue.match(PRINTED_UNIT_REGEX)?.[1];
+  const option = printed && resolveUnit(vitalType, printed);
+
+  if (!option || option.unit === vitalType.unit) {
+    return { value, unit: vitalType.unit, notes };
   }
 
-  return { category: 'document', confidence: documentScore };
+  const canonical = toCanonical(vitalType, value, option.unit);
+  return {
+    value: canonical.value,
+    unit: canonical.unit,
+    printedValue: value,
+    printedUnit: option.unit,
+    notes: `${notes} (converted from ${value} ${option.unit})`,
+  };
 };
 
-const extractVitals = (text, reportDate) => {
+// Older name-then-first-number matching, used for analytes that are not
+// printed as a table row
+const extractPatternVitals = (text, reportDate, vitalTypes, textConfidence) => {
   const vitals = [];
-  const seen = new Set();
   const searchTexts = [text, text.replace(/\n/g, ' ')];
 
-  for (const pattern of VITAL_PATTERNS) {
-    if (seen.has(pattern.type)) continue;
+  for (const vitalType of vitalTypes) {
+    const regex = buildExtractionRegex(vitalType);
+    if (!regex) continue;
 
     for (const searchText of searchTexts) {
-      const match = searchText.match(pattern.regex);
+      const match = searchText.match(regex);
       if (match) {
         const value = parseFloat(match[1]);
         if (!Number.isNaN(value) && value > 0 && value < 10000) {
-          seen.add(pattern.type);
           vitals.push({
-            vitalType: pattern.type,
-            label: VITAL_LABELS[pattern.type] || pattern.type,
-            value,
-            unit: pattern.unit,
+            vitalType: vitalType.key,
+            label: vitalType.label,
+            ...readPrintedUnit(vitalType, value, searchText.slice(match.index + match[0].length)),
             recordedAt: reportDate,
-            notes: 'Auto-extracted from uploaded PDF by Life Vault agent',
+            labRange: null,
+            labFlag: null,
+            confidence: Math.round(PATTERN_MATCH_CONFIDENCE * textConfidence / 100),
+            source: 'pattern',
           });
           break;
         }
@@ -196,66 +271,210 @@ const extractVitals = (text, reportDate) => {
   return vitals;
 };
 
-const storePending = (analysisId, data) => {
-  pendingAnalyses.set(analysisId, { ...data, createdAt: Date.now() });
-  for (const [id, entry] of pendingAnalyses) {
-    if (Date.now() - entry.createdAt > PENDING_TTL_MS) {
-      pendingAnalyses.delete(id);
+const LAB_FLAGS = ['H', 'L', 'HH', 'LL'];
+
+// Reviewed vitals come back from the client; keep only well-formed lab fields
+const cleanLabRange = (range) => {
+  if (!range || typeof range !== 'object') return null;
+  const bound = (value) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : undefined);
+  const cleaned = {
+    min: bound(range.min),
+    max: bound(range.max),
+    text: String(range.text || '').substring(0, 50),
+    printedUnit: String(range.printedUnit || '').substring(0, 20),
+  };
+  return cleaned.min === undefined && cleaned.max === undefined ? null : cleaned;
+};
+
+// Cumulative columns first (one reading per test and date), then table rows
+// (value, unit, reference interval, flag); the pattern fallback only fills in
+// analytes neither reader found. learning holds this lab's corrected layouts
+// and removed vitals, template the lab's row parsers.
+const extractVitals = (fullText, reportDate, vitalTypes, textConfidence = 100, learning = {}, template = null) => {
+  const cumulative = extractCumulativeResults(fullText, vitalTypes, {
+    notes: EXTRACTION_NOTES,
+    textConfidence,
+    rowParsers: template?.rowParsers,
+  });
+  const { text } = cumulative;
+  const tableVitals = extractLabResults(text, vitalTypes, {
+    recordedAt: reportDate,
+    notes: EXTRACTION_NOTES,
+    textConfidence,
+    layouts: learning.layouts,
+    rowParsers: template?.rowParsers,
+  });
+  const found = new Set([...cumulative.vitals, ...tableVitals].map((vital) => vital.vitalType));
+  const remaining = vitalTypes.filter((vitalType) => !found.has(vitalType.key));
+
+  return applyRemovals(
+    [...cumulative.vitals, ...tableVitals, ...extractPatternVitals(text, reportDate, remaining, textConfidence)],
+    learning.removedVitals || {}
+  );
+};
+
+// Reviewed medications come back from the client; keep only the known fields
+const cleanMedication = (medication) => {
+  const text = (value, length) => (value ? String(value).trim().substring(0, length) || null : null);
+  const duration = text(medication.duration, 50);
+  return {
+    name: text(medication.name, 255),
+    form: text(medication.form, 30),
+    strength: text(medication.strength, 50),
+    frequency: text(medication.frequency, 30),
+    duration,
+    durationDays: duration ? parseDuration(duration)?.durationDays ?? null : null,
+    instructions: text(medication.instructions, 500),
+  };
+};
+
+// The last day of a course that starts on isoDate and lasts days days
+const courseEndDate = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days - 1);
+  return date.toISOString().split('T')[0];
+};
+
+// Interaction, duplicate and allergy warnings for newly saved medications,
+// checked once committed so each is compared with the member's list as stored.
+// A clash between two of them is reported once; most severe first.
+const checkSavedMedications = async (medications) => {
+  const warnings = new Map();
+  try {
+    for (const medication of medications) {
+      (await checkMemberMedication(medication)).forEach((warning) => {
+        const key = [warning.type, warning.message, warning.allergy?.id, ...warning.medications.map((m) => m.id).sort()].join('|');
+        if (!warnings.has(key)) warnings.set(key, warning);
+      });
     }
+  } catch (error) {
+    // The import is saved; the warnings also show on the member's medications
+    console.error('Check imported medications error:', error);
   }
+  return bySeverity([...warnings.values()]);
 };
 
-const getPending = (analysisId, familyId) => {
-  const entry = pendingAnalyses.get(analysisId);
-  if (!entry || entry.familyId !== familyId) return null;
-  if (Date.now() - entry.createdAt > PENDING_TTL_MS) {
-    pendingAnalyses.delete(analysisId);
-    return null;
-  }
-  return entry;
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !Number.isNaN(Date.parse(value));
+
+// An earlier upload with the same content: a saved report or document, or
+// another analysis still awaiting review
+const findDuplicateOf = async (analysisId, familyId, contentHash) => {
+  const upload = await findDuplicateUpload(familyId, contentHash);
+  if (upload) return { ...upload, message: duplicateMessage(upload) };
+
+  const pending = await findPendingByHash(familyId, contentHash, analysisId);
+  return pending
+    ? {
+      type: 'analysis',
+      id: pending.id,
+      fileName: pending.file_name,
+      date: pending.created_at,
+      message: `This file is already waiting for review (${pending.file_name})`,
+    }
+    : null;
 };
 
-const analyzePdfAgent = async ({ file, user, onStep }) => {
+const analyzeUpload = async ({ analysisId, file, user, onStep, password }) => {
   const uploadDir = process.env.UPLOAD_PATH || '/app/uploads';
-  const analysisId = crypto.randomUUID();
+  const isImage = isImageFile(file);
+  const filePath = path.join(uploadDir, file.filename);
+  const contentHash = await hashFile(filePath);
+  const duplicateOf = await findDuplicateOf(analysisId, user.family_id, contentHash);
 
   await emit(onStep, {
     id: 'upload',
-    status: 'done',
-    title: 'PDF Received',
-    message: `Uploaded ${file.originalname}`,
+    status: duplicateOf ? 'waiting' : 'done',
+    title: 'File Received',
+    message: duplicateOf
+      ? `Uploaded ${file.originalname} — ${duplicateOf.message}`
+      : `Uploaded ${file.originalname}`,
+    data: duplicateOf ? { duplicateOf } : undefined,
   });
 
   await emit(onStep, {
     id: 'extract',
     status: 'running',
     title: 'Extracting Text',
-    message: 'Reading PDF content and metadata...',
+    message: isImage ? 'Preparing image for OCR...' : 'Reading PDF content and metadata...',
   });
 
-  const filePath = path.join(uploadDir, file.filename);
-  const buffer = fs.readFileSync(filePath);
-  const extraction = await extractPdfText(buffer, file.originalname);
+  const membersResult = await query(
+    'SELECT id, name, date_of_birth, mobile_number FROM family_members WHERE family_id = $1 ORDER BY name',
+    [user.family_id]
+  );
+  const members = membersResult.rows;
+
+  let extraction = null;
+  if (!isImage) {
+    try {
+      extraction = await extractPdfText(fs.readFileSync(filePath), file.originalname, { password, members });
+    } catch (error) {
+      if (error instanceof PdfPasswordError) {
+        await emit(onStep, {
+          id: 'extract',
+          status: 'waiting',
+          title: 'Password Required',
+          message: error.incorrect
+            ? 'That password did not open the PDF. Please try again.'
+            : 'This PDF is locked and none of the family members\' birth dates or mobile numbers opened it.',
+        });
+      }
+      throw error;
+    }
+  }
 
-  if (extraction.charCount < 8) {
+  if (isImage || extraction.rawText.trim().length < MIN_TEXT_LAYER_CHARS) {
+    await emit(onStep, {
+      id: 'extract',
+      status: 'running',
+      title: 'Extracting Text',
+      message: isImage
+        ? 'Running OCR on the image...'
+        : 'No text layer found — running OCR on the scanned pages...',
+    });
+    extraction = (await extractOcrText(filePath, file, extraction?.password)) || extraction;
+  }
+
+  if (!extraction || extraction.charCount < 8) {
     await emit(onStep, {
       id: 'extract',
       status: 'error',
       title: 'Extracting Text',
-      message: 'This PDF appears to be a scanned image. Please use a digital/text-based PDF export from your lab.',
+      message: isImage
+        ? 'Could not read any text from this image. Try a sharper, well-lit photo.'
+        : 'This PDF appears to be a scanned image and no text could be recognised. Try a clearer scan or a digital PDF export from your lab.',
     });
-    throw new Error('Could not extract text from PDF');
+    throw new Error(`Could not extract text from ${isImage ? 'image' : 'PDF'}`);
   }
 
-  const extractNote = extraction.pageCount
-    ? `${extraction.charCount.toLocaleString()} chars from ${extraction.pageCount} page(s)${extraction.fromMetadata ? ' + metadata' : ''}`
-    : `${extraction.charCount.toLocaleString()} characters extracted`;
+  let extractNote;
+  if (extraction.ocr) {
+    extractNote = `OCR: ${extraction.ocr.text.length.toLocaleString()} chars from ${extraction.pageCount} page(s), ${extraction.ocr.confidence}% confidence`;
+    if (extraction.ocr.confidence < LOW_OCR_CONFIDENCE) {
+      extractNote += ' — low quality scan, please check the values carefully';
+    }
+  } else {
+    extractNote = extraction.pageCount
+      ? `${extraction.charCount.toLocaleString()} chars from ${extraction.pageCount} page(s)${extraction.fromMetadata ? ' + metadata' : ''}`
+      : `${extraction.charCount.toLocaleString()} characters extracted`;
+  }
+
+  if (extraction.encrypted) {
+    extractNote += extraction.passwordGuessed ? ' · unlocked with a family member\'s details' : ' · unlocked';
+  }
 
   await emit(onStep, {
     id: 'extract',
     status: 'done',
     title: 'Extracting Text',
     message: extractNote,
+    data: extraction.ocr
+      ? {
+        ocr: true,
+        confidence: extraction.ocr.confidence,
+        pages: extraction.ocr.pages.map((page) => ({ page: page.page, confidence: page.confidence })),
+      }
+      : { ocr: false },
   });
 
   await emit(onStep, {
@@ -265,12 +484,6 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
     message: 'Matching against family members...',
   });
 
-  const membersResult = await query(
-    'SELECT id, name FROM family_members WHERE family_id = $1 ORDER BY name',
-    [user.family_id]
-  );
-  const members = membersResult.rows;
-
   if (members.length === 0) {
     await emit(onStep, {
       id: 'members',
@@ -281,14 +494,23 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
     throw new Error('No family members found');
   }
 
-  const memberMatch = identifyMember(extraction.text, members);
+  // Corrections made to earlier uploads from the same lab or patient, and the
+  // layout of a lab we have a template for
+  const learning = await loadLearning(user.family_id, documentFingerprint(extraction.text));
+  const template = await matchLabTemplate(user.family_id, extraction.text);
+  const memberMatch = identifyMember(extraction.text, members, {
+    learnedMemberId: learning.memberId,
+    printedName: template && readPatientName(extraction.text, template.nameLabels),
+  });
   const defaultMember = memberMatch?.member || members[0];
 
   await emit(onStep, {
     id: 'members',
     status: 'done',
     title: 'Identifying Member',
-    message: memberMatch
+    message: memberMatch?.learned
+      ? `Matched ${memberMatch.member.name} from an earlier correction`
+      : memberMatch
       ? `Best match: ${memberMatch.member.name} (${memberMatch.confidence} confidence)`
       : `Could not auto-match — defaulting to ${defaultMember.name}. Please review.`,
     data: { memberId: defaultMember.id, memberName: defaultMember.name },
@@ -301,19 +523,33 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
     message: 'Determining if this is a medical report or general document...',
   });
 
-  const classification = classifyContent(extraction.text);
-  const reportDate = extractReportDate(extraction.text);
+  const classification = classifyContent(extraction.text, learning.category);
+  const reportDate = extractReportDate(extraction.text, [
+    ...(learning.dateLabel ? [escapeRegex(learning.dateLabel).replace(/ /g, '\\s+')] : []),
+    ...(template?.dateLabels || []),
+  ]);
   const title = file.originalname.replace(/\.[^/.]+$/, '');
-  const vitals = classification.category === 'report' ? extractVitals(extraction.text, reportDate) : [];
+  // Readings the member already has stay in the proposal, marked, so the
+  // reviewer can choose to skip them
+  const extracted = classification.category === 'report'
+    ? extractVitals(extraction.text, reportDate, await getVitalTypes(user.family_id), extraction.ocr?.confidence, learning, template)
+    : [];
+  const { duplicates } = await splitRecordedVitals(defaultMember.id, extracted);
+  // Prescriptions also list medicines for the member's medication list
+  const isPrescription = classification.category === 'report' && classification.reportType === 'prescription_consultation';
+  const medications = isPrescription ? extractMedications(extraction.text, { textConfidence: extraction.ocr?.confidence }) : [];
+  const prescribedBy = isPrescription ? extractPrescriber(extraction.text) : null;
+  const vitals = extracted.map((vital) => (duplicates.includes(vital) ? { ...vital, duplicate: true } : vital));
+  const vitalDates = new Set(vitals.map((vital) => vital.recordedAt));
 
   await emit(onStep, {
     id: 'classify',
     status: 'done',
     title: 'Classifying Document',
-    message: classification.category === 'report'
+    message: (classification.category === 'report'
       ? `Medical report — ${classification.reportType.replace(/_/g, ' ')}`
-      : 'General document',
-    data: { ...classification, reportDate },
+      : 'General document') + (template ? ` · ${template.name} layout` : ''),
+    data: { ...classification, reportDate, labTemplate: template?.key || null },
   });
 
   if (classification.category === 'report') {
@@ -321,10 +557,11 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
       id: 'vitals',
       status: 'done',
       title: 'Extracting Vitals',
-      message: vitals.length
-        ? `Found ${vitals.length} lab value${vitals.length === 1 ? '' : 's'} to import`
-        : 'No lab values detected — report will still be saved',
-      data: { vitals },
+      message: (vitals.length
+        ? `Found ${vitals.length} lab value${vitals.length === 1 ? '' : 's'} to import${vitalDates.size > 1 ? ` across ${vitalDates.size} dates` : ''}`
+        : 'No lab values detected — report will still be saved')
+        + (duplicates.length ? ` · ${duplicates.length} already recorded for ${defaultMember.name}` : ''),
+      data: { vitals, duplicates: duplicates.length },
     });
   } else {
     await emit(onStep, {
@@ -335,6 +572,19 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
     });
   }
 
+  await emit(onStep, {
+    id: 'medications',
+    status: isPrescription ? 'done' : 'skipped',
+    title: 'Reading Prescription',
+    message: isPrescription
+      ? (medications.length
+        ? `Found ${medications.length} medication${medications.length === 1 ? '' : 's'}`
+        : 'No medicines recognised — add them in the review')
+        + (prescribedBy ? ` · prescribed by ${prescribedBy}` : '')
+      : 'Only read from prescriptions',
+    data: isPrescription ? { medications, prescribedBy } : undefined,
+  });
+
   const proposal = {
     analysisId,
     memberId: defaultMember.id,
@@ -346,15 +596,30 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
     reportDate,
     title,
     vitals,
+    duplicateVitals: duplicates.length,
+    duplicateOf,
+    medications,
+    prescribedBy,
+    labTemplate: template ? { key: template.key, name: template.name } : null,
     fileName: file.originalname,
+    encrypted: Boolean(extraction.encrypted),
+    ocr: extraction.ocr
+      ? {
+        confidence: extraction.ocr.confidence,
+        pages: extraction.ocr.pages.map((page) => ({ page: page.page, confidence: page.confidence })),
+      }
+      : null,
   };
 
-  storePending(analysisId, {
-    familyId: user.family_id,
-    file,
+  const saved = await saveProposal(analysisId, {
     proposal,
     text: extraction.text,
+    password: extraction.password,
+    contentHash,
   });
+  if (!saved) {
+    throw new Error('Analysis was discarded before it finished. Please upload again.');
+  }
 
   await emit(onStep, {
     id: 'review',
@@ -370,18 +635,77 @@ const analyzePdfAgent = async ({ file, user, onStep }) => {
   };
 };
 
+/**
+ * Analyze an upload and persist the proposal for review. Failed analyses are
+ * discarded along with their file.
+ * @param {{ file: Object, user: Object, onStep: Function, password?: string, analysisId?: string }} params
+ *   analysisId is an analysis already created for the file (batch uploads)
+ * @returns {Promise<{ analysisId: string, proposal: Object, members: Object[] }>}
+ */
+const analyzePdfAgent = async ({ file, user, onStep, password, analysisId: existingId }) => {
+  const analysisId = existingId || await createAnalysis({ familyId: user.family_id, userId: user.id, file });
+  try {
+    return await analyzeUpload({ analysisId, file, user, onStep, password });
+  } catch (error) {
+    await discardAnalysis(analysisId, { error: error.message })
+      .catch((discardError) => console.error('Discard analysis error:', discardError));
+    throw error;
+  }
+};
+
+/**
+ * The review payload of an analysis awaiting review, so it can be resumed.
+ * @param {string} analysisId
+ * @param {Object} user
+ * @returns {Promise<{ analysisId: string, proposal: Object, members: Object[] }|null>}
+ */
+const getAnalysisReview = async (analysisId, user) => {
+  const pending = await getPendingAnalysis(analysisId, user.family_id);
+  if (!pending) return null;
+
+  const membersResult = await query(
+    'SELECT id, name FROM family_members WHERE family_id = $1 ORDER BY name',
+    [user.family_id]
+  );
+  return { analysisId, proposal: pending.proposal, members: membersResult.rows };
+};
+
 const confirmPdfAgent = async ({ analysisId, user, overrides = {}, onStep }) => {
-  const pending = getPending(analysisId, user.family_id);
+  const pending = await getPendingAnalysis(analysisId, user.family_id);
   if (!pending) {
     throw new Error('Analysis expired or not found. Please upload again.');
   }
 
-  const { file, proposal } = pending;
+  const { proposal } = pending;
+  const file = {
+    filename: pending.file_path,
+    originalname: pending.file_name,
+    size: Number(pending.file_size),
+  };
   const memberId = overrides.memberId || proposal.memberId;
   const category = overrides.category || proposal.category;
-  const reportDate = overrides.reportDate || proposal.reportDate;
-  const vitals = overrides.vitals || proposal.vitals;
+  // sanitizeInput turns the reviewed date into a Date
+  const reportDate = overrides.reportDate instanceof Date && !Number.isNaN(overrides.reportDate.getTime())
+    ? overrides.reportDate.toISOString().split('T')[0]
+    : overrides.reportDate || proposal.reportDate;
+  const vitalTypes = await getVitalTypeMap(user.family_id);
+  // Reviewed values left blank are not imported, nor are types missing from
+  // the registry, calculated types (derived from other readings) or units the
+  // type cannot be converted from. Readings from a cumulative report keep the
+  // date of their column; the rest take the report date.
+  const reviewedVitals = (overrides.vitals || proposal.vitals)
+    .filter((vital) => Number.isFinite(parseFloat(vital.value)))
+    .filter((vital) => !vitalTypes[vital.vitalType]?.calculated)
+    .filter((vital) => toCanonical(vitalTypes[vital.vitalType], parseFloat(vital.value), vital.unit))
+    .map((vital) => ({ ...vital, recordedAt: vital.cumulative && isIsoDate(vital.recordedAt) ? vital.recordedAt : reportDate }));
   const title = overrides.title || proposal.title;
+  const medications = (overrides.medications || proposal.medications || [])
+    .map(cleanMedication)
+    .filter((medication) => medication.name);
+  // A reviewed prescriber arrives HTML-escaped by sanitizeInput and is stored as typed
+  const prescribedBy = (overrides.prescribedBy !== undefined
+    ? validator.unescape(String(overrides.prescribedBy || ''))
+    : proposal.prescribedBy || '').trim().substring(0, 255) || null;
 
   const memberCheck = await query(
     'SELECT id, name FROM family_members WHERE id = $1 AND family_id = $2',
@@ -391,106 +715,237 @@ const confirmPdfAgent = async ({ analysisId, user, overrides = {}, onStep }) =>
     throw new Error('Invalid member selected');
   }
   const member = memberCheck.rows[0];
+  // Readings the member already has are skipped unless the reviewer keeps them
+  const { fresh, duplicates } = category === 'report'
+    ? await splitRecordedVitals(member.id, reviewedVitals)
+    : { fresh: reviewedVitals, duplicates: [] };
+  const skipDuplicates = overrides.skipDuplicates !== false;
+  const vitals = skipDuplicates ? fresh : reviewedVitals;
+  const skipped = skipDuplicates ? duplicates : [];
 
   let savedRecord = null;
   const vitalsSaved = [];
-
-  if (category === 'report') {
-    await emit(onStep, {
-      id: 'save',
-      status: 'running',
-      title: 'Saving Report',
-      message: `Saving medical report for ${member.name}...`,
+  const medicationsSaved = [];
+
+  // The report or document and its vitals are saved together, stamped with
+  // the import's ID so the import can be undone as a unit
+  const importId = await withTransaction(async (client) => {
+    const batchId = await startImport(client, {
+      familyId: user.family_id,
+      analysisId,
+      memberId: member.id,
+      userId: user.id,
+      filePath: file.filename,
+      fileName: file.originalname,
     });
 
-    const result = await query(
-      `INSERT INTO medical_reports
-        (member_id, report_type, report_sub_type, title, description, file_path, file_name, file_size, report_date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING id, member_id, report_type, report_sub_type, title, report_date`,
-      [
-        member.id,
-        proposal.reportType || 'lab_report',
-        proposal.reportSubType || 'general_lab',
-        title,
-        'Uploaded via Life Vault AI agent',
-        file.filename,
-        file.originalname,
-        file.size,
-        reportDate,
-      ]
-    );
-    savedRecord = { type: 'report', ...result.rows[0] };
+    if (category === 'report') {
+      await emit(onStep, {
+        id: 'save',
+        status: 'running',
+        title: 'Saving Report',
+        message: `Saving medical report for ${member.name}...`,
+      });
 
-    await emit(onStep, {
-      id: 'save',
-      status: 'done',
-      title: 'Saving Report',
-      message: `Report saved — dated ${reportDate}`,
-      data: savedRecord,
-    });
+      const result = await client.query(
+        `INSERT INTO medical_reports
+          (member_id, report_type, report_sub_type, title, description, file_path, file_name, file_size, report_date, content_hash, import_batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id, member_id, report_type, report_sub_type, title, report_date`,
+        [
+          member.id,
+          proposal.reportType || 'lab_report',
+          proposal.reportSubType || 'general_lab',
+          title,
+          'Uploaded via Life Vault AI agent',
+          file.filename,
+          file.originalname,
+          file.size,
+          reportDate,
+          pending.content_hash,
+          batchId,
+        ]
+      );
+      savedRecord = { type: 'report', ...result.rows[0] };
 
-    if (vitals.length > 0) {
       await emit(onStep, {
-        id: 'vitals_save',
-        status: 'running',
-        title: 'Saving Vitals',
-        message: `Adding ${vitals.length} vital reading(s)...`,
+        id: 'save',
+        status: 'done',
+        title: 'Saving Report',
+        message: `Report saved — dated ${reportDate}`,
+        data: savedRecord,
       });
 
-      for (const vital of vitals) {
-        const vitalResult = await query(
-          `INSERT INTO health_vitals (member_id, vital_type, value, unit, notes, recorded_at)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING id, vital_type, value, unit, recorded_at`,
-          [member.id, vital.vitalType, vital.value, vital.unit, vital.notes, reportDate]
-        );
-        vitalsSaved.push({ ...vitalResult.rows[0], label: vital.label });
+      if (vitals.length > 0) {
+        await emit(onStep, {
+          id: 'vitals_save',
+          status: 'running',
+          title: 'Saving Vitals',
+          message: `Adding ${vitals.length} vital reading(s)...`,
+        });
+
+        for (const vital of vitals) {
+          // Reviewed values may come back in another unit; store them canonically
+          const canonical = toCanonical(vitalTypes[vital.vitalType], parseFloat(vital.value), vital.unit);
+          const labRange = cleanLabRange(vital.labRange);
+          const vitalResult = await client.query(
+            `INSERT INTO health_vitals (member_id, vital_type, value, unit, notes, recorded_at, report_id, lab_range, lab_flag, import_batch_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id, member_id, vital_type, value, readings, unit, recorded_at, report_id, lab_range, lab_flag`,
+            [
+              member.id,
+              vital.vitalType,
+              canonical.value,
+              canonical.unit,
+              vital.notes,
+              vital.recordedAt,
+              savedRecord.id,
+              labRange ? JSON.stringify(labRange) : null,
+              LAB_FLAGS.includes(vital.labFlag) ? vital.labFlag : null,
+              batchId,
+            ]
+          );
+          vitalsSaved.push({ ...vitalResult.rows[0], label: vital.label });
+        }
+
+        await emit(onStep, {
+          id: 'vitals_save',
+          status: 'done',
+          title: 'Saving Vitals',
+          message: `Added ${vitalsSaved.length} vital reading(s)`
+            + (skipped.length ? ` · skipped ${skipped.length} already recorded` : ''),
+          data: { vitals: vitalsSaved },
+        });
+      } else if (skipped.length > 0) {
+        await emit(onStep, {
+          id: 'vitals_save',
+          status: 'skipped',
+          title: 'Saving Vitals',
+          message: `All ${skipped.length} vital reading(s) were already recorded for ${member.name}`,
+        });
       }
 
+      if (medications.length > 0) {
+        await emit(onStep, {
+          id: 'medications_save',
+          status: 'running',
+          title: 'Saving Medications',
+          message: `Adding ${medications.length} medication(s) to ${member.name}'s list...`,
+        });
+
+        for (const medication of medications) {
+          const medicationResult = await client.query(
+            `INSERT INTO medications
+              (member_id, name, form, strength, frequency, duration, instructions, prescribed_by,
+               start_date, end_date, report_id, import_batch_id, notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+             RETURNING id, member_id, name, strength, frequency, duration, start_date, end_date, status`,
+            [
+              member.id,
+              medication.name,
+              medication.form,
+              medication.strength,
+              medication.frequency,
+              medication.duration,
+              medication.instructions,
+              prescribedBy,
+              reportDate,
+              medication.durationDays ? courseEndDate(reportDate, medication.durationDays) : null,
+              savedRecord.id,
+              batchId,
+              'Read from a prescription by Life Vault agent',
+            ]
+          );
+          await addHistory(client, medicationResult.rows[0].id, user.id, 'started', {
+            name: medication.name,
+            strength: medication.strength,
+            frequency: medication.frequency,
+            duration: medication.duration,
+          });
+          medicationsSaved.push(medicationResult.rows[0]);
+        }
+
+        await emit(onStep, {
+          id: 'medications_save',
+          status: 'done',
+          title: 'Saving Medications',
+          message: `Added ${medicationsSaved.length} medication(s)`,
+          data: { medications: medicationsSaved },
+        });
+      }
+    } else {
+      await emit(onStep, {
+        id: 'save',
+        status: 'running',
+        title: 'Saving Document',
+        message: `Saving document for ${member.name}...`,
+      });
+
+      const result = await client.query(
+        `INSERT INTO documents
+          (member_id, title, description, file_path, file_name, file_size, upload_date, content_hash, import_batch_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, member_id, title, upload_date`,
+        [
+          member.id,
+          title,
+          'Uploaded via Life Vault AI agent',
+          file.filename,
+          file.originalname,
+          file.size,
+          reportDate,
+          pending.content_hash,
+          batchId,
+        ]
+      );
+      savedRecord = { type: 'document', ...result.rows[0] };
+
       await emit(onStep, {
-        id: 'vitals_save',
+        id: 'save',
         status: 'done',
-        title: 'Saving Vitals',
-        message: `Added ${vitalsSaved.length} vital reading(s)`,
-        data: { vitals: vitalsSaved },
+        title: 'Saving Document',
+        message: `Document saved — dated ${reportDate}`,
+        data: savedRecord,
       });
     }
-  } else {
-    await emit(onStep, {
-      id: 'save',
-      status: 'running',
-      title: 'Saving Document',
-      message: `Saving document for ${member.name}...`,
-    });
 
-    const result = await query(
-      `INSERT INTO documents
-        (member_id, title, description, file_path, file_name, file_size, upload_date)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, member_id, title, upload_date`,
-      [
-        member.id,
-        title,
-        'Uploaded via Life Vault AI agent',
-        file.filename,
-        file.originalname,
-        file.size,
-        reportDate,
-      ]
-    );
-    savedRecord = { type: 'document', ...result.rows[0] };
-
-    await emit(onStep, {
-      id: 'save',
-      status: 'done',
-      title: 'Saving Document',
-      message: `Document saved — dated ${reportDate}`,
-      data: savedRecord,
+    await finishImport(client, batchId, {
+      recordType: savedRecord.type,
+      recordId: savedRecord.id,
+      vitalsCount: vitalsSaved.length,
     });
+    // A second confirm of the same upload rolls back here
+    if (!(await completeAnalysis(analysisId, { recordType: savedRecord.type, recordId: savedRecord.id }, client))) {
+      throw new Error('This upload was already saved');
+    }
+    return batchId;
+  });
+
+  // The locked original is only replaced once the import is committed, so a
+  // failed or repeated confirm leaves the stored file untouched
+  if (pending.pdf_password && overrides.storeDecrypted) {
+    try {
+      const uploadDir = process.env.UPLOAD_PATH || '/app/uploads';
+      const size = await replaceWithDecryptedCopy(path.join(uploadDir, file.filename), pending.pdf_password);
+      await query(
+        `UPDATE ${savedRecord.type === 'report' ? 'medical_reports' : 'documents'} SET file_size = $1 WHERE id = $2`,
+        [size, savedRecord.id]
+      );
+    } catch (error) {
+      // Keep the locked original; it can still be opened with its password
+      console.error('Unlock PDF error:', error);
+    }
   }
 
-  pendingAnalyses.delete(analysisId);
+  if (vitalsSaved.length > 0) {
+    await checkVitalAlerts(vitalsSaved, user.family_id);
+  }
+  const medicationWarnings = await checkSavedMedications(medicationsSaved);
+  await recordCorrections({
+    analysis: pending,
+    user,
+    confirmed: { memberId: member.id, category, reportDate, vitals: reviewedVitals },
+  });
 
   return {
     member: { id: member.id, name: member.name },
@@ -498,7 +953,11 @@ const confirmPdfAgent = async ({ analysisId, user, overrides = {}, onStep }) =>
     reportDate,
     savedRecord,
     vitalsSaved,
+    medicationsSaved,
+    medicationWarnings,
+    duplicatesSkipped: skipped.length,
+    importId,
   };
 };
 
-module.exports = { analyzePdfAgent, confirmPdfAgent };
+module.exports = { analyzePdfAgent, getAnalysisReview, confirmPdfAgent };
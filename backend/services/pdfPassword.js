@@ -0,0 +1,169 @@
+const fs = require('fs');
+const { execFile } = require('child_process');
+const pdfParse = require('pdf-parse');
+const validator = require('validator');
+
+// Labs often email reports locked with the patient's date of birth or mobile
+// number. These helpers open such PDFs by trying passwords derived from the
+// family members' details, and can write an unlocked copy with qpdf
+// (QPDF_PATH, installed in the backend Docker image).
+
+const QPDF_PATH = process.env.QPDF_PATH || 'qpdf';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// pdf.js PasswordException code for a wrong password (1 means none given)
+const INCORRECT_PASSWORD = 2;
+
+class PdfPasswordError extends Error {
+  constructor(incorrect) {
+    super(incorrect
+      ? 'The password for this PDF is incorrect'
+      : 'This PDF is password protected');
+    this.name = 'PdfPasswordError';
+    this.incorrect = incorrect;
+  }
+}
+
+const isPasswordException = (error) => error?.name === 'PasswordException';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// DATE columns come back from pg as local-midnight Dates
+const dateParts = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return { year: value.getFullYear(), month: value.getMonth() + 1, day: value.getDate() };
+  }
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? { year: +match[1], month: +match[2], day: +match[3] } : null;
+};
+
+/**
+ * Passwords labs commonly derive from a patient's details: date of birth in
+ * several layouts, the mobile number, and the first four letters of the name
+ * followed by part of the date of birth.
+ * @param {Object} member - { name, date_of_birth, mobile_number }
+ * @returns {string[]}
+ */
+const memberPasswordCandidates = (member) => {
+  const candidates = [];
+  const dob = dateParts(member.date_of_birth);
+  const namePrefix = validator.unescape(member.name || '').split(/\s+/)[0].replace(/[^a-zA-Z]/g, '').slice(0, 4);
+
+  if (dob) {
+    const dd = pad(dob.day);
+    const mm = pad(dob.month);
+    const yyyy = String(dob.year);
+    const yy = yyyy.slice(2);
+    const mon = MONTHS[dob.month - 1];
+
+    candidates.push(
+      `${dd}${mm}${yyyy}`, `${dd}${mm}${yy}`, `${yyyy}${mm}${dd}`, `${mm}${dd}${yyyy}`,
+      `${dd}-${mm}-${yyyy}`, `${dd}/${mm}/${yyyy}`, `${dd}.${mm}.${yyyy}`,
+      `${dd}${mon}${yyyy}`, `${dd}${mon.toUpperCase()}${yyyy}`, `${dd}${mm}`, yyyy
+    );
+    if (namePrefix.length === 4) {
+      for (const prefix of [namePrefix.toUpperCase(), namePrefix.toLowerCase()]) {
+        candidates.push(`${prefix}${dd}${mm}`, `${prefix}${yyyy}`, `${prefix}${dd}${mm}${yyyy}`);
+      }
+    }
+  }
+
+  const mobile = String(member.mobile_number || '').replace(/\D/g, '');
+  if (mobile.length >= 10) {
+    const last10 = mobile.slice(-10);
+    candidates.push(last10, mobile, last10.slice(-4), last10.slice(-6));
+    if (namePrefix.length === 4) {
+      candidates.push(`${namePrefix.toUpperCase()}${last10.slice(-4)}`, `${namePrefix.toLowerCase()}${last10.slice(-4)}`);
+    }
+  }
+
+  return candidates;
+};
+
+const parseWithPassword = (buffer, password, { max, pagerender }) =>
+  pdfParse({ data: new Uint8Array(buffer), password }, { max, pagerender });
+
+/**
+ * Parse a PDF, unlocking it if needed. The supplied password is tried first,
+ * then passwords derived from the given members.
+ * @param {Buffer} buffer
+ * @param {{ password?: string, members?: Object[], max?: number, pagerender?: Function }} options
+ *   max limits how many pages are read (0 = all); pagerender is passed to pdf-parse
+ * @returns {Promise<{ pdfData: Object, encrypted: boolean, password: string|null, guessed: boolean }>}
+ * @throws {PdfPasswordError} when the PDF is locked and no password works
+ */
+const parsePdf = async (buffer, { password, members = [], max = 0, pagerender } = {}) => {
+  const parseOptions = { max, pagerender };
+  try {
+    return { pdfData: await parseWithPassword(buffer, undefined, parseOptions), encrypted: false, password: null, guessed: false };
+  } catch (error) {
+    if (!isPasswordException(error)) throw error;
+  }
+
+  if (password) {
+    try {
+      return { pdfData: await parseWithPassword(buffer, password, parseOptions), encrypted: true, password, guessed: false };
+    } catch (error) {
+      if (!isPasswordException(error) || error.code !== INCORRECT_PASSWORD) throw error;
+      throw new PdfPasswordError(true);
+    }
+  }
+
+  const tried = new Set();
+  for (const member of members) {
+    for (const candidate of memberPasswordCandidates(member)) {
+      if (tried.has(candidate)) continue;
+      tried.add(candidate);
+      try {
+        return { pdfData: await parseWithPassword(buffer, candidate, parseOptions), encrypted: true, password: candidate, guessed: true };
+      } catch (error) {
+        if (!isPasswordException(error)) throw error;
+      }
+    }
+  }
+
+  throw new PdfPasswordError(false);
+};
+
+/**
+ * Write an unlocked copy of an encrypted PDF. The password is passed on stdin
+ * so it does not show up in the process list.
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {string} password
+ */
+const writeDecryptedCopy = (inputPath, outputPath, password) => new Promise((resolve, reject) => {
+  const child = execFile(
+    QPDF_PATH,
+    ['--password-file=-', '--decrypt', inputPath, outputPath],
+    { timeout: 60 * 1000 },
+    // qpdf exits with 3 when it succeeded with warnings
+    (error) => (error && error.code !== 3 ? reject(error) : resolve())
+  );
+  child.stdin.end(`${password}\n`);
+});
+
+/**
+ * Replace an uploaded locked PDF with its unlocked copy.
+ * @param {string} filePath
+ * @param {string} password
+ * @returns {Promise<number>} the new file size
+ */
+const replaceWithDecryptedCopy = async (filePath, password) => {
+  const unlockedPath = `${filePath}.unlocked`;
+  try {
+    await writeDecryptedCopy(filePath, unlockedPath, password);
+    fs.renameSync(unlockedPath, filePath);
+    return fs.statSync(filePath).size;
+  } finally {
+    if (fs.existsSync(unlockedPath)) fs.unlinkSync(unlockedPath);
+  }
+};
+
+module.exports = {
+  PdfPasswordError,
+  memberPasswordCandidates,
+  parsePdf,
+  replaceWithDecryptedCopy,
+};
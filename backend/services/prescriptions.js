@@ -0,0 +1,187 @@
+// Reads the medicines written on a prescription: one line (or table row) per
+// drug such as "Tab. Dolo 650 mg   1-0-1   x 5 days   after food", with the
+// strength, how often it is taken (1-0-1 or OD/BD/TDS), for how long and any
+// instructions, and a 0-100 confidence for how completely the line parsed.
+
+const FORMS = {
+  tab: 'tablet', tablet: 'tablet', tabs: 'tablet', tablets: 'tablet',
+  cap: 'capsule', caps: 'capsule', capsule: 'capsule', capsules: 'capsule',
+  syp: 'syrup', syr: 'syrup', syrup: 'syrup',
+  susp: 'suspension', suspension: 'suspension',
+  inj: 'injection', injection: 'injection',
+  oint: 'ointment', ointment: 'ointment',
+  cream: 'cream', gel: 'gel', lotion: 'lotion', spray: 'spray',
+  drop: 'drops', drops: 'drops', inhaler: 'inhaler', sachet: 'sachet',
+};
+// "1) Tab. Dolo 650" - an optional list number, the dosage form, the rest;
+// the rest (or the line below) must also give a strength, frequency or duration
+const DRUG_LINE_REGEX = new RegExp(`^\\s*(?:\\d{1,2}\\s*[.)]\\s*)?(${Object.keys(FORMS).join('|')})\\b\\.?\\s*(.+)$`, 'i');
+// A numbered line without a dosage form is a drug only if it also has a
+// strength and a frequency
+const NUMBERED_LINE_REGEX = /^\s*\d{1,2}\s*[.)]\s*(.+)$/;
+const STRENGTH_REGEX = /(?<![\w.])(\d+(?:\.\d+)?(?:\s*[/+]\s*\d+(?:\.\d+)?)*\s*(?:mg|mcg|µg|g|ml|iu|units?|%)(?:\s*\/\s*\d*(?:\.\d+)?\s*(?:ml|g|mg))?)(?![a-z])/i;
+// Doses per morning-noon-night (optionally bedtime): 1-0-1, 1/2-0-1, ½-0-½
+const DOSE_PART = '(?:1\\/2|0\\.5|½|[0-4])';
+const DASHED_FREQUENCY_REGEX = new RegExp(`(?<![\\d/.-])(${DOSE_PART}\\s*-\\s*${DOSE_PART}\\s*-\\s*${DOSE_PART}(?:\\s*-\\s*${DOSE_PART})?)(?![\\d/-])`);
+const FREQUENCY_TERMS = [
+  { regex: /\b(?:OD|QD|once\s+(?:a\s+)?daily|once\s+a\s+day)\b/i, frequency: '1-0-0' },
+  { regex: /\b(?:BD|BID|twice\s+(?:a\s+)?daily|twice\s+a\s+day)\b/i, frequency: '1-0-1' },
+  { regex: /\b(?:TDS|TID|thrice\s+daily|three\s+times\s+a\s+day)\b/i, frequency: '1-1-1' },
+  { regex: /\b(?:QID|four\s+times\s+a\s+day)\b/i, frequency: '1-1-1-1' },
+  { regex: /\b(?:HS|QHS|at\s+bed\s*time)\b/i, frequency: '0-0-1' },
+  { regex: /\b(?:SOS|PRN|as\s+needed|when\s+needed|if\s+needed)\b/i, frequency: 'SOS' },
+  { regex: /\bSTAT\b/i, frequency: 'STAT' },
+];
+const DURATION_REGEX = /(?:(?:x|×|for)\s*)?\b(\d{1,3})\s*(d|days?|w|wks?|weeks?|m|mths?|months?)\b/i;
+const CONTINUE_REGEX = /\b(?:to\s+)?continue\b|\blong\s+term\b/i;
+const DURATION_DAYS = { d: 1, w: 7, m: 30 };
+const INSTRUCTION_REGEX = /\b(?:before|after|with)\s+(?:food|meals?|breakfast|lunch|dinner)\b|\bempty\s+stomach\b/i;
+const PRESCRIBER_LABEL_REGEX = /(?:prescribed\s+by|consultant|consulting\s+doctor|doctor|physician)\s*[:-]\s*(?:dr\.?\s*)?([a-z][a-z.' ]{2,60}?)(?=\t| {2,}|,|\n|$)/im;
+// A name stays on its line; degrees after it are dropped up to the line end
+const DOCTOR_NAME_REGEX = /\bDr\.?[ \t]+([A-Z][A-Za-z'.]*(?:[ \t]+[A-Z][A-Za-z'.]*){0,4})/;
+const QUALIFICATIONS_REGEX = /[ \t]+(?:MBBS|MD|MS|DNB|DM|MCh|FRCS|MRCP|BDS|MDS|DGO|DCH|DA|FCPS)\b.*$/m;
+
+/**
+ * How often a line says the drug is taken, or null.
+ * @param {string} text
+ * @returns {{ frequency: string, timesPerDay: number|null, index: number }|null}
+ */
+const parseFrequency = (text) => {
+  const dashed = text.match(DASHED_FREQUENCY_REGEX);
+  if (dashed) {
+    const frequency = dashed[1].replace(/\s+/g, '');
+    return {
+      frequency,
+      timesPerDay: frequency.split('-').filter((dose) => !/^0$/.test(dose)).length,
+      index: dashed.index,
+    };
+  }
+  for (const term of FREQUENCY_TERMS) {
+    const match = text.match(term.regex);
+    if (match) {
+      const times = term.frequency.includes('-') ? term.frequency.split('-').filter((dose) => dose !== '0').length : null;
+      return { frequency: term.frequency, timesPerDay: times, index: match.index };
+    }
+  }
+  return null;
+};
+
+/**
+ * How long a line says the drug is taken for, or null.
+ * @param {string} text
+ * @returns {{ duration: string, durationDays: number|null, index: number }|null}
+ */
+const parseDuration = (text) => {
+  const match = text.match(DURATION_REGEX);
+  if (match) {
+    const count = parseInt(match[1], 10);
+    const unit = match[2].toLowerCase()[0];
+    const label = { d: 'day', w: 'week', m: 'month' }[unit];
+    return {
+      duration: `${count} ${label}${count === 1 ? '' : 's'}`,
+      durationDays: count * DURATION_DAYS[unit],
+      index: match.index,
+    };
+  }
+  const continued = text.match(CONTINUE_REGEX);
+  return continued ? { duration: 'Continue', durationDays: null, index: continued.index } : null;
+};
+
+// Whether text says how much, how often or how long a drug is taken
+const hasDosing = (text) => STRENGTH_REGEX.test(text) || Boolean(parseFrequency(text) || parseDuration(text));
+
+// A medicine line: dosage form and the rest, or null when the line is not one
+const matchDrugLine = (line) => {
+  const match = line.match(DRUG_LINE_REGEX);
+  if (match) return { form: FORMS[match[1].toLowerCase()], rest: match[2] };
+
+  const numbered = line.match(NUMBERED_LINE_REGEX);
+  if (numbered && STRENGTH_REGEX.test(numbered[1]) && parseFrequency(numbered[1])) {
+    return { form: null, rest: numbered[1] };
+  }
+  return null;
+};
+
+const parseDrug = ({ form, rest }, textConfidence) => {
+  const strength = rest.match(STRENGTH_REGEX);
+  const frequency = parseFrequency(rest);
+  const duration = parseDuration(rest);
+  const instructions = rest.match(INSTRUCTION_REGEX);
+
+  // The name runs up to the first column gap or the first parsed field
+  const ends = [rest.search(/\t| {2,}/), frequency?.index, duration?.index, instructions?.index]
+    .filter((index) => index !== undefined && index >= 0);
+  let name = rest.slice(0, ends.length ? Math.min(...ends) : rest.length);
+  if (strength && name.includes(strength[1])) {
+    name = name.slice(0, name.indexOf(strength[1]));
+  }
+  name = name.replace(/^[\s:.-]+|[\s,:;(.-]+$/g, '').replace(/\s+/g, ' ');
+  if (name.length < 2 || !/[a-z]/i.test(name)) return null;
+
+  const completeness = 40 + (strength ? 20 : 0) + (frequency ? 25 : 0) + (duration ? 15 : 0);
+  return {
+    name: name.substring(0, 255),
+    form,
+    strength: strength ? strength[1].replace(/\s+/g, ' ') : null,
+    frequency: frequency?.frequency || null,
+    timesPerDay: frequency?.timesPerDay ?? null,
+    duration: duration?.duration || null,
+    durationDays: duration?.durationDays ?? null,
+    instructions: instructions ? instructions[0].toLowerCase().replace(/\s+/g, ' ') : null,
+    confidence: Math.round(completeness * textConfidence / 100),
+  };
+};
+
+/**
+ * Medicines listed on a prescription.
+ * @param {string} text - extracted prescription text
+ * @param {{ textConfidence?: number }} [options] - OCR confidence scales each
+ *   medicine's confidence
+ * @returns {Object[]} { name, form, strength, frequency, timesPerDay, duration,
+ *   durationDays, instructions, confidence }
+ */
+const extractMedications = (text, { textConfidence = 100 } = {}) => {
+  const lines = text.split('\n');
+  const medications = [];
+
+  lines.forEach((line, index) => {
+    const drug = matchDrugLine(line);
+    if (!drug) return;
+
+    // Frequency and duration are sometimes written on the line below the drug
+    const next = lines[index + 1] || '';
+    if (!parseFrequency(drug.rest) && next.trim() && !matchDrugLine(next) && (parseFrequency(next) || parseDuration(next))) {
+      drug.rest = `${drug.rest}\t${next.trim()}`;
+    }
+    // A dosage form alone does not make a drug ("Tablets to be taken as advised")
+    if (!hasDosing(drug.rest)) return;
+
+    const medication = parseDrug(drug, textConfidence);
+    if (medication && !medications.some((m) => m.name.toLowerCase() === medication.name.toLowerCase())) {
+      medications.push(medication);
+    }
+  });
+
+  return medications;
+};
+
+/**
+ * The prescribing doctor, from a "Consultant: ..." style label or the first
+ * "Dr. ..." in the text, or null.
+ * @param {string} text
+ * @returns {string|null}
+ */
+const extractPrescriber = (text) => {
+  const labelled = text.match(PRESCRIBER_LABEL_REGEX);
+  const name = labelled?.[1] || text.match(DOCTOR_NAME_REGEX)?.[1];
+  if (!name) return null;
+
+  const cleaned = name.replace(QUALIFICATIONS_REGEX, '').replace(/[\s.,]+$/, '').trim();
+  return cleaned.length >= 2 ? `Dr. ${cleaned}` : null;
+};
+
+module.exports = {
+  parseDuration,
+  extractMedications,
+  extractPrescriber,
+};
@@ -0,0 +1,164 @@
+const validator = require('validator');
+
+// Readings are stored in the vital type's canonical (registry) unit and
+// converted on the way in and out. Each alternative unit is described by
+// canonical = value * factor + offset.
+
+// Conversions that depend only on the canonical unit, so they also apply to
+// custom vital types
+const UNIT_CONVERSIONS = {
+  'kg': [{ unit: 'lb', factor: 0.45359237 }],
+  // ft/in readings are carried as total inches
+  'cm': [{ unit: 'in', factor: 2.54 }, { unit: 'ft/in', factor: 2.54 }],
+  '°F': [{ unit: '°C', factor: 1.8, offset: 32 }],
+  'g/dL': [{ unit: 'g/L', factor: 0.1 }],
+  'U/L': [{ unit: 'IU/L', factor: 1 }],
+  'μIU/mL': [{ unit: 'mIU/L', factor: 1 }],
+  'ng/mL': [{ unit: 'μg/L', factor: 1 }],
+  'pg/mL': [{ unit: 'ng/L', factor: 1 }],
+};
+
+// Molar and analyte-specific conversions, keyed by vital type
+const VITAL_CONVERSIONS = {
+  fasting_blood_glucose: [{ unit: 'mmol/L', factor: 18.016 }],
+  cholesterol: [{ unit: 'mmol/L', factor: 38.67 }],
+  hdl: [{ unit: 'mmol/L', factor: 38.67 }],
+  ldl: [{ unit: 'mmol/L', factor: 38.67 }],
+  non_hdl: [{ unit: 'mmol/L', factor: 38.67 }],
+  triglycerides: [{ unit: 'mmol/L', factor: 88.57 }],
+  hemoglobin: [{ unit: 'mmol/L', factor: 1.611 }],
+  creatinine: [{ unit: 'μmol/L', factor: 1 / 88.42 }],
+  urea: [{ unit: 'mmol/L', factor: 6.006 }],
+  calcium: [{ unit: 'mmol/L', factor: 4.008 }],
+  vitamin_d: [{ unit: 'nmol/L', factor: 1 / 2.496 }],
+  vitamin_b12: [{ unit: 'pmol/L', factor: 1.355 }],
+  thyroid_t3: [{ unit: 'nmol/L', factor: 65.1 }],
+  thyroid_t4: [{ unit: 'nmol/L', factor: 1 / 12.87 }],
+  hba1c: [{ unit: 'mmol/mol', factor: 0.0915, offset: 2.15 }],
+  fasting_insulin: [{ unit: 'pmol/L', factor: 1 / 6 }],
+};
+
+// Spellings seen on forms and lab reports, mapped to the key of the unit they mean
+const UNIT_SYNONYMS = {
+  'mg%': 'mg/dl',
+  'mg/100ml': 'mg/dl',
+  'g%': 'g/dl',
+  'lbs': 'lb',
+  'pounds': 'lb',
+  'kgs': 'kg',
+  'inch': 'in',
+  'inches': 'in',
+  'f': '°f',
+  'c': '°c',
+};
+
+// Comparable form of a unit string: case, spacing, HTML escaping and the
+// various ways of typing "micro" and "degree" are ignored
+const unitKey = (unit) => {
+  const key = validator.unescape(String(unit || ''))
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/µ/g, 'μ')
+    .replace(/^(?:u|mc)(?=(?:mol|g|iu)\/)/, 'μ')
+    .replace(/^(?:deg|º)/, '°');
+  return UNIT_SYNONYMS[key] || key;
+};
+
+// Units a vital type can be entered and shown in, canonical unit first
+const getUnitOptions = (vitalType) => {
+  if (!vitalType) return [];
+  const canonical = { unit: vitalType.unit, factor: 1, offset: 0 };
+  if (vitalType.fields) return [canonical];
+
+  return [
+    canonical,
+    ...(VITAL_CONVERSIONS[vitalType.key] || []),
+    ...(UNIT_CONVERSIONS[vitalType.unit] || []),
+  ].map((option) => ({ offset: 0, ...option }));
+};
+
+// The unit option matching a (possibly differently spelled) unit, or null
+const resolveUnit = (vitalType, unit) => {
+  const key = unitKey(unit);
+  return getUnitOptions(vitalType).find((option) => unitKey(option.unit) === key) || null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Convert a value entered in `unit` to the canonical unit; null when the unit
+// is not one the vital type supports
+const toCanonical = (vitalType, value, unit) => {
+  const option = resolveUnit(vitalType, unit);
+  if (!option) return null;
+  return { value: round(value * option.factor + option.offset), unit: vitalType.unit };
+};
+
+const fromCanonical = (vitalType, value, unit) => {
+  const option = resolveUnit(vitalType, unit);
+  if (!option) return { value, unit: vitalType.unit };
+  return { value: round((value - option.offset) / option.factor), unit: option.unit };
+};
+
+// Unit a user wants a vital type shown in (falls back to the canonical unit)
+const preferredUnit = (vitalType, preferences = {}) => {
+  const option = resolveUnit(vitalType, preferences?.[vitalType?.key]);
+  return option ? option.unit : vitalType?.unit;
+};
+
+// Bring a stored reading to the canonical unit. Older rows may have been saved
+// in whatever unit was typed, so their stored unit is honoured when known.
+const normalizeStoredVital = (vital, vitalType) => {
+  if (!vitalType || vital.value === null || vital.value === undefined) return vital;
+  const canonical = toCanonical(vitalType, parseFloat(vital.value), vital.unit);
+  return canonical ? { ...vital, value: canonical.value, unit: canonical.unit } : vital;
+};
+
+const convertRange = (range, vitalType, unit) => {
+  if (!range || range.min === undefined) return range;
+  const convert = (value) => fromCanonical(vitalType, value, unit).value;
+  const min = convert(range.min);
+  const max = convert(range.max);
+  // Keep upper-limit labels such as "<200" in that form
+  const display = typeof range.display === 'string' && range.display.startsWith('<')
+    ? `<${convert(parseFloat(range.display.slice(1)))}`
+    : `${min}-${max}`;
+  return { ...range, min, max, display };
+};
+
+// The lab-printed interval stored with an extracted reading (canonical unit)
+const convertLabRange = (labRange, vitalType, unit) => {
+  const convert = (value) => (value === undefined || value === null
+    ? value
+    : fromCanonical(vitalType, value, unit).value);
+  return { ...labRange, min: convert(labRange.min), max: convert(labRange.max) };
+};
+
+// Convert a canonical reading (with status and reference range already
+// evaluated) to the user's preferred unit
+const convertVitalForUser = (vital, vitalType, preferences) => {
+  if (!vitalType || vitalType.fields) return vital;
+  const unit = preferredUnit(vitalType, preferences);
+  if (unitKey(unit) === unitKey(vitalType.unit)) return vital;
+
+  const converted = fromCanonical(vitalType, parseFloat(vital.value), unit);
+  return {
+    ...vital,
+    value: converted.value,
+    unit: converted.unit,
+    canonical_value: vital.value,
+    canonical_unit: vitalType.unit,
+    ...(vital.reference_range ? { reference_range: convertRange(vital.reference_range, vitalType, unit) } : {}),
+    ...(vital.lab_range ? { lab_range: convertLabRange(vital.lab_range, vitalType, unit) } : {}),
+  };
+};
+
+module.exports = {
+  getUnitOptions,
+  resolveUnit,
+  toCanonical,
+  fromCanonical,
+  preferredUnit,
+  normalizeStoredVital,
+  convertVitalForUser,
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+
+// Shared helpers for files in the uploads directory (UPLOAD_PATH), including
+// unpacking ZIP archives of reports for the PDF agent's batch mode.
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 20 * 1024 * 1024;
+// Guards against ZIP bombs: entries per archive and total unpacked bytes
+const MAX_ZIP_ENTRIES = parseInt(process.env.MAX_ZIP_ENTRIES) || 500;
+const MAX_ZIP_UNPACKED_SIZE = parseInt(process.env.MAX_ZIP_UNPACKED_SIZE) || 1024 * 1024 * 1024;
+
+const ZIP_MIME_TYPES = [
+  'application/zip', 'application/x-zip-compressed', 'application/x-zip',
+  'multipart/x-zip', 'application/octet-stream'
+];
+// Files the PDF agent can read, by extension
+const AGENT_FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const uploadDir = () => process.env.UPLOAD_PATH || '/app/uploads';
+
+/**
+ * Name an upload is stored under: the sanitized original name with a unique
+ * suffix so uploads never overwrite each other.
+ * @param {string} originalname
+ * @returns {string}
+ */
+const storedFileName = (originalname) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const sanitizedName = originalname
+    .replace(/[^a-zA-Z0-9._-]/g, '_') // Replace special chars with underscore
+    .replace(/_{2,}/g, '_') // Replace multiple underscores with single
+    .substring(0, 200); // Limit length
+  const ext = path.extname(originalname);
+  const nameWithoutExt = path.basename(sanitizedName, ext);
+  return `${nameWithoutExt}-${uniqueSuffix}${ext}`;
+};
+
+const isZipFile = (file) =>
+  ZIP_MIME_TYPES.includes(file.mimetype) && path.extname(file.originalname).toLowerCase() === '.zip';
+
+const removeUploadedFile = (fileName) => {
+  const filePath = path.join(uploadDir(), fileName);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+const openZip = (zipPath) => new Promise((resolve, reject) => {
+  yauzl.open(zipPath, { lazyEntries: true }, (error, zipfile) => (error ? reject(error) : resolve(zipfile)));
+});
+
+const writeEntry = (zipfile, entry, targetPath) => new Promise((resolve, reject) => {
+  zipfile.openReadStream(entry, (error, stream) => {
+    if (error) return reject(error);
+    const output = fs.createWriteStream(targetPath);
+    stream.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+    stream.pipe(output);
+  });
+});
+
+/**
+ * Unpack the reports in a ZIP archive into the uploads directory. Folders,
+ * hidden files and anything the agent cannot read are skipped.
+ * @param {string} zipPath
+ * @returns {Promise<{ files: Object[], skipped: { fileName: string, reason: string }[] }>}
+ *   files are shaped like multer files (filename, originalname, mimetype, size)
+ * @throws when the archive is unreadable or unpacks beyond the size limits
+ */
+const extractZip = async (zipPath) => {
+  const zipfile = await openZip(zipPath);
+  const files = [];
+  const skipped = [];
+  let entryCount = 0;
+  let unpackedSize = 0;
+
+  try {
+    await new Promise((resolve, reject) => {
+      zipfile.on('error', reject);
+      zipfile.on('end', resolve);
+      zipfile.on('entry', async (entry) => {
+        try {
+          const baseName = path.posix.basename(entry.fileName);
+          const mimetype = AGENT_FILE_TYPES[path.extname(baseName).toLowerCase()];
+          const isFolder = entry.fileName.endsWith('/');
+          const isHidden = baseName.startsWith('.') || entry.fileName.startsWith('__MACOSX/');
+
+          if (isFolder || isHidden) {
+            // Not a report; nothing to tell the user
+          } else if (!mimetype) {
+            skipped.push({ fileName: entry.fileName, reason: 'Not a PDF, JPEG or PNG file' });
+          } else if (entry.uncompressedSize > MAX_FILE_SIZE) {
+            skipped.push({ fileName: entry.fileName, reason: 'File is too large' });
+          } else {
+            entryCount += 1;
+            unpackedSize += entry.uncompressedSize;
+            if (entryCount > MAX_ZIP_ENTRIES || unpackedSize > MAX_ZIP_UNPACKED_SIZE) {
+              throw new Error('ZIP archive contains too many or too large files');
+            }
+
+            const filename = storedFileName(baseName);
+            files.push({ filename, originalname: baseName, mimetype, size: entry.uncompressedSize });
+            await writeEntry(zipfile, entry, path.join(uploadDir(), filename));
+          }
+          zipfile.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      zipfile.readEntry();
+    });
+  } catch (error) {
+    files.forEach((file) => removeUploadedFile(file.filename));
+    throw error;
+  } finally {
+    zipfile.close();
+  }
+
+  return { files, skipped };
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ZIP_MIME_TYPES,
+  AGENT_FILE_TYPES,
+  storedFileName,
+  isZipFile,
+  removeUploadedFile,
+  extractZip,
+};
@@ -0,0 +1,136 @@
+const { query } = require('../config/database');
+const { getVitalTypeMap, primaryField } = require('./vitalTypes');
+const { evaluateVital } = require('./vitalStatus');
+const { normalizeStoredVital } = require('./unitConversion');
+const { getMemberRecipients, createNotifications } = require('./notifications');
+
+// A reading this far from the member's recent average is reported as a sharp change
+const SHARP_CHANGE_RATIO = 0.25;
+// Number of earlier readings the recent average is taken over
+const TREND_READINGS = 3;
+
+const ABNORMAL_LEVELS = ['low', 'high', 'warning'];
+
+const primaryValue = (vital, vitalType) => (vitalType.fields
+  ? parseFloat(vital.readings?.[primaryField(vitalType)])
+  : parseFloat(vital.value));
+
+const formatReading = (vital, vitalType) => {
+  const reading = vitalType.fields
+    ? vitalType.fields.filter((field) => field.required).map((field) => vital.readings?.[field.key]).join('/')
+    : vital.value;
+  return `${reading} ${vitalType.unit}`.trim();
+};
+
+const formatRange = (referenceRange) => {
+  if (!referenceRange) return null;
+  if (referenceRange.display) return referenceRange.display;
+  return `${referenceRange.min}-${referenceRange.max}`;
+};
+
+// Out-of-range alert for one reading, or null when it is normal
+const rangeAlert = (vital, vitalType, member) => {
+  const { status, referenceRange } = evaluateVital(vitalType, vital, member);
+  if (!ABNORMAL_LEVELS.includes(status.level)) return null;
+
+  const range = formatRange(referenceRange);
+  return {
+    type: 'abnormal_reading',
+    severity: status.level === 'warning' ? 'warning' : 'critical',
+    title: `${member.name}: ${vitalType.label} ${status.label || 'out of range'}`,
+    message: `${formatReading(vital, vitalType)} is outside the reference range${range ? ` (${range})` : ''}`,
+    data: { vitalType: vitalType.key, status },
+  };
+};
+
+// Sharp-change alert comparing the reading with the member's previous readings
+const trendAlert = async (vital, vitalType, member) => {
+  const current = primaryValue(vital, vitalType);
+  if (isNaN(current)) return null;
+
+  const previous = await query(
+    `SELECT value, readings, unit
+     FROM health_vitals
+     WHERE member_id = $1 AND vital_type = $2 AND id <> $3 AND recorded_at < $4
+     ORDER BY recorded_at DESC
+     LIMIT $5`,
+    [vital.member_id, vital.vital_type, vital.id, vital.recorded_at, TREND_READINGS]
+  );
+  const values = previous.rows
+    .map((row) => primaryValue(normalizeStoredVital(row, vitalType), vitalType))
+    .filter((value) => !isNaN(value));
+  if (values.length === 0) return null;
+
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (average === 0) return null;
+  const change = (current - average) / Math.abs(average);
+  if (Math.abs(change) < SHARP_CHANGE_RATIO) return null;
+
+  const percent = Math.round(Math.abs(change) * 100);
+  return {
+    type: 'sharp_change',
+    severity: 'warning',
+    title: `${member.name}: ${vitalType.label} ${change > 0 ? 'rose' : 'dropped'} sharply`,
+    message: `${formatReading(vital, vitalType)} is ${percent}% ${change > 0 ? 'above' : 'below'} the recent average of ${Math.round(average * 100) / 100} ${vitalType.unit}`.trim(),
+    data: { vitalType: vitalType.key, average, change },
+  };
+};
+
+/**
+ * Evaluate newly saved (or edited) readings against their reference ranges and
+ * the member's recent trend, and notify the member's users about anything
+ * abnormal. Failures are logged so saving a vital never fails because of an alert.
+ * @param {Object[]} vitals - stored rows (id, member_id, vital_type, value, readings, unit, recorded_at)
+ * @param {string} familyId
+ * @returns {Promise<Object[]>} notifications created
+ */
+const checkVitalAlerts = async (vitals, familyId) => {
+  try {
+    if (vitals.length === 0) return [];
+
+    // Edited readings are re-evaluated from scratch
+    await query('DELETE FROM notifications WHERE vital_id = ANY($1)', [vitals.map((vital) => vital.id)]);
+
+    const vitalTypes = await getVitalTypeMap(familyId);
+    const members = {};
+    const recipients = {};
+    const created = [];
+
+    for (const stored of vitals) {
+      const vitalType = vitalTypes[stored.vital_type];
+      if (!vitalType) continue;
+
+      if (!members[stored.member_id]) {
+        const memberResult = await query(
+          'SELECT id, name, gender, date_of_birth FROM family_members WHERE id = $1',
+          [stored.member_id]
+        );
+        members[stored.member_id] = memberResult.rows[0];
+        recipients[stored.member_id] = await getMemberRecipients(stored.member_id, familyId);
+      }
+      const member = members[stored.member_id];
+      if (!member || recipients[stored.member_id].length === 0) continue;
+
+      const vital = normalizeStoredVital(stored, vitalType);
+      const alerts = [rangeAlert(vital, vitalType, member), await trendAlert(vital, vitalType, member)]
+        .filter(Boolean);
+
+      for (const alert of alerts) {
+        created.push(...await createNotifications(recipients[stored.member_id], {
+          ...alert,
+          memberId: member.id,
+          vitalId: stored.id,
+        }));
+      }
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Vital alert error:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  checkVitalAlerts,
+};
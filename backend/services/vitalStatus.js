@@ -0,0 +1,186 @@
+// Server-side evaluation of vital readings against the registry's reference
+// ranges, taking the member's gender and age at the time of the reading into account.
+
+// Range keys that are not status bands
+const NON_BAND_KEYS = ['display', 'male', 'female', 'age'];
+
+// How each named band of a tiered type (BMI, cholesterol, vitamin D, ...) is reported
+const BAND_STATUS = {
+  normal: { level: 'normal', label: '' },
+  optimal: { level: 'normal', label: 'Optimal' },
+  sufficient: { level: 'normal', label: 'Sufficient' },
+  underweight: { level: 'low', label: 'Underweight' },
+  deficient: { level: 'low', label: 'Deficient' },
+  impaired: { level: 'low', label: 'Impaired' },
+  low: { level: 'warning', label: 'Low' },
+  insufficient: { level: 'warning', label: 'Insufficient' },
+  reduced: { level: 'warning', label: 'Reduced' },
+  borderline: { level: 'warning', label: 'Borderline' },
+  overweight: { level: 'warning', label: 'Overweight' },
+  prediabetic: { level: 'warning', label: 'Prediabetic' },
+  high: { level: 'high', label: 'High' },
+  obese: { level: 'high', label: 'Obese' },
+  diabetic: { level: 'high', label: 'Diabetic' },
+};
+
+const PRIORITY = { normal: 0, warning: 1, low: 2, high: 2, unknown: 0 };
+
+const UNKNOWN = { level: 'unknown', label: 'Unknown', priority: 0 };
+
+const status = (level, label) => ({ level, label, priority: PRIORITY[level] });
+
+const isSet = (value) => value !== undefined && value !== null;
+
+// Whole years between the date of birth and the reading date
+const ageAt = (dateOfBirth, date) => {
+  if (!dateOfBirth) return null;
+  const birth = new Date(dateOfBirth);
+  const at = date ? new Date(date) : new Date();
+  let age = at.getFullYear() - birth.getFullYear();
+  if (at.getMonth() < birth.getMonth() || (at.getMonth() === birth.getMonth() && at.getDate() < birth.getDate())) {
+    age--;
+  }
+  return Math.max(age, 0);
+};
+
+const formatRange = (range) => `${range.min}-${range.max}`;
+
+// Age band matching the member (minAge inclusive, maxAge exclusive)
+const findAgeBand = (ranges, gender, age) => {
+  if (!Array.isArray(ranges.age) || age === null) return null;
+  return ranges.age.find((band) =>
+    (!isSet(band.minAge) || age >= band.minAge) &&
+    (!isSet(band.maxAge) || age < band.maxAge) &&
+    (!band.gender || band.gender === gender)
+  ) || null;
+};
+
+// Gender range, falling back to the span of both when gender is unknown
+const genderRange = (ranges, gender) => {
+  if (ranges[gender]) return ranges[gender];
+  if (ranges.normal || !ranges.male || !ranges.female) return null;
+  return {
+    min: Math.min(ranges.male.min, ranges.female.min),
+    max: Math.max(ranges.male.max, ranges.female.max),
+  };
+};
+
+const classifySimple = (value, range) => {
+  if (value < range.min) return status('low', 'Low');
+  if (value > range.max) return status('high', 'High');
+  return status('normal', '');
+};
+
+// Pick the band the value falls in; values in the gap between two bands
+// belong to the lower one
+const classifyTiered = (value, ranges) => {
+  const bands = Object.entries(ranges)
+    .filter(([key, band]) => !NON_BAND_KEYS.includes(key) && BAND_STATUS[key] && isSet(band.min))
+    .sort(([, a], [, b]) => a.min - b.min);
+  if (bands.length === 0) return null;
+
+  // Below a bottom band that is itself the normal range (e.g. fasting glucose)
+  if (value < bands[0][1].min && BAND_STATUS[bands[0][0]].level === 'normal') {
+    return status('low', 'Low');
+  }
+
+  let match = bands[0];
+  for (const band of bands) {
+    if (value >= band[1].min) match = band;
+  }
+  const [key, band] = match;
+  // Above the top band of a type whose top band is its normal range (e.g. B12)
+  if (match === bands[bands.length - 1] && isSet(band.max) && value > band.max && BAND_STATUS[key].level === 'normal') {
+    return status('warning', 'High');
+  }
+  return status(BAND_STATUS[key].level, BAND_STATUS[key].label);
+};
+
+const normalBand = (ranges) => ['normal', 'optimal', 'sufficient']
+  .map((key) => ranges[key])
+  .find((band) => band && isSet(band.min));
+
+const evaluateBloodPressure = (readings, ranges) => {
+  const referenceRange = {
+    systolic: ranges.normal.systolic,
+    diastolic: ranges.normal.diastolic,
+    display: ranges.display,
+    basis: 'default',
+  };
+  if (!readings || !isSet(readings.systolic) || !isSet(readings.diastolic)) {
+    return { status: UNKNOWN, referenceRange };
+  }
+
+  const { systolic, diastolic } = readings;
+  let result;
+  if (systolic <= ranges.low.systolic || diastolic <= ranges.low.diastolic) result = status('low', 'Low');
+  else if (systolic <= ranges.normal.systolic && diastolic <= ranges.normal.diastolic) result = status('normal', '');
+  else if (systolic <= ranges.elevated.systolic && diastolic <= ranges.elevated.diastolic) result = status('warning', 'Elevated');
+  else if (systolic <= ranges.stage1.systolic && diastolic <= ranges.stage1.diastolic) result = status('warning', 'Stage 1');
+  else result = status('high', 'Stage 2');
+
+  return { status: result, referenceRange };
+};
+
+/**
+ * Evaluate one reading against its vital type.
+ * @param {Object} vitalType - registry entry (ranges, fields)
+ * @param {Object} vital - reading with value, readings and recorded_at
+ * @param {Object} member - { gender, date_of_birth }
+ * @returns {{ status: { level, label, priority }, referenceRange: Object|null }}
+ */
+const evaluateVital = (vitalType, vital, member = {}) => {
+  const ranges = vitalType?.ranges;
+  if (!ranges) return { status: UNKNOWN, referenceRange: null };
+
+  if (vitalType.fields) {
+    return vitalType.key === 'blood_pressure'
+      ? evaluateBloodPressure(vital.readings, ranges)
+      : { status: UNKNOWN, referenceRange: null };
+  }
+
+  const value = parseFloat(vital.value);
+  const gender = member.gender;
+
+  const ageBand = findAgeBand(ranges, gender, ageAt(member.date_of_birth, vital.recorded_at));
+  if (ageBand) {
+    return {
+      status: isNaN(value) ? UNKNOWN : classifySimple(value, ageBand),
+      referenceRange: { min: ageBand.min, max: ageBand.max, display: formatRange(ageBand), basis: 'age' },
+    };
+  }
+
+  const byGender = genderRange(ranges, gender);
+  if (byGender) {
+    return {
+      status: isNaN(value) ? UNKNOWN : classifySimple(value, byGender),
+      referenceRange: { min: byGender.min, max: byGender.max, display: formatRange(byGender), basis: 'gender' },
+    };
+  }
+
+  const band = normalBand(ranges);
+  if (!band) return { status: UNKNOWN, referenceRange: null };
+
+  const tiered = Object.keys(ranges).some((key) => !NON_BAND_KEYS.includes(key) && key !== 'normal');
+  let result = UNKNOWN;
+  if (!isNaN(value)) {
+    result = tiered ? (classifyTiered(value, ranges) || UNKNOWN) : classifySimple(value, band);
+  }
+
+  return {
+    status: result,
+    referenceRange: { min: band.min, max: band.max, display: ranges.display || formatRange(band), basis: 'default' },
+  };
+};
+
+// Attach `status` and `reference_range` to each reading of a member
+const withVitalStatus = (vitals, vitalTypeMap, member) => vitals.map((vital) => {
+  const { status: vitalStatus, referenceRange } = evaluateVital(vitalTypeMap[vital.vital_type], vital, member);
+  return { ...vital, status: vitalStatus, reference_range: referenceRange };
+});
+
+module.exports = {
+  ageAt,
+  evaluateVital,
+  withVitalStatus,
+};
@@ -0,0 +1,192 @@
+const { query } = require('../config/database');
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+
+const CACHE_TTL_MS = 60 * 1000;
+const VALUE_SUFFIX = '(?:[\\s:(]*|.*?\\n.*?){0,3}?(\\d+\\.?\\d*)';
+
+// Cached registry per family ('builtin' when no family is given)
+const cache = new Map();
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Insert any built-in types missing from the registry. Existing rows are left
+// alone apart from gaining the default age bands when they have none and
+// following whether the type is calculated; a type that became recordable
+// (LDL) also gains the default extraction hints.
+const seedVitalTypes = async () => {
+  try {
+    for (const [index, type] of DEFAULT_VITAL_TYPES.entries()) {
+      await query(
+        `INSERT INTO vital_types
+          (key, label, unit, placeholder, ranges, fields, aliases, extraction, calculated, sort_order)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (key) WHERE family_id IS NULL DO UPDATE
+           SET ranges = CASE WHEN EXCLUDED.ranges ? 'age' AND NOT (vital_types.ranges ? 'age')
+                          THEN vital_types.ranges || jsonb_build_object('age', EXCLUDED.ranges->'age')
+                          ELSE vital_types.ranges END,
+               extraction = CASE WHEN vital_types.calculated AND NOT EXCLUDED.calculated
+                              THEN COALESCE(vital_types.extraction, EXCLUDED.extraction)
+                              ELSE vital_types.extraction END,
+               calculated = EXCLUDED.calculated
+           WHERE (EXCLUDED.ranges ? 'age' AND NOT (vital_types.ranges ? 'age'))
+             OR vital_types.calculated IS DISTINCT FROM EXCLUDED.calculated`,
+        [
+          type.key,
+          type.label,
+          type.unit,
+          type.placeholder || null,
+          type.ranges ? JSON.stringify(type.ranges) : null,
+          type.fields ? JSON.stringify(type.fields) : null,
+          JSON.stringify(type.aliases || []),
+          type.extraction ? JSON.stringify(type.extraction) : null,
+          Boolean(type.calculated),
+          index,
+        ]
+      );
+    }
+    cache.clear();
+    console.log('✅ Vital type registry ready');
+  } catch (error) {
+    console.error('❌ Vital type seeding failed:', error.message);
+  }
+};
+
+// Built-in types plus the family's custom types. A custom type with the same
+// key as a built-in one takes its place for that family.
+const getVitalTypes = async (familyId = null) => {
+  const cacheKey = familyId || 'builtin';
+  const cached = cache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.types;
+  }
+
+  const result = await query(
+    `SELECT key, label, unit, placeholder, ranges, fields, aliases, extraction, calculated, sort_order,
+            family_id IS NOT NULL AS custom
+     FROM vital_types
+     WHERE family_id IS NULL OR family_id = $1
+     ORDER BY sort_order, label`,
+    [familyId]
+  );
+
+  const customKeys = new Set(result.rows.filter((type) => type.custom).map((type) => type.key));
+  const types = result.rows.filter((type) => type.custom || !customKeys.has(type.key));
+
+  cache.set(cacheKey, { types, loadedAt: Date.now() });
+  return types;
+};
+
+const getVitalTypeMap = async (familyId = null) => {
+  const types = await getVitalTypes(familyId);
+  return Object.fromEntries(types.map((type) => [type.key, type]));
+};
+
+const invalidateVitalTypes = () => {
+  cache.clear();
+};
+
+// Key for a new custom type, e.g. "Uric Acid" -> "uric_acid"
+const slugifyVitalKey = (label) => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .substring(0, 50)
+  .replace(/^_+|_+$/g, '');
+
+const formatRange = (range) => `${range.min}-${range.max}`;
+
+// Build the stored ranges for a custom type from request input, keeping only
+// known keys: normal, male/female and age bands ({ minAge, maxAge, gender, min, max })
+const buildCustomRanges = (input = {}) => {
+  const toRange = (range) => ({ min: parseFloat(range.min), max: parseFloat(range.max) });
+  const ranges = { normal: toRange(input.normal) };
+
+  for (const gender of ['male', 'female']) {
+    if (input[gender] && input[gender].min !== undefined && input[gender].max !== undefined) {
+      ranges[gender] = toRange(input[gender]);
+    }
+  }
+
+  if (Array.isArray(input.age) && input.age.length > 0) {
+    ranges.age = input.age.map((band) => ({
+      minAge: band.minAge !== undefined && band.minAge !== null && band.minAge !== '' ? parseFloat(band.minAge) : null,
+      maxAge: band.maxAge !== undefined && band.maxAge !== null && band.maxAge !== '' ? parseFloat(band.maxAge) : null,
+      gender: band.gender || null,
+      ...toRange(band),
+    }));
+  }
+
+  ranges.display = ranges.male && ranges.female
+    ? `M: ${formatRange(ranges.male)}, F: ${formatRange(ranges.female)}`
+    : formatRange(ranges.normal);
+
+  return ranges;
+};
+
+// Validate and coerce compound readings to numbers; null if incomplete
+const normalizeReadings = (vitalType, readings) => {
+  if (!vitalType?.fields || !readings || typeof readings !== 'object' || Array.isArray(readings)) {
+    return null;
+  }
+
+  const normalized = {};
+  for (const field of vitalType.fields) {
+    const raw = readings[field.key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required) return null;
+      continue;
+    }
+    const num = parseFloat(raw);
+    if (isNaN(num)) return null;
+    normalized[field.key] = num;
+  }
+  return normalized;
+};
+
+// The component of a compound reading that is also stored in `value`
+const primaryField = (vitalType) => vitalType.fields.find((field) => field.required).key;
+
+// Regex source matching the analyte name of an extractable type, or null when
+// the type has no extraction hints (or is compound/calculated)
+const extractionNamePattern = (vitalType) => {
+  if (!vitalType.extraction || vitalType.fields || vitalType.calculated) return null;
+
+  return vitalType.extraction.pattern
+    || (vitalType.aliases?.length ? vitalType.aliases : [vitalType.label])
+      .map((alias) => `\\b${escapeRegex(alias.toLowerCase()).replace(/\s+/g, '\\s*')}\\b`)
+      .join('|')
+    || null;
+};
+
+const compileExtractionRegex = (vitalType, source, flags) => {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    console.error(`Invalid extraction pattern for ${vitalType.key}:`, error.message);
+    return null;
+  }
+};
+
+// Regex that finds the analyte name followed by its value
+const buildExtractionRegex = (vitalType) => {
+  const namePattern = extractionNamePattern(vitalType);
+  return namePattern ? compileExtractionRegex(vitalType, `(?:${namePattern})${VALUE_SUFFIX}`, 'i') : null;
+};
+
+// Regex that finds just the analyte name (used to read lab table rows)
+const buildNameRegex = (vitalType) => {
+  const namePattern = extractionNamePattern(vitalType);
+  return namePattern ? compileExtractionRegex(vitalType, `(?:${namePattern})`, 'i') : null;
+};
+
+module.exports = {
+  seedVitalTypes,
+  getVitalTypes,
+  getVitalTypeMap,
+  invalidateVitalTypes,
+  slugifyVitalKey,
+  buildCustomRanges,
+  normalizeReadings,
+  primaryField,
+  buildExtractionRegex,
+  buildNameRegex,
+};
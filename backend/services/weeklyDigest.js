@@ -0,0 +1,94 @@
+const validator = require('validator');
+const { query } = require('../config/database');
+const { wantsEmail, appUrl, queueUserEmail } = require('./emailQueue');
+
+// Digests go out on this weekday (0 = Sunday) to users who had none in the past week
+const DIGEST_WEEKDAY = 1;
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastCheck = 0;
+
+const ALERT_TYPES = ['abnormal_reading', 'sharp_change'];
+
+// Members the user can see: the whole family for admins, otherwise their own profile
+const getVisibleMembers = async (user) => {
+  const result = user.role === 'admin'
+    ? await query('SELECT id, name FROM family_members WHERE family_id = $1 ORDER BY name', [user.family_id])
+    : await query('SELECT id, name FROM family_members WHERE user_id = $1', [user.id]);
+  return result.rows;
+};
+
+// Plain-text summary of the past week for one user, or null when nothing happened
+const buildDigest = async (user) => {
+  const members = await getVisibleMembers(user);
+  const sections = [];
+
+  for (const member of members) {
+    const vitalsResult = await query(
+      `SELECT COUNT(*) as count FROM health_vitals
+       WHERE member_id = $1 AND created_at >= NOW() - INTERVAL '7 days'`,
+      [member.id]
+    );
+    const reportsResult = await query(
+      `SELECT COUNT(*) as count FROM medical_reports
+       WHERE member_id = $1 AND created_at >= NOW() - INTERVAL '7 days'`,
+      [member.id]
+    );
+    const alertsResult = await query(
+      `SELECT title FROM notifications
+       WHERE user_id = $1 AND member_id = $2 AND type = ANY($3)
+         AND created_at >= NOW() - INTERVAL '7 days'
+       ORDER BY created_at DESC
+       LIMIT 5`,
+      [user.id, member.id, ALERT_TYPES]
+    );
+
+    const vitals = parseInt(vitalsResult.rows[0].count);
+    const reports = parseInt(reportsResult.rows[0].count);
+    if (vitals === 0 && reports === 0 && alertsResult.rows.length === 0) continue;
+
+    const lines = [
+      `${validator.unescape(member.name)}: ${vitals} new reading(s), ${reports} new report(s)`,
+      ...alertsResult.rows.map((alert) => `  - ${alert.title}`),
+    ];
+    sections.push(lines.join('\n'));
+  }
+
+  if (sections.length === 0) return null;
+  return [
+    `Hello ${user.first_name || ''},`.replace(' ,', ','),
+    `Here is what was added to ${user.family_name} in Life Vault this week.`,
+    ...sections,
+    `Open Life Vault: ${appUrl()}`,
+  ].join('\n\n');
+};
+
+// Queue this week's digest for every user who wants one (worker job)
+const sendWeeklyDigests = async () => {
+  const now = new Date();
+  if (now.getDay() !== DIGEST_WEEKDAY || now.getTime() - lastCheck < CHECK_INTERVAL_MS) return;
+  lastCheck = now.getTime();
+
+  const usersResult = await query(
+    `SELECT u.id, u.first_name, u.role, u.family_id, u.notification_preferences, f.name as family_name
+     FROM users u
+     JOIN families f ON u.family_id = f.id
+     WHERE NOT EXISTS (
+       SELECT 1 FROM email_queue eq
+       WHERE eq.user_id = u.id AND eq.category = 'digest' AND eq.created_at >= NOW() - INTERVAL '6 days'
+     )`
+  );
+
+  for (const user of usersResult.rows) {
+    if (!wantsEmail(user.notification_preferences, 'digest')) continue;
+
+    const text = await buildDigest(user);
+    if (text) {
+      await queueUserEmail(user.id, 'digest', { subject: 'Your weekly Life Vault digest', text });
+    }
+  }
+};
+
+module.exports = {
+  sendWeeklyDigests,
+};
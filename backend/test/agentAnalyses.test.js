@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'life-vault-test-'));
+process.env.UPLOAD_PATH = uploadDir;
+
+const db = installFakeDatabase();
+const {
+  createAnalysis,
+  startAnalysis,
+  saveProposal,
+  completeAnalysis,
+  discardAnalysis,
+  sweepExpiredAnalyses,
+} = require('../services/agentAnalyses');
+
+const ANALYSIS_ID = '0b5e8e36-1b1c-4f4e-9c56-1f6f3a1b2c3d';
+
+const writeUpload = (fileName) => {
+  fs.writeFileSync(path.join(uploadDir, fileName), 'report');
+  return fileName;
+};
+
+const uploadExists = (fileName) => fs.existsSync(path.join(uploadDir, fileName));
+
+beforeEach(() => db.reset());
+
+after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('createAnalysis', () => {
+  it('records the upload and returns its id', async () => {
+    db.respond(() => ({ rows: [{ id: ANALYSIS_ID }] }));
+    const file = { filename: 'stored.pdf', originalname: 'Lipid profile.pdf', size: 1024, mimetype: 'application/pdf' };
+
+    assert.equal(await createAnalysis({ familyId: 'family-1', userId: 'user-1', file }), ANALYSIS_ID);
+    const [{ text, params }] = db.calls;
+    assert.match(text, /INSERT INTO agent_analyses/);
+    assert.deepEqual(params.slice(0, 8), ['family-1', 'user-1', 'stored.pdf', 'Lipid profile.pdf', 1024, 'application/pdf', null, 'analyzing']);
+  });
+
+  it('queues the files of a batch', async () => {
+    db.respond(() => ({ rows: [{ id: ANALYSIS_ID }] }));
+    const file = { filename: 'stored.pdf', originalname: 'Scan.pdf', size: 10, mimetype: 'application/pdf' };
+
+    await createAnalysis({ familyId: 'family-1', userId: 'user-1', file, batchId: 'batch-1' });
+    assert.deepEqual(db.calls[0].params.slice(6, 8), ['batch-1', 'queued']);
+  });
+});
+
+describe('startAnalysis', () => {
+  it('starts a queued analysis only', async () => {
+    db.respond(() => ({ rowCount: 1 }));
+    assert.equal(await startAnalysis(ANALYSIS_ID), true);
+    assert.match(db.calls[0].text, /SET status = 'analyzing'[\s\S]*WHERE id = \$1 AND status = 'queued'/);
+
+    db.respond(() => ({ rowCount: 0 }));
+    assert.equal(await startAnalysis(ANALYSIS_ID), false);
+  });
+});
+
+describe('saveProposal', () => {
+  it('moves the analysis to awaiting review with its proposal', async () => {
+    db.respond(() => ({ rowCount: 1 }));
+    assert.equal(await saveProposal(ANALYSIS_ID, { proposal: { title: 'Lipid profile' }, text: 'LDL 120' }), true);
+
+    const [{ text, params }] = db.calls;
+    assert.match(text, /SET status = 'awaiting_review'[\s\S]*WHERE id = \$1 AND status = 'analyzing'/);
+    assert.deepEqual(params.slice(0, 3), [ANALYSIS_ID, '{"title":"Lipid profile"}', 'LDL 120']);
+  });
+
+  it('returns false for an analysis discarded or expired while it ran', async () => {
+    assert.equal(await saveProposal(ANALYSIS_ID, { proposal: {}, text: '' }), false);
+  });
+});
+
+describe('completeAnalysis', () => {
+  it('confirms only an analysis awaiting review', async () => {
+    db.respond(() => ({ rowCount: 1 }));
+    assert.equal(await completeAnalysis(ANALYSIS_ID, { recordType: 'report', recordId: 'report-1' }), true);
+    assert.match(db.calls[0].text, /SET status = 'confirmed'[\s\S]*WHERE id = \$1 AND status = 'awaiting_review'/);
+
+    db.respond(() => ({ rowCount: 0 }));
+    assert.equal(await completeAnalysis(ANALYSIS_ID, { recordType: 'report', recordId: 'report-1' }), false);
+  });
+
+  it('runs in the given transaction client', async () => {
+    const calls = [];
+    const client = { query: async (text) => { calls.push(text); return { rowCount: 1 }; } };
+
+    assert.equal(await completeAnalysis(ANALYSIS_ID, { recordType: 'document', recordId: 'doc-1' }, client), true);
+    assert.equal(calls.length, 1);
+    assert.equal(db.calls.length, 0);
+  });
+});
+
+describe('discardAnalysis', () => {
+  it('discards an unconfirmed analysis and deletes its upload', async () => {
+    const fileName = writeUpload('discard.pdf');
+    db.respond(() => ({ rows: [{ file_path: fileName }] }));
+
+    assert.equal(await discardAnalysis(ANALYSIS_ID, { familyId: 'family-1', error: 'Unreadable' }), true);
+    const [{ text, params }] = db.calls;
+    assert.match(text, /SET status = 'discarded'/);
+    assert.match(text, /status IN \('queued', 'analyzing', 'awaiting_review'\)/);
+    assert.deepEqual(params, [ANALYSIS_ID, 'family-1', 'Unreadable']);
+    assert.equal(uploadExists(fileName), false);
+  });
+
+  it('returns false when there is nothing to discard', async () => {
+    assert.equal(await discardAnalysis(ANALYSIS_ID), false);
+  });
+});
+
+describe('sweepExpiredAnalyses', () => {
+  it('expires stale analyses and deletes their uploads', async () => {
+    const files = [writeUpload('expired-1.pdf'), writeUpload('expired-2.pdf')];
+    const kept = writeUpload('kept.pdf');
+    db.respond(() => ({ rows: files.map((fileName) => ({ file_path: fileName })) }));
+
+    await sweepExpiredAnalyses();
+    assert.match(db.calls[0].text, /SET status = 'expired'/);
+    // Queued files wait for their TTL; running ones are stuck an hour after they started
+    assert.match(db.calls[0].text, /status IN \('queued', 'awaiting_review'\) AND expires_at <= NOW\(\)/);
+    assert.match(db.calls[0].text, /status = 'analyzing' AND updated_at <= /);
+    assert.deepEqual(files.map(uploadExists), [false, false]);
+    assert.equal(uploadExists(kept), true);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'life-vault-test-'));
+process.env.UPLOAD_PATH = uploadDir;
+process.env.MAX_BATCH_FILES = '2';
+process.env.MAX_FILE_SIZE = '1000';
+
+const db = installFakeDatabase();
+
+// The analysis itself is covered elsewhere; each test decides how a file ends
+const PDF_AGENT_MODULE = path.join(__dirname, '..', 'services', 'pdfAgent.js');
+let analyzePdfAgent = async () => {
+  throw new Error('not analyzed');
+};
+require.cache[PDF_AGENT_MODULE] = {
+  id: PDF_AGENT_MODULE,
+  filename: PDF_AGENT_MODULE,
+  loaded: true,
+  exports: { analyzePdfAgent: (params) => analyzePdfAgent(params) },
+};
+
+const { PdfPasswordError } = require('../services/pdfPassword');
+const { startBatch } = require('../services/agentBatch');
+
+const USER = { id: 'user-1', family_id: 'family-1' };
+
+const upload = (name, size = 100) => {
+  const filename = `stored-${name}`;
+  fs.writeFileSync(path.join(uploadDir, filename), 'report');
+  return { filename, originalname: name, size, mimetype: 'application/pdf' };
+};
+
+const uploadExists = (file) => fs.existsSync(path.join(uploadDir, file.filename));
+
+beforeEach(() => db.reset());
+
+after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('startBatch', () => {
+  it('skips files over the size and batch limits and deletes them', async () => {
+    const files = [upload('a.pdf'), upload('huge.pdf', 5000), upload('b.pdf'), upload('c.pdf')];
+    db.respond(() => {
+      throw new Error('database unavailable');
+    });
+
+    await assert.rejects(startBatch({ files, user: USER }), /database unavailable/);
+    assert.deepEqual(files.map(uploadExists), [false, false, false, false]);
+  });
+
+  it('deletes the uploads that have no analysis when recording one fails', async () => {
+    const files = [upload('first.pdf'), upload('second.pdf')];
+    let inserts = 0;
+    db.respond(() => {
+      inserts += 1;
+      if (inserts > 1) throw new Error('insert failed');
+      return { rows: [{ id: 'analysis-1' }] };
+    });
+
+    await assert.rejects(startBatch({ files, user: USER }), /insert failed/);
+    assert.equal(uploadExists(files[0]), true);
+    assert.equal(uploadExists(files[1]), false);
+  });
+
+  it('streams the queued files, then the outcome of each', async () => {
+    const files = [upload('report.pdf'), upload('locked.pdf')];
+    let inserts = 0;
+    db.respond((text) => {
+      if (/INSERT INTO agent_analyses/.test(text)) return { rows: [{ id: `analysis-${++inserts}` }] };
+      if (/SET status = 'analyzing'/.test(text)) return { rowCount: 1 };
+      return null;
+    });
+    analyzePdfAgent = async ({ analysisId, onStep }) => {
+      if (analysisId === 'analysis-2') throw new PdfPasswordError(false);
+      onStep({ id: 'extract', status: 'done' });
+      return { proposal: { category: 'report', memberName: 'Asha', vitals: [{}, {}] } };
+    };
+
+    const events = [];
+    const complete = await startBatch({ files, user: USER, onEvent: (event) => events.push(event) });
+
+    const [batch] = events;
+    assert.equal(batch.type, 'batch');
+    assert.deepEqual(batch.files.map((f) => [f.analysisId, f.status]), [['analysis-1', 'queued'], ['analysis-2', 'queued']]);
+    assert.deepEqual(events.filter((event) => event.type === 'file').map((event) => [event.analysisId, event.status]), [
+      ['analysis-1', 'analyzing'],
+      ['analysis-1', 'awaiting_review'],
+      ['analysis-2', 'analyzing'],
+      ['analysis-2', 'password_required'],
+    ]);
+    assert.ok(events.some((event) => event.type === 'step' && event.analysisId === 'analysis-1'));
+    assert.equal(events.find((event) => event.status === 'awaiting_review').message, 'Report for Asha · 2 lab values');
+    assert.deepEqual(events.at(-1), complete);
+    assert.deepEqual(complete, {
+      type: 'batch_complete',
+      batchId: batch.batchId,
+      total: 2,
+      awaiting_review: 1,
+      password_required: 1,
+      failed: 0,
+    });
+  });
+
+  it('skips queued files that were discarded before their turn', async () => {
+    db.respond((text) => (/INSERT INTO agent_analyses/.test(text) ? { rows: [{ id: 'analysis-1' }] } : null));
+    let analyzed = false;
+    analyzePdfAgent = async () => {
+      analyzed = true;
+    };
+
+    const events = [];
+    const complete = await startBatch({ files: [upload('discarded.pdf')], user: USER, onEvent: (event) => events.push(event) });
+    assert.equal(analyzed, false);
+    assert.equal(events.find((event) => event.type === 'file').status, 'failed');
+    assert.equal(complete.failed, 1);
+  });
+});
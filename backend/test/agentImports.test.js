@@ -0,0 +1,191 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'life-vault-test-'));
+process.env.UPLOAD_PATH = uploadDir;
+process.env.JWT_SECRET = 'test-secret';
+
+const db = installFakeDatabase();
+const { undoImport } = require('../services/agentImports');
+const healthRoutes = require('../routes/health');
+
+const IMPORT_ID = '5f0c7f0e-8f5b-4f43-9a57-3c2a5b1d9e10';
+const ANALYSIS_ID = '0b5e8e36-1b1c-4f4e-9c56-1f6f3a1b2c3d';
+const USERS = {
+  admin: { id: 'user-admin', family_id: 'family-1', role: 'admin' },
+  importer: { id: 'user-importer', family_id: 'family-1', role: 'member' },
+  other: { id: 'user-other', family_id: 'family-1', role: 'member' },
+};
+
+const importRow = (overrides = {}) => ({
+  id: IMPORT_ID,
+  analysis_id: ANALYSIS_ID,
+  member_id: 'member-1',
+  member_name: 'Asha',
+  imported_by: USERS.importer.id,
+  record_type: 'report',
+  record_id: 'report-1',
+  file_name: 'Lipid profile.pdf',
+  vitals_count: 4,
+  undone_at: null,
+  ...overrides,
+});
+
+// Answers for an import that is still in place: deleting it finds its rows
+const importInPlace = (fileName) => (text, params) => {
+  if (/FROM users/.test(text)) return { rows: [Object.values(USERS).find((user) => user.id === params[0])] };
+  if (/FROM agent_imports/.test(text)) return { rows: [importRow()] };
+  if (/UPDATE agent_imports/.test(text)) return { rows: [{ analysis_id: ANALYSIS_ID, file_path: fileName }] };
+  if (/DELETE FROM health_vitals/.test(text)) return { rowCount: 4 };
+  if (/DELETE FROM medications/.test(text)) return { rowCount: 2 };
+  if (/DELETE FROM medical_reports/.test(text)) return { rowCount: 1 };
+  return null;
+};
+
+const writeUpload = (fileName) => {
+  fs.writeFileSync(path.join(uploadDir, fileName), 'report');
+  return fileName;
+};
+
+const uploadExists = (fileName) => fs.existsSync(path.join(uploadDir, fileName));
+
+const statements = () => db.calls.map(({ text }) => text.trim().split(/\s+/).slice(0, 3).join(' '));
+
+beforeEach(() => db.reset());
+
+after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('undoImport', () => {
+  it('deletes what the import created in one transaction, then its file', async () => {
+    const fileName = writeUpload('import.pdf');
+    db.respond(importInPlace(fileName));
+
+    assert.deepEqual(await undoImport(IMPORT_ID, USERS.admin.id), {
+      vitalsRemoved: 4,
+      medicationsRemoved: 2,
+      recordRemoved: true,
+    });
+    assert.deepEqual(statements(), [
+      'BEGIN',
+      'UPDATE agent_imports SET',
+      'DELETE FROM health_vitals',
+      'DELETE FROM medications',
+      'DELETE FROM medical_reports',
+      'DELETE FROM documents',
+      'DELETE FROM agent_corrections',
+      'COMMIT',
+    ]);
+    assert.ok(db.calls.slice(2, 7).every(({ params }) => params[0] === IMPORT_ID || params[0] === ANALYSIS_ID));
+    assert.equal(uploadExists(fileName), false);
+  });
+
+  it('returns null and deletes nothing when the import was already undone', async () => {
+    const fileName = writeUpload('undone.pdf');
+
+    assert.equal(await undoImport(IMPORT_ID, USERS.admin.id), null);
+    assert.deepEqual(statements(), ['BEGIN', 'UPDATE agent_imports SET', 'COMMIT']);
+    assert.equal(uploadExists(fileName), true);
+  });
+
+  it('keeps the file when the transaction fails', async () => {
+    const fileName = writeUpload('rolled-back.pdf');
+    db.respond((text, params) => {
+      if (/DELETE FROM medications/.test(text)) throw new Error('delete failed');
+      return importInPlace(fileName)(text, params);
+    });
+
+    await assert.rejects(undoImport(IMPORT_ID, USERS.admin.id), /delete failed/);
+    assert.equal(statements().at(-1), 'ROLLBACK');
+    assert.equal(uploadExists(fileName), true);
+  });
+});
+
+describe('undo cascade', () => {
+  const SCHEMA_FILES = ['../../database/init.sql', '../../database/init-db.sh', '../init-db.js', '../database/migrate.js'];
+
+  // Dose logs and history of a deleted medication go with it
+  it('deletes the dose logs and history of removed medications', () => {
+    SCHEMA_FILES.forEach((file) => {
+      const schema = fs.readFileSync(path.join(__dirname, file), 'utf8');
+      ['medication_doses', 'medication_history'].forEach((table) => {
+        const definition = schema.match(new RegExp(`CREATE TABLE (?:IF NOT EXISTS )?${table} \\(([^;]*)`))?.[1];
+        assert.match(definition, /medication_id UUID NOT NULL REFERENCES medications\(id\) ON DELETE CASCADE/, `${table} in ${file}`);
+      });
+    });
+  });
+});
+
+describe('POST /agent/imports/:importId/undo', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/health', healthRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/health`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const undo = async (user, importId = IMPORT_ID) => {
+    const response = await fetch(`${baseUrl}/agent/imports/${importId}/undo`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET)}` },
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('lets the importer undo their import', async () => {
+    db.respond(importInPlace(writeUpload('by-importer.pdf')));
+
+    const { status, body } = await undo(USERS.importer);
+    assert.equal(status, 200);
+    assert.deepEqual(body, {
+      message: 'Import undone successfully',
+      vitalsRemoved: 4,
+      medicationsRemoved: 2,
+      recordRemoved: true,
+    });
+  });
+
+  it('lets an admin undo anyone\'s import', async () => {
+    db.respond(importInPlace(writeUpload('by-admin.pdf')));
+    assert.equal((await undo(USERS.admin)).status, 200);
+  });
+
+  it('refuses other members', async () => {
+    db.respond(importInPlace(writeUpload('by-other.pdf')));
+
+    const { status, body } = await undo(USERS.other);
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Access denied');
+    assert.ok(!db.calls.some(({ text }) => /DELETE/.test(text)));
+  });
+
+  it('answers 409 when the import was already undone', async () => {
+    db.respond((text, params) => (/UPDATE agent_imports/.test(text) ? null : importInPlace('gone.pdf')(text, params)));
+
+    const { status, body } = await undo(USERS.admin);
+    assert.equal(status, 409);
+    assert.equal(body.error, 'Import already undone');
+    assert.ok(!db.calls.some(({ text }) => /DELETE/.test(text)));
+  });
+
+  it('answers 404 for an unknown or malformed import id', async () => {
+    db.respond((text, params) => (/FROM agent_imports/.test(text) ? null : importInPlace('none.pdf')(text, params)));
+
+    assert.equal((await undo(USERS.admin)).status, 404);
+    assert.equal((await undo(USERS.admin, 'not-a-uuid')).status, 404);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const db = installFakeDatabase();
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+const { documentFingerprint, loadLearning, applyRemovals, recordCorrections } = require('../services/agentLearning');
+
+const REPORT = [
+  'Sunrise Diagnostic Centre',
+  'Patient Name : Mrs. Asha Rao    Age : 52',
+  'Reported On: 12/03/2024',
+  'HbA1c\t4.0-5.6\t6.1\t%',
+].join('\n');
+
+const correction = (field, labKey, patientKey, correctedValue) => ({
+  field,
+  lab_key: labKey,
+  patient_key: patientKey,
+  corrected_value: correctedValue,
+});
+
+beforeEach(() => db.reset());
+
+describe('documentFingerprint', () => {
+  it('keys a document by its lab header and patient name', () => {
+    assert.deepEqual(documentFingerprint(REPORT), { labKey: 'sunrise diagnostic centre', patientKey: 'asha rao' });
+  });
+
+  it('leaves out what it cannot find', () => {
+    assert.deepEqual(documentFingerprint('Blood sugar 110'), { labKey: null, patientKey: null });
+  });
+});
+
+describe('loadLearning', () => {
+  it('does not query without a fingerprint', async () => {
+    const learning = await loadLearning('family-1', { labKey: null, patientKey: null });
+    assert.equal(learning.memberId, null);
+    assert.equal(db.calls.length, 0);
+  });
+
+  it('combines the latest corrections for the lab and patient', async () => {
+    const lab = 'sunrise diagnostic centre';
+    db.respond(() => ({
+      rows: [
+        correction('member', 'other lab', 'asha rao', { memberId: 'member-other-lab' }),
+        correction('member', lab, 'asha rao', { memberId: 'member-1' }),
+        correction('category', lab, 'ravi', { category: 'report' }),
+        correction('report_date', lab, 'ravi', { reportDate: '2024-03-12', dateLabel: 'Reported On' }),
+        correction('vital', lab, 'ravi', { vitalType: 'hba1c', action: 'value', value: 6.1, valueIndex: 2 }),
+        correction('vital', lab, 'ravi', { vitalType: 'hba1c', action: 'value', value: 6.3, valueIndex: 1 }),
+        correction('vital', lab, 'ravi', { vitalType: 'tsh', action: 'removed' }),
+        correction('vital', 'other lab', 'asha rao', { vitalType: 'tsh', action: 'removed' }),
+      ],
+    }));
+
+    assert.deepEqual(await loadLearning('family-1', { labKey: lab, patientKey: 'asha rao' }), {
+      memberId: 'member-1',
+      category: 'report',
+      dateLabel: 'Reported On',
+      layouts: { hba1c: 2 },
+      removedVitals: { tsh: 1 },
+    });
+  });
+
+  it('learns nothing when the lookup fails', async () => {
+    db.respond(() => {
+      throw new Error('database unavailable');
+    });
+    const learning = await loadLearning('family-1', { labKey: 'lab', patientKey: null });
+    assert.deepEqual(learning.layouts, {});
+  });
+});
+
+describe('applyRemovals', () => {
+  it('drops vitals removed repeatedly and lowers the confidence of ones removed once', () => {
+    const vitals = [
+      { vitalType: 'tsh', confidence: 90 },
+      { vitalType: 'hba1c', confidence: 90 },
+      { vitalType: 'ldl', confidence: 90 },
+    ];
+    assert.deepEqual(applyRemovals(vitals, { tsh: 2, hba1c: 1 }), [
+      { vitalType: 'hba1c', confidence: 30 },
+      { vitalType: 'ldl', confidence: 90 },
+    ]);
+  });
+});
+
+describe('recordCorrections', () => {
+  const user = { id: 'user-1', family_id: 'family-1' };
+  const analysis = {
+    id: 'analysis-1',
+    extracted_text: REPORT,
+    proposal: {
+      memberId: 'member-2',
+      category: 'report',
+      reportDate: '2024-03-11',
+      vitals: [{ vitalType: 'hba1c', value: 5.6 }],
+    },
+  };
+  const inserted = () => db.calls
+    .filter(({ text }) => /INSERT INTO agent_corrections/.test(text))
+    .map(({ params }) => ({ field: params[3], labKey: params[4], patientKey: params[5], corrected: JSON.parse(params[7]) }));
+
+  it('records nothing when the proposal was kept', async () => {
+    const confirmed = { memberId: 'member-2', category: 'report', reportDate: '2024-03-11', vitals: [{ vitalType: 'hba1c', value: '5.6', unit: '%' }] };
+    db.respond((text) => (/FROM vital_types/.test(text) ? { rows: DEFAULT_VITAL_TYPES } : null));
+
+    assert.equal(await recordCorrections({ analysis, user, confirmed }), 0);
+    assert.deepEqual(inserted(), []);
+  });
+
+  it('records the member, the date label and the value column of corrected fields', async () => {
+    const confirmed = { memberId: 'member-1', category: 'report', reportDate: '2024-03-12', vitals: [{ vitalType: 'hba1c', value: '6.1', unit: '%' }] };
+    db.respond((text) => (/FROM vital_types/.test(text) ? { rows: DEFAULT_VITAL_TYPES } : null));
+
+    assert.equal(await recordCorrections({ analysis, user, confirmed }), 3);
+    const fingerprint = { labKey: 'sunrise diagnostic centre', patientKey: 'asha rao' };
+    assert.deepEqual(inserted(), [
+      { field: 'member', ...fingerprint, corrected: { memberId: 'member-1' } },
+      { field: 'report_date', ...fingerprint, corrected: { reportDate: '2024-03-12', dateLabel: 'Reported On' } },
+      { field: 'vital', ...fingerprint, corrected: { vitalType: 'hba1c', action: 'value', value: 6.1, valueIndex: 2 } },
+    ]);
+  });
+
+  it('records a removed vital', async () => {
+    const confirmed = { memberId: 'member-2', category: 'report', reportDate: '2024-03-11', vitals: [] };
+    db.respond((text) => (/FROM vital_types/.test(text) ? { rows: DEFAULT_VITAL_TYPES } : null));
+
+    assert.equal(await recordCorrections({ analysis, user, confirmed }), 1);
+    assert.deepEqual(inserted()[0].corrected, { vitalType: 'hba1c', action: 'removed' });
+  });
+});
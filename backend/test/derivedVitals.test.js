@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+const { derivedInputTypes, deriveVitals } = require('../services/derivedVitals');
+
+const vitalTypes = Object.fromEntries(DEFAULT_VITAL_TYPES.map((type) => [type.key, type]));
+
+let nextId = 0;
+const reading = (vitalType, value, recordedAt) => ({
+  id: `v${++nextId}`,
+  member_id: 'm1',
+  vital_type: vitalType,
+  value: String(value),
+  recorded_at: recordedAt,
+});
+
+const lipidPanel = (triglycerides, day = '2026-03-10') => [
+  reading('cholesterol', 200, `${day}T08:00:00Z`),
+  reading('hdl', 50, `${day}T08:00:00Z`),
+  reading('triglycerides', triglycerides, `${day}T08:00:00Z`),
+];
+
+const derived = (vitals, key, member) => deriveVitals(vitals, vitalTypes, member)
+  .filter((vital) => vital.vital_type === key);
+
+describe('derivedInputTypes', () => {
+  it('lists the stored types a derived type needs', () => {
+    assert.deepEqual(derivedInputTypes(['bmi']), ['bmi', 'weight', 'height']);
+    assert.deepEqual(derivedInputTypes(['ldl', 'non_hdl']), ['ldl', 'cholesterol', 'hdl', 'triglycerides', 'non_hdl']);
+  });
+});
+
+describe('deriveVitals', () => {
+  describe('LDL (Friedewald)', () => {
+    it('subtracts HDL and a fifth of the triglycerides', () => {
+      const [ldl] = derived(lipidPanel(150), 'ldl');
+      assert.equal(ldl.value, 120);
+      assert.equal(ldl.calculated, true);
+      assert.deepEqual(ldl.sources.map((source) => source.vital_type), ['cholesterol', 'hdl', 'triglycerides']);
+    });
+
+    it('is not calculated for triglycerides of 400 mg/dL and above', () => {
+      assert.equal(derived(lipidPanel(399), 'ldl').length, 1);
+      assert.deepEqual(derived(lipidPanel(400), 'ldl'), []);
+      // Non-HDL does not depend on triglycerides
+      assert.equal(derived(lipidPanel(400), 'non_hdl')[0].value, 150);
+    });
+
+    it('pairs only readings of the same day', () => {
+      const vitals = [
+        reading('cholesterol', 200, '2026-03-10T08:00:00Z'),
+        reading('hdl', 50, '2026-03-10T08:00:00Z'),
+        reading('triglycerides', 150, '2026-03-11T08:00:00Z'),
+      ];
+      assert.deepEqual(derived(vitals, 'ldl'), []);
+    });
+
+    it('is only calculated on days without a measured LDL', () => {
+      const vitals = [
+        ...lipidPanel(150, '2026-03-10'),
+        ...lipidPanel(150, '2026-04-10'),
+        reading('ldl', 131, '2026-04-10T08:00:00Z'),
+      ];
+      const calculated = derived(vitals, 'ldl');
+      assert.deepEqual(calculated.map((ldl) => ldl.recorded_at), ['2026-03-10T08:00:00Z']);
+    });
+
+    it('uses the latest reading of a day', () => {
+      const vitals = [...lipidPanel(150), reading('hdl', 60, '2026-03-10T18:00:00Z')];
+      const [ldl] = derived(vitals, 'ldl');
+      assert.equal(ldl.value, 110);
+      assert.equal(ldl.recorded_at, '2026-03-10T18:00:00Z');
+    });
+  });
+
+  describe('BMI', () => {
+    it('carries the latest earlier height', () => {
+      const vitals = [
+        reading('height', 160, '2025-01-01T08:00:00Z'),
+        reading('height', 175, '2026-01-01T08:00:00Z'),
+        reading('weight', 70, '2026-03-10T08:00:00Z'),
+      ];
+      const [bmi] = derived(vitals, 'bmi');
+      assert.equal(bmi.value, 22.9);
+      // The weight dates the result, not the carried height
+      assert.equal(bmi.recorded_at, '2026-03-10T08:00:00Z');
+    });
+
+    it('uses the first height when it was measured after the weight', () => {
+      const vitals = [
+        reading('weight', 70, '2026-01-01T08:00:00Z'),
+        reading('height', 175, '2026-03-10T08:00:00Z'),
+      ];
+      assert.equal(derived(vitals, 'bmi')[0].value, 22.9);
+    });
+
+    it('is not calculated for a zero height', () => {
+      const vitals = [reading('height', 0, '2026-03-10T08:00:00Z'), reading('weight', 70, '2026-03-10T08:00:00Z')];
+      assert.deepEqual(derived(vitals, 'bmi'), []);
+    });
+
+    it('needs both inputs', () => {
+      assert.deepEqual(derived([reading('weight', 70, '2026-03-10T08:00:00Z')], 'bmi'), []);
+    });
+  });
+
+  describe('eGFR', () => {
+    const creatinine = [reading('creatinine', 1, '2026-03-10T08:00:00Z')];
+
+    it('uses the member\'s age on the day and gender', () => {
+      const [egfr] = derived(creatinine, 'egfr', { gender: 'male', date_of_birth: '1976-01-01' });
+      assert.equal(egfr.value, 92);
+    });
+
+    it('is not calculated for children or without a gender', () => {
+      assert.deepEqual(derived(creatinine, 'egfr', { gender: 'male', date_of_birth: '2012-01-01' }), []);
+      assert.deepEqual(derived(creatinine, 'egfr', { date_of_birth: '1976-01-01' }), []);
+    });
+  });
+
+  it('skips derived types missing from the registry', () => {
+    const { ldl, ...withoutLdl } = vitalTypes;
+    assert.deepEqual(deriveVitals(lipidPanel(150), withoutLdl).map((vital) => vital.vital_type), ['non_hdl']);
+  });
+
+  it('ignores readings without a numeric value', () => {
+    const vitals = [...lipidPanel(150), { ...reading('hdl', 0, '2026-03-10T20:00:00Z'), value: null }];
+    assert.equal(derived(vitals, 'ldl')[0].value, 120);
+  });
+});
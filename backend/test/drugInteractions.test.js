@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveName, checkAllergy, checkMedications } = require('../services/drugInteractions');
+
+const PENICILLIN_ALLERGY = { id: 'a1', substance: 'Penicillin', reaction: 'Rash', severity: 'severe' };
+
+describe('resolveName', () => {
+  it('maps a brand name to its generic drug', () => {
+    assert.deepEqual(resolveName('Dolo 650'), { drugs: ['paracetamol'], classes: [] });
+  });
+
+  it('prefers the longest matching name', () => {
+    assert.deepEqual(resolveName('Ecosprin AV 75').drugs, ['aspirin', 'atorvastatin']);
+    assert.deepEqual(resolveName('Ecosprin 75').drugs, ['aspirin']);
+  });
+
+  it('expands combination products', () => {
+    assert.deepEqual(resolveName('Combiflam').drugs, ['ibuprofen', 'paracetamol']);
+  });
+
+  it('names drug classes only when asked', () => {
+    assert.deepEqual(resolveName('penicillin', { withClasses: true }), { drugs: [], classes: ['penicillin'] });
+    assert.deepEqual(resolveName('penicillin'), { drugs: [], classes: [] });
+  });
+});
+
+describe('checkAllergy', () => {
+  it('flags a drug in an allergic class as major, with the reaction', () => {
+    const warning = checkAllergy({ id: 'm1', name: 'Augmentin 625' }, PENICILLIN_ALLERGY);
+    assert.equal(warning.type, 'allergy');
+    assert.equal(warning.severity, 'major');
+    assert.deepEqual(warning.drugs, ['Amoxicillin']);
+    assert.deepEqual(warning.medications, [{ id: 'm1', name: 'Augmentin 625' }]);
+    assert.match(warning.message, /penicillins.*\(reaction: Rash\)$/);
+  });
+
+  it('applies cross-reactivity rules', () => {
+    const warning = checkAllergy({ id: 'm2', name: 'Cefixime 200' }, PENICILLIN_ALLERGY);
+    assert.equal(warning.severity, 'moderate');
+    assert.deepEqual(warning.drugs, ['Cefixime']);
+    assert.match(warning.message, /cephalosporins/);
+  });
+
+  it('warns about a related drug of the same allergy group', () => {
+    const warning = checkAllergy({ name: 'Amoxicillin' }, { id: 'a2', substance: 'Ampicillin' });
+    assert.equal(warning.severity, 'moderate');
+    assert.match(warning.message, /related to ampicillin/);
+  });
+
+  it('matches substances outside the dataset by name', () => {
+    const warning = checkAllergy({ name: 'Kiwi extract drops' }, { id: 'a3', substance: 'Kiwi' });
+    assert.equal(warning.severity, 'major');
+    assert.deepEqual(warning.drugs, []);
+    assert.equal(warning.allergy.reaction, null);
+  });
+
+  it('returns null for an unrelated drug', () => {
+    assert.equal(checkAllergy({ name: 'Azithromycin 500' }, PENICILLIN_ALLERGY), null);
+  });
+});
+
+describe('checkMedications', () => {
+  it('reports interactions and duplicate ingredients', () => {
+    const warnings = checkMedications([
+      { id: '1', name: 'Ecosprin 75' },
+      { id: '2', name: 'Brufen 400' },
+      { id: '3', name: 'Dolo 650' },
+      { id: '4', name: 'Crocin' },
+    ], []);
+    assert.deepEqual(warnings.map(({ type, drugs }) => [type, drugs]), [
+      ['interaction', ['Aspirin', 'Ibuprofen']],
+      ['duplicate', ['Paracetamol']],
+    ]);
+  });
+
+  it('puts allergy warnings first', () => {
+    const warnings = checkMedications([
+      { id: '1', name: 'Dolo 650' },
+      { id: '2', name: 'Crocin' },
+      { id: '3', name: 'Augmentin 625' },
+    ], [PENICILLIN_ALLERGY]);
+    assert.deepEqual(warnings.map(({ type, severity }) => [type, severity]), [
+      ['allergy', 'major'],
+      ['duplicate', 'moderate'],
+    ]);
+  });
+});
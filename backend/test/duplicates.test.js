@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, duplicateMessage } = require('../services/duplicates');
+
+describe('hashFile', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'life-vault-test-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the hex SHA-256 of the file content', async () => {
+    const filePath = path.join(dir, 'report.pdf');
+    fs.writeFileSync(filePath, 'abc');
+    assert.equal(await hashFile(filePath), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('gives the same hash for the same content under another name', async () => {
+    const first = path.join(dir, 'first.pdf');
+    const second = path.join(dir, 'second.pdf');
+    fs.writeFileSync(first, Buffer.from([0, 1, 2, 3]));
+    fs.writeFileSync(second, Buffer.from([0, 1, 2, 3]));
+    assert.equal(await hashFile(first), await hashFile(second));
+  });
+
+  it('rejects for a missing file', async () => {
+    await assert.rejects(hashFile(path.join(dir, 'missing.pdf')), { code: 'ENOENT' });
+  });
+});
+
+describe('duplicateMessage', () => {
+  it('names the earlier upload', () => {
+    assert.equal(
+      duplicateMessage({ type: 'report', title: 'Lipid profile', memberName: 'Asha', date: '2024-03-12' }),
+      'This file was already uploaded as the report "Lipid profile" for Asha (2024-03-12)'
+    );
+    assert.match(duplicateMessage({ type: 'document', title: 'X-ray', memberName: 'Ravi', date: '2024-01-02' }), /as the document "X-ray"/);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+process.env.APP_URL = 'https://vault.example.com';
+
+const db = installFakeDatabase();
+const {
+  saveCardSettings,
+  shareCard,
+  buildCard,
+  describeCardSettings,
+  getSharedCard,
+} = require('../services/emergencyCards');
+
+const MEMBER_ID = 'member-1';
+
+const settings = (overrides = {}) => ({
+  id: 'card-1',
+  member_id: MEMBER_ID,
+  fields: [],
+  contacts: [],
+  notes: null,
+  token: null,
+  shared_at: null,
+  last_viewed_at: null,
+  ...overrides,
+});
+
+// A member with a full history; each section answers its own table
+const memberRecords = (text) => {
+  if (/FROM family_members/.test(text)) return { rows: [{ name: 'Asha Rao', blood_group: 'B+', age: 52 }] };
+  if (/FROM member_allergies/.test(text)) return { rows: [{ id: 'a1', substance: 'Penicillin', reaction: 'Rash', severity: 'severe', notes: 'private' }] };
+  if (/FROM member_conditions/.test(text)) {
+    return { rows: [{ id: 'c1', name: 'Diabetes', status: 'active' }, { id: 'c2', name: 'Typhoid', status: 'resolved' }] };
+  }
+  if (/FROM member_surgeries/.test(text)) return { rows: [] };
+  if (/FROM medications/.test(text)) {
+    return {
+      rows: [
+        { name: 'Metformin', strength: '500 mg', dose: '1 tablet', frequency: '1-0-1', is_current: true },
+        { name: 'Amoxicillin', strength: '500 mg', dose: null, frequency: '1-1-1', is_current: false },
+      ],
+    };
+  }
+  return null;
+};
+
+beforeEach(() => db.reset());
+
+describe('saveCardSettings', () => {
+  it('keeps known fields in card order and stores notes and contacts as typed', async () => {
+    db.respond((text, params) => ({ rows: [{ fields: params[1], contacts: JSON.parse(params[2]), notes: params[3] }] }));
+
+    const saved = await saveCardSettings(MEMBER_ID, 'user-1', {
+      fields: ['notes', 'bloodGroup', 'ssn', 'name'],
+      contacts: [{ name: 'Ravi &amp; Sons', relation: null, phone: '+91 98765 43210' }],
+      notes: 'Pacemaker &amp; insulin',
+    });
+    assert.deepEqual(saved.fields, ['name', 'bloodGroup', 'notes']);
+    assert.deepEqual(saved.contacts, [{ name: 'Ravi &amp; Sons', relation: null, phone: '+91 98765 43210' }]);
+    assert.equal(saved.notes, 'Pacemaker & insulin');
+  });
+});
+
+describe('shareCard', () => {
+  it('issues a 32 character URL-safe token', async () => {
+    db.respond((text, params) => ({ rows: [settings({ token: params[1] })] }));
+
+    const { token } = await shareCard(MEMBER_ID, 'user-1');
+    assert.match(token, /^[A-Za-z0-9_-]{32}$/);
+    assert.notEqual((await shareCard(MEMBER_ID, 'user-1')).token, token);
+  });
+});
+
+describe('buildCard', () => {
+  it('shows only the picked fields and reads only their records', async () => {
+    db.respond(memberRecords);
+
+    const card = await buildCard(settings({ fields: ['name', 'bloodGroup'] }));
+    assert.deepEqual(card, { fields: ['name', 'bloodGroup'], name: 'Asha Rao', bloodGroup: 'B+' });
+    assert.equal(db.calls.length, 1);
+  });
+
+  it('leaves out resolved conditions, past medications and private notes', async () => {
+    db.respond(memberRecords);
+
+    const card = await buildCard(settings({
+      fields: ['age', 'allergies', 'conditions', 'medications', 'contacts', 'notes'],
+      contacts: [{ name: 'Ravi', relation: 'Son', phone: '98765 43210' }],
+      notes: 'Carries an inhaler',
+    }));
+    assert.equal(card.age, 52);
+    assert.deepEqual(card.allergies, [{ substance: 'Penicillin', reaction: 'Rash', severity: 'severe' }]);
+    assert.deepEqual(card.conditions, [{ name: 'Diabetes', status: 'active' }]);
+    assert.deepEqual(card.medications, [{ name: 'Metformin', strength: '500 mg', dose: '1 tablet', frequency: '1-0-1' }]);
+    assert.equal(card.contacts[0].name, 'Ravi');
+    assert.equal(card.notes, 'Carries an inhaler');
+    assert.equal(card.name, undefined);
+  });
+});
+
+describe('describeCardSettings', () => {
+  it('includes the public link and its QR code while shared', async () => {
+    const described = await describeCardSettings(settings({ fields: ['name'], token: 'a'.repeat(32), shared_at: '2024-03-12' }));
+    assert.equal(described.saved, true);
+    assert.equal(described.shared, true);
+    assert.equal(described.url, `https://vault.example.com/emergency/${'a'.repeat(32)}`);
+    assert.match(described.qrCode, /^<svg/);
+  });
+
+  it('has no link for an unshared card', async () => {
+    const described = await describeCardSettings(settings({ id: null }));
+    assert.equal(described.saved, false);
+    assert.equal(described.shared, false);
+    assert.equal(described.url, null);
+    assert.equal(described.qrCode, null);
+  });
+});
+
+describe('getSharedCard', () => {
+  it('returns null for an unknown or revoked token', async () => {
+    assert.equal(await getSharedCard('b'.repeat(32)), null);
+    assert.match(db.calls[0].text, /SET last_viewed_at = NOW\(\)\s+WHERE token = \$1/);
+  });
+
+  it('builds the card behind a live token', async () => {
+    db.respond((text) => (/UPDATE emergency_cards/.test(text)
+      ? { rows: [settings({ fields: ['bloodGroup'], token: 'c'.repeat(32) })] }
+      : memberRecords(text)));
+
+    assert.deepEqual(await getSharedCard('c'.repeat(32)), { fields: ['bloodGroup'], bloodGroup: 'B+' });
+  });
+});
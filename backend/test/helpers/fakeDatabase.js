@@ -0,0 +1,59 @@
+const path = require('path');
+
+// Stand-in for config/database in unit tests: every query is recorded and
+// answered by the test's responder, so services run without PostgreSQL.
+// Install it before requiring the modules under test.
+
+const DATABASE_MODULE = path.join(__dirname, '..', '..', 'config', 'database.js');
+
+const EMPTY_RESULT = { rows: [], rowCount: 0 };
+
+/**
+ * Replace config/database for every module required after this call.
+ * @returns {{ calls: Object[], respond: Function, reset: Function }} calls
+ *   holds { text, params } per query; respond sets the (text, params) =>
+ *   result function answering them (rowCount defaults to the row count)
+ */
+const installFakeDatabase = () => {
+  const calls = [];
+  let responder = () => EMPTY_RESULT;
+
+  const query = async (text, params = []) => {
+    calls.push({ text, params });
+    const result = (await responder(text, params)) || EMPTY_RESULT;
+    const rows = result.rows || [];
+    return { rows, rowCount: result.rowCount ?? rows.length };
+  };
+
+  const withTransaction = async (callback) => {
+    await query('BEGIN');
+    try {
+      const result = await callback({ query });
+      await query('COMMIT');
+      return result;
+    } catch (error) {
+      await query('ROLLBACK');
+      throw error;
+    }
+  };
+
+  require.cache[DATABASE_MODULE] = {
+    id: DATABASE_MODULE,
+    filename: DATABASE_MODULE,
+    loaded: true,
+    exports: { query, withTransaction, pool: null },
+  };
+
+  return {
+    calls,
+    respond: (fn) => {
+      responder = fn;
+    },
+    reset: () => {
+      calls.length = 0;
+      responder = () => EMPTY_RESULT;
+    },
+  };
+};
+
+module.exports = { installFakeDatabase };
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+const { extractLabResults } = require('../services/labResults');
+
+const OPTIONS = { recordedAt: '2024-03-12', notes: 'From report' };
+
+const REPORT = [
+  'Test\tResult\tUnit\tReference Range',
+  'Haemoglobin (Hb)\t11.2 L\tg/dL\t13.0 - 17.0',
+  'HbA1c\t6.1\t%\t4.0-5.6',
+  'Fasting Blood Sugar\t126\tmg/dL\t70-100',
+  'Total Cholesterol\t5.2\tmmol/L\t<5.2',
+].join('\n');
+
+const byType = (vitals) => Object.fromEntries(vitals.map((vital) => [vital.vitalType, vital]));
+
+describe('extractLabResults', () => {
+  const vitals = byType(extractLabResults(REPORT, DEFAULT_VITAL_TYPES, OPTIONS));
+
+  it('reads one result per analyte row', () => {
+    assert.deepEqual(Object.keys(vitals), ['hemoglobin', 'hba1c', 'fasting_blood_glucose', 'cholesterol']);
+    assert.equal(vitals.hemoglobin.recordedAt, '2024-03-12');
+    assert.equal(vitals.hemoglobin.source, 'table');
+  });
+
+  it('ignores digits in qualifiers and keeps the printed flag and range', () => {
+    assert.equal(vitals.hemoglobin.value, 11.2);
+    assert.equal(vitals.hemoglobin.labFlag, 'L');
+    assert.deepEqual(vitals.hemoglobin.labRange, { min: 13, max: 17, text: '13.0 - 17.0', printedUnit: 'g/dL' });
+  });
+
+  it('flags results outside the printed range', () => {
+    assert.equal(vitals.hba1c.labFlag, 'H');
+    assert.equal(vitals.fasting_blood_glucose.labFlag, 'H');
+  });
+
+  it('converts printed units and one-sided ranges to the canonical unit', () => {
+    const { cholesterol } = vitals;
+    assert.equal(cholesterol.value, 201.08);
+    assert.equal(cholesterol.unit, 'mg/dL');
+    assert.equal(cholesterol.printedValue, 5.2);
+    assert.equal(cholesterol.printedUnit, 'mmol/L');
+    assert.equal(cholesterol.labRange.min, undefined);
+    assert.equal(cholesterol.labRange.max, 201.08);
+    assert.equal(cholesterol.labRange.text, '<5.2');
+    assert.equal(cholesterol.labFlag, null);
+  });
+
+  it('skips a reference interval printed before the result', () => {
+    const [vital] = extractLabResults('HbA1c\t4.0-5.6\t6.1\t%', DEFAULT_VITAL_TYPES, OPTIONS);
+    assert.equal(vital.value, 6.1);
+    assert.equal(vital.learned, undefined);
+  });
+
+  it('reads the column of a learned layout', () => {
+    const [vital] = extractLabResults('HbA1c\t4.0-5.6\t6.1\t%', DEFAULT_VITAL_TYPES, { ...OPTIONS, layouts: { hba1c: 2 } });
+    assert.equal(vital.value, 6.1);
+    assert.equal(vital.learned, true);
+  });
+
+  it('scales confidence by the text confidence', () => {
+    const [full] = extractLabResults('HbA1c\t6.1\t%', DEFAULT_VITAL_TYPES, OPTIONS);
+    const [scanned] = extractLabResults('HbA1c\t6.1\t%', DEFAULT_VITAL_TYPES, { ...OPTIONS, textConfidence: 50 });
+    assert.equal(scanned.confidence, Math.round(full.confidence / 2));
+  });
+
+  it('reads a measured LDL but not VLDL', () => {
+    const lipids = extractLabResults('LDL Cholesterol\t131\tmg/dL\nVLDL\t28\tmg/dL', DEFAULT_VITAL_TYPES, OPTIONS);
+    assert.deepEqual(lipids.map((vital) => [vital.vitalType, vital.value]), [['ldl', 131]]);
+  });
+
+  it('returns nothing for lines without analytes', () => {
+    assert.deepEqual(extractLabResults('Patient name\tRavi\nAge\t45', DEFAULT_VITAL_TYPES, OPTIONS), []);
+  });
+});
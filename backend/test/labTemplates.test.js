@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const db = installFakeDatabase();
+const DEFAULT_LAB_TEMPLATES = require('../database/labTemplateDefaults');
+const { getLabTemplates, invalidateLabTemplates, matchLabTemplate, readPatientName } = require('../services/labTemplates');
+
+const BUILT_IN_ROWS = DEFAULT_LAB_TEMPLATES.map((template, index) => ({
+  key: template.key,
+  name: template.name,
+  header_pattern: template.headerPattern,
+  fields: template.fields,
+  row_parsers: template.rowParsers,
+  enabled: true,
+  sort_order: index,
+  custom: false,
+}));
+
+const familyRow = (template) => ({
+  fields: {},
+  row_parsers: [],
+  enabled: true,
+  sort_order: 0,
+  custom: true,
+  ...template,
+});
+
+const withTemplates = (rows) => {
+  invalidateLabTemplates();
+  db.respond(() => ({ rows }));
+};
+
+beforeEach(() => db.reset());
+
+describe('getLabTemplates', () => {
+  it('lets a family template take the place of the built-in one with its key', async () => {
+    withTemplates([familyRow({ key: 'thyrocare', name: 'Thyrocare (our branch)', header_pattern: 'Thyrocare Andheri' }), ...BUILT_IN_ROWS]);
+
+    const templates = await getLabTemplates('family-1');
+    const thyrocare = templates.filter((template) => template.key === 'thyrocare');
+    assert.equal(thyrocare.length, 1);
+    assert.equal(thyrocare[0].custom, true);
+    assert.equal(templates.length, BUILT_IN_ROWS.length);
+  });
+
+  it('caches templates per family until invalidated', async () => {
+    withTemplates(BUILT_IN_ROWS);
+    await getLabTemplates('family-1');
+    await getLabTemplates('family-1');
+    assert.equal(db.calls.length, 1);
+
+    invalidateLabTemplates();
+    await getLabTemplates('family-1');
+    assert.equal(db.calls.length, 2);
+  });
+});
+
+describe('matchLabTemplate', () => {
+  it('recognises a built-in lab from the report header', async () => {
+    withTemplates(BUILT_IN_ROWS);
+
+    const template = await matchLabTemplate('family-1', 'Dr Lal PathLabs Ltd\nName : Ravi Kumar\nGlucose, Fasting\t98');
+    assert.equal(template.key, 'lal_pathlabs');
+    assert.deepEqual(template.dateLabels, ['Collected', 'Reported']);
+    const glucose = template.rowParsers.find((parser) => parser.vitalType === 'fasting_blood_glucose');
+    assert.match('Glucose Fasting', glucose.nameRegex);
+  });
+
+  it('returns null when no lab matches', async () => {
+    withTemplates(BUILT_IN_ROWS);
+    assert.equal(await matchLabTemplate('family-1', 'City Hospital\nHbA1c 6.1'), null);
+  });
+
+  it('skips disabled templates', async () => {
+    withTemplates(BUILT_IN_ROWS.map((row) => ({ ...row, enabled: false })));
+    assert.equal(await matchLabTemplate('family-1', 'Thyrocare Technologies'), null);
+  });
+
+  it('matches family templates literally, with any whitespace', async () => {
+    withTemplates([
+      familyRow({
+        key: 'city_lab',
+        name: 'City Lab',
+        header_pattern: 'City Lab (Main)',
+        fields: { reportDate: ['Date of report'], patientName: ['Pt. name'] },
+        row_parsers: [{ vitalType: 'hba1c', names: ['A1c (HPLC)'] }],
+      }),
+    ]);
+
+    assert.equal(await matchLabTemplate('family-1', 'City Lab Main\nHbA1c 6.1'), null);
+    const template = await matchLabTemplate('family-1', 'City  Lab (Main)\nA1c (HPLC)\t6.1');
+    assert.equal(template.key, 'city_lab');
+    assert.match('A1c (HPLC)', template.rowParsers[0].nameRegex);
+    assert.doesNotMatch('A1c HPLC', template.rowParsers[0].nameRegex);
+    assert.equal(readPatientName('Pt. name : Asha Rao   Age: 52', template.nameLabels), 'Asha Rao');
+    assert.equal(readPatientName('Pt name : Asha Rao', template.nameLabels), null);
+  });
+
+  it('keeps the built-in row parsers a family replacement does not override', async () => {
+    invalidateLabTemplates();
+    db.respond((text, [familyId]) => ({
+      rows: [
+        ...(familyId ? [familyRow({
+          key: 'lal_pathlabs',
+          name: 'Lal PathLabs (Rohini)',
+          header_pattern: 'Lal PathLabs Rohini',
+          row_parsers: [{ vitalType: 'fasting_blood_glucose', names: ['FBS'] }],
+        })] : []),
+        ...BUILT_IN_ROWS,
+      ],
+    }));
+
+    const template = await matchLabTemplate('family-1', 'Lal PathLabs Rohini\nFBS\t98');
+    assert.equal(template.name, 'Lal PathLabs (Rohini)');
+    assert.deepEqual(template.rowParsers.map((parser) => parser.vitalType), ['fasting_blood_glucose', 'vitamin_b12']);
+    assert.match('FBS', template.rowParsers[0].nameRegex);
+    assert.doesNotMatch('Glucose Fasting', template.rowParsers[0].nameRegex);
+    assert.match('Vitamin B12 Cyanocobalamin', template.rowParsers[1].nameRegex);
+  });
+});
+
+describe('readPatientName', () => {
+  it('reads the name after the first label found, without the title', () => {
+    assert.equal(readPatientName('Patient Name: Mr. Ravi Kumar\tAge: 45', ['Patient Name', 'Name']), 'Ravi Kumar');
+    assert.equal(readPatientName('Name - Asha Rao (F)', ['Patient Name', 'Name']), 'Asha Rao');
+  });
+
+  it('returns null without a label', () => {
+    assert.equal(readPatientName('Ravi Kumar, 45 years', ['Patient Name']), null);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const db = installFakeDatabase();
+const database = require('../config/database');
+const {
+  DOSE_TIME_REGEX,
+  doseTimesFor,
+  localIsoDate,
+  clearUpcomingDoses,
+  cancelOpenDoses,
+  logDose,
+  getAdherence,
+} = require('../services/medicationReminders');
+
+beforeEach(() => db.reset());
+
+describe('doseTimesFor', () => {
+  it('uses the medication\'s own schedule, in order', () => {
+    assert.deepEqual(doseTimesFor({ dose_schedule: ['20:30', '07:15'], frequency: '1-0-1' }), ['07:15', '20:30']);
+  });
+
+  it('maps the positions of a 1-0-1 style frequency to clock times', () => {
+    assert.deepEqual(doseTimesFor({ frequency: '1-0-1' }), ['08:00', '21:00']);
+    assert.deepEqual(doseTimesFor({ frequency: '1/2-1-0' }), ['08:00', '14:00']);
+    assert.deepEqual(doseTimesFor({ frequency: '0-0-0-1' }), ['22:00']);
+  });
+
+  it('has no times for as-needed or unknown frequencies', () => {
+    assert.deepEqual(doseTimesFor({ frequency: 'SOS' }), []);
+    assert.deepEqual(doseTimesFor({ dose_schedule: [], frequency: null }), []);
+  });
+});
+
+describe('DOSE_TIME_REGEX', () => {
+  it('accepts 24-hour clock times only', () => {
+    assert.deepEqual(['08:00', '23:59', '24:00', '8:00', '12:60'].map((time) => DOSE_TIME_REGEX.test(time)), [true, true, false, false, false]);
+  });
+});
+
+describe('localIsoDate', () => {
+  it('formats the local calendar date', () => {
+    assert.equal(localIsoDate(new Date(2024, 0, 5, 23, 30)), '2024-01-05');
+  });
+});
+
+describe('dose status changes', () => {
+  it('drops upcoming doses that were not reminded yet', async () => {
+    await clearUpcomingDoses(database, 'medication-1');
+    const [{ text, params }] = db.calls;
+    assert.match(text, /DELETE FROM medication_doses/);
+    assert.match(text, /status = 'pending' AND reminded_at IS NULL AND scheduled_at > NOW\(\)/);
+    assert.deepEqual(params, ['medication-1']);
+  });
+
+  it('cancels open doses after dropping upcoming ones', async () => {
+    await cancelOpenDoses(database, 'medication-1');
+    assert.equal(db.calls.length, 2);
+    assert.match(db.calls[0].text, /DELETE FROM medication_doses/);
+    assert.match(db.calls[1].text, /SET status = 'cancelled', snoozed_until = NULL/);
+    assert.match(db.calls[1].text, /status IN \('pending', 'snoozed'\)/);
+  });
+
+  it('logs a dose of the family and returns it', async () => {
+    const dose = { id: 'dose-1', status: 'snoozed', snooze_count: 1 };
+    db.respond(() => ({ rows: [dose] }));
+
+    assert.deepEqual(await logDose('dose-1', 'family-1', 'user-1', 'snoozed', 30), dose);
+    const [{ text, params }] = db.calls;
+    assert.match(text, /fm\.family_id = \$2/);
+    assert.deepEqual(params, ['dose-1', 'family-1', 'snoozed', 'user-1', '30']);
+  });
+
+  it('returns null for a dose outside the family', async () => {
+    assert.equal(await logDose('dose-1', 'family-2', 'user-1', 'taken'), null);
+  });
+});
+
+describe('getAdherence', () => {
+  it('rates taken doses against all logged or missed ones', async () => {
+    db.respond((text) => (/GROUP BY 1/.test(text)
+      ? {
+        rows: [
+          { date: '2024-03-11', taken: 2, skipped: 0, missed: 1 },
+          { date: '2024-03-12', taken: 3, skipped: 1, missed: 0 },
+        ],
+      }
+      : { rows: [{ id: 'medication-1', name: 'Dolo', strength: '650 mg', taken: 0, skipped: 0, missed: 0 }] }));
+
+    const adherence = await getAdherence('member-1', 7);
+    assert.equal(adherence.rate, 71);
+    assert.equal(adherence.days.length, 2);
+    assert.equal(adherence.medications[0].rate, null);
+    assert.deepEqual(db.calls[0].params, ['member-1', '6']);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'life-vault-test-'));
+process.env.UPLOAD_PATH = uploadDir;
+
+const db = installFakeDatabase();
+const { confirmPdfAgent } = require('../services/pdfAgent');
+
+const USER = { id: 'user-1', family_id: 'family-1' };
+const MEMBER = { id: 'member-1', name: 'Asha' };
+
+const pendingPrescription = (medications) => ({
+  id: 'analysis-1',
+  file_path: 'prescription.pdf',
+  file_name: 'Prescription.pdf',
+  file_size: '1024',
+  content_hash: null,
+  pdf_password: null,
+  proposal: {
+    memberId: MEMBER.id,
+    category: 'report',
+    reportType: 'prescription',
+    reportDate: '2024-03-12',
+    title: 'Prescription',
+    vitals: [],
+    medications,
+    prescribedBy: 'Dr. Meera Iyer',
+  },
+});
+
+// A prescription confirmed for a member who already takes Warf 5 and is
+// allergic to penicillin
+const confirmAnswers = (medications) => {
+  const saved = [];
+  return (text, params) => {
+    if (/FROM agent_analyses/.test(text)) return { rows: [pendingPrescription(medications)] };
+    if (/FROM family_members/.test(text)) return { rows: [MEMBER] };
+    if (/INSERT INTO agent_imports/.test(text)) return { rows: [{ id: 'import-1' }] };
+    if (/INSERT INTO medical_reports/.test(text)) return { rows: [{ id: 'report-1', member_id: MEMBER.id }] };
+    if (/INSERT INTO medications/.test(text)) {
+      const medication = { id: `medication-${saved.length + 1}`, member_id: MEMBER.id, name: params[1], is_current: true };
+      saved.push(medication);
+      return { rows: [medication] };
+    }
+    if (/UPDATE agent_analyses/.test(text)) return { rowCount: 1 };
+    if (/FROM medications m/.test(text)) {
+      return { rows: [{ id: 'medication-old', member_id: MEMBER.id, name: 'Warf 5', is_current: true }, ...saved] };
+    }
+    if (/FROM member_allergies/.test(text)) return { rows: [{ id: 'allergy-1', substance: 'Penicillin' }] };
+    return null;
+  };
+};
+
+beforeEach(() => db.reset());
+
+after(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('confirmPdfAgent', () => {
+  it('returns the warnings for the medications it saved, each clash once', async () => {
+    db.respond(confirmAnswers([{ name: 'Ecosprin 75' }, { name: 'Disprin' }, { name: 'Augmentin 625' }]));
+
+    const result = await confirmPdfAgent({ analysisId: 'analysis-1', user: USER, onStep: () => {} });
+    assert.deepEqual(result.medicationsSaved.map((medication) => medication.id), ['medication-1', 'medication-2', 'medication-3']);
+
+    assert.deepEqual(result.medicationWarnings.map((warning) => [warning.type, warning.severity, warning.medications.map((m) => m.name)]), [
+      ['interaction', 'major', ['Ecosprin 75', 'Warf 5']],
+      ['interaction', 'major', ['Disprin', 'Warf 5']],
+      ['allergy', 'major', ['Augmentin 625']],
+      ['duplicate', 'moderate', ['Ecosprin 75', 'Disprin']],
+    ]);
+  });
+
+  it('has no warnings when no medications were saved', async () => {
+    db.respond(confirmAnswers([]));
+    assert.deepEqual((await confirmPdfAgent({ analysisId: 'analysis-1', user: USER, onStep: () => {} })).medicationWarnings, []);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, extractMedications, extractPrescriber } = require('../services/prescriptions');
+
+const PRESCRIPTION = [
+  'City Clinic',
+  'Dr. Meera Iyer MBBS, MD (Medicine)',
+  'Patient: Ravi Kumar',
+  'Rx',
+  '1) Tab. Dolo 650 mg   1-0-1   x 5 days   after food',
+  '2. Cap Pan-D 40mg OD before breakfast',
+  'Syp. Ascoril LS 10 ml TDS for 1 week',
+  '4) Telma 40 mg 1-0-0 continue',
+  'Tab. Ecosprin AV 75',
+  '   0-0-1   x 30 days',
+  'Review after 1 week',
+].join('\n');
+
+describe('extractMedications', () => {
+  const medications = extractMedications(PRESCRIPTION);
+  const byName = Object.fromEntries(medications.map((medication) => [medication.name, medication]));
+
+  it('reads one medicine per drug line', () => {
+    assert.deepEqual(medications.map((medication) => medication.name), ['Dolo', 'Pan-D', 'Ascoril LS', 'Telma', 'Ecosprin AV 75']);
+  });
+
+  it('parses the strength, dashed frequency, duration and instructions', () => {
+    assert.deepEqual(byName.Dolo, {
+      name: 'Dolo',
+      form: 'tablet',
+      strength: '650 mg',
+      frequency: '1-0-1',
+      timesPerDay: 2,
+      duration: '5 days',
+      durationDays: 5,
+      instructions: 'after food',
+      confidence: 100,
+    });
+  });
+
+  it('maps frequency abbreviations to doses per day', () => {
+    assert.equal(byName['Pan-D'].frequency, '1-0-0');
+    assert.equal(byName['Pan-D'].instructions, 'before breakfast');
+    assert.equal(byName['Ascoril LS'].frequency, '1-1-1');
+    assert.equal(byName['Ascoril LS'].timesPerDay, 3);
+  });
+
+  it('accepts a numbered line without a dosage form when it has a strength and frequency', () => {
+    assert.equal(byName.Telma.form, null);
+    assert.equal(byName.Telma.duration, 'Continue');
+    assert.equal(byName.Telma.durationDays, null);
+  });
+
+  it('reads the frequency and duration from the line below the drug', () => {
+    assert.equal(byName['Ecosprin AV 75'].frequency, '0-0-1');
+    assert.equal(byName['Ecosprin AV 75'].durationDays, 30);
+    assert.equal(byName['Ecosprin AV 75'].confidence, 80);
+  });
+
+  it('needs a strength, frequency or duration besides the dosage form', () => {
+    assert.deepEqual(extractMedications('Tablets to be taken as advised\nDrops to be kept in the fridge'), []);
+    assert.deepEqual(extractMedications('Tab Azee\nSyp Zincovit\n1 week').map((medication) => medication.name), ['Zincovit']);
+    assert.equal(extractMedications('Tab. Shelcal 500 mg')[0].strength, '500 mg');
+  });
+
+  it('scales confidence by the text confidence', () => {
+    const [medication] = extractMedications('Tab. Dolo 650 mg 1-0-1', { textConfidence: 50 });
+    assert.equal(medication.confidence, 43);
+  });
+
+  it('lists a medicine written twice once', () => {
+    assert.equal(extractMedications('Tab. Dolo 650 mg 1-0-1\nTab. DOLO 650 mg SOS').length, 1);
+  });
+});
+
+describe('parseDuration', () => {
+  it('converts durations to days', () => {
+    assert.deepEqual(['x 5 days', 'for 2 weeks', '3 months', '1 d'].map((text) => parseDuration(text).durationDays), [5, 14, 90, 1]);
+    assert.equal(parseDuration('x 1 week').duration, '1 week');
+  });
+
+  it('treats "continue" as ongoing', () => {
+    assert.deepEqual(parseDuration('to continue'), { duration: 'Continue', durationDays: null, index: 0 });
+    assert.equal(parseDuration('after food'), null);
+  });
+});
+
+describe('extractPrescriber', () => {
+  it('reads a labelled doctor', () => {
+    assert.equal(extractPrescriber('Consultant: Dr. Anil Mehta, MD\tDate: 12/03/2024'), 'Dr. Anil Mehta');
+    assert.equal(extractPrescriber('Prescribed by - Sunita Rao  '), 'Dr. Sunita Rao');
+  });
+
+  it('falls back to the first "Dr." and strips qualifications', () => {
+    assert.equal(extractPrescriber(PRESCRIPTION), 'Dr. Meera Iyer');
+  });
+
+  it('keeps the name to its own line', () => {
+    assert.equal(extractPrescriber('Dr. Ramesh Kumar\nReg No 12345'), 'Dr. Ramesh Kumar');
+    assert.equal(extractPrescriber('Dr. Ramesh Kumar MBBS MD\nRx'), 'Dr. Ramesh Kumar');
+  });
+
+  it('returns null without a doctor', () => {
+    assert.equal(extractPrescriber('Rx\nTab. Dolo 650 mg'), null);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+const {
+  resolveUnit,
+  toCanonical,
+  fromCanonical,
+  preferredUnit,
+  normalizeStoredVital,
+  convertVitalForUser,
+} = require('../services/unitConversion');
+
+const vitalTypes = Object.fromEntries(DEFAULT_VITAL_TYPES.map((type) => [type.key, type]));
+
+describe('resolveUnit', () => {
+  it('matches units however they are spelled', () => {
+    assert.equal(resolveUnit(vitalTypes.fasting_blood_glucose, 'mg%').unit, 'mg/dL');
+    assert.equal(resolveUnit(vitalTypes.fasting_blood_glucose, ' MMOL/L ').unit, 'mmol/L');
+    assert.equal(resolveUnit(vitalTypes.weight, 'lbs').unit, 'lb');
+    assert.equal(resolveUnit(vitalTypes.thyroid_tsh, 'uIU/mL').unit, 'μIU/mL');
+    assert.equal(resolveUnit(vitalTypes.creatinine, 'umol/L').unit, 'μmol/L');
+  });
+
+  it('is null for units the type cannot take', () => {
+    assert.equal(resolveUnit(vitalTypes.weight, 'mmol/L'), null);
+    assert.equal(resolveUnit(vitalTypes.hba1c, 'mg/dL'), null);
+  });
+
+  it('is null for vital types missing from the registry', () => {
+    assert.equal(resolveUnit(undefined, 'kg'), null);
+  });
+});
+
+describe('toCanonical', () => {
+  it('converts molar lab units to the registry unit', () => {
+    assert.deepEqual(toCanonical(vitalTypes.fasting_blood_glucose, 5.55, 'mmol/L'), { value: 99.99, unit: 'mg/dL' });
+    assert.deepEqual(toCanonical(vitalTypes.creatinine, 88.42, 'μmol/L'), { value: 1, unit: 'mg/dL' });
+  });
+
+  it('applies offsets', () => {
+    assert.deepEqual(toCanonical(vitalTypes.temperature, 37, '°C'), { value: 98.6, unit: '°F' });
+    assert.deepEqual(toCanonical(vitalTypes.hba1c, 48, 'mmol/mol'), { value: 6.54, unit: '%' });
+  });
+
+  it('is null for an unknown unit or vital type', () => {
+    assert.equal(toCanonical(vitalTypes.weight, 70, 'stone'), null);
+    assert.equal(toCanonical(undefined, 70, 'kg'), null);
+  });
+});
+
+describe('fromCanonical', () => {
+  it('inverts toCanonical', () => {
+    assert.deepEqual(fromCanonical(vitalTypes.weight, 70, 'lb'), { value: 154.32, unit: 'lb' });
+    assert.deepEqual(fromCanonical(vitalTypes.temperature, 98.6, '°C'), { value: 37, unit: '°C' });
+  });
+
+  it('keeps the canonical value for an unknown unit', () => {
+    assert.deepEqual(fromCanonical(vitalTypes.weight, 70, 'stone'), { value: 70, unit: 'kg' });
+  });
+});
+
+describe('preferredUnit', () => {
+  it('falls back to the canonical unit', () => {
+    assert.equal(preferredUnit(vitalTypes.weight, { weight: 'lbs' }), 'lb');
+    assert.equal(preferredUnit(vitalTypes.weight, { weight: 'stone' }), 'kg');
+    assert.equal(preferredUnit(vitalTypes.weight, undefined), 'kg');
+  });
+});
+
+describe('normalizeStoredVital', () => {
+  it('brings older rows saved in another unit to the canonical unit', () => {
+    const vital = { vital_type: 'fasting_blood_glucose', value: '5.55', unit: 'mmol/L' };
+    assert.deepEqual(normalizeStoredVital(vital, vitalTypes.fasting_blood_glucose), { ...vital, value: 99.99, unit: 'mg/dL' });
+  });
+
+  it('leaves rows in an unknown unit untouched', () => {
+    const vital = { vital_type: 'weight', value: '11', unit: 'stone' };
+    assert.equal(normalizeStoredVital(vital, vitalTypes.weight), vital);
+  });
+});
+
+describe('convertVitalForUser', () => {
+  it('converts the value and its ranges to the preferred unit', () => {
+    const vital = {
+      vital_type: 'fasting_blood_glucose',
+      value: '108',
+      unit: 'mg/dL',
+      reference_range: { min: 70, max: 99, display: '70-99' },
+      lab_range: { min: 74, max: 106 },
+    };
+    const converted = convertVitalForUser(vital, vitalTypes.fasting_blood_glucose, { fasting_blood_glucose: 'mmol/L' });
+    assert.equal(converted.value, 5.99);
+    assert.equal(converted.unit, 'mmol/L');
+    assert.equal(converted.canonical_value, '108');
+    assert.deepEqual(converted.reference_range, { min: 3.89, max: 5.5, display: '3.89-5.5' });
+    assert.deepEqual(converted.lab_range, { min: 4.11, max: 5.88 });
+  });
+
+  it('keeps upper-limit range labels', () => {
+    const vital = { value: '120', unit: 'mg/dL', reference_range: { min: 0, max: 99, display: '<100' } };
+    assert.equal(convertVitalForUser(vital, vitalTypes.ldl, { ldl: 'mmol/L' }).reference_range.display, '<2.59');
+  });
+
+  it('leaves readings in the canonical unit and multi-field types alone', () => {
+    const weight = { value: '70', unit: 'kg' };
+    assert.equal(convertVitalForUser(weight, vitalTypes.weight, {}), weight);
+    const bloodPressure = { value: null, readings: { systolic: 120, diastolic: 80 } };
+    assert.equal(convertVitalForUser(bloodPressure, vitalTypes.blood_pressure, { blood_pressure: 'kPa' }), bloodPressure);
+  });
+});
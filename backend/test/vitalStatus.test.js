@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DEFAULT_VITAL_TYPES = require('../database/vitalTypeDefaults');
+const { ageAt, evaluateVital } = require('../services/vitalStatus');
+
+const vitalTypes = Object.fromEntries(DEFAULT_VITAL_TYPES.map((type) => [type.key, type]));
+
+const evaluate = (key, value, member, recordedAt = '2026-06-01T09:00:00Z') =>
+  evaluateVital(vitalTypes[key], { value, recorded_at: recordedAt }, member);
+
+describe('ageAt', () => {
+  it('counts whole years up to the reading date', () => {
+    assert.equal(ageAt('1990-06-15', '2026-06-14'), 35);
+    assert.equal(ageAt('1990-06-15', '2026-06-15'), 36);
+  });
+
+  it('is null without a date of birth', () => {
+    assert.equal(ageAt(null, '2026-06-01'), null);
+  });
+});
+
+describe('evaluateVital', () => {
+  it('uses the range for the member\'s gender', () => {
+    const female = evaluate('hemoglobin', 11.9, { gender: 'female', date_of_birth: '1990-01-01' });
+    assert.equal(female.status.level, 'low');
+    assert.equal(female.referenceRange.basis, 'gender');
+    assert.equal(evaluate('hemoglobin', 14, { gender: 'male', date_of_birth: '1990-01-01' }).status.level, 'normal');
+  });
+
+  it('spans both genders when the gender is unknown', () => {
+    const { referenceRange } = evaluate('hemoglobin', 14, {});
+    assert.deepEqual([referenceRange.min, referenceRange.max], [12.1, 17.2]);
+  });
+
+  it('prefers the age band of a child', () => {
+    const result = evaluate('hemoglobin', 11, { gender: 'female', date_of_birth: '2020-01-01' });
+    assert.equal(result.referenceRange.basis, 'age');
+    assert.equal(result.referenceRange.min, 11.5);
+    assert.equal(result.status.level, 'low');
+  });
+
+  it('places values in tiered bands', () => {
+    assert.equal(evaluate('fasting_blood_glucose', 110).status.label, 'Prediabetic');
+    assert.equal(evaluate('fasting_blood_glucose', 65).status.level, 'low');
+    // Values between two bands belong to the lower one
+    assert.equal(evaluate('fasting_blood_glucose', 99.5).status.level, 'normal');
+    assert.equal(evaluate('vitamin_b12', 950).status.label, 'High');
+  });
+
+  it('stages blood pressure from both readings', () => {
+    const bloodPressure = (readings) => evaluateVital(vitalTypes.blood_pressure, { readings }).status;
+    assert.equal(bloodPressure({ systolic: 118, diastolic: 76 }).level, 'normal');
+    assert.equal(bloodPressure({ systolic: 135, diastolic: 85 }).label, 'Stage 1');
+    assert.equal(bloodPressure({ systolic: 150, diastolic: 70 }).label, 'Stage 2');
+    assert.equal(bloodPressure({ systolic: 120 }).level, 'unknown');
+  });
+
+  it('is unknown for types without ranges', () => {
+    assert.deepEqual(evaluateVital(undefined, { value: 1 }), {
+      status: { level: 'unknown', label: 'Unknown', priority: 0 },
+      referenceRange: null,
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { installFakeDatabase } = require('./helpers/fakeDatabase');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const db = installFakeDatabase();
+const { slugifyVitalKey } = require('../services/vitalTypes');
+const healthRoutes = require('../routes/health');
+
+const ADMIN = { id: 'user-admin', family_id: 'family-1', role: 'admin' };
+
+beforeEach(() => db.reset());
+
+describe('slugifyVitalKey', () => {
+  it('turns a label into a key', () => {
+    assert.equal(slugifyVitalKey('  Uric Acid (serum) '), 'uric_acid_serum');
+  });
+
+  it('fits the key column without a trailing separator', () => {
+    const key = slugifyVitalKey(`${'a'.repeat(49)} b`);
+    assert.equal(key, 'a'.repeat(49));
+    assert.ok(slugifyVitalKey('x'.repeat(80)).length <= 50);
+  });
+});
+
+describe('custom vital type validation', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/health', healthRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/health`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const send = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${jwt.sign({ userId: ADMIN.id }, process.env.JWT_SECRET)}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const definition = (overrides) => ({ name: 'Uric Acid', unit: 'mg/dL', ranges: { normal: { min: 3.5, max: 7.2 } }, ...overrides });
+
+  beforeEach(() => db.respond((text) => (/FROM users/.test(text) ? { rows: [ADMIN] } : null)));
+
+  it('rejects names and units longer than their columns', async () => {
+    for (const [method, path] of [['POST', '/vital-types'], ['PUT', '/vital-types/uric_acid']]) {
+      const longName = await send(method, path, definition({ name: 'U'.repeat(101) }));
+      assert.equal(longName.status, 400);
+      assert.equal(longName.body.details[0].path, 'name');
+
+      const longUnit = await send(method, path, definition({ unit: 'u'.repeat(21) }));
+      assert.equal(longUnit.status, 400);
+      assert.equal(longUnit.body.details[0].path, 'unit');
+    }
+    assert.ok(!db.calls.some(({ text }) => /vital_types/.test(text)));
+  });
+});
@@ -17,9 +17,23 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
   CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
   -- Drop existing tables if they exist (for clean initialization)
+  DROP TABLE IF EXISTS agent_imports CASCADE;
+  DROP TABLE IF EXISTS agent_corrections CASCADE;
+  DROP TABLE IF EXISTS lab_templates CASCADE;
+  DROP TABLE IF EXISTS agent_analyses CASCADE;
+  DROP TABLE IF EXISTS email_queue CASCADE;
+  DROP TABLE IF EXISTS notifications CASCADE;
+  DROP TABLE IF EXISTS emergency_cards CASCADE;
+  DROP TABLE IF EXISTS member_surgeries CASCADE;
+  DROP TABLE IF EXISTS member_conditions CASCADE;
+  DROP TABLE IF EXISTS member_allergies CASCADE;
+  DROP TABLE IF EXISTS medication_doses CASCADE;
+  DROP TABLE IF EXISTS medication_history CASCADE;
+  DROP TABLE IF EXISTS medications CASCADE;
   DROP TABLE IF EXISTS documents CASCADE;
   DROP TABLE IF EXISTS medical_reports CASCADE;
   DROP TABLE IF EXISTS health_vitals CASCADE;
+  DROP TABLE IF EXISTS vital_types CASCADE;
   DROP TABLE IF EXISTS family_members CASCADE;
   DROP TABLE IF EXISTS users CASCADE;
   DROP TABLE IF EXISTS families CASCADE;
@@ -40,6 +54,8 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
       first_name VARCHAR(100) NOT NULL,
       last_name VARCHAR(100) NOT NULL,
       family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      unit_preferences JSONB DEFAULT '{}',
+      notification_preferences JSONB DEFAULT '{}',
       created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
   );
@@ -56,15 +72,20 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
   );
 
-  -- Create health_vitals table
-  CREATE TABLE health_vitals (
+  -- Create vital_types table (built-in types seeded by the backend on startup; family_id set for custom types)
+  CREATE TABLE vital_types (
       id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
-      vital_type VARCHAR(50) NOT NULL CHECK (vital_type IN ('height', 'weight', 'cholesterol', 'hemoglobin', 'sgpt', 'sgot', 'vitamin_d', 'thyroid_tsh', 'thyroid_t3', 'thyroid_t4', 'vitamin_b12', 'calcium', 'hba1c', 'urea', 'fasting_blood_glucose', 'creatinine')),
-      value DECIMAL(10,2) NOT NULL,
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+      key VARCHAR(50) NOT NULL,
+      label VARCHAR(100) NOT NULL,
       unit VARCHAR(20) NOT NULL,
-      notes TEXT,
-      recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      placeholder VARCHAR(20),
+      ranges JSONB,
+      fields JSONB,
+      aliases JSONB DEFAULT '[]',
+      extraction JSONB,
+      calculated BOOLEAN DEFAULT FALSE,
+      sort_order INTEGER DEFAULT 0,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
   );
@@ -81,6 +102,26 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
       file_name VARCHAR(255) NOT NULL,
       file_size BIGINT NOT NULL,
       report_date DATE NOT NULL,
+      content_hash VARCHAR(64),
+      import_batch_id UUID,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create health_vitals table
+  CREATE TABLE health_vitals (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      vital_type VARCHAR(50) NOT NULL,
+      value DECIMAL(10,2) NOT NULL,
+      readings JSONB,
+      report_id UUID REFERENCES medical_reports(id) ON DELETE SET NULL,
+      unit VARCHAR(20) NOT NULL,
+      notes TEXT,
+      lab_range JSONB,
+      lab_flag VARCHAR(10),
+      import_batch_id UUID,
+      recorded_at TIMESTAMP WITH TIME ZONE NOT NULL,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
   );
@@ -95,6 +136,213 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
       file_name VARCHAR(255) NOT NULL,
       file_size BIGINT NOT NULL,
       upload_date DATE NOT NULL,
+      content_hash VARCHAR(64),
+      import_batch_id UUID,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create medications table (what each member takes; prescriptions read by the PDF agent link their report)
+  CREATE TABLE medications (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      form VARCHAR(30),
+      strength VARCHAR(50),
+      dose VARCHAR(50),
+      frequency VARCHAR(30),
+      duration VARCHAR(50),
+      instructions TEXT,
+      prescribed_by VARCHAR(255),
+      start_date DATE,
+      end_date DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'stopped')),
+      stop_reason TEXT,
+      reminders_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+      dose_schedule TEXT[],
+      report_id UUID REFERENCES medical_reports(id) ON DELETE SET NULL,
+      import_batch_id UUID,
+      notes TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create medication_history table (each start, change, stop and resume of a medication)
+  CREATE TABLE medication_history (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      medication_id UUID NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(20) NOT NULL CHECK (action IN ('started', 'changed', 'stopped', 'resumed')),
+      changes JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create medication_doses table (scheduled doses of medications with reminders and whether each was taken)
+  CREATE TABLE medication_doses (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      medication_id UUID NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'taken', 'skipped', 'snoozed', 'missed', 'cancelled')),
+      snoozed_until TIMESTAMP WITH TIME ZONE,
+      snooze_count INTEGER NOT NULL DEFAULT 0,
+      reminded_at TIMESTAMP WITH TIME ZONE,
+      logged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      logged_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      UNIQUE (medication_id, scheduled_at)
+  );
+
+  -- Create member_allergies table (substances a member is allergic to, checked when medications are added)
+  CREATE TABLE member_allergies (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      substance VARCHAR(200) NOT NULL,
+      reaction TEXT,
+      severity VARCHAR(20) CHECK (severity IN ('mild', 'moderate', 'severe')),
+      notes TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create member_conditions table (chronic conditions with when they were diagnosed and whether they are active)
+  CREATE TABLE member_conditions (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      diagnosed_on DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'controlled', 'resolved')),
+      notes TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create member_surgeries table (past surgeries and procedures)
+  CREATE TABLE member_surgeries (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL REFERENCES family_members(id) ON DELETE CASCADE,
+      name VARCHAR(200) NOT NULL,
+      performed_on DATE,
+      hospital VARCHAR(200),
+      notes TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create emergency_cards table (what a member's emergency card shows and its public link; token is NULL once revoked)
+  CREATE TABLE emergency_cards (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      member_id UUID NOT NULL UNIQUE REFERENCES family_members(id) ON DELETE CASCADE,
+      fields TEXT[] NOT NULL DEFAULT '{}',
+      contacts JSONB NOT NULL DEFAULT '[]',
+      notes TEXT,
+      token VARCHAR(64) UNIQUE,
+      shared_at TIMESTAMP WITH TIME ZONE,
+      last_viewed_at TIMESTAMP WITH TIME ZONE,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create notifications table (alerts shown in the notification center)
+  CREATE TABLE notifications (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      member_id UUID REFERENCES family_members(id) ON DELETE CASCADE,
+      vital_id UUID REFERENCES health_vitals(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      severity VARCHAR(20) NOT NULL DEFAULT 'info',
+      title VARCHAR(255) NOT NULL,
+      message TEXT,
+      data JSONB,
+      read_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create email queue table (outgoing alert, reminder and digest emails with retries)
+  CREATE TABLE email_queue (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+      to_address VARCHAR(255) NOT NULL,
+      category VARCHAR(50) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      text_body TEXT NOT NULL,
+      html_body TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      sent_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create agent analyses table (PDF agent uploads awaiting review, kept across restarts)
+  CREATE TABLE agent_analyses (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'analyzing' CHECK (status IN ('queued', 'analyzing', 'awaiting_review', 'confirmed', 'discarded', 'expired')),
+      file_path VARCHAR(500) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      file_size BIGINT NOT NULL,
+      mime_type VARCHAR(100),
+      content_hash VARCHAR(64),
+      batch_id UUID,
+      proposal JSONB,
+      extracted_text TEXT,
+      pdf_password VARCHAR(255),
+      error_message TEXT,
+      record_type VARCHAR(20),
+      record_id UUID,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create agent corrections table (review changes the PDF agent learns from)
+  CREATE TABLE agent_corrections (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      analysis_id UUID REFERENCES agent_analyses(id) ON DELETE SET NULL,
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      field VARCHAR(20) NOT NULL CHECK (field IN ('member', 'category', 'report_date', 'vital')),
+      lab_key VARCHAR(100),
+      patient_key VARCHAR(100),
+      original_value JSONB,
+      corrected_value JSONB NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create agent_imports table (confirmed PDF agent uploads, undone as a unit)
+  CREATE TABLE agent_imports (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      family_id UUID NOT NULL REFERENCES families(id) ON DELETE CASCADE,
+      analysis_id UUID REFERENCES agent_analyses(id) ON DELETE SET NULL,
+      member_id UUID REFERENCES family_members(id) ON DELETE SET NULL,
+      imported_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      record_type VARCHAR(20),
+      record_id UUID,
+      file_path VARCHAR(500) NOT NULL,
+      file_name VARCHAR(255) NOT NULL,
+      vitals_count INTEGER NOT NULL DEFAULT 0,
+      undone_at TIMESTAMP WITH TIME ZONE,
+      undone_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  );
+
+  -- Create lab_templates table (built-in templates seeded by the backend on startup; family_id set for a family's own)
+  CREATE TABLE lab_templates (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      family_id UUID REFERENCES families(id) ON DELETE CASCADE,
+      key VARCHAR(50) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      header_pattern TEXT NOT NULL,
+      fields JSONB DEFAULT '{}',
+      row_parsers JSONB DEFAULT '[]',
+      enabled BOOLEAN DEFAULT TRUE,
+      sort_order INTEGER DEFAULT 0,
       created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
   );
@@ -104,14 +352,43 @@ PGPASSWORD=$POSTGRES_PASSWORD psql -h postgres -v ON_ERROR_STOP=1 --username "$P
   CREATE INDEX idx_users_family_id ON users(family_id);
   CREATE INDEX idx_family_members_family_id ON family_members(family_id);
   CREATE INDEX idx_family_members_user_id ON family_members(user_id);
+  CREATE UNIQUE INDEX idx_vital_types_builtin_key ON vital_types(key) WHERE family_id IS NULL;
+  CREATE UNIQUE INDEX idx_vital_types_family_key ON vital_types(family_id, key) WHERE family_id IS NOT NULL;
   CREATE INDEX idx_health_vitals_member_id ON health_vitals(member_id);
   CREATE INDEX idx_health_vitals_vital_type ON health_vitals(vital_type);
   CREATE INDEX idx_health_vitals_recorded_at ON health_vitals(recorded_at);
+  CREATE INDEX idx_health_vitals_report_id ON health_vitals(report_id);
   CREATE INDEX idx_medical_reports_member_id ON medical_reports(member_id);
   CREATE INDEX idx_medical_reports_report_type ON medical_reports(report_type);
   CREATE INDEX idx_medical_reports_report_date ON medical_reports(report_date);
   CREATE INDEX idx_documents_member_id ON documents(member_id);
   CREATE INDEX idx_documents_upload_date ON documents(upload_date);
+  CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
+  CREATE INDEX idx_notifications_vital_id ON notifications(vital_id);
+  CREATE INDEX idx_email_queue_status ON email_queue(status, next_attempt_at);
+  CREATE INDEX idx_email_queue_user_category ON email_queue(user_id, category, created_at);
+  CREATE INDEX idx_agent_analyses_family_status ON agent_analyses(family_id, status, created_at);
+  CREATE INDEX idx_agent_analyses_expires ON agent_analyses(status, expires_at);
+  CREATE INDEX idx_agent_corrections_lab ON agent_corrections(family_id, lab_key);
+  CREATE INDEX idx_agent_corrections_patient ON agent_corrections(family_id, patient_key);
+  CREATE INDEX idx_agent_imports_family ON agent_imports(family_id, created_at DESC);
+  CREATE INDEX idx_medical_reports_content_hash ON medical_reports(content_hash);
+  CREATE INDEX idx_documents_content_hash ON documents(content_hash);
+  CREATE INDEX idx_agent_analyses_content_hash ON agent_analyses(family_id, content_hash);
+  CREATE INDEX idx_agent_analyses_batch ON agent_analyses(family_id, batch_id);
+  CREATE INDEX idx_medical_reports_import_batch ON medical_reports(import_batch_id);
+  CREATE INDEX idx_documents_import_batch ON documents(import_batch_id);
+  CREATE INDEX idx_health_vitals_import_batch ON health_vitals(import_batch_id);
+  CREATE INDEX idx_medications_member ON medications(member_id, status);
+  CREATE INDEX idx_medications_import_batch ON medications(import_batch_id);
+  CREATE INDEX idx_medication_history_medication ON medication_history(medication_id, created_at);
+  CREATE INDEX idx_medication_doses_member ON medication_doses(member_id, scheduled_at);
+  CREATE INDEX idx_medication_doses_status ON medication_doses(status, scheduled_at);
+  CREATE INDEX idx_member_allergies_member ON member_allergies(member_id);
+  CREATE INDEX idx_member_conditions_member ON member_conditions(member_id);
+  CREATE INDEX idx_member_surgeries_member ON member_surgeries(member_id);
+  CREATE UNIQUE INDEX idx_lab_templates_builtin_key ON lab_templates(key) WHERE family_id IS NULL;
+  CREATE UNIQUE INDEX idx_lab_templates_family_key ON lab_templates(family_id, key) WHERE family_id IS NOT NULL;
 
   -- Optional: Insert a default family for testing
   INSERT INTO families (name) VALUES ('Default Family') ON CONFLICT DO NOTHING;
@@ -9,6 +9,7 @@ import Register from './components/auth/Register';
 import Layout from './components/layout/Layout';
 import Dashboard from './components/dashboard/Dashboard';
 import MemberPage from './components/member/MemberPage';
+import EmergencyCardPage from './components/emergency/EmergencyCardPage';
 
 function App() {
   return (
@@ -21,7 +22,11 @@ function App() {
             <Route path="register" element={<Register />} />
           </Route>
 
+          {/* Shared emergency cards open without signing in */}
+          <Route path="/emergency/:token" element={<EmergencyCardPage />} />
+
           <Route path="/" element={<ProtectedRoute />}>
+            <Route path="emergency-card/:memberId" element={<EmergencyCardPage />} />
             <Route element={<Layout />}>
               <Route path="dashboard" element={<Dashboard />} />
               <Route path=":memberName" element={<MemberPage />} />
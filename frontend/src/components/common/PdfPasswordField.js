@@ -0,0 +1,46 @@
+import React from 'react';
+
+// Unlock options for report uploads. The password input appears once the API
+// reports a locked PDF that none of the member's birth dates or mobile
+// numbers could open.
+const PdfPasswordField = ({
+  passwordRequired,
+  incorrect,
+  password,
+  onPasswordChange,
+  storeDecrypted,
+  onStoreDecryptedChange
+}) => (
+  <div className="space-y-2">
+    {passwordRequired && (
+      <div className="p-3 rounded-lg bg-amber-50 border border-amber-200">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          PDF Password <span className="text-red-500">*</span>
+        </label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => onPasswordChange(e.target.value)}
+          className="glass-input w-full"
+          autoComplete="off"
+          required
+        />
+        <p className={`text-xs mt-1 ${incorrect ? 'text-red-600' : 'text-gray-500'}`}>
+          {incorrect
+            ? 'That password did not open the PDF. Please try again.'
+            : 'This PDF is password protected. Labs often use the date of birth or mobile number.'}
+        </p>
+      </div>
+    )}
+    <label className="flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+      <input
+        type="checkbox"
+        checked={storeDecrypted}
+        onChange={(e) => onStoreDecryptedChange(e.target.checked)}
+      />
+      <span>If the PDF is password protected, save an unlocked copy</span>
+    </label>
+  </div>
+);
+
+export default PdfPasswordField;
@@ -0,0 +1,29 @@
+import React from 'react';
+
+// Unit picker for the vital forms. Values entered in any listed unit are
+// converted to the vital type's canonical unit by the API.
+const VitalUnitSelect = ({ vitalConfig, value, onChange, markRequired = true }) => {
+  const units = vitalConfig?.units || (vitalConfig ? [vitalConfig.unit] : []);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Unit {markRequired && <span className="text-red-500">*</span>}
+      </label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="glass-input w-full"
+        disabled={units.length === 0}
+        required
+      >
+        {units.length === 0 && <option value="">Select a vital type first</option>}
+        {units.map(unit => (
+          <option key={unit} value={unit}>{unit}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default VitalUnitSelect;
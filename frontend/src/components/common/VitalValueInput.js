@@ -0,0 +1,102 @@
+import React from 'react';
+
+// Value input for the vital forms: a single number, one input per component
+// for compound vitals such as blood pressure, or feet and inches for heights
+// entered in ft/in (passed on as total inches)
+const VitalValueInput = ({
+  vitalConfig,
+  value,
+  readings = {},
+  unit,
+  onValueChange,
+  onReadingsChange,
+  markRequired = true
+}) => {
+  if (vitalConfig?.fields) {
+    return (
+      <div className="grid grid-cols-3 gap-2">
+        {vitalConfig.fields.map(field => (
+          <div key={field.key}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {field.label} {field.required && markRequired && <span className="text-red-500">*</span>}
+            </label>
+            <input
+              type="number"
+              step="0.1"
+              value={readings[field.key] ?? ''}
+              onChange={(e) => onReadingsChange({ ...readings, [field.key]: e.target.value })}
+              className="glass-input w-full"
+              placeholder={field.placeholder}
+              required={field.required}
+            />
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  if (unit === 'ft/in') {
+    const totalInches = value === '' || value === undefined ? null : parseFloat(value);
+    const feet = totalInches === null || isNaN(totalInches) ? '' : Math.floor(totalInches / 12);
+    const inches = feet === '' ? '' : Math.round((totalInches - feet * 12) * 10) / 10;
+    const update = (nextFeet, nextInches) => {
+      if (nextFeet === '' && nextInches === '') {
+        onValueChange('');
+        return;
+      }
+      onValueChange(String((parseFloat(nextFeet) || 0) * 12 + (parseFloat(nextInches) || 0)));
+    };
+
+    return (
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Feet {markRequired && <span className="text-red-500">*</span>}
+          </label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={feet}
+            onChange={(e) => update(e.target.value, inches)}
+            className="glass-input w-full"
+            placeholder="5"
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Inches</label>
+          <input
+            type="number"
+            min="0"
+            max="11.9"
+            step="0.1"
+            value={inches}
+            onChange={(e) => update(feet, e.target.value)}
+            className="glass-input w-full"
+            placeholder="7"
+          />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Value {markRequired && <span className="text-red-500">*</span>}
+      </label>
+      <input
+        type="number"
+        step="0.01"
+        value={value}
+        onChange={(e) => onValueChange(e.target.value)}
+        className="glass-input w-full"
+        placeholder={vitalConfig?.placeholder || ''}
+        required
+      />
+    </div>
+  );
+};
+
+export default VitalValueInput;
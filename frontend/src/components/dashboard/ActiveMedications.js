@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+
+const memberPath = (name) => `/${name.toLowerCase().replace(/\s+/g, '-')}`;
+
+// What the family is currently taking, grouped by member. Reloaded whenever
+// the member list is (an agent import may have added medications).
+const ActiveMedications = ({ members }) => {
+  const [medications, setMedications] = useState([]);
+
+  useEffect(() => {
+    const fetchActiveMedications = async () => {
+      try {
+        const response = await axios.get('/health/medications', { params: { status: 'active' } });
+        setMedications(response.data.medications || []);
+      } catch (error) {
+        console.error('Error fetching active medications:', error);
+        setMedications([]);
+      }
+    };
+    fetchActiveMedications();
+  }, [members]);
+
+  if (medications.length === 0) return null;
+
+  const byMember = medications.reduce((groups, medication) => {
+    const group = groups.find((g) => g.memberId === medication.member_id);
+    if (group) {
+      group.medications.push(medication);
+    } else {
+      groups.push({ memberId: medication.member_id, memberName: medication.member_name, medications: [medication] });
+    }
+    return groups;
+  }, []);
+
+  return (
+    <div className="glass-panel p-4 sm:p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <span className="text-xl sm:text-2xl">💊</span>
+        <h2 className="text-lg sm:text-xl font-semibold text-gray-900">Currently Taking</h2>
+        <span className="text-xs sm:text-sm text-gray-500">
+          ({medications.length} medication{medications.length !== 1 ? 's' : ''})
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4">
+        {byMember.map((group) => (
+          <Link
+            key={group.memberId}
+            to={`${memberPath(group.memberName)}?tab=medications`}
+            className="glass-card p-3 block hover:scale-[1.01]"
+          >
+            <div className="font-semibold text-gray-900 mb-2">{group.memberName}</div>
+            <ul className="space-y-1">
+              {group.medications.map((medication) => (
+                <li key={medication.id} className="text-sm text-gray-700 flex justify-between gap-2">
+                  <span className="truncate">
+                    {medication.name}
+                    {medication.strength && <span className="text-gray-500"> {medication.strength}</span>}
+                  </span>
+                  {medication.frequency && (
+                    <span className="text-xs text-gray-500 flex-shrink-0">{medication.frequency}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveMedications;
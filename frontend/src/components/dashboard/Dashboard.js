@@ -5,179 +5,13 @@ import toast from 'react-hot-toast';
 import { useAuth } from '../../contexts/AuthContext';
 import ProfilePicture from '../common/ProfilePicture';
 import ProfilePictureUpload from '../common/ProfilePictureUpload';
+import VitalValueInput from '../common/VitalValueInput';
+import VitalUnitSelect from '../common/VitalUnitSelect';
+import PdfPasswordField from '../common/PdfPasswordField';
 import PdfAgentUpload from './PdfAgentUpload';
-
-// Vital types configuration with units and reference ranges
-const VITAL_TYPES = {
-  height: {
-    label: 'Height',
-    unit: 'cm',
-    placeholder: '170',
-    ranges: {
-      normal: { min: 0, max: 200 },
-      display: '0-200'
-    }
-  },
-  weight: {
-    label: 'Weight',
-    unit: 'kg',
-    placeholder: '70',
-    ranges: {
-      normal: { min: 0, max: 120 },
-      display: '0-120'
-    }
-  },
-  bmi: {
-    label: 'BMI',
-    unit: 'kg/m²',
-    placeholder: '24.2',
-    calculated: true,
-    ranges: {
-      underweight: { min: 0, max: 18.4 },
-      normal: { min: 18.5, max: 24.9 },
-      overweight: { min: 25, max: 29.9 },
-      obese: { min: 30, max: 100 },
-      display: '18.5-24.9'
-    }
-  },
-  cholesterol: {
-    label: 'Cholesterol',
-    unit: 'mg/dL',
-    placeholder: '200',
-    ranges: {
-      optimal: { min: 0, max: 199 },
-      borderline: { min: 200, max: 239 },
-      high: { min: 240, max: 500 },
-      display: '<200'
-    }
-  },
-  hemoglobin: {
-    label: 'Hemoglobin',
-    unit: 'g/dL',
-    placeholder: '14',
-    ranges: {
-      male: { min: 13.8, max: 17.2 },
-      female: { min: 12.1, max: 15.1 },
-      display: 'M: 13.8-17.2, F: 12.1-15.1'
-    }
-  },
-  sgpt: {
-    label: 'S.G.P.T.',
-    unit: 'U/L',
-    placeholder: '40',
-    ranges: {
-      normal: { min: 7, max: 56 },
-      display: '7-56'
-    }
-  },
-  sgot: {
-    label: 'S.G.O.T.',
-    unit: 'U/L',
-    placeholder: '40',
-    ranges: {
-      normal: { min: 10, max: 40 },
-      display: '10-40'
-    }
-  },
-  vitamin_d: {
-    label: 'Vitamin D',
-    unit: 'ng/mL',
-    placeholder: '30',
-    ranges: {
-      deficient: { min: 0, max: 19 },
-      insufficient: { min: 20, max: 29 },
-      sufficient: { min: 30, max: 100 },
-      display: '30-100'
-    }
-  },
-  thyroid_tsh: {
-    label: 'Thyroid TSH',
-    unit: 'μIU/mL',
-    placeholder: '2.5',
-    ranges: {
-      normal: { min: 0.27, max: 4.2 },
-      display: '0.27-4.2'
-    }
-  },
-  thyroid_t3: {
-    label: 'Thyroid T3',
-    unit: 'ng/dL',
-    placeholder: '120',
-    ranges: {
-      normal: { min: 80, max: 200 },
-      display: '80-200'
-    }
-  },
-  thyroid_t4: {
-    label: 'Thyroid T4',
-    unit: 'μg/dL',
-    placeholder: '1.2',
-    ranges: {
-      normal: { min: 5.1, max: 14.1 },
-      display: '5.1-14.1'
-    }
-  },
-  vitamin_b12: {
-    label: 'Vitamin B12',
-    unit: 'pg/mL',
-    placeholder: '500',
-    ranges: {
-      deficient: { min: 0, max: 199 },
-      low: { min: 200, max: 299 },
-      normal: { min: 300, max: 900 },
-      display: '300-900'
-    }
-  },
-  calcium: {
-    label: 'Calcium',
-    unit: 'mg/dL',
-    placeholder: '9.5',
-    ranges: {
-      normal: { min: 8.5, max: 10.2 },
-      display: '8.5-10.2'
-    }
-  },
-  hba1c: {
-    label: 'HbA1c',
-    unit: '%',
-    placeholder: '5.7',
-    ranges: {
-      normal: { min: 0, max: 5.6 },
-      prediabetic: { min: 5.7, max: 6.4 },
-      diabetic: { min: 6.5, max: 15 },
-      display: '<5.7'
-    }
-  },
-  urea: {
-    label: 'Urea',
-    unit: 'mg/dL',
-    placeholder: '20',
-    ranges: {
-      normal: { min: 6, max: 24 },
-      display: '6-24'
-    }
-  },
-  fasting_blood_glucose: {
-    label: 'Fasting Blood Glucose',
-    unit: 'mg/dL',
-    placeholder: '100',
-    ranges: {
-      normal: { min: 70, max: 99 },
-      prediabetic: { min: 100, max: 125 },
-      diabetic: { min: 126, max: 300 },
-      display: '70-99'
-    }
-  },
-  creatinine: {
-    label: 'Creatinine',
-    unit: 'mg/dL',
-    placeholder: '1.0',
-    ranges: {
-      normal: { min: 0.6, max: 1.4 },
-      display: '0.6-1.4'
-    }
-  }
-};
+import ActiveMedications from './ActiveMedications';
+import { useVitalTypes } from '../../hooks/useVitalTypes';
+import { isCompoundVital, parseReadings } from '../../utils/vitalTypes';
 
 // Report types configuration
 const REPORT_TYPES = {
@@ -230,6 +64,7 @@ const REPORT_TYPES = {
 
 const Dashboard = () => {
   const { user, isAdmin } = useAuth();
+  const { vitalTypes } = useVitalTypes();
 
   // Get current date components
   const getCurrentDateComponents = () => {
@@ -279,6 +114,7 @@ const Dashboard = () => {
   const [vitalFormData, setVitalFormData] = useState({
     vitalType: '',
     value: '',
+    readings: {},
     unit: '',
     notes: '',
     recordedAt: new Date().toISOString().split('T')[0]
@@ -291,6 +127,8 @@ const Dashboard = () => {
     reportDate: new Date().toISOString().split('T')[0],
     file: null
   });
+  const [reportPassword, setReportPassword] = useState({ required: false, incorrect: false, value: '' });
+  const [storeDecryptedReport, setStoreDecryptedReport] = useState(true);
 
   const [documentFormData, setDocumentFormData] = useState({
     title: '',
@@ -486,17 +324,19 @@ const Dashboard = () => {
 
   // Vital type change handler
   const handleVitalTypeChange = (vitalType) => {
-    const vitalConfig = VITAL_TYPES[vitalType];
+    const vitalConfig = vitalTypes[vitalType];
     setVitalFormData(prev => ({
       ...prev,
       vitalType,
-      unit: vitalConfig ? vitalConfig.unit : '',
-      value: ''
+      unit: vitalConfig ? vitalConfig.preferredUnit || vitalConfig.unit : '',
+      value: '',
+      readings: {}
     }));
   };
 
   // File change handler
   const handleFileChange = (e) => {
+    setReportPassword({ required: false, incorrect: false, value: '' });
     const file = e.target.files[0];
     // Auto-fill title with filename (without extension) if title is empty
     const fileNameWithoutExt = file ? file.name.replace(/\.[^/.]+$/, '') : '';
@@ -780,13 +620,20 @@ const Dashboard = () => {
       return;
     }
 
+    const compound = isCompoundVital(vitalTypes[vitalFormData.vitalType]);
+    const readings = compound ? parseReadings(vitalTypes[vitalFormData.vitalType], vitalFormData.readings) : null;
+    if (compound && !readings) {
+      toast.error(`Please enter all required ${vitalTypes[vitalFormData.vitalType].label} readings`);
+      return;
+    }
+
     setIsSubmittingVital(true);
 
     try {
       await axios.post('/health/vitals', {
         memberId: selectedMember.id,
         vitalType: vitalFormData.vitalType,
-        value: parseFloat(vitalFormData.value),
+        ...(compound ? { readings } : { value: parseFloat(vitalFormData.value) }),
         unit: vitalFormData.unit,
         notes: vitalFormData.notes,
         recordedAt: vitalFormData.recordedAt
@@ -797,6 +644,7 @@ const Dashboard = () => {
       setVitalFormData({
         vitalType: '',
         value: '',
+        readings: {},
         unit: '',
         notes: '',
         recordedAt: new Date().toISOString().split('T')[0]
@@ -805,7 +653,7 @@ const Dashboard = () => {
       if (error.response && error.response.status === 409) {
         toast.error('This vital has already been added recently. Please wait a moment before trying again.');
       } else {
-        toast.error('Failed to add health vital');
+        toast.error(error.response?.data?.message || 'Failed to add health vital');
       }
     } finally {
       setIsSubmittingVital(false);
@@ -831,6 +679,8 @@ const Dashboard = () => {
       formData.append('description', reportFormData.description);
       formData.append('reportDate', reportFormData.reportDate);
       formData.append('file', reportFormData.file);
+      if (reportPassword.value) formData.append('password', reportPassword.value);
+      formData.append('storeDecrypted', String(storeDecryptedReport));
 
       await axios.post('/health/reports', formData, {
         headers: {
@@ -838,6 +688,7 @@ const Dashboard = () => {
         }
       });
       toast.success('Medical report uploaded successfully');
+      setReportPassword({ required: false, incorrect: false, value: '' });
       setShowUploadReportModal(false);
       setSelectedMember(null);
       setReportFormData({
@@ -849,6 +700,11 @@ const Dashboard = () => {
         file: null
       });
     } catch (error) {
+      if (error.response?.data?.passwordRequired) {
+        setReportPassword({ required: true, incorrect: error.response.data.incorrect, value: '' });
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error('Failed to upload medical report');
     } finally {
       setIsSubmittingReport(false);
@@ -1340,6 +1196,9 @@ const Dashboard = () => {
           </div>
         )}
 
+        {/* Medications currently taken across the family */}
+        <ActiveMedications members={members} />
+
         {/* Add Vital Modal */}
         {showAddVitalModal && selectedMember && (
           <div className="modal-overlay z-50">
@@ -1355,34 +1214,26 @@ const Dashboard = () => {
                     required
                   >
                     <option value="">Select Vital Type</option>
-                    {Object.entries(VITAL_TYPES).map(([key, config]) => (
+                    {Object.entries(vitalTypes).filter(([, config]) => !config.calculated).map(([key, config]) => (
                       <option key={key} value={key}>{config.label}</option>
                     ))}
                   </select>
                 </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Value</label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={vitalFormData.value}
-                    onChange={(e) => setVitalFormData({ ...vitalFormData, value: e.target.value })}
-                    className="glass-input w-full"
-                    placeholder={vitalFormData.vitalType ? VITAL_TYPES[vitalFormData.vitalType]?.placeholder : ''}
-                    required
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
-                  <input
-                    type="text"
-                    value={vitalFormData.unit}
-                    onChange={(e) => setVitalFormData({ ...vitalFormData, unit: e.target.value })}
-                    className="glass-input w-full"
-                    placeholder={vitalFormData.vitalType ? VITAL_TYPES[vitalFormData.vitalType]?.unit : ''}
-                    required
-                  />
-                </div>
+                <VitalValueInput
+                  vitalConfig={vitalTypes[vitalFormData.vitalType]}
+                  value={vitalFormData.value}
+                  readings={vitalFormData.readings}
+                  onValueChange={(value) => setVitalFormData({ ...vitalFormData, value })}
+                  onReadingsChange={(readings) => setVitalFormData({ ...vitalFormData, readings })}
+                  unit={vitalFormData.unit}
+                  markRequired={false}
+                />
+                <VitalUnitSelect
+                  vitalConfig={vitalTypes[vitalFormData.vitalType]}
+                  value={vitalFormData.unit}
+                  onChange={(unit) => setVitalFormData({ ...vitalFormData, unit, value: '' })}
+                  markRequired={false}
+                />
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Date Recorded</label>
                   <input
@@ -1427,6 +1278,7 @@ const Dashboard = () => {
                       setVitalFormData({
                         vitalType: '',
                         value: '',
+                        readings: {},
                         unit: '',
                         notes: '',
                         recordedAt: new Date().toISOString().split('T')[0]
@@ -1530,6 +1382,14 @@ const Dashboard = () => {
                   />
                   <p className="text-xs text-gray-500 mt-1">Accepted formats: PDF, DOC, DOCX, JPG, PNG, GIF (max 10MB)</p>
                 </div>
+                <PdfPasswordField
+                  passwordRequired={reportPassword.required}
+                  incorrect={reportPassword.incorrect}
+                  password={reportPassword.value}
+                  onPasswordChange={(value) => setReportPassword({ ...reportPassword, value })}
+                  storeDecrypted={storeDecryptedReport}
+                  onStoreDecryptedChange={setStoreDecryptedReport}
+                />
                 <div className="flex space-x-3">
                   <button
                     type="submit"
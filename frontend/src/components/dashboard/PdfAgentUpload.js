@@ -1,13 +1,35 @@
 import React, { useRef, useState, useEffect } from 'react';
 import ReactDOM from 'react-dom';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
 import toast from 'react-hot-toast';
+import { toastWarnings } from '../member/MedicationWarnings';
+
+const ACCEPTED_FILES = 'application/pdf,.pdf,image/jpeg,.jpg,.jpeg,image/png,.png';
+const ACCEPTED_FILE_REGEX = /\.(pdf|jpe?g|png)$/i;
+// Several files or a ZIP archive are analyzed as a batch
+const BATCH_ACCEPTED_FILES = `${ACCEPTED_FILES},application/zip,.zip`;
+const BATCH_FILE_REGEX = /\.(pdf|jpe?g|png|zip)$/i;
+const BATCH_FILE_STATUS = {
+  queued: 'pending',
+  analyzing: 'running',
+  awaiting_review: 'done',
+  confirmed: 'done',
+  password_required: 'waiting',
+  failed: 'error',
+};
+const BATCH_POLL_MS = 3000;
+const BATCH_ANALYSIS_STATUSES = 'queued,analyzing,awaiting_review,confirmed,discarded,expired';
+// Extracted values below this are worth double-checking against the report
+const LOW_VITAL_CONFIDENCE = 60;
 
 const ANALYZE_STEPS = [
-  { id: 'upload', title: 'PDF Received' },
+  { id: 'upload', title: 'File Received' },
   { id: 'extract', title: 'Extracting Text' },
   { id: 'members', title: 'Identifying Member' },
   { id: 'classify', title: 'Classifying Document' },
   { id: 'vitals', title: 'Extracting Vitals' },
+  { id: 'medications', title: 'Reading Prescription' },
   { id: 'review', title: 'Review Required' },
 ];
 
@@ -16,6 +38,28 @@ const SAVE_STEPS = [
   { id: 'vitals_save', title: 'Saving Vitals' },
 ];
 
+// Batch files with the state of their analyses on the server
+const applyBatchProgress = (files, analyses) => {
+  const byId = new Map(analyses.map((analysis) => [analysis.id, analysis]));
+  return files.map((f) => {
+    const analysis = byId.get(f.analysisId);
+    if (!analysis || analysis.status === 'queued') return { ...f, status: 'queued', message: null };
+    if (analysis.status === 'analyzing') return { ...f, status: 'analyzing', message: 'Analyzing...' };
+    if (analysis.status === 'confirmed') return { ...f, status: 'confirmed', message: 'Saved' };
+    if (analysis.status !== 'awaiting_review') {
+      return { ...f, status: 'failed', message: analysis.error_message || 'Analysis failed' };
+    }
+    const vitalCount = Number(analysis.vital_count);
+    return {
+      ...f,
+      status: 'awaiting_review',
+      message: analysis.category === 'report'
+        ? `Report for ${analysis.member_name} · ${vitalCount} lab value${vitalCount === 1 ? '' : 's'}`
+        : `Document for ${analysis.member_name}`,
+    };
+  });
+};
+
 const StatusIcon = ({ status }) => {
   if (status === 'running') {
     return <div className="w-5 h-5 border-2 border-violet-500 border-t-transparent rounded-full animate-spin" />;
@@ -54,12 +98,21 @@ const StatusIcon = ({ status }) => {
 const PdfAgentUpload = ({ onComplete, members = [] }) => {
   const fileInputRef = useRef(null);
   const [isOpen, setIsOpen] = useState(false);
-  const [phase, setPhase] = useState('idle'); // idle | analyzing | review | saving | done | error
+  const [phase, setPhase] = useState('idle'); // idle | analyzing | batch | password | review | saving | done | error
   const [steps, setSteps] = useState([]);
   const [review, setReview] = useState(null);
   const [reviewForm, setReviewForm] = useState(null);
   const [result, setResult] = useState(null);
+  const [isUndoing, setIsUndoing] = useState(false);
   const [error, setError] = useState(null);
+  const [lockedFile, setLockedFile] = useState(null);
+  const [pdfPassword, setPdfPassword] = useState('');
+  const [pendingReviews, setPendingReviews] = useState([]);
+  const [selectedReviews, setSelectedReviews] = useState([]);
+  const [bulkAction, setBulkAction] = useState(null);
+  const [batch, setBatch] = useState(null);
+  // Batch being polled; cleared to stop polling
+  const batchPollRef = useRef(null);
 
   useEffect(() => {
     if (isOpen) {
@@ -76,24 +129,93 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
     setReviewForm(null);
     setResult(null);
     setError(null);
+    setLockedFile(null);
+    setPdfPassword('');
+    setBatch(null);
+    batchPollRef.current = null;
     setPhase('idle');
   };
 
+  // Analyses are kept on the server, so unfinished reviews can be resumed
+  const loadPendingReviews = async () => {
+    try {
+      const response = await axios.get('/health/agent/analyses');
+      setPendingReviews(response.data);
+      setSelectedReviews((prev) => prev.filter((id) => response.data.some((analysis) => analysis.id === id)));
+    } catch (err) {
+      console.error('Error loading pending reviews:', err);
+    }
+  };
+
   const openAgent = () => {
     resetState();
     setIsOpen(true);
+    loadPendingReviews();
   };
 
   const closeAgent = () => {
-    if (phase === 'analyzing' || phase === 'saving') return;
+    if (phase === 'analyzing' || phase === 'saving' || bulkAction) return;
     setIsOpen(false);
     resetState();
   };
 
+  const backToQueue = () => {
+    resetState();
+    loadPendingReviews();
+  };
+
   const updateStep = (step) => {
     setSteps((prev) => prev.map((s) => (s.id === step.id ? { ...s, ...step } : s)));
   };
 
+  const startReview = (event) => {
+    setReview(event);
+    setReviewForm({
+      analysisId: event.analysisId,
+      memberId: event.proposal.memberId,
+      category: event.proposal.category,
+      reportDate: event.proposal.reportDate,
+      title: event.proposal.title,
+      vitals: event.proposal.vitals || [],
+      medications: event.proposal.medications || [],
+      prescribedBy: event.proposal.prescribedBy || '',
+      storeDecrypted: Boolean(event.proposal.encrypted),
+      skipDuplicates: true,
+    });
+    setPhase('review');
+    updateStep({ id: 'review', status: 'waiting', message: 'Waiting for your confirmation' });
+  };
+
+  const resumeReview = async (analysisId) => {
+    try {
+      const response = await axios.get(`/health/agent/analyses/${analysisId}`);
+      resetState();
+      setSteps(ANALYZE_STEPS.map((s) => ({ ...s, status: 'done', message: 'Complete' })));
+      startReview(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not resume this review');
+      loadPendingReviews();
+    }
+  };
+
+  const discardReview = async (analysisId) => {
+    try {
+      await axios.delete(`/health/agent/analyses/${analysisId}`);
+      setPendingReviews((prev) => prev.filter((analysis) => analysis.id !== analysisId));
+      setSelectedReviews((prev) => prev.filter((id) => id !== analysisId));
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not discard this upload');
+      return false;
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!reviewForm || !(await discardReview(reviewForm.analysisId))) return;
+    toast.success('Upload discarded');
+    backToQueue();
+  };
+
   const readStream = async (response, onEvent) => {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
@@ -112,20 +234,33 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
     }
   };
 
-  const handleFileSelect = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    if (!file.type.includes('pdf') && !file.name.toLowerCase().endsWith('.pdf')) {
-      toast.error('Please select a PDF file');
-      return;
+  const postConfirm = async (body, onEvent) => {
+    const token = localStorage.getItem('token');
+    const response = await fetch('/api/health/agent/confirm', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errData = await response.json().catch(() => ({}));
+      throw new Error(errData.message || 'Save failed');
     }
 
+    await readStream(response, onEvent);
+  };
+
+  const analyzeFile = async (file, password) => {
     resetState();
     setPhase('analyzing');
     updateStep({ id: 'upload', status: 'running', message: `Uploading ${file.name}...` });
 
     const formData = new FormData();
     formData.append('file', file);
+    if (password) formData.append('password', password);
 
     try {
       const token = localStorage.getItem('token');
@@ -142,18 +277,11 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
 
       await readStream(response, (event) => {
         if (event.type === 'step') updateStep(event);
-        if (event.type === 'review') {
-          setReview(event);
-          setReviewForm({
-            analysisId: event.analysisId,
-            memberId: event.proposal.memberId,
-            category: event.proposal.category,
-            reportDate: event.proposal.reportDate,
-            title: event.proposal.title,
-            vitals: event.proposal.vitals || [],
-          });
-          setPhase('review');
-          updateStep({ id: 'review', status: 'waiting', message: 'Waiting for your confirmation' });
+        if (event.type === 'review') startReview(event);
+        if (event.type === 'password_required') {
+          // Locked PDF that no family member's details opened; ask and upload again
+          setLockedFile({ file, incorrect: event.incorrect });
+          setPhase('password');
         }
         if (event.type === 'error') throw new Error(event.message);
       });
@@ -166,6 +294,195 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
     }
   };
 
+  const updateBatchFile = (event) => {
+    setBatch((prev) => (prev?.batchId === event.batchId
+      ? {
+        ...prev,
+        files: prev.files.map((f) => (f.analysisId === event.analysisId
+          ? { ...f, status: event.status, message: event.message }
+          : f)),
+      }
+      : prev));
+  };
+
+  // Follow a batch whose stream dropped by polling its analyses. Resolves with
+  // the batch totals, or null when the agent was closed or another upload started.
+  const pollBatch = async (batchId, files) => {
+    let batchFiles = files;
+    while (batchFiles.some((f) => f.status === 'queued' || f.status === 'analyzing')) {
+      await new Promise((resolve) => setTimeout(resolve, BATCH_POLL_MS));
+      if (batchPollRef.current !== batchId) return null;
+      const progress = await axios.get('/health/agent/analyses', {
+        params: { batchId, status: BATCH_ANALYSIS_STATUSES },
+      });
+      const progressFiles = applyBatchProgress(batchFiles, progress.data);
+      setBatch((prev) => (prev?.batchId === batchId ? { ...prev, files: progressFiles } : prev));
+      batchFiles = progressFiles;
+    }
+    return {
+      total: batchFiles.length,
+      awaiting_review: batchFiles.filter((f) => f.status === 'awaiting_review').length,
+    };
+  };
+
+  // Files are analyzed in the background on the server; the stream only
+  // reports progress, so closing the agent does not stop the batch
+  const analyzeBatch = async (files) => {
+    resetState();
+    setBatch({ files: [], skipped: [], uploading: files.length, complete: null });
+    setPhase('batch');
+
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    let batchId = null;
+    let batchFiles = [];
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('/api/health/agent/analyze-batch', {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw new Error(errData.message || 'Batch analysis failed');
+      }
+
+      let complete = null;
+      try {
+        await readStream(response, (event) => {
+          if (event.type === 'batch') {
+            batchId = event.batchId;
+            batchFiles = event.files;
+            batchPollRef.current = batchId;
+            setBatch({ batchId, files: event.files, skipped: event.skipped, uploading: 0, complete: null });
+          }
+          if (event.type === 'file') {
+            batchFiles = batchFiles.map((f) => (f.analysisId === event.analysisId ? { ...f, status: event.status } : f));
+            updateBatchFile(event);
+          }
+          if (event.type === 'batch_complete') complete = event;
+          if (event.type === 'error') throw new Error(event.message);
+        });
+      } catch (streamError) {
+        // The batch keeps running on the server once it is queued
+        if (!batchId) throw streamError;
+      }
+
+      if (!complete) {
+        complete = await pollBatch(batchId, batchFiles);
+        if (!complete) return;
+      }
+      setBatch((prev) => (prev?.batchId === batchId ? { ...prev, complete } : prev));
+      toast.success(`${complete.awaiting_review} of ${complete.total} file${complete.total === 1 ? '' : 's'} ready for review`);
+      loadPendingReviews();
+    } catch (err) {
+      const message = err.response?.data?.message || err.message || 'Batch analysis failed';
+      setError(message);
+      setPhase('error');
+      toast.error(message);
+    } finally {
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+    if (files.some((file) => !BATCH_FILE_REGEX.test(file.name))) {
+      toast.error('Please select PDF, JPEG, PNG or ZIP files');
+      return;
+    }
+    if (files.length === 1 && ACCEPTED_FILE_REGEX.test(files[0].name)) {
+      analyzeFile(files[0]);
+    } else {
+      analyzeBatch(files);
+    }
+  };
+
+  const toggleSelected = (analysisId) => {
+    setSelectedReviews((prev) => (prev.includes(analysisId)
+      ? prev.filter((id) => id !== analysisId)
+      : [...prev, analysisId]));
+  };
+
+  // Save the selected proposals as the agent suggested them
+  const confirmSelected = async () => {
+    const ids = [...selectedReviews];
+    let saved = 0;
+    setBulkAction({ type: 'confirm', done: 0, total: ids.length });
+
+    for (const analysisId of ids) {
+      try {
+        await postConfirm({ analysisId }, (event) => {
+          if (event.type === 'complete') toastWarnings(event.result.medicationWarnings);
+          if (event.type === 'error') throw new Error(event.message);
+        });
+        saved += 1;
+      } catch (err) {
+        const analysis = pendingReviews.find((a) => a.id === analysisId);
+        toast.error(`${analysis?.file_name || 'Upload'}: ${err.message}`);
+      }
+      setBulkAction((prev) => prev && { ...prev, done: prev.done + 1 });
+    }
+
+    setBulkAction(null);
+    if (saved > 0) {
+      toast.success(`Saved ${saved} upload${saved === 1 ? '' : 's'}`);
+      if (onComplete) onComplete();
+    }
+    loadPendingReviews();
+  };
+
+  const discardSelected = async () => {
+    const ids = [...selectedReviews];
+    setBulkAction({ type: 'discard', done: 0, total: ids.length });
+    let discarded = 0;
+    for (const analysisId of ids) {
+      if (await discardReview(analysisId)) discarded += 1;
+      setBulkAction((prev) => prev && { ...prev, done: prev.done + 1 });
+    }
+    setBulkAction(null);
+    if (discarded > 0) toast.success(`Discarded ${discarded} upload${discarded === 1 ? '' : 's'}`);
+  };
+
+  const handlePasswordSubmit = (e) => {
+    e.preventDefault();
+    if (!lockedFile || !pdfPassword) return;
+    analyzeFile(lockedFile.file, pdfPassword);
+  };
+
+  const updateVital = (index, changes) => {
+    setReviewForm((prev) => ({
+      ...prev,
+      vitals: prev.vitals.map((v, i) => (i === index ? { ...v, ...changes } : v)),
+    }));
+  };
+
+  const removeVital = (index) => {
+    setReviewForm((prev) => ({ ...prev, vitals: prev.vitals.filter((_, i) => i !== index) }));
+  };
+
+  const updateMedication = (index, changes) => {
+    setReviewForm((prev) => ({
+      ...prev,
+      medications: prev.medications.map((m, i) => (i === index ? { ...m, ...changes } : m)),
+    }));
+  };
+
+  const removeMedication = (index) => {
+    setReviewForm((prev) => ({ ...prev, medications: prev.medications.filter((_, i) => i !== index) }));
+  };
+
+  const addMedication = () => {
+    setReviewForm((prev) => ({
+      ...prev,
+      medications: [...prev.medications, { name: '', strength: '', frequency: '', duration: '' }],
+    }));
+  };
+
   const handleConfirm = async () => {
     if (!reviewForm) return;
 
@@ -179,22 +496,7 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
     ]);
 
     try {
-      const token = localStorage.getItem('token');
-      const response = await fetch('/api/health/agent/confirm', {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(reviewForm),
-      });
-
-      if (!response.ok) {
-        const errData = await response.json().catch(() => ({}));
-        throw new Error(errData.message || 'Save failed');
-      }
-
-      await readStream(response, (event) => {
+      await postConfirm(reviewForm, (event) => {
         if (event.type === 'step') {
           setSteps((prev) => {
             const exists = prev.find((s) => s.id === event.id);
@@ -206,6 +508,8 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
           setResult(event.result);
           setPhase('done');
           toast.success(`Saved for ${event.result.member.name}`);
+          toastWarnings(event.result.medicationWarnings);
+          setPendingReviews((prev) => prev.filter((analysis) => analysis.id !== reviewForm.analysisId));
           if (onComplete) onComplete(event.result);
         }
         if (event.type === 'error') throw new Error(event.message);
@@ -217,6 +521,22 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
     }
   };
 
+  // Remove everything the confirmed upload created
+  const handleUndoImport = async () => {
+    if (!result?.importId) return;
+    setIsUndoing(true);
+    try {
+      await axios.post(`/health/agent/imports/${result.importId}/undo`);
+      setResult((prev) => ({ ...prev, undone: true }));
+      toast.success('Import undone');
+      if (onComplete) onComplete();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not undo this import');
+    } finally {
+      setIsUndoing(false);
+    }
+  };
+
   const reviewMembers = review?.members?.length ? review.members : members;
   const categoryLabel = reviewForm?.category === 'report' ? 'Medical Report' : 'Document';
 
@@ -231,7 +551,7 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
           </div>
           <div>
             <h2 className="text-base font-bold text-neutral-900">AI Health Agent</h2>
-            <p className="text-xs text-neutral-500">Smart PDF analysis & import</p>
+            <p className="text-xs text-neutral-500">Smart PDF & scan analysis & import</p>
           </div>
         </div>
         {phase !== 'analyzing' && phase !== 'saving' && (
@@ -251,7 +571,7 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
               </svg>
             </div>
-            <h3 className="text-xl font-bold text-neutral-900 mb-2">Upload a health PDF</h3>
+            <h3 className="text-xl font-bold text-neutral-900 mb-2">Upload a health report</h3>
             <p className="text-neutral-500 mb-8 max-w-sm">
               Our AI agent will identify the member, classify the file, extract lab values, and ask you to review before saving.
             </p>
@@ -259,10 +579,71 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
               </svg>
-              <span>Choose PDF</span>
-              <input ref={fileInputRef} type="file" accept="application/pdf,.pdf" className="hidden" onChange={handleFileSelect} />
+              <span>Choose PDFs, Photos or ZIP</span>
+              <input ref={fileInputRef} type="file" accept={BATCH_ACCEPTED_FILES} multiple className="hidden" onChange={handleFileSelect} />
             </label>
-            <p className="text-xs text-neutral-400 mt-4">Works best with digital lab reports (not scanned photos)</p>
+            <p className="text-xs text-neutral-400 mt-4">Scanned reports and phone photos are read with OCR — digital PDFs give the most accurate results</p>
+            <p className="text-xs text-neutral-400 mt-1">Select several files or a ZIP archive to import a whole folder of reports at once</p>
+
+            {pendingReviews.length > 0 && (
+              <div className="w-full mt-10 text-left">
+                <div className="flex items-center justify-between mb-3">
+                  <p className="text-xs font-semibold uppercase tracking-wider text-violet-600">
+                    Waiting for review ({pendingReviews.length})
+                  </p>
+                  <label className="flex items-center gap-2 text-xs text-neutral-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedReviews.length === pendingReviews.length}
+                      onChange={(e) => setSelectedReviews(e.target.checked ? pendingReviews.map((analysis) => analysis.id) : [])}
+                      disabled={Boolean(bulkAction)}
+                    />
+                    <span>Select all</span>
+                  </label>
+                </div>
+                {selectedReviews.length > 0 && (
+                  <div className="flex items-center justify-between gap-3 mb-3 p-3 rounded-xl bg-violet-50 border border-violet-200 text-sm">
+                    <span className="text-violet-800">
+                      {bulkAction
+                        ? `${bulkAction.type === 'confirm' ? 'Saving' : 'Discarding'} ${bulkAction.done + 1} of ${bulkAction.total}...`
+                        : `${selectedReviews.length} selected`}
+                    </span>
+                    <div className="flex gap-2">
+                      <button onClick={discardSelected} disabled={Boolean(bulkAction)} className="btn-secondary text-xs px-3 py-1.5">Discard</button>
+                      <button onClick={confirmSelected} disabled={Boolean(bulkAction)} className="btn-ai text-xs px-3 py-1.5" title="Save as suggested, without editing">
+                        Confirm & Save
+                      </button>
+                    </div>
+                  </div>
+                )}
+                <div className="space-y-2">
+                  {pendingReviews.map((analysis) => (
+                    <div key={analysis.id} className="flex items-center justify-between gap-3 p-3 rounded-xl liquid-glass-subtle text-sm">
+                      <input
+                        type="checkbox"
+                        checked={selectedReviews.includes(analysis.id)}
+                        onChange={() => toggleSelected(analysis.id)}
+                        disabled={Boolean(bulkAction)}
+                      />
+                      <div className="min-w-0 flex-1">
+                        <p className="font-medium text-neutral-800 truncate">{analysis.file_name}</p>
+                        <p className="text-xs text-neutral-500">
+                          {[
+                            analysis.member_name,
+                            analysis.report_date,
+                            analysis.category === 'report' && `${analysis.vital_count} lab value${analysis.vital_count === 1 ? '' : 's'}`,
+                          ].filter(Boolean).join(' · ')}
+                        </p>
+                      </div>
+                      <div className="flex gap-2 flex-shrink-0">
+                        <button onClick={() => discardReview(analysis.id)} disabled={Boolean(bulkAction)} className="btn-secondary text-xs px-3 py-1.5">Discard</button>
+                        <button onClick={() => resumeReview(analysis.id)} disabled={Boolean(bulkAction)} className="btn-ai text-xs px-3 py-1.5">Review</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
@@ -288,13 +669,127 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
           </div>
         )}
 
+        {phase === 'batch' && batch && (
+          <div className="space-y-3">
+            <p className="text-xs font-semibold uppercase tracking-wider text-violet-600 mb-1">
+              {batch.uploading > 0
+                ? `Uploading ${batch.uploading} file${batch.uploading === 1 ? '' : 's'}...`
+                : batch.complete
+                  ? 'Batch complete'
+                  : `Analyzing ${batch.files.filter((f) => f.status !== 'queued' && f.status !== 'analyzing').length + 1} of ${batch.files.length}...`}
+            </p>
+            {!batch.complete && batch.uploading === 0 && (
+              <p className="text-xs text-neutral-500 mb-4">
+                You can close the agent — files keep processing and appear in the review queue.
+              </p>
+            )}
+            {batch.files.map((f) => (
+              <div
+                key={f.analysisId}
+                className={`flex items-start gap-3 p-4 rounded-2xl liquid-glass transition-all ${
+                  f.status === 'analyzing' ? 'ring-2 ring-violet-400/50' : ''
+                }`}
+              >
+                <div className="mt-0.5"><StatusIcon status={BATCH_FILE_STATUS[f.status]} /></div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-semibold text-neutral-900 truncate">{f.fileName}</p>
+                  <p className="text-xs text-neutral-500 mt-0.5">{f.message || 'Queued'}</p>
+                </div>
+              </div>
+            ))}
+            {batch.skipped.length > 0 && (
+              <div className="p-4 rounded-2xl border bg-amber-50/80 border-amber-200 text-sm">
+                <p className="font-semibold text-amber-800 mb-1">Skipped {batch.skipped.length} file{batch.skipped.length === 1 ? '' : 's'}</p>
+                {batch.skipped.map((f) => (
+                  <p key={f.fileName} className="text-xs text-amber-700 truncate">{f.fileName} — {f.reason}</p>
+                ))}
+              </div>
+            )}
+            {batch.complete && (
+              <div className="flex gap-3 pb-6">
+                <button onClick={closeAgent} className="btn-secondary flex-1">Close</button>
+                <button onClick={backToQueue} className="btn-ai flex-1 justify-center">
+                  <span>Review {batch.complete.awaiting_review} upload{batch.complete.awaiting_review === 1 ? '' : 's'}</span>
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {phase === 'password' && lockedFile && (
+          <form onSubmit={handlePasswordSubmit} className="flex flex-col items-center justify-center min-h-[50vh] text-center">
+            <div className="w-16 h-16 rounded-full bg-amber-100 flex items-center justify-center mb-4">
+              <svg className="w-8 h-8 text-amber-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+              </svg>
+            </div>
+            <h3 className="text-lg font-bold text-neutral-900 mb-2">Password protected PDF</h3>
+            <p className={`text-sm mb-6 max-w-sm ${lockedFile.incorrect ? 'text-red-600' : 'text-neutral-600'}`}>
+              {lockedFile.incorrect
+                ? 'That password did not open the PDF. Please try again.'
+                : `${lockedFile.file.name} could not be unlocked with your family members' birth dates or mobile numbers. Enter the password from the lab's email.`}
+            </p>
+            <input
+              type="password"
+              className="glass-input w-full max-w-xs mb-6"
+              placeholder="PDF password"
+              value={pdfPassword}
+              onChange={(e) => setPdfPassword(e.target.value)}
+              autoComplete="off"
+              autoFocus
+            />
+            <div className="flex gap-3 w-full max-w-xs">
+              <button type="button" onClick={closeAgent} className="btn-secondary flex-1">Cancel</button>
+              <button type="submit" disabled={!pdfPassword} className="btn-ai flex-1 justify-center">
+                <span>Unlock</span>
+              </button>
+            </div>
+          </form>
+        )}
+
         {phase === 'review' && reviewForm && (
           <div className="space-y-6">
             <div className="p-4 rounded-2xl bg-amber-50/80 border border-amber-200/60 backdrop-blur-sm">
               <p className="text-sm font-semibold text-amber-900">Review before saving</p>
               <p className="text-xs text-amber-700 mt-1">Confirm the details below. Nothing is saved until you approve.</p>
+              {review?.proposal?.labTemplate && (
+                <p className="text-xs text-amber-700 mt-1">Recognised as a {review.proposal.labTemplate.name} report and read with its layout.</p>
+              )}
             </div>
 
+            {review?.proposal?.duplicateOf && (
+              <div className="p-4 rounded-2xl bg-red-50/80 border border-red-200/60 backdrop-blur-sm">
+                <p className="text-sm font-semibold text-red-900">Possible duplicate</p>
+                <p className="text-xs text-red-700 mt-1">{review.proposal.duplicateOf.message}.</p>
+                {review.proposal.duplicateOf.memberName && (
+                  <Link
+                    to={`/${review.proposal.duplicateOf.memberName.toLowerCase().replace(/\s+/g, '-')}?tab=${review.proposal.duplicateOf.type === 'report' ? 'medical-reports' : 'documents'}`}
+                    className="inline-block text-xs font-semibold text-red-800 underline mt-1"
+                  >
+                    View existing {review.proposal.duplicateOf.type}
+                  </Link>
+                )}
+              </div>
+            )}
+
+            {review?.proposal?.ocr && (
+              <div className={`p-4 rounded-2xl border backdrop-blur-sm ${review.proposal.ocr.confidence < 60
+                ? 'bg-red-50/80 border-red-200/60'
+                : 'bg-sky-50/80 border-sky-200/60'
+                }`}
+              >
+                <p className="text-sm font-semibold text-neutral-900">
+                  Read with OCR — {review.proposal.ocr.confidence}% confidence
+                </p>
+                <p className="text-xs text-neutral-600 mt-1">
+                  {review.proposal.ocr.pages.map((page) => `Page ${page.page}: ${page.confidence}%`).join(' · ')}
+                </p>
+                {review.proposal.ocr.confidence < 60 && (
+                  <p className="text-xs text-red-700 mt-1">The scan is hard to read. Double-check every value against the original.</p>
+                )}
+              </div>
+            )}
+
             <div className="space-y-4 liquid-glass rounded-2xl p-5">
               <div>
                 <label className="input-label">Family Member</label>
@@ -340,23 +835,170 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
                 />
               </div>
 
+              {review?.proposal?.encrypted && (
+                <label className="flex items-center gap-2 text-sm text-neutral-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={reviewForm.storeDecrypted}
+                    onChange={(e) => setReviewForm({ ...reviewForm, storeDecrypted: e.target.checked })}
+                  />
+                  <span>This PDF was password protected — save an unlocked copy</span>
+                </label>
+              )}
+
               {reviewForm.category === 'report' && reviewForm.vitals.length > 0 && (
                 <div>
                   <label className="input-label">Vitals to import ({reviewForm.vitals.length})</label>
+                  {review?.proposal?.duplicateVitals > 0 && (
+                    <label className="flex items-center gap-2 text-xs text-neutral-600 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={reviewForm.skipDuplicates}
+                        onChange={(e) => setReviewForm({ ...reviewForm, skipDuplicates: e.target.checked })}
+                      />
+                      <span>Skip {review.proposal.duplicateVitals} reading(s) already recorded for {review.proposal.memberName}</span>
+                    </label>
+                  )}
                   <div className="space-y-2 mt-2">
                     {reviewForm.vitals.map((v, i) => (
                       <div key={i} className="flex justify-between items-center p-3 rounded-xl liquid-glass-subtle text-sm">
-                        <span className="font-medium text-neutral-800">{v.label || v.vitalType}</span>
-                        <span className="text-violet-700 font-semibold">{v.value} {v.unit}</span>
+                        <span>
+                          <span className="block font-medium text-neutral-800">{v.label || v.vitalType}</span>
+                          {v.cumulative && (
+                            // Cumulative reports give each reading the date of its column
+                            <input
+                              type="date"
+                              value={v.recordedAt}
+                              onChange={(e) => updateVital(i, { recordedAt: e.target.value })}
+                              className="glass-input block py-0.5 px-2 mb-1 text-xs"
+                              title="Date of this reading"
+                            />
+                          )}
+                          {v.confidence !== undefined && (
+                            <span className={`text-xs ${v.confidence < LOW_VITAL_CONFIDENCE ? 'text-amber-600' : 'text-neutral-500'}`}>
+                              {v.confidence}% confidence
+                            </span>
+                          )}
+                          {v.duplicate && (
+                            <span className="ml-1 text-xs text-neutral-500" title="The same value is already recorded for this date">
+                              · already recorded
+                            </span>
+                          )}
+                          {v.learned && (
+                            <span className="ml-1 text-xs text-violet-600" title="Read using this lab's layout from an earlier correction">
+                              · learned
+                            </span>
+                          )}
+                        </span>
+                        <span className="text-violet-700 font-semibold text-right">
+                          {/* Corrections here teach the agent this lab's layout */}
+                          <input
+                            type="number"
+                            step="any"
+                            value={v.value}
+                            onChange={(e) => updateVital(i, { value: e.target.value })}
+                            className="glass-input w-24 py-1 px-2 text-right"
+                          />{' '}
+                          {v.unit}
+                          {v.labFlag && (
+                            <span className="ml-1 text-xs font-bold text-red-600">{v.labFlag}</span>
+                          )}
+                          {v.printedUnit && (
+                            <span className="block text-xs font-normal text-neutral-500">
+                              printed as {v.printedValue} {v.printedUnit}
+                            </span>
+                          )}
+                          {v.labRange?.text && (
+                            <span className="block text-xs font-normal text-neutral-500">
+                              lab range {v.labRange.text} {v.labRange.printedUnit}
+                            </span>
+                          )}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => removeVital(i)}
+                          className="ml-3 p-1 rounded-lg hover:bg-white/40 text-neutral-400 hover:text-red-500"
+                          title="Do not import this value"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
                       </div>
                     ))}
                   </div>
                 </div>
               )}
+
+              {reviewForm.category === 'report' && (reviewForm.medications.length > 0 || review?.proposal?.reportType === 'prescription_consultation') && (
+                <div>
+                  <label className="input-label">Medications to add ({reviewForm.medications.length})</label>
+                  <input
+                    className="glass-input w-full mb-2"
+                    placeholder="Prescribed by"
+                    value={reviewForm.prescribedBy}
+                    onChange={(e) => setReviewForm({ ...reviewForm, prescribedBy: e.target.value })}
+                  />
+                  <div className="space-y-2">
+                    {reviewForm.medications.map((m, i) => (
+                      <div key={i} className="p-3 rounded-xl liquid-glass-subtle text-sm">
+                        <div className="flex items-center gap-2">
+                          <input
+                            className="glass-input flex-1 py-1 px-2 font-medium"
+                            placeholder="Medicine"
+                            value={m.name}
+                            onChange={(e) => updateMedication(i, { name: e.target.value })}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => removeMedication(i)}
+                            className="p-1 rounded-lg hover:bg-white/40 text-neutral-400 hover:text-red-500"
+                            title="Do not add this medication"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </div>
+                        <div className="grid grid-cols-3 gap-2 mt-2">
+                          <input
+                            className="glass-input py-1 px-2 text-xs"
+                            placeholder="Strength"
+                            value={m.strength || ''}
+                            onChange={(e) => updateMedication(i, { strength: e.target.value })}
+                          />
+                          <input
+                            className="glass-input py-1 px-2 text-xs"
+                            placeholder="1-0-1"
+                            value={m.frequency || ''}
+                            onChange={(e) => updateMedication(i, { frequency: e.target.value })}
+                            title="Doses morning-noon-night, or OD/BD/SOS"
+                          />
+                          <input
+                            className="glass-input py-1 px-2 text-xs"
+                            placeholder="5 days"
+                            value={m.duration || ''}
+                            onChange={(e) => updateMedication(i, { duration: e.target.value })}
+                          />
+                        </div>
+                        {(m.instructions || m.confidence !== undefined) && (
+                          <span className={`block mt-1 text-xs ${m.confidence < LOW_VITAL_CONFIDENCE ? 'text-amber-600' : 'text-neutral-500'}`}>
+                            {[m.instructions, m.confidence !== undefined && `${m.confidence}% confidence`].filter(Boolean).join(' · ')}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <button type="button" onClick={addMedication} className="mt-2 text-xs font-semibold text-violet-700 hover:underline">
+                    + Add medication
+                  </button>
+                </div>
+              )}
             </div>
 
             <div className="flex gap-3 pb-6">
-              <button onClick={closeAgent} className="btn-secondary flex-1">Cancel</button>
+              <button onClick={handleDiscard} className="btn-secondary flex-1">Discard</button>
+              <button onClick={backToQueue} className="btn-secondary flex-1" title="Keep this upload and finish the review later">Later</button>
               <button onClick={handleConfirm} className="btn-ai flex-1 justify-center">
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
@@ -379,8 +1021,24 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
             <p className="text-sm text-neutral-500 mb-6">
               {result.savedRecord?.type === 'report' ? 'Medical report' : 'Document'} · {result.reportDate}
               {result.vitalsSaved?.length > 0 && ` · ${result.vitalsSaved.length} vitals added`}
+              {result.medicationsSaved?.length > 0 && ` · ${result.medicationsSaved.length} medications added`}
             </p>
-            <button onClick={closeAgent} className="btn-primary px-8">Done</button>
+            {result.undone && (
+              <p className="text-sm text-red-600 -mt-4 mb-6">Import undone — nothing from this upload is saved</p>
+            )}
+            <div className="flex gap-3">
+              {result.importId && !result.undone && (
+                <button onClick={handleUndoImport} disabled={isUndoing} className="btn-secondary px-6 text-red-600">
+                  {isUndoing ? 'Undoing...' : 'Undo import'}
+                </button>
+              )}
+              {pendingReviews.length > 0 && (
+                <button onClick={backToQueue} className="btn-secondary px-6">
+                  Review next ({pendingReviews.length} left)
+                </button>
+              )}
+              <button onClick={closeAgent} className="btn-primary px-8">Done</button>
+            </div>
           </div>
         )}
 
@@ -398,7 +1056,7 @@ const PdfAgentUpload = ({ onComplete, members = [] }) => {
               <button onClick={() => { resetState(); fileInputRef.current?.click(); }} className="btn-ai flex-1 justify-center">
                 <span>Retry</span>
               </button>
-              <input ref={fileInputRef} type="file" accept="application/pdf,.pdf" className="hidden" onChange={handleFileSelect} />
+              <input ref={fileInputRef} type="file" accept={ACCEPTED_FILES} className="hidden" onChange={handleFileSelect} />
             </div>
           </div>
         )}
@@ -0,0 +1,157 @@
+import React from 'react';
+
+// What each opt-in field of the card is called on the settings screen
+export const EMERGENCY_CARD_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'age', label: 'Age' },
+  { key: 'bloodGroup', label: 'Blood group' },
+  { key: 'allergies', label: 'Allergies' },
+  { key: 'conditions', label: 'Chronic conditions' },
+  { key: 'medications', label: 'Current medications' },
+  { key: 'contacts', label: 'Emergency contacts' },
+  { key: 'notes', label: 'Notes for responders' }
+];
+
+const SEVERITY_STYLES = {
+  severe: 'bg-rose-100 text-rose-800 border-rose-300',
+  moderate: 'bg-amber-50 text-amber-800 border-amber-200',
+  mild: 'bg-yellow-50 text-yellow-800 border-yellow-200'
+};
+
+const decodeHtmlEntities = (text) => {
+  if (!text) return text;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+};
+
+const Section = ({ title, children }) => (
+  <div className="py-3 border-t border-gray-200 break-inside-avoid">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1.5">{title}</h3>
+    {children}
+  </div>
+);
+
+const None = ({ children }) => <p className="text-sm text-gray-500">{children}</p>;
+
+// Printable emergency card; shows only the fields present on `card`.
+// `qrCode` is the SVG of the card's public link, drawn by the server.
+const EmergencyCard = ({ card, qrCode }) => {
+  const has = (field) => card.fields.includes(field);
+
+  return (
+    <div className="bg-white rounded-2xl border-2 border-red-600 overflow-hidden text-gray-900 print:rounded-none">
+      <div className="bg-red-600 text-white px-4 py-2 flex items-center justify-between">
+        <span className="font-bold tracking-wide">EMERGENCY MEDICAL CARD</span>
+        <span className="text-xl" aria-hidden="true">✚</span>
+      </div>
+
+      <div className="p-4">
+        <div className="flex items-start justify-between gap-4">
+          <div className="min-w-0">
+            {has('name') && <h2 className="text-2xl font-bold leading-tight">{decodeHtmlEntities(card.name)}</h2>}
+            <div className="flex flex-wrap gap-x-6 gap-y-1 mt-1 text-sm">
+              {has('age') && card.age !== null && <span>Age <strong>{card.age}</strong></span>}
+              {has('bloodGroup') && (
+                <span>
+                  Blood group <strong className="text-red-700 text-lg">{card.bloodGroup || 'Unknown'}</strong>
+                </span>
+              )}
+            </div>
+          </div>
+          {qrCode && (
+            <div
+              className="w-24 h-24 flex-shrink-0"
+              title="Scan to open this card"
+              // SVG generated by the server for the card's own link
+              dangerouslySetInnerHTML={{ __html: qrCode }}
+            />
+          )}
+        </div>
+
+        {has('allergies') && (
+          <Section title="Allergies">
+            {card.allergies.length === 0 ? <None>No known allergies</None> : (
+              <div className="flex flex-wrap gap-1.5">
+                {card.allergies.map((allergy, index) => (
+                  <span
+                    key={index}
+                    className={`inline-flex items-center px-2 py-0.5 rounded-md border text-sm font-medium ${SEVERITY_STYLES[allergy.severity] || SEVERITY_STYLES.moderate}`}
+                  >
+                    {decodeHtmlEntities(allergy.substance)}
+                    {allergy.reaction && <span className="font-normal opacity-75 ml-1">({decodeHtmlEntities(allergy.reaction)})</span>}
+                    {allergy.severity === 'severe' && <span className="ml-1 text-xs uppercase">severe</span>}
+                  </span>
+                ))}
+              </div>
+            )}
+          </Section>
+        )}
+
+        {has('conditions') && (
+          <Section title="Chronic conditions">
+            {card.conditions.length === 0 ? <None>None recorded</None> : (
+              <ul className="text-sm space-y-0.5">
+                {card.conditions.map((condition, index) => (
+                  <li key={index}>
+                    {decodeHtmlEntities(condition.name)}
+                    {condition.status === 'controlled' && <span className="text-gray-500"> · controlled</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Section>
+        )}
+
+        {has('medications') && (
+          <Section title="Current medications">
+            {card.medications.length === 0 ? <None>None recorded</None> : (
+              <ul className="text-sm space-y-0.5">
+                {card.medications.map((medication, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{decodeHtmlEntities(medication.name)}</span>
+                    {[medication.strength, medication.dose, medication.frequency].filter(Boolean).length > 0 && (
+                      <span className="text-gray-600">
+                        {' '}{[medication.strength, medication.dose, medication.frequency].filter(Boolean).map(decodeHtmlEntities).join(' · ')}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Section>
+        )}
+
+        {has('contacts') && (
+          <Section title="Emergency contacts">
+            {card.contacts.length === 0 ? <None>None recorded</None> : (
+              <ul className="text-sm space-y-1">
+                {card.contacts.map((contact, index) => (
+                  <li key={index} className="flex flex-wrap items-baseline gap-x-2">
+                    <span className="font-medium">{contact.name}</span>
+                    {contact.relation && <span className="text-gray-500">{contact.relation}</span>}
+                    <a href={`tel:${contact.phone.replace(/[^+\d]/g, '')}`} className="text-primary-700 font-semibold">
+                      {contact.phone}
+                    </a>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </Section>
+        )}
+
+        {has('notes') && card.notes && (
+          <Section title="Notes">
+            <p className="text-sm whitespace-pre-line">{decodeHtmlEntities(card.notes)}</p>
+          </Section>
+        )}
+
+        {card.fields.length === 0 && (
+          <None>Nothing has been chosen to show on this card yet.</None>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmergencyCard;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../../contexts/AuthContext';
+import EmergencyCard from './EmergencyCard';
+
+// Full-page emergency card, ready to print. Opened either through a public
+// link (/emergency/:token, no sign-in) or by the family from the member page
+// (/emergency-card/:memberId), which also prints the link's QR code.
+const EmergencyCardPage = () => {
+  const { token, memberId } = useParams();
+  const { loading: authLoading } = useAuth();
+  const [card, setCard] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    // Wait until the API base URL and any sign-in are set up
+    if (authLoading) return;
+
+    const fetchCard = async () => {
+      try {
+        if (token) {
+          const response = await axios.get(`/emergency/${token}`);
+          setCard(response.data.card);
+        } else {
+          const response = await axios.get(`/family/members/${memberId}/emergency-card`);
+          setCard(response.data.card);
+          setQrCode(response.data.settings.qrCode);
+        }
+      } catch (error) {
+        console.error('Error fetching emergency card:', error);
+        setNotFound(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCard();
+  }, [authLoading, token, memberId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (notFound) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="glass-panel p-6 max-w-md text-center">
+          <h1 className="text-lg font-semibold text-gray-900 mb-2">Emergency card not available</h1>
+          <p className="text-sm text-gray-600">
+            {token
+              ? 'This link is invalid or has been revoked. Ask the family for a new one.'
+              : 'Could not load this emergency card.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen p-4 sm:p-8 print:p-0 print:min-h-0">
+      <div className="max-w-xl mx-auto">
+        <EmergencyCard card={card} qrCode={qrCode} />
+        <p className="text-xs text-gray-500 mt-3">
+          Shared from Life Vault by the family. Information may be incomplete; confirm with the patient or family when possible.
+        </p>
+        <div className="mt-4 flex justify-end print:hidden">
+          <button type="button" onClick={() => window.print()} className="btn-primary">
+            Print
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmergencyCardPage;
@@ -1,10 +1,15 @@
 import React, { useState } from 'react';
 import { Outlet, Link } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import UnitPreferencesModal from './UnitPreferencesModal';
+import NotificationPanel from './NotificationPanel';
+import NotificationPreferencesModal from './NotificationPreferencesModal';
 
 const Layout = () => {
   const { user, logout } = useAuth();
   const [showMenu, setShowMenu] = useState(false);
+  const [showUnitsModal, setShowUnitsModal] = useState(false);
+  const [showEmailModal, setShowEmailModal] = useState(false);
 
   const handleLogout = () => {
     logout();
@@ -33,48 +38,79 @@ const Layout = () => {
               </Link>
             </div>
 
-            <div className="relative">
-              <button
-                onClick={() => setShowMenu(!showMenu)}
-                className="flex items-center space-x-3 focus:outline-none"
-                title="User Menu"
-              >
-                <div className="hidden sm:block text-right">
-                  <p className="text-sm font-medium text-neutral-900">Welcome Back</p>
-                  <p className="text-xs text-neutral-500 font-medium">
-                    {user?.firstName && user?.lastName
-                      ? `${user.firstName} ${user.lastName}`
-                      : user?.email}
-                  </p>
-                </div>
-                <div className="w-8 h-8 rounded-full liquid-glass-subtle flex items-center justify-center text-primary-700 font-bold text-xs">
-                  {user?.firstName ? user.firstName[0].toUpperCase() : 'U'}
-                </div>
-              </button>
+            <div className="flex items-center space-x-3">
+              <NotificationPanel />
 
-              {showMenu && (
-                <div className="absolute right-0 mt-2 w-48 glass-dropdown z-50">
-                  <div className="px-4 py-2 border-b border-white/40 sm:hidden">
-                    <p className="text-sm font-medium text-neutral-900 truncate">
-                      {user?.firstName ? `${user.firstName} ${user.lastName}` : user?.email}
+              <div className="relative">
+                <button
+                  onClick={() => setShowMenu(!showMenu)}
+                  className="flex items-center space-x-3 focus:outline-none"
+                  title="User Menu"
+                >
+                  <div className="hidden sm:block text-right">
+                    <p className="text-sm font-medium text-neutral-900">Welcome Back</p>
+                    <p className="text-xs text-neutral-500 font-medium">
+                      {user?.firstName && user?.lastName
+                        ? `${user.firstName} ${user.lastName}`
+                        : user?.email}
                     </p>
                   </div>
-                  <button
-                    onClick={handleLogout}
-                    className="w-full text-left px-4 py-2.5 text-sm text-red-600 hover:bg-white/40 flex items-center space-x-2 rounded-xl mx-1 my-1"
-                  >
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
-                    </svg>
-                    <span>Sign out</span>
-                  </button>
-                </div>
-              )}
+                  <div className="w-8 h-8 rounded-full liquid-glass-subtle flex items-center justify-center text-primary-700 font-bold text-xs">
+                    {user?.firstName ? user.firstName[0].toUpperCase() : 'U'}
+                  </div>
+                </button>
+
+                {showMenu && (
+                  <div className="absolute right-0 mt-2 w-48 glass-dropdown z-50">
+                    <div className="px-4 py-2 border-b border-white/40 sm:hidden">
+                      <p className="text-sm font-medium text-neutral-900 truncate">
+                        {user?.firstName ? `${user.firstName} ${user.lastName}` : user?.email}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => {
+                        setShowUnitsModal(true);
+                        setShowMenu(false);
+                      }}
+                      className="w-full text-left px-4 py-2.5 text-sm text-neutral-700 hover:bg-white/40 flex items-center space-x-2 rounded-xl mx-1 my-1"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 6h18M3 12h18M3 18h18M7 6v3m5 3v3m5 3v3" />
+                      </svg>
+                      <span>Units</span>
+                    </button>
+                    <button
+                      onClick={() => {
+                        setShowEmailModal(true);
+                        setShowMenu(false);
+                      }}
+                      className="w-full text-left px-4 py-2.5 text-sm text-neutral-700 hover:bg-white/40 flex items-center space-x-2 rounded-xl mx-1 my-1"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                      </svg>
+                      <span>Email notifications</span>
+                    </button>
+                    <button
+                      onClick={handleLogout}
+                      className="w-full text-left px-4 py-2.5 text-sm text-red-600 hover:bg-white/40 flex items-center space-x-2 rounded-xl mx-1 my-1"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                      </svg>
+                      <span>Sign out</span>
+                    </button>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
         </nav>
       </div>
 
+      {showUnitsModal && <UnitPreferencesModal onClose={() => setShowUnitsModal(false)} />}
+      {showEmailModal && <NotificationPreferencesModal onClose={() => setShowEmailModal(false)} />}
+
       <main className="pt-24 pb-8 container-safe">
         <div className="animate-fade-in">
           <Outlet />
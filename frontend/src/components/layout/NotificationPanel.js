@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { formatDate } from '../../utils/dateUtils';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const SEVERITY_STYLES = {
+  critical: 'bg-rose-500',
+  warning: 'bg-amber-500',
+  info: 'bg-primary-500'
+};
+
+// Notifications about doses open the member's medications tab
+const MEDICATION_TYPES = ['medication_reminder', 'missed_dose'];
+
+const decodeHtmlEntities = (text) => {
+  if (!text) return text;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+};
+
+// Bell icon with the user's alerts (abnormal and sharply changed readings,
+// medication reminders and missed doses)
+const NotificationPanel = () => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await axios.get('/notifications');
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchNotifications]);
+
+  const toggleOpen = () => {
+    if (!open) fetchNotifications();
+    setOpen(!open);
+  };
+
+  const markRead = async (notification, read = true) => {
+    try {
+      await axios.put(`/notifications/${notification.id}/read`, { read });
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error updating notification:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await axios.put('/notifications/read-all');
+      fetchNotifications();
+    } catch (error) {
+      console.error('Error updating notifications:', error);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read_at) markRead(notification);
+    if (notification.member_name) {
+      const tab = MEDICATION_TYPES.includes(notification.type) ? '?tab=medications' : '';
+      navigate(`/${notification.member_name.toLowerCase().replace(/\s+/g, '-')}${tab}`);
+      setOpen(false);
+    }
+  };
+
+  // Log every dose of a reminder at once; doses logged elsewhere in the
+  // meantime are left as they are
+  const logReminderDoses = async (notification, action) => {
+    const results = await Promise.allSettled(
+      notification.data.doseIds.map(doseId => axios.put(`/health/medications/doses/${doseId}`, { action }))
+    );
+    if (results.some(result => result.status === 'fulfilled')) {
+      toast.success(action === 'snoozed' ? 'Reminder snoozed for 15 minutes' : 'Marked as taken');
+    } else {
+      toast.error(results[0]?.reason?.response?.data?.message || 'Failed to log dose');
+    }
+    markRead(notification);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={toggleOpen}
+        className="relative w-8 h-8 rounded-full liquid-glass-subtle flex items-center justify-center text-neutral-600 hover:text-primary-700 focus:outline-none"
+        title="Notifications"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-rose-500 text-white text-[10px] font-bold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 glass-dropdown z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-white/40">
+            <p className="text-sm font-semibold text-neutral-900">Notifications</p>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-primary-600 hover:text-primary-800">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length > 0 ? (
+            <ul className="max-h-96 overflow-y-auto">
+              {notifications.map(notification => (
+                <li
+                  key={notification.id}
+                  className={`px-4 py-2.5 hover:bg-white/40 cursor-pointer ${notification.read_at ? 'opacity-70' : ''}`}
+                  onClick={() => openNotification(notification)}
+                >
+                  <div className="flex items-start space-x-2">
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${notification.read_at ? 'bg-gray-300' : SEVERITY_STYLES[notification.severity] || SEVERITY_STYLES.info}`} />
+                    <div className="flex-1 min-w-0">
+                      <p className={`text-sm text-neutral-900 ${notification.read_at ? '' : 'font-semibold'}`}>
+                        {decodeHtmlEntities(notification.title)}
+                      </p>
+                      {notification.message && (
+                        <p className="text-xs text-neutral-600 whitespace-pre-line">{decodeHtmlEntities(notification.message)}</p>
+                      )}
+                      {notification.type === 'medication_reminder' && notification.data?.doseIds?.length > 0 && !notification.read_at && (
+                        <div className="flex gap-2 mt-1">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              logReminderDoses(notification, 'taken');
+                            }}
+                            className="text-xs px-2 py-0.5 rounded bg-green-50 text-green-700 hover:bg-green-100"
+                          >
+                            Taken
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              logReminderDoses(notification, 'snoozed');
+                            }}
+                            className="text-xs px-2 py-0.5 rounded bg-amber-50 text-amber-700 hover:bg-amber-100"
+                          >
+                            Snooze
+                          </button>
+                        </div>
+                      )}
+                      <div className="flex items-center justify-between mt-1">
+                        <p className="text-xs text-neutral-400">{formatDate(notification.created_at)}</p>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            markRead(notification, !notification.read_at);
+                          }}
+                          className="text-xs text-neutral-500 hover:text-primary-700"
+                        >
+                          {notification.read_at ? 'Mark unread' : 'Mark read'}
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="px-4 py-6 text-sm text-neutral-500 text-center">No notifications</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationPanel;
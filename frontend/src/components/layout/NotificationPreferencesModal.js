@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+const EMAIL_CATEGORIES = [
+  { key: 'alerts', label: 'Health alerts', description: 'Readings outside the reference range or sharp changes' },
+  { key: 'reminders', label: 'Reminders', description: 'Scheduled reminders such as medication doses' },
+  { key: 'digest', label: 'Weekly digest', description: 'A Monday summary of new readings, reports and alerts' }
+];
+
+// Lets a user choose which notification categories are also sent by email
+const NotificationPreferencesModal = ({ onClose }) => {
+  const { user, updateUser } = useAuth();
+  const [email, setEmail] = useState(() => Object.fromEntries(
+    EMAIL_CATEGORIES.map(category => [category.key, user?.notificationPreferences?.email?.[category.key] !== false])
+  ));
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.put('/auth/preferences', { notificationPreferences: { email } });
+      updateUser({ ...user, notificationPreferences: response.data.notificationPreferences });
+      toast.success('Email preferences saved');
+      onClose();
+    } catch (error) {
+      console.error('Error saving email preferences:', error);
+      toast.error(error.response?.data?.message || 'Failed to save email preferences');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="text-lg font-semibold mb-2">Email Notifications</h2>
+        <p className="text-sm text-gray-500 mb-4">Emails are sent to {user?.email}.</p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {EMAIL_CATEGORIES.map(category => (
+            <label key={category.key} className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={email[category.key]}
+                onChange={(e) => setEmail({ ...email, [category.key]: e.target.checked })}
+                className="mt-1"
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-700">{category.label}</span>
+                <span className="block text-xs text-gray-500">{category.description}</span>
+              </span>
+            </label>
+          ))}
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${isSubmitting
+                ? 'bg-gray-400 cursor-not-allowed text-white'
+                : 'btn-primary'
+                }`}
+            >
+              {isSubmitting ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              type="button"
+              disabled={isSubmitting}
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg font-medium transition-colors duration-200 btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>, document.body
+  );
+};
+
+export default NotificationPreferencesModal;
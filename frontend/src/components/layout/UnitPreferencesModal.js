@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import { useVitalTypes, invalidateVitalTypes } from '../../hooks/useVitalTypes';
+
+// One-click settings; a unit is only applied to types that support it
+const PRESETS = [
+  { label: 'Lab default', units: [] },
+  { label: 'SI (mmol/L)', units: ['mmol/L', 'μmol/L', 'nmol/L', 'pmol/L', 'mmol/mol', 'g/L'] },
+  { label: 'Imperial', units: ['lb', 'ft/in'] }
+];
+
+// Lets a user pick the unit each vital type is shown in
+const UnitPreferencesModal = ({ onClose }) => {
+  const { user, updateUser } = useAuth();
+  const { vitalTypes, loading } = useVitalTypes();
+  const [preferences, setPreferences] = useState(user?.unitPreferences || {});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const convertibleTypes = Object.values(vitalTypes).filter(type => type.units?.length > 1);
+
+  const applyPreset = (preset) => {
+    const next = {};
+    convertibleTypes.forEach(type => {
+      const unit = type.units.find(option => preset.units.includes(option));
+      if (unit) next[type.key] = unit;
+    });
+    setPreferences(next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      // Send every convertible type so cleared selections are removed too
+      const unitPreferences = Object.fromEntries(
+        convertibleTypes.map(type => [type.key, preferences[type.key] || ''])
+      );
+      const response = await axios.put('/auth/preferences', { unitPreferences });
+      invalidateVitalTypes();
+      updateUser({ ...user, unitPreferences: response.data.unitPreferences });
+      toast.success('Unit preferences saved');
+      onClose();
+    } catch (error) {
+      console.error('Error saving unit preferences:', error);
+      toast.error(error.response?.data?.message || 'Failed to save unit preferences');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="text-lg font-semibold mb-2">Units</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Readings are stored in the lab default unit and shown in the unit you choose here.
+        </p>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {PRESETS.map(preset => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => applyPreset(preset)}
+              className="text-xs px-3 py-1 rounded-full bg-gray-100 text-gray-600 hover:bg-gray-200 transition-colors"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading vital types...</p>
+          ) : (
+            <div className="space-y-2 max-h-96 overflow-y-auto">
+              {convertibleTypes.map(type => (
+                <div key={type.key} className="grid grid-cols-2 gap-2 items-center">
+                  <label className="text-sm font-medium text-gray-700">{type.label}</label>
+                  <select
+                    value={preferences[type.key] || type.unit}
+                    onChange={(e) => setPreferences({ ...preferences, [type.key]: e.target.value === type.unit ? '' : e.target.value })}
+                    className="glass-input w-full"
+                  >
+                    {type.units.map(unit => (
+                      <option key={unit} value={unit}>{unit}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isSubmitting || loading}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${isSubmitting
+                ? 'bg-gray-400 cursor-not-allowed text-white'
+                : 'btn-primary'
+                }`}
+            >
+              {isSubmitting ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              type="button"
+              disabled={isSubmitting}
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg font-medium transition-colors duration-200 btn-secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>, document.body
+  );
+};
+
+export default UnitPreferencesModal;
@@ -0,0 +1,384 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  unit: '',
+  placeholder: '',
+  normalMin: '',
+  normalMax: '',
+  maleMin: '',
+  maleMax: '',
+  femaleMin: '',
+  femaleMax: '',
+  ageBands: [],
+  aliases: ''
+};
+
+const emptyAgeBand = { minAge: '', maxAge: '', gender: '', min: '', max: '' };
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Convert a stored custom type back into form fields for editing
+const toFormData = (vitalType) => {
+  const ranges = vitalType.ranges || {};
+  return {
+    name: vitalType.label,
+    unit: vitalType.unit,
+    placeholder: vitalType.placeholder || '',
+    normalMin: ranges.normal?.min ?? '',
+    normalMax: ranges.normal?.max ?? '',
+    maleMin: ranges.male?.min ?? '',
+    maleMax: ranges.male?.max ?? '',
+    femaleMin: ranges.female?.min ?? '',
+    femaleMax: ranges.female?.max ?? '',
+    ageBands: (ranges.age || []).map(band => ({
+      minAge: band.minAge ?? '',
+      maxAge: band.maxAge ?? '',
+      gender: band.gender || '',
+      min: band.min,
+      max: band.max
+    })),
+    aliases: (vitalType.aliases || []).join(', ')
+  };
+};
+
+// Build the request body expected by /health/vital-types
+const toPayload = (formData) => {
+  const ranges = {
+    normal: { min: parseFloat(formData.normalMin), max: parseFloat(formData.normalMax) }
+  };
+
+  if (!isBlank(formData.maleMin) && !isBlank(formData.maleMax)) {
+    ranges.male = { min: parseFloat(formData.maleMin), max: parseFloat(formData.maleMax) };
+  }
+  if (!isBlank(formData.femaleMin) && !isBlank(formData.femaleMax)) {
+    ranges.female = { min: parseFloat(formData.femaleMin), max: parseFloat(formData.femaleMax) };
+  }
+
+  const ageBands = formData.ageBands.filter(band => !isBlank(band.min) && !isBlank(band.max));
+  if (ageBands.length > 0) {
+    ranges.age = ageBands.map(band => ({
+      minAge: isBlank(band.minAge) ? null : parseFloat(band.minAge),
+      maxAge: isBlank(band.maxAge) ? null : parseFloat(band.maxAge),
+      gender: band.gender || null,
+      min: parseFloat(band.min),
+      max: parseFloat(band.max)
+    }));
+  }
+
+  return {
+    name: formData.name.trim(),
+    unit: formData.unit.trim(),
+    placeholder: formData.placeholder.trim(),
+    ranges,
+    aliases: formData.aliases.split(',').map(alias => alias.trim()).filter(Boolean)
+  };
+};
+
+// Admin modal for adding, editing and removing the family's own vital types
+const CustomVitalTypesModal = ({ vitalTypes, onClose, onChange }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingKey, setEditingKey] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const customTypes = Object.values(vitalTypes).filter(type => type.custom);
+
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setEditingKey(null);
+  };
+
+  const updateAgeBand = (index, changes) => {
+    const ageBands = formData.ageBands.map((band, i) => (i === index ? { ...band, ...changes } : band));
+    setFormData({ ...formData, ageBands });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (parseFloat(formData.normalMin) > parseFloat(formData.normalMax)) {
+      toast.error('Normal range minimum must not exceed the maximum');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const payload = toPayload(formData);
+      if (editingKey) {
+        await axios.put(`/health/vital-types/${editingKey}`, payload);
+        toast.success('Vital type updated successfully');
+      } else {
+        await axios.post('/health/vital-types', payload);
+        toast.success('Vital type added successfully');
+      }
+      resetForm();
+      onChange();
+    } catch (error) {
+      console.error('Error saving vital type:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to save vital type';
+      toast.error(errorMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (vitalType) => {
+    if (!window.confirm(`Delete the "${vitalType.label}" vital type?`)) return;
+
+    try {
+      await axios.delete(`/health/vital-types/${vitalType.key}`);
+      toast.success('Vital type deleted successfully');
+      if (editingKey === vitalType.key) resetForm();
+      onChange();
+    } catch (error) {
+      console.error('Error deleting vital type:', error);
+      const errorMessage = error.response?.data?.message || 'Failed to delete vital type';
+      toast.error(errorMessage);
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <h2 className="text-lg font-semibold mb-4">Custom Vital Types</h2>
+
+        {customTypes.length > 0 ? (
+          <ul className="space-y-2 mb-6">
+            {customTypes.map(type => (
+              <li key={type.key} className="flex items-center justify-between p-2 rounded-lg bg-white/40">
+                <div>
+                  <p className="font-medium text-gray-900">{type.label}</p>
+                  <p className="text-xs text-gray-500">{type.unit} · Normal: {type.ranges?.display}</p>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setEditingKey(type.key);
+                      setFormData(toFormData(type));
+                    }}
+                    className="text-sm text-primary-600 hover:text-primary-800"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(type)}
+                    className="text-sm text-rose-600 hover:text-rose-800"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-6">No custom vital types yet</p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <h3 className="text-sm font-semibold text-gray-700">
+            {editingKey ? 'Edit Vital Type' : 'Add Vital Type'}
+          </h3>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name <span className="text-red-500">*</span></label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="glass-input w-full"
+                placeholder="Uric Acid"
+                maxLength={100}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Unit <span className="text-red-500">*</span></label>
+              <input
+                type="text"
+                value={formData.unit}
+                onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
+                className="glass-input w-full"
+                placeholder="mg/dL"
+                maxLength={20}
+                required
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Normal Min <span className="text-red-500">*</span></label>
+              <input
+                type="number"
+                step="any"
+                value={formData.normalMin}
+                onChange={(e) => setFormData({ ...formData, normalMin: e.target.value })}
+                className="glass-input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Normal Max <span className="text-red-500">*</span></label>
+              <input
+                type="number"
+                step="any"
+                value={formData.normalMax}
+                onChange={(e) => setFormData({ ...formData, normalMax: e.target.value })}
+                className="glass-input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Placeholder</label>
+              <input
+                type="number"
+                step="any"
+                value={formData.placeholder}
+                onChange={(e) => setFormData({ ...formData, placeholder: e.target.value })}
+                className="glass-input w-full"
+              />
+            </div>
+          </div>
+          {['male', 'female'].map(gender => (
+            <div key={gender} className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{gender} Min</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={formData[`${gender}Min`]}
+                  onChange={(e) => setFormData({ ...formData, [`${gender}Min`]: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="Optional"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1 capitalize">{gender} Max</label>
+                <input
+                  type="number"
+                  step="any"
+                  value={formData[`${gender}Max`]}
+                  onChange={(e) => setFormData({ ...formData, [`${gender}Max`]: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="Optional"
+                />
+              </div>
+            </div>
+          ))}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">Age-specific Ranges</label>
+              <button
+                type="button"
+                onClick={() => setFormData({ ...formData, ageBands: [...formData.ageBands, emptyAgeBand] })}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                + Add range
+              </button>
+            </div>
+            {formData.ageBands.map((band, index) => (
+              <div key={index} className="grid grid-cols-6 gap-1 mb-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={band.minAge}
+                  onChange={(e) => updateAgeBand(index, { minAge: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="From age"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={band.maxAge}
+                  onChange={(e) => updateAgeBand(index, { maxAge: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="To age"
+                />
+                <select
+                  value={band.gender}
+                  onChange={(e) => updateAgeBand(index, { gender: e.target.value })}
+                  className="glass-input w-full"
+                >
+                  <option value="">Any</option>
+                  <option value="male">Male</option>
+                  <option value="female">Female</option>
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={band.min}
+                  onChange={(e) => updateAgeBand(index, { min: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="Min"
+                  required
+                />
+                <input
+                  type="number"
+                  step="any"
+                  value={band.max}
+                  onChange={(e) => updateAgeBand(index, { max: e.target.value })}
+                  className="glass-input w-full"
+                  placeholder="Max"
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, ageBands: formData.ageBands.filter((_, i) => i !== index) })}
+                  className="text-sm text-rose-600 hover:text-rose-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Names on Lab Reports (Optional)</label>
+            <input
+              type="text"
+              value={formData.aliases}
+              onChange={(e) => setFormData({ ...formData, aliases: e.target.value })}
+              className="glass-input w-full"
+              placeholder="Serum Uric Acid, Urate"
+            />
+          </div>
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${isSubmitting
+                ? 'bg-gray-400 cursor-not-allowed text-white'
+                : 'btn-primary'
+                }`}
+            >
+              {isSubmitting ? 'Saving...' : editingKey ? 'Update Type' : 'Add Type'}
+            </button>
+            {editingKey && (
+              <button
+                type="button"
+                disabled={isSubmitting}
+                onClick={resetForm}
+                className="px-4 py-2 rounded-lg font-medium transition-colors duration-200 btn-secondary"
+              >
+                Cancel Edit
+              </button>
+            )}
+            <button
+              type="button"
+              disabled={isSubmitting}
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg font-medium transition-colors duration-200 btn-secondary"
+            >
+              Close
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>, document.body
+  );
+};
+
+export default CustomVitalTypesModal;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import ReactDOM from 'react-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import EmergencyCard, { EMERGENCY_CARD_FIELDS } from '../emergency/EmergencyCard';
+
+const MAX_CONTACTS = 5;
+
+// Suggested for a card that has not been set up yet; nothing is public
+// until an admin saves the card and creates its link
+const SUGGESTED_FIELDS = ['name', 'bloodGroup', 'allergies', 'conditions', 'medications', 'contacts'];
+
+const EMPTY_CONTACT = { name: '', relation: '', phone: '' };
+
+const decodeHtmlEntities = (text) => {
+  if (!text) return text;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+};
+
+// Saved settings as form values
+const settingsFormData = (settings) => ({
+  fields: settings.saved ? settings.fields : SUGGESTED_FIELDS,
+  contacts: settings.contacts.map((contact) => ({ ...EMPTY_CONTACT, ...contact, relation: contact.relation || '' })),
+  notes: decodeHtmlEntities(settings.notes) || ''
+});
+
+const formatDateTime = (timestamp) => new Date(timestamp).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+
+// Emergency card of a member: admins choose what it shows, who to call and
+// share or revoke its public link; everyone sees the card and can print it
+const EmergencyCardModal = ({ member, onClose }) => {
+  const { isAdmin } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [card, setCard] = useState(null);
+  const [formData, setFormData] = useState({ fields: [], contacts: [], notes: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+
+  const applyResponse = (data) => {
+    setSettings(data.settings);
+    setCard(data.card);
+    setFormData(settingsFormData(data.settings));
+  };
+
+  useEffect(() => {
+    const fetchCard = async () => {
+      try {
+        const response = await axios.get(`/family/members/${member.id}/emergency-card`);
+        setSettings(response.data.settings);
+        setCard(response.data.card);
+        setFormData(settingsFormData(response.data.settings));
+      } catch (error) {
+        console.error('Error fetching emergency card:', error);
+        setLoadFailed(true);
+      }
+    };
+    fetchCard();
+  }, [member.id]);
+
+  const toggleField = (key) => {
+    setFormData({
+      ...formData,
+      fields: formData.fields.includes(key)
+        ? formData.fields.filter((field) => field !== key)
+        : [...formData.fields, key]
+    });
+  };
+
+  const updateContact = (index, field, value) => {
+    setFormData({
+      ...formData,
+      contacts: formData.contacts.map((contact, i) => (i === index ? { ...contact, [field]: value } : contact))
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    try {
+      const response = await axios.put(`/family/members/${member.id}/emergency-card`, {
+        fields: formData.fields,
+        contacts: formData.contacts
+          .filter((contact) => contact.name.trim() || contact.phone.trim())
+          .map((contact) => ({
+            name: contact.name.trim(),
+            relation: contact.relation.trim() || null,
+            phone: contact.phone.trim()
+          })),
+        notes: formData.notes.trim() || null
+      });
+      applyResponse(response.data);
+      toast.success('Emergency card saved');
+    } catch (error) {
+      console.error('Error saving emergency card:', error);
+      toast.error(error.response?.data?.error === 'Validation failed'
+        ? 'Check the contacts: each needs a name and a phone number'
+        : error.response?.data?.message || 'Failed to save emergency card');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleShare = async () => {
+    if (settings.shared && !window.confirm('Create a new link? The current link and any printed QR codes will stop working.')) return;
+    setIsSubmitting(true);
+    try {
+      const response = await axios.post(`/family/members/${member.id}/emergency-card/share`);
+      applyResponse(response.data);
+      toast.success('Public link created');
+    } catch (error) {
+      console.error('Error sharing emergency card:', error);
+      toast.error(error.response?.data?.message || 'Failed to create link');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Revoke the public link? It and any printed QR codes will stop working.')) return;
+    setIsSubmitting(true);
+    try {
+      const response = await axios.delete(`/family/members/${member.id}/emergency-card/share`);
+      applyResponse(response.data);
+      toast.success('Public link revoked');
+    } catch (error) {
+      console.error('Error revoking emergency card link:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke link');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(settings.url);
+      toast.success('Link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  return ReactDOM.createPortal(
+    <div className="modal-overlay">
+      <div className="modal-content max-w-2xl">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold">Emergency card</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700" aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        {!settings ? (
+          <p className="text-sm text-gray-500">{loadFailed ? 'Could not load the emergency card.' : 'Loading emergency card...'}</p>
+        ) : (
+          <div className="space-y-6">
+            {isAdmin() && (
+              <form onSubmit={handleSave} className="space-y-4">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">Show on the card</h3>
+                  <div className="grid grid-cols-2 gap-2">
+                    {EMERGENCY_CARD_FIELDS.map((field) => (
+                      <label key={field.key} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.fields.includes(field.key)}
+                          onChange={() => toggleField(field.key)}
+                        />
+                        {field.label}
+                      </label>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Only these fields are shown to anyone who opens the public link.
+                  </p>
+                </div>
+
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">Emergency contacts</h3>
+                  <div className="space-y-2">
+                    {formData.contacts.map((contact, index) => (
+                      <div key={index} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center">
+                        <input
+                          type="text"
+                          value={contact.name}
+                          onChange={(e) => updateContact(index, 'name', e.target.value)}
+                          className="glass-input w-full"
+                          placeholder="Name"
+                          aria-label="Contact name"
+                        />
+                        <input
+                          type="text"
+                          value={contact.relation}
+                          onChange={(e) => updateContact(index, 'relation', e.target.value)}
+                          className="glass-input w-full"
+                          placeholder="Relation"
+                          aria-label="Relation"
+                        />
+                        <input
+                          type="tel"
+                          value={contact.phone}
+                          onChange={(e) => updateContact(index, 'phone', e.target.value)}
+                          className="glass-input w-full"
+                          placeholder="Phone"
+                          aria-label="Phone"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setFormData({ ...formData, contacts: formData.contacts.filter((c, i) => i !== index) })}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  {formData.contacts.length < MAX_CONTACTS && (
+                    <button
+                      type="button"
+                      onClick={() => setFormData({ ...formData, contacts: [...formData.contacts, { ...EMPTY_CONTACT }] })}
+                      className="mt-2 text-sm text-primary-600 hover:text-primary-800 font-medium"
+                    >
+                      + Add contact
+                    </button>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-1">Notes for responders</label>
+                  <textarea
+                    value={formData.notes}
+                    onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                    className="glass-input w-full"
+                    rows={2}
+                    maxLength={500}
+                    placeholder="e.g. Has a pacemaker; prefers Apollo Hospital"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${isSubmitting
+                    ? 'bg-gray-400 cursor-not-allowed text-white'
+                    : 'btn-primary'
+                    }`}
+                >
+                  {isSubmitting ? 'Saving...' : 'Save card'}
+                </button>
+              </form>
+            )}
+
+            <div className={isAdmin() ? 'border-t pt-4' : ''}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Public link</h3>
+              {settings.shared ? (
+                <div className="space-y-2">
+                  <div className="flex gap-2">
+                    <input type="text" readOnly value={settings.url} className="glass-input w-full text-xs" aria-label="Public link" />
+                    <button type="button" onClick={copyLink} className="px-3 py-1 rounded-lg text-sm btn-secondary">
+                      Copy
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Created {formatDateTime(settings.sharedAt)}
+                    {settings.lastViewedAt ? ` · last opened ${formatDateTime(settings.lastViewedAt)}` : ' · not opened yet'}
+                  </p>
+                  {isAdmin() && (
+                    <div className="flex gap-3">
+                      <button
+                        type="button"
+                        onClick={handleShare}
+                        disabled={isSubmitting}
+                        className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+                      >
+                        New link
+                      </button>
+                      <button
+                        type="button"
+                        onClick={handleRevoke}
+                        disabled={isSubmitting}
+                        className="text-sm text-red-600 hover:text-red-800 font-medium"
+                      >
+                        Revoke link
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <p className="text-sm text-gray-500">
+                    Not shared. A public link lets anyone with it, or with the printed QR code, read the card without signing in.
+                  </p>
+                  {isAdmin() && (
+                    <button
+                      type="button"
+                      onClick={handleShare}
+                      disabled={isSubmitting || settings.fields.length === 0}
+                      title={settings.fields.length === 0 ? 'Save the card first' : undefined}
+                      className="px-4 py-2 rounded-lg font-medium btn-secondary"
+                    >
+                      Create public link
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <div className="border-t pt-4">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-sm font-semibold text-gray-700">Card</h3>
+                <a
+                  href={`/emergency-card/${member.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-primary-600 hover:text-primary-800 font-medium"
+                >
+                  Open printable card
+                </a>
+              </div>
+              <EmergencyCard card={card} qrCode={settings.qrCode} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>, document.body
+  );
+};
+
+export default EmergencyCardModal;
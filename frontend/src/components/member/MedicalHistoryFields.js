@@ -0,0 +1,183 @@
+import React from 'react';
+
+const SECTIONS = [
+  {
+    key: 'allergies',
+    title: 'Allergies',
+    addLabel: 'Add allergy',
+    empty: { substance: '', reaction: '', severity: '', notes: '' },
+    primary: 'substance'
+  },
+  {
+    key: 'conditions',
+    title: 'Chronic Conditions',
+    addLabel: 'Add condition',
+    empty: { name: '', diagnosedOn: '', status: 'active', notes: '' },
+    primary: 'name'
+  },
+  {
+    key: 'surgeries',
+    title: 'Surgeries & Procedures',
+    addLabel: 'Add surgery or procedure',
+    empty: { name: '', performedOn: '', hospital: '', notes: '' },
+    primary: 'name'
+  }
+];
+
+// Saved entries as form rows (the API returns snake_case columns)
+export const medicalHistoryFormData = (member) => ({
+  allergies: (member?.allergies || []).map((allergy) => ({
+    id: allergy.id,
+    substance: allergy.substance || '',
+    reaction: allergy.reaction || '',
+    severity: allergy.severity || '',
+    notes: allergy.notes || ''
+  })),
+  conditions: (member?.conditions || []).map((condition) => ({
+    id: condition.id,
+    name: condition.name || '',
+    diagnosedOn: condition.diagnosed_on || '',
+    status: condition.status || 'active',
+    notes: condition.notes || ''
+  })),
+  surgeries: (member?.surgeries || []).map((surgery) => ({
+    id: surgery.id,
+    name: surgery.name || '',
+    performedOn: surgery.performed_on || '',
+    hospital: surgery.hospital || '',
+    notes: surgery.notes || ''
+  }))
+});
+
+// Form rows as the update payload; rows left without a name are dropped
+export const medicalHistoryPayload = (formData) => Object.fromEntries(SECTIONS.map((section) => [
+  section.key,
+  (formData[section.key] || [])
+    .filter((entry) => entry[section.primary].trim() !== '')
+    .map((entry) => Object.fromEntries(
+      Object.entries(entry).map(([field, value]) => [field, typeof value === 'string' ? value.trim() || null : value])
+    ))
+]));
+
+// Allergy, condition and surgery rows of the member edit form
+const MedicalHistoryFields = ({ value, onChange }) => {
+  const updateEntry = (key, index, field, fieldValue) => {
+    onChange({
+      [key]: value[key].map((entry, i) => (i === index ? { ...entry, [field]: fieldValue } : entry))
+    });
+  };
+
+  const addEntry = (section) => onChange({ [section.key]: [...value[section.key], { ...section.empty }] });
+
+  const removeEntry = (key, index) => onChange({ [key]: value[key].filter((entry, i) => i !== index) });
+
+  const input = (key, index, field, placeholder, type = 'text') => (
+    <input
+      type={type}
+      value={value[key][index][field]}
+      onChange={(e) => updateEntry(key, index, field, e.target.value)}
+      className="glass-input w-full"
+      placeholder={placeholder}
+      aria-label={placeholder}
+    />
+  );
+
+  const renderFields = (key, index) => {
+    if (key === 'allergies') {
+      return (
+        <>
+          {input(key, index, 'substance', 'Substance, e.g. Penicillin, peanuts')}
+          <div className="grid grid-cols-2 gap-2">
+            {input(key, index, 'reaction', 'Reaction, e.g. rash')}
+            <select
+              value={value[key][index].severity}
+              onChange={(e) => updateEntry(key, index, 'severity', e.target.value)}
+              className="glass-input w-full"
+              aria-label="Severity"
+            >
+              <option value="">Severity</option>
+              <option value="mild">Mild</option>
+              <option value="moderate">Moderate</option>
+              <option value="severe">Severe</option>
+            </select>
+          </div>
+        </>
+      );
+    }
+    if (key === 'conditions') {
+      return (
+        <>
+          {input(key, index, 'name', 'Condition, e.g. Type 2 diabetes')}
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Diagnosed on</label>
+              {input(key, index, 'diagnosedOn', 'Diagnosed on', 'date')}
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Status</label>
+              <select
+                value={value[key][index].status}
+                onChange={(e) => updateEntry(key, index, 'status', e.target.value)}
+                className="glass-input w-full"
+                aria-label="Status"
+              >
+                <option value="active">Active</option>
+                <option value="controlled">Controlled</option>
+                <option value="resolved">Resolved</option>
+              </select>
+            </div>
+          </div>
+        </>
+      );
+    }
+    return (
+      <>
+        {input(key, index, 'name', 'Procedure, e.g. Knee replacement')}
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Performed on</label>
+            {input(key, index, 'performedOn', 'Performed on', 'date')}
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Hospital</label>
+            {input(key, index, 'hospital', 'Hospital')}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="border-t pt-4 mt-4 space-y-4">
+      {SECTIONS.map((section) => (
+        <div key={section.key}>
+          <h3 className="text-md font-medium text-gray-900 mb-2">{section.title}</h3>
+          <div className="space-y-3">
+            {value[section.key].map((entry, index) => (
+              <div key={entry.id || `new-${index}`} className="glass-card p-3 space-y-2">
+                {renderFields(section.key, index)}
+                {input(section.key, index, 'notes', 'Notes')}
+                <button
+                  type="button"
+                  onClick={() => removeEntry(section.key, index)}
+                  className="text-xs text-red-600 hover:text-red-800"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => addEntry(section)}
+            className="mt-2 text-sm text-primary-600 hover:text-primary-800 font-medium"
+          >
+            + {section.addLabel}
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MedicalHistoryFields;
@@ -0,0 +1,77 @@
+import React from 'react';
+
+const ALLERGY_STYLES = {
+  severe: 'bg-rose-100 text-rose-800 border-rose-200',
+  moderate: 'bg-amber-50 text-amber-800 border-amber-200',
+  mild: 'bg-yellow-50 text-yellow-800 border-yellow-100'
+};
+
+const CONDITION_STATUS_LABELS = {
+  controlled: 'controlled',
+  resolved: 'resolved'
+};
+
+const year = (isoDate) => (isoDate ? isoDate.split('-')[0] : null);
+
+// Allergies, conditions and surgeries under the member's name
+const MedicalHistorySummary = ({ member }) => {
+  const allergies = member.allergies || [];
+  const conditions = member.conditions || [];
+  const surgeries = member.surgeries || [];
+  if (allergies.length + conditions.length + surgeries.length === 0) return null;
+
+  return (
+    <div className="mt-3 space-y-1.5 text-sm relative z-10">
+      {allergies.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span className="text-xs font-semibold text-rose-700 mr-1">Allergies</span>
+          {allergies.map((allergy) => (
+            <span
+              key={allergy.id}
+              className={`inline-flex items-center px-2 py-0.5 rounded-md border text-xs ${ALLERGY_STYLES[allergy.severity] || ALLERGY_STYLES.moderate}`}
+              title={[allergy.reaction, allergy.notes].filter(Boolean).join(' · ')}
+            >
+              {allergy.substance}
+              {allergy.reaction && <span className="opacity-70 ml-1">({allergy.reaction})</span>}
+            </span>
+          ))}
+        </div>
+      )}
+      {conditions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span className="text-xs font-semibold text-gray-700 mr-1">Conditions</span>
+          {conditions.map((condition) => (
+            <span
+              key={condition.id}
+              className={`inline-flex items-center px-2 py-0.5 rounded-md border border-indigo-100 bg-indigo-50/80 text-indigo-700 text-xs ${condition.status === 'resolved' ? 'opacity-60 line-through' : ''}`}
+              title={condition.notes || undefined}
+            >
+              {condition.name}
+              {condition.diagnosed_on && <span className="opacity-70 ml-1">since {year(condition.diagnosed_on)}</span>}
+              {CONDITION_STATUS_LABELS[condition.status] && (
+                <span className="opacity-70 ml-1">· {CONDITION_STATUS_LABELS[condition.status]}</span>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+      {surgeries.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span className="text-xs font-semibold text-gray-700 mr-1">Surgeries</span>
+          {surgeries.map((surgery) => (
+            <span
+              key={surgery.id}
+              className="inline-flex items-center px-2 py-0.5 rounded-md border border-gray-200 bg-gray-50 text-gray-700 text-xs"
+              title={[surgery.hospital, surgery.notes].filter(Boolean).join(' · ') || undefined}
+            >
+              {surgery.name}
+              {surgery.performed_on && <span className="opacity-70 ml-1">{year(surgery.performed_on)}</span>}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MedicalHistorySummary;
@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip, Legend);
+
+const ADHERENCE_WINDOWS = [7, 30, 90];
+
+const DOSE_STATUS_STYLES = {
+  pending: 'bg-gray-100 text-gray-600',
+  snoozed: 'bg-amber-100 text-amber-700',
+  taken: 'bg-green-100 text-green-700',
+  skipped: 'bg-slate-200 text-slate-700',
+  missed: 'bg-rose-100 text-rose-700',
+  cancelled: 'bg-gray-100 text-gray-400'
+};
+
+const DOSE_STATUS_LABELS = {
+  pending: 'Due',
+  snoozed: 'Snoozed',
+  taken: 'Taken',
+  skipped: 'Skipped',
+  missed: 'Missed',
+  cancelled: 'Cancelled'
+};
+
+const clockTime = (timestamp) => new Date(timestamp).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+const shortDate = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
+
+// Every day of the window, so days without any doses still show on the chart
+const windowDays = (days) => Array.from({ length: days }, (_, index) => {
+  const date = new Date();
+  date.setDate(date.getDate() - (days - 1 - index));
+  return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+});
+
+const rateStyle = (rate) => {
+  if (rate === null) return 'text-gray-500';
+  if (rate >= 90) return 'text-green-700';
+  if (rate >= 70) return 'text-amber-700';
+  return 'text-rose-700';
+};
+
+// Today's reminder doses of a member with buttons to log them, and how well
+// the doses of the last days were kept
+const MedicationDoses = ({ member, medications }) => {
+  const [doses, setDoses] = useState([]);
+  const [adherence, setAdherence] = useState(null);
+  const [adherenceDays, setAdherenceDays] = useState(30);
+
+  const fetchDoses = useCallback(async () => {
+    try {
+      const response = await axios.get(`/health/medications/${member.id}/doses`);
+      setDoses(response.data.doses || []);
+    } catch (error) {
+      console.error('Error fetching doses:', error);
+      setDoses([]);
+    }
+  }, [member.id]);
+
+  const fetchAdherence = useCallback(async () => {
+    try {
+      const response = await axios.get(`/health/medications/${member.id}/adherence`, { params: { days: adherenceDays } });
+      setAdherence(response.data);
+    } catch (error) {
+      console.error('Error fetching adherence:', error);
+      setAdherence(null);
+    }
+  }, [member.id, adherenceDays]);
+
+  useEffect(() => {
+    fetchDoses();
+  }, [fetchDoses, medications]);
+
+  useEffect(() => {
+    fetchAdherence();
+  }, [fetchAdherence, medications]);
+
+  const logDoses = async (doseList, action) => {
+    try {
+      await Promise.all(doseList.map((dose) => axios.put(`/health/medications/doses/${dose.id}`, { action })));
+      if (action === 'snoozed') {
+        toast.success('Reminder snoozed for 15 minutes');
+      } else {
+        toast.success(doseList.length > 1 ? `${doseList.length} doses marked as ${action}` : `${doseList[0].name} marked as ${action}`);
+      }
+    } catch (error) {
+      console.error('Error logging dose:', error);
+      toast.error(error.response?.data?.message || 'Failed to log dose');
+    }
+    fetchDoses();
+    fetchAdherence();
+  };
+
+  const remindersOn = medications.some((medication) => medication.is_current && medication.reminders_enabled);
+  const hasHistory = adherence?.medications?.length > 0;
+  if (!remindersOn && doses.length === 0 && !hasHistory) return null;
+
+  // Doses due at the same time are logged together
+  const slots = doses.reduce((groups, dose) => {
+    const time = clockTime(dose.scheduled_at);
+    const group = groups.find((g) => g.time === time);
+    if (group) {
+      group.doses.push(dose);
+    } else {
+      groups.push({ time, doses: [dose] });
+    }
+    return groups;
+  }, []);
+
+  const countsByDay = Object.fromEntries((adherence?.days || []).map((day) => [day.date, day]));
+  const chartDays = windowDays(adherence?.period?.days || adherenceDays);
+  const chartData = {
+    labels: chartDays.map(shortDate),
+    datasets: [
+      { key: 'taken', label: 'Taken', color: '#16a34a' },
+      { key: 'skipped', label: 'Skipped', color: '#94a3b8' },
+      { key: 'missed', label: 'Missed', color: '#e11d48' }
+    ].map((series) => ({
+      label: series.label,
+      data: chartDays.map((day) => countsByDay[day]?.[series.key] || 0),
+      backgroundColor: series.color,
+      borderRadius: 2
+    }))
+  };
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 12 } }
+    },
+    scales: {
+      x: { stacked: true, grid: { display: false }, ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 10 } },
+      y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } }
+    }
+  };
+
+  return (
+    <div className="space-y-6 mb-6">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Today's doses</h3>
+        {slots.length > 0 ? (
+          <div className="space-y-3">
+            {slots.map((slot) => {
+              const open = slot.doses.filter((dose) => ['pending', 'snoozed', 'missed'].includes(dose.status));
+              const snoozable = open.filter((dose) => dose.status !== 'missed');
+              return (
+                <div key={slot.time} className="glass-card p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="font-semibold text-gray-900">{slot.time}</span>
+                    {open.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => logDoses(open, 'taken')}
+                        className="text-xs px-2 py-1 rounded bg-green-50 text-green-700 hover:bg-green-100"
+                      >
+                        Mark all taken
+                      </button>
+                    )}
+                  </div>
+                  <ul className="space-y-2">
+                    {slot.doses.map((dose) => (
+                      <li key={dose.id} className="flex flex-wrap items-center justify-between gap-2">
+                        <div className="min-w-0">
+                          <p className="text-sm text-gray-900">
+                            {dose.name}
+                            {dose.strength && <span className="text-gray-500"> {dose.strength}</span>}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {[dose.dose, dose.instructions].filter(Boolean).join(' · ')}
+                            {dose.status === 'snoozed' && dose.snoozed_until && ` Reminding again at ${clockTime(dose.snoozed_until)}`}
+                            {dose.logged_by_name && ['taken', 'skipped'].includes(dose.status) && ` Logged by ${dose.logged_by_name}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          <span className={`text-xs px-1.5 py-0.5 rounded-full ${DOSE_STATUS_STYLES[dose.status]}`}>
+                            {DOSE_STATUS_LABELS[dose.status] || dose.status}
+                          </span>
+                          {open.includes(dose) && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => logDoses([dose], 'taken')}
+                                className="text-xs px-2 py-1 rounded bg-green-50 text-green-700 hover:bg-green-100"
+                              >
+                                Taken
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => logDoses([dose], 'skipped')}
+                                className="text-xs px-2 py-1 rounded bg-gray-50 text-gray-700 hover:bg-gray-100"
+                              >
+                                Skip
+                              </button>
+                              {snoozable.includes(dose) && (
+                                <button
+                                  type="button"
+                                  onClick={() => logDoses([dose], 'snoozed')}
+                                  className="text-xs px-2 py-1 rounded bg-amber-50 text-amber-700 hover:bg-amber-100"
+                                >
+                                  Snooze
+                                </button>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            No doses scheduled for the rest of today. Reminders are set up a minute after they are turned on.
+          </p>
+        )}
+      </div>
+
+      {hasHistory && (
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-700">
+              Adherence
+              {adherence.rate !== null && (
+                <span className={`ml-2 ${rateStyle(adherence.rate)}`}>{adherence.rate}% taken</span>
+              )}
+            </h3>
+            <div className="flex gap-1">
+              {ADHERENCE_WINDOWS.map((days) => (
+                <button
+                  key={days}
+                  type="button"
+                  onClick={() => setAdherenceDays(days)}
+                  className={`text-xs px-2 py-1 rounded ${adherenceDays === days
+                    ? 'bg-primary-100 text-primary-700'
+                    : 'bg-gray-50 text-gray-600 hover:bg-gray-100'
+                    }`}
+                >
+                  {days}D
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="glass-card p-3">
+            <div className="h-48">
+              <Bar data={chartData} options={chartOptions} />
+            </div>
+            {adherence.medications.length > 0 && (
+              <ul className="mt-3 space-y-1">
+                {adherence.medications.map((medication) => (
+                  <li key={medication.id} className="text-sm text-gray-700 flex justify-between gap-2">
+                    <span className="truncate">
+                      {medication.name}
+                      {medication.strength && <span className="text-gray-500"> {medication.strength}</span>}
+                    </span>
+                    <span className="text-xs flex-shrink-0">
+                      <span className={`font-semibold ${rateStyle(medication.rate)}`}>
+                        {medication.rate !== null ? `${medication.rate}%` : '–'}
+                      </span>
+                      <span className="text-gray-500">
+                        {' '}({medication.taken} taken, {medication.skipped} skipped, {medication.missed} missed)
+                      </span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MedicationDoses;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const SEVERITY_STYLES = {
+  major: 'border-rose-300 bg-rose-50 text-rose-800',
+  moderate: 'border-amber-300 bg-amber-50 text-amber-800',
+  minor: 'border-gray-200 bg-gray-50 text-gray-700'
+};
+
+const SEVERITY_LABELS = {
+  major: 'Serious',
+  moderate: 'Caution',
+  minor: 'Minor'
+};
+
+const TYPE_LABELS = {
+  interaction: 'Interaction',
+  duplicate: 'Duplicate therapy',
+  allergy: 'Allergy'
+};
+
+// "Warf 5 + Combiflam", or "Augmentin 625 · allergy to Penicillin"
+export const warningTitle = (warning) => (warning.type === 'allergy'
+  ? `${warning.medications[0].name} · allergy to ${warning.allergy.substance}`
+  : warning.medications.map((medication) => medication.name).join(' + '));
+
+// Warnings come most severe first; the full list shows above the member's medications
+export const toastWarnings = (warnings = []) => {
+  const notable = warnings.filter((warning) => warning.severity !== 'minor');
+  if (notable.length === 0) return;
+  const more = notable.length > 1 ? ` (+${notable.length - 1} more)` : '';
+  toast.error(`${warningTitle(notable[0])}: ${notable[0].message}${more}`, { duration: 8000 });
+};
+
+// Interactions, duplicate therapy and allergy clashes across a member's
+// current medications, serious ones first
+const MedicationWarnings = ({ member, medications }) => {
+  const [warnings, setWarnings] = useState([]);
+  const [showMinor, setShowMinor] = useState(false);
+
+  useEffect(() => {
+    const fetchWarnings = async () => {
+      try {
+        const response = await axios.get(`/health/medications/${member.id}/warnings`);
+        setWarnings(response.data.warnings || []);
+      } catch (error) {
+        console.error('Error fetching medication warnings:', error);
+        setWarnings([]);
+      }
+    };
+    fetchWarnings();
+  }, [member.id, medications]);
+
+  if (warnings.length === 0) return null;
+
+  const minorCount = warnings.filter((warning) => warning.severity === 'minor').length;
+  const shown = showMinor ? warnings : warnings.filter((warning) => warning.severity !== 'minor');
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-700">Medication warnings ({warnings.length})</h3>
+        {minorCount > 0 && (
+          <button
+            type="button"
+            onClick={() => setShowMinor(!showMinor)}
+            className="text-xs text-primary-600 hover:text-primary-800"
+          >
+            {showMinor ? 'Hide minor' : `Show ${minorCount} minor`}
+          </button>
+        )}
+      </div>
+      <ul className="space-y-2">
+        {shown.map((warning, index) => (
+          <li
+            key={`${warning.type}-${index}`}
+            className={`border rounded-lg p-3 ${SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.minor}`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <p className="text-sm font-semibold">{warningTitle(warning)}</p>
+              <span className="text-xs flex-shrink-0">
+                {SEVERITY_LABELS[warning.severity]} · {TYPE_LABELS[warning.type]}
+              </span>
+            </div>
+            <p className="text-sm">{warning.message}</p>
+            {warning.advice && <p className="text-xs mt-1 opacity-80">{warning.advice}</p>}
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-500 mt-2">
+        Checked against a built-in list of common medicines. Always confirm with a doctor or pharmacist.
+      </p>
+    </div>
+  );
+};
+
+export default MedicationWarnings;
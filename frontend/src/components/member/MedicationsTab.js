@@ -0,0 +1,583 @@
+import React, { useState } from 'react';
+import ReactDOM from 'react-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+import MedicationDoses from './MedicationDoses';
+import MedicationWarnings, { toastWarnings } from './MedicationWarnings';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = () => ({
+  name: '',
+  strength: '',
+  dose: '',
+  frequency: '',
+  duration: '',
+  instructions: '',
+  prescribedBy: '',
+  startDate: today(),
+  endDate: '',
+  reportId: '',
+  notes: '',
+  remindersEnabled: false,
+  doseSchedule: ''
+});
+
+const toFormData = (medication) => ({
+  name: medication.name || '',
+  strength: medication.strength || '',
+  dose: medication.dose || '',
+  frequency: medication.frequency || '',
+  duration: medication.duration || '',
+  instructions: medication.instructions || '',
+  prescribedBy: medication.prescribed_by || '',
+  startDate: medication.start_date || '',
+  endDate: medication.end_date || '',
+  reportId: medication.report_id || '',
+  notes: medication.notes || '',
+  remindersEnabled: Boolean(medication.reminders_enabled),
+  doseSchedule: (medication.dose_schedule || []).join(', ')
+});
+
+// "8:00, 21:30" -> ['08:00', '21:30']; null when no times are given
+const parseDoseSchedule = (text) => {
+  const times = text.split(/[,\s]+/).filter(Boolean).map((time) => time.padStart(5, '0'));
+  return times.length > 0 ? times : null;
+};
+
+const FREQUENCY_LABELS = {
+  '1-0-0': 'Once a day, morning',
+  '0-0-1': 'Once a day, night',
+  '1-0-1': 'Twice a day',
+  '1-1-1': 'Three times a day',
+  '1-1-1-1': 'Four times a day',
+  SOS: 'When needed',
+  STAT: 'Once, immediately'
+};
+
+const HISTORY_LABELS = {
+  started: 'Started',
+  changed: 'Changed',
+  stopped: 'Stopped',
+  resumed: 'Resumed'
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  strength: 'Strength',
+  dose: 'Dose',
+  frequency: 'Frequency',
+  duration: 'Duration',
+  instructions: 'Instructions',
+  prescribedBy: 'Prescribed by',
+  startDate: 'Start date',
+  endDate: 'End date',
+  reportId: 'Prescription',
+  notes: 'Notes',
+  status: 'Status',
+  stopReason: 'Reason',
+  remindersEnabled: 'Reminders',
+  doseSchedule: 'Dose times'
+};
+
+const formatDate = (isoDate) => {
+  if (!isoDate) return '';
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  }).replace(/ /g, '-');
+};
+
+// "650 mg · 1-0-1 (Twice a day)"
+const describeSchedule = (medication) => [
+  medication.strength,
+  medication.dose,
+  medication.frequency && (FREQUENCY_LABELS[medication.frequency]
+    ? `${medication.frequency} (${FREQUENCY_LABELS[medication.frequency]})`
+    : medication.frequency)
+].filter(Boolean).join(' · ');
+
+const describeChange = (key, change) => {
+  const show = (value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    if (typeof value === 'boolean') return value ? 'on' : 'off';
+    if (Array.isArray(value)) return value.join(', ');
+    return key === 'reportId' ? 'linked' : value;
+  };
+  if (change && typeof change === 'object' && 'to' in change) {
+    return `${FIELD_LABELS[key] || key}: ${show(change.from)} → ${show(change.to)}`;
+  }
+  return `${FIELD_LABELS[key] || key}: ${show(change)}`;
+};
+
+// Medications tab of a member: what they take now, what they took before,
+// and the history of each medication
+const MedicationsTab = ({ member, medications, reports, showForm, onShowFormChange, onChange, onViewReport }) => {
+  const { isAdmin } = useAuth();
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [stopping, setStopping] = useState(null);
+  const [stopReason, setStopReason] = useState('');
+  const [history, setHistory] = useState(null);
+
+  const current = medications.filter((medication) => medication.is_current);
+  const past = medications.filter((medication) => !medication.is_current);
+  const prescriptions = reports.filter((report) => report.report_type === 'prescription_consultation');
+
+  const closeForm = () => {
+    onShowFormChange(false);
+    setEditingId(null);
+    setFormData(emptyForm());
+  };
+
+  const handleEdit = (medication) => {
+    setEditingId(medication.id);
+    setFormData(toFormData(medication));
+    onShowFormChange(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.startDate && formData.endDate && formData.endDate < formData.startDate) {
+      toast.error('End date cannot be before the start date');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const { remindersEnabled, doseSchedule, ...textFields } = formData;
+      const payload = {
+        ...Object.fromEntries(
+          Object.entries(textFields).map(([key, value]) => [key, value.trim() === '' ? null : value.trim()])
+        ),
+        remindersEnabled,
+        doseSchedule: parseDoseSchedule(doseSchedule)
+      };
+      let response;
+      if (editingId) {
+        response = await axios.put(`/health/medications/${editingId}`, payload);
+        toast.success('Medication updated successfully');
+      } else {
+        response = await axios.post('/health/medications', { ...payload, memberId: member.id });
+        toast.success('Medication added successfully');
+      }
+      toastWarnings(response.data.warnings);
+      closeForm();
+      onChange();
+    } catch (error) {
+      console.error('Error saving medication:', error);
+      const errorMessage = error.response?.data?.details?.[0]?.msg || error.response?.data?.message || 'Failed to save medication';
+      toast.error(errorMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleStop = async (e) => {
+    e.preventDefault();
+    try {
+      await axios.put(`/health/medications/${stopping.id}`, { status: 'stopped', stopReason: stopReason.trim() || null });
+      toast.success(`${stopping.name} stopped`);
+      setStopping(null);
+      setStopReason('');
+      onChange();
+    } catch (error) {
+      console.error('Error stopping medication:', error);
+      toast.error(error.response?.data?.message || 'Failed to stop medication');
+    }
+  };
+
+  const handleResume = async (medication) => {
+    try {
+      const response = await axios.put(`/health/medications/${medication.id}`, { status: 'active' });
+      toast.success(`${medication.name} resumed`);
+      toastWarnings(response.data.warnings);
+      onChange();
+    } catch (error) {
+      console.error('Error resuming medication:', error);
+      toast.error(error.response?.data?.message || 'Failed to resume medication');
+    }
+  };
+
+  const handleDelete = async (medication) => {
+    if (!window.confirm(`Delete ${medication.name} and its history? Stopping it keeps the history.`)) return;
+
+    try {
+      await axios.delete(`/health/medications/${medication.id}`);
+      toast.success('Medication deleted successfully');
+      onChange();
+    } catch (error) {
+      console.error('Error deleting medication:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete medication');
+    }
+  };
+
+  const handleShowHistory = async (medication) => {
+    try {
+      const response = await axios.get(`/health/medications/${medication.id}/history`);
+      setHistory(response.data);
+    } catch (error) {
+      console.error('Error fetching medication history:', error);
+      toast.error('Failed to load medication history');
+    }
+  };
+
+  const renderCard = (medication) => (
+    <div
+      key={medication.id}
+      className={`glass-card flex flex-col w-full max-w-full ${medication.is_current ? '' : 'opacity-75'}`}
+    >
+      <div className="p-3">
+        <div className="flex items-start justify-between mb-1">
+          <div className="min-w-0">
+            <h4 className="text-lg font-semibold text-gray-900 truncate">{medication.name}</h4>
+            {medication.form && <p className="text-xs text-gray-500 capitalize">{medication.form}</p>}
+          </div>
+          <span className={`text-xs px-1.5 py-0.5 rounded-full flex-shrink-0 ${medication.is_current
+            ? 'bg-green-100 text-green-700'
+            : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {medication.is_current ? 'Taking' : medication.status === 'stopped' ? 'Stopped' : 'Course ended'}
+          </span>
+        </div>
+
+        {describeSchedule(medication) && (
+          <p className="text-sm text-gray-700">{describeSchedule(medication)}</p>
+        )}
+        {medication.instructions && (
+          <p className="text-sm text-gray-600">{medication.instructions}</p>
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+          {medication.start_date ? `From ${formatDate(medication.start_date)}` : 'Start date not recorded'}
+          {medication.end_date && ` to ${formatDate(medication.end_date)}`}
+          {!medication.end_date && medication.duration && ` · ${medication.duration}`}
+        </p>
+        {medication.prescribed_by && (
+          <p className="text-xs text-gray-500">Prescribed by {medication.prescribed_by}</p>
+        )}
+        {medication.report_id && (
+          <button
+            type="button"
+            onClick={() => onViewReport({ id: medication.report_id })}
+            className="text-xs text-primary-600 hover:text-primary-800 font-medium"
+          >
+            View prescription{medication.report_title ? `: ${medication.report_title}` : ''}
+          </button>
+        )}
+        {medication.stop_reason && (
+          <p className="text-xs text-gray-500">Stopped: {medication.stop_reason}</p>
+        )}
+        {medication.reminders_enabled && (
+          <p className="text-xs text-primary-700">
+            Reminders on{medication.dose_schedule?.length > 0 && ` at ${medication.dose_schedule.join(', ')}`}
+          </p>
+        )}
+
+        <div className="flex flex-wrap gap-2 mt-3">
+          <button
+            type="button"
+            onClick={() => handleEdit(medication)}
+            className="text-xs px-2 py-1 rounded bg-green-50 text-green-700 hover:bg-green-100"
+          >
+            Edit
+          </button>
+          {medication.status === 'active' ? (
+            <button
+              type="button"
+              onClick={() => setStopping(medication)}
+              className="text-xs px-2 py-1 rounded bg-amber-50 text-amber-700 hover:bg-amber-100"
+            >
+              Stop
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={() => handleResume(medication)}
+              className="text-xs px-2 py-1 rounded bg-teal-50 text-teal-700 hover:bg-teal-100"
+            >
+              Resume
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => handleShowHistory(medication)}
+            className="text-xs px-2 py-1 rounded bg-gray-50 text-gray-700 hover:bg-gray-100"
+          >
+            History
+          </button>
+          {isAdmin() && (
+            <button
+              type="button"
+              onClick={() => handleDelete(medication)}
+              className="text-xs px-2 py-1 rounded bg-red-50 text-red-700 hover:bg-red-100"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  const textField = (key, label, placeholder, required = false) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label} {required && <span className="text-red-500">*</span>}
+      </label>
+      <input
+        type="text"
+        value={formData[key]}
+        onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+        className="glass-input w-full"
+        placeholder={placeholder}
+        required={required}
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      <MedicationWarnings member={member} medications={medications} />
+      <MedicationDoses member={member} medications={medications} />
+
+      {medications.length > 0 ? (
+        <div className="space-y-6">
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Currently taking ({current.length})</h3>
+            {current.length > 0 ? (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 w-full max-w-full">
+                {current.map(renderCard)}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">{member.name} is not taking any medications right now</p>
+            )}
+          </div>
+          {past.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Past medications ({past.length})</h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 w-full max-w-full">
+                {past.map(renderCard)}
+              </div>
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <div className="text-gray-400 mb-4">
+            <svg className="mx-auto h-12 w-12" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.5 20.5l10-10a4.95 4.95 0 10-7-7l-10 10a4.95 4.95 0 107 7zM8.5 8.5l7 7" />
+            </svg>
+          </div>
+          <p className="text-gray-500">No medications recorded yet</p>
+          <button
+            onClick={() => onShowFormChange(true)}
+            className="mt-4 text-primary-600 hover:text-primary-800 font-medium"
+          >
+            Add the first medication
+          </button>
+        </div>
+      )}
+
+      {/* Add / Edit Medication Modal */}
+      {showForm && ReactDOM.createPortal(
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h2 className="text-lg font-semibold mb-4">{editingId ? 'Edit Medication' : 'Add Medication'}</h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {textField('name', 'Medicine', 'e.g. Metformin', true)}
+              <div className="grid grid-cols-2 gap-2">
+                {textField('strength', 'Strength', 'e.g. 500 mg')}
+                {textField('dose', 'Dose', 'e.g. 1 tablet')}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+                  <input
+                    type="text"
+                    list="medication-frequencies"
+                    value={formData.frequency}
+                    onChange={(e) => setFormData({ ...formData, frequency: e.target.value })}
+                    className="glass-input w-full"
+                    placeholder="e.g. 1-0-1"
+                  />
+                  <datalist id="medication-frequencies">
+                    {Object.entries(FREQUENCY_LABELS).map(([frequency, label]) => (
+                      <option key={frequency} value={frequency}>{label}</option>
+                    ))}
+                  </datalist>
+                </div>
+                {textField('duration', 'Duration', 'e.g. 5 days')}
+              </div>
+              {textField('instructions', 'Instructions', 'e.g. after food')}
+              <div>
+                <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.remindersEnabled}
+                    onChange={(e) => setFormData({ ...formData, remindersEnabled: e.target.checked })}
+                  />
+                  <span>Dose reminders</span>
+                </label>
+                {formData.remindersEnabled && (
+                  <div className="mt-2">
+                    <input
+                      type="text"
+                      value={formData.doseSchedule}
+                      onChange={(e) => setFormData({ ...formData, doseSchedule: e.target.value })}
+                      className="glass-input w-full"
+                      placeholder="e.g. 08:00, 21:00"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      Leave empty to use the frequency (1-0-1 reminds at 08:00 and 21:00)
+                    </p>
+                  </div>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Start date</label>
+                  <input
+                    type="date"
+                    value={formData.startDate}
+                    onChange={(e) => setFormData({ ...formData, startDate: e.target.value })}
+                    className="glass-input w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">End date</label>
+                  <input
+                    type="date"
+                    value={formData.endDate}
+                    onChange={(e) => setFormData({ ...formData, endDate: e.target.value })}
+                    className="glass-input w-full"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Leave empty for ongoing medication</p>
+                </div>
+              </div>
+              {textField('prescribedBy', 'Prescribed by', 'e.g. Dr. Sharma')}
+              {prescriptions.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Prescription</label>
+                  <select
+                    value={formData.reportId}
+                    onChange={(e) => setFormData({ ...formData, reportId: e.target.value })}
+                    className="glass-input w-full"
+                  >
+                    <option value="">Not linked</option>
+                    {prescriptions.map((report) => (
+                      <option key={report.id} value={report.id}>
+                        {report.title} ({formatDate(report.report_date?.split('T')[0])})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={formData.notes}
+                  onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                  className="glass-input w-full"
+                  rows={2}
+                />
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`px-4 py-2 rounded-lg font-medium transition-colors duration-200 ${isSubmitting
+                    ? 'bg-gray-400 cursor-not-allowed text-white'
+                    : 'btn-primary'
+                    }`}
+                >
+                  {isSubmitting ? 'Saving...' : editingId ? 'Save Changes' : 'Add Medication'}
+                </button>
+                <button type="button" onClick={closeForm} disabled={isSubmitting} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>,
+        document.body
+      )}
+
+      {/* Stop Medication Modal */}
+      {stopping && ReactDOM.createPortal(
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h2 className="text-lg font-semibold mb-2">Stop {stopping.name}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              It moves to past medications with today as its end date. You can resume it later.
+            </p>
+            <form onSubmit={handleStop} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+                <input
+                  type="text"
+                  value={stopReason}
+                  onChange={(e) => setStopReason(e.target.value)}
+                  className="glass-input w-full"
+                  placeholder="e.g. Course completed, side effects"
+                />
+              </div>
+              <div className="flex space-x-3">
+                <button type="submit" className="btn-primary">Stop Medication</button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setStopping(null);
+                    setStopReason('');
+                  }}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>,
+        document.body
+      )}
+
+      {/* Medication History Modal */}
+      {history && ReactDOM.createPortal(
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <h2 className="text-lg font-semibold mb-4">{history.medication.name} history</h2>
+            <ol className="space-y-3">
+              {history.history.map((entry) => (
+                <li key={entry.id} className="border-l-2 border-primary-200 pl-3">
+                  <p className="text-sm font-medium text-gray-900">
+                    {HISTORY_LABELS[entry.action] || entry.action}
+                    <span className="font-normal text-gray-500">
+                      {' '}· {new Date(entry.created_at).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' })}
+                      {entry.user_name && ` by ${entry.user_name}`}
+                    </span>
+                  </p>
+                  {entry.action !== 'started' && Object.entries(entry.changes || {}).map(([key, change]) => (
+                    <p key={key} className="text-xs text-gray-600">{describeChange(key, change)}</p>
+                  ))}
+                </li>
+              ))}
+            </ol>
+            {history.history.length === 0 && (
+              <p className="text-sm text-gray-500">No changes recorded</p>
+            )}
+            <button type="button" onClick={() => setHistory(null)} className="btn-secondary mt-4">
+              Close
+            </button>
+          </div>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default MedicationsTab;
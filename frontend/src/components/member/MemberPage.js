@@ -7,7 +7,18 @@ import Confetti from 'react-confetti';
 import { useAuth } from '../../contexts/AuthContext';
 import ProfilePicture from '../common/ProfilePicture';
 import ProfilePictureUpload from '../common/ProfilePictureUpload';
+import VitalValueInput from '../common/VitalValueInput';
+import VitalUnitSelect from '../common/VitalUnitSelect';
+import PdfPasswordField from '../common/PdfPasswordField';
 import MemberTabBar from './MemberTabBar';
+import CustomVitalTypesModal from './CustomVitalTypesModal';
+import MedicationsTab from './MedicationsTab';
+import MedicalHistoryFields, { medicalHistoryFormData, medicalHistoryPayload } from './MedicalHistoryFields';
+import MedicalHistorySummary from './MedicalHistorySummary';
+import EmergencyCardModal from './EmergencyCardModal';
+import VitalTrendChart from './VitalTrendChart';
+import { useVitalTypes } from '../../hooks/useVitalTypes';
+import { isCompoundVital, parseReadings, formatVitalReading, displayUnit, resolveReferenceRange } from '../../utils/vitalTypes';
 
 
 // Icon components
@@ -39,6 +50,12 @@ const EditIcon = () => (
   </svg>
 );
 
+const EmergencyCardIcon = () => (
+  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h12a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V6zm8 2v8m-4-4h8" />
+  </svg>
+);
+
 const DeleteIcon = () => (
   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
@@ -95,178 +112,6 @@ const NeutralIcon = () => (
   </svg>
 );
 
-// Vital types configuration with units and reference ranges
-const VITAL_TYPES = {
-  height: {
-    label: 'Height',
-    unit: 'cm',
-    placeholder: '170',
-    ranges: {
-      normal: { min: 0, max: 200 },
-      display: '0-200'
-    }
-  },
-  weight: {
-    label: 'Weight',
-    unit: 'kg',
-    placeholder: '70',
-    ranges: {
-      normal: { min: 0, max: 120 },
-      display: '0-120'
-    }
-  },
-  bmi: {
-    label: 'BMI',
-    unit: 'kg/m²',
-    placeholder: '24.2',
-    calculated: true,
-    ranges: {
-      underweight: { min: 0, max: 18.4 },
-      normal: { min: 18.5, max: 24.9 },
-      overweight: { min: 25, max: 29.9 },
-      obese: { min: 30, max: 100 },
-      display: '18.5-24.9'
-    }
-  },
-  cholesterol: {
-    label: 'Cholesterol',
-    unit: 'mg/dL',
-    placeholder: '200',
-    ranges: {
-      optimal: { min: 0, max: 199 },
-      borderline: { min: 200, max: 239 },
-      high: { min: 240, max: 500 },
-      display: '<200'
-    }
-  },
-  hemoglobin: {
-    label: 'Hemoglobin',
-    unit: 'g/dL',
-    placeholder: '14',
-    ranges: {
-      male: { min: 13.8, max: 17.2 },
-      female: { min: 12.1, max: 15.1 },
-      display: 'M: 13.8-17.2, F: 12.1-15.1'
-    }
-  },
-  sgpt: {
-    label: 'S.G.P.T.',
-    unit: 'U/L',
-    placeholder: '40',
-    ranges: {
-      normal: { min: 7, max: 56 },
-      display: '7-56'
-    }
-  },
-  sgot: {
-    label: 'S.G.O.T.',
-    unit: 'U/L',
-    placeholder: '40',
-    ranges: {
-      normal: { min: 10, max: 40 },
-      display: '10-40'
-    }
-  },
-  vitamin_d: {
-    label: 'Vitamin D',
-    unit: 'ng/mL',
-    placeholder: '30',
-    ranges: {
-      deficient: { min: 0, max: 19 },
-      insufficient: { min: 20, max: 29 },
-      sufficient: { min: 30, max: 100 },
-      display: '30-100'
-    }
-  },
-  thyroid_tsh: {
-    label: 'Thyroid TSH',
-    unit: 'μIU/mL',
-    placeholder: '2.5',
-    ranges: {
-      normal: { min: 0.27, max: 4.2 },
-      display: '0.27-4.2'
-    }
-  },
-  thyroid_t3: {
-    label: 'Thyroid T3',
-    unit: 'ng/dL',
-    placeholder: '120',
-    ranges: {
-      normal: { min: 80, max: 200 },
-      display: '80-200'
-    }
-  },
-  thyroid_t4: {
-    label: 'Thyroid T4',
-    unit: 'μg/dL',
-    placeholder: '1.2',
-    ranges: {
-      normal: { min: 5.1, max: 14.1 },
-      display: '5.1-14.1'
-    }
-  },
-  vitamin_b12: {
-    label: 'Vitamin B12',
-    unit: 'pg/mL',
-    placeholder: '500',
-    ranges: {
-      deficient: { min: 0, max: 199 },
-      low: { min: 200, max: 299 },
-      normal: { min: 300, max: 900 },
-      display: '300-900'
-    }
-  },
-  calcium: {
-    label: 'Calcium',
-    unit: 'mg/dL',
-    placeholder: '9.5',
-    ranges: {
-      normal: { min: 8.5, max: 10.2 },
-      display: '8.5-10.2'
-    }
-  },
-  hba1c: {
-    label: 'HbA1c',
-    unit: '%',
-    placeholder: '5.7',
-    ranges: {
-      normal: { min: 0, max: 5.6 },
-      prediabetic: { min: 5.7, max: 6.4 },
-      diabetic: { min: 6.5, max: 15 },
-      display: '<5.7'
-    }
-  },
-  urea: {
-    label: 'Urea',
-    unit: 'mg/dL',
-    placeholder: '20',
-    ranges: {
-      normal: { min: 6, max: 24 },
-      display: '6-24'
-    }
-  },
-  fasting_blood_glucose: {
-    label: 'Fasting Blood Glucose',
-    unit: 'mg/dL',
-    placeholder: '100',
-    ranges: {
-      normal: { min: 70, max: 99 },
-      prediabetic: { min: 100, max: 125 },
-      diabetic: { min: 126, max: 300 },
-      display: '70-99'
-    }
-  },
-  creatinine: {
-    label: 'Creatinine',
-    unit: 'mg/dL',
-    placeholder: '1.0',
-    ranges: {
-      normal: { min: 0.6, max: 1.4 },
-      display: '0.6-1.4'
-    }
-  }
-};
-
 // Report types configuration
 const REPORT_TYPES = {
   lab_report: {
@@ -323,6 +168,7 @@ const MemberPage = () => {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const { user, isAdmin, updateUser } = useAuth();
+  const { vitalTypes, refresh: refreshVitalTypes } = useVitalTypes();
 
   // Get current date components
   const getCurrentDateComponents = () => {
@@ -336,7 +182,9 @@ const MemberPage = () => {
   const [member, setMember] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showEditForm, setShowEditForm] = useState(false);
+  const [showEmergencyCard, setShowEmergencyCard] = useState(false);
   const [showAddVitalModal, setShowAddVitalModal] = useState(false);
+  const [showCustomVitalTypesModal, setShowCustomVitalTypesModal] = useState(false);
   const [showEditVitalModal, setShowEditVitalModal] = useState(false);
   const [editingVital, setEditingVital] = useState(null);
   const [isSubmittingVital, setIsSubmittingVital] = useState(false);
@@ -357,7 +205,8 @@ const MemberPage = () => {
     mobileNumber: '',
     email: '',
     password: '',
-    role: ''
+    role: '',
+    ...medicalHistoryFormData(null)
   });
 
   // Date component states for edit form
@@ -378,6 +227,7 @@ const MemberPage = () => {
   const [vitalFormData, setVitalFormData] = useState({
     vitalType: '',
     value: '',
+    readings: {},
     unit: '',
     notes: '',
     recordedAt: new Date().toISOString().split('T')[0]
@@ -386,6 +236,7 @@ const MemberPage = () => {
   const [editVitalFormData, setEditVitalFormData] = useState({
     vitalType: '',
     value: '',
+    readings: {},
     unit: '',
     notes: '',
     recordedAt: new Date().toISOString().split('T')[0]
@@ -406,9 +257,14 @@ const MemberPage = () => {
     reportDate: '',
     file: null
   });
+  const [reportPassword, setReportPassword] = useState({ required: false, incorrect: false, value: '' });
+  const [storeDecryptedReport, setStoreDecryptedReport] = useState(true);
+  // Existing upload with the same content; the next submit uploads anyway
+  const [reportDuplicate, setReportDuplicate] = useState(null);
 
   // Document upload states
   const [showUploadDocumentModal, setShowUploadDocumentModal] = useState(false);
+  const [documentDuplicate, setDocumentDuplicate] = useState(null);
 
   const [showEditDocumentModal, setShowEditDocumentModal] = useState(false);
   const [editingDocument, setEditingDocument] = useState(null);
@@ -528,8 +384,8 @@ const MemberPage = () => {
   };
 
   // Get vital status color and label based on value and ranges
-  const getVitalStatus = (vitalType, value, memberGender = null) => {
-    const vitalConfig = VITAL_TYPES[vitalType];
+  const getVitalStatus = (vitalType, value, memberGender = null, readings = null) => {
+    const vitalConfig = vitalTypes[vitalType];
     if (!vitalConfig || !vitalConfig.ranges || !value) {
       return { color: 'text-gray-600', bgColor: 'bg-gray-100', status: 'Unknown', level: 'unknown', priority: 0 };
     }
@@ -572,6 +428,15 @@ const MemberPage = () => {
         if (numValue > ranges.normal.max) return { color: 'text-amber-600', bgColor: 'bg-amber-100', status: 'High', level: 'warning', priority: 1 };
         break;
 
+      case 'blood_pressure':
+        if (!readings) break;
+        const { systolic, diastolic } = readings;
+        if (systolic <= ranges.low.systolic || diastolic <= ranges.low.diastolic) return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'Low', level: 'low', priority: 2 };
+        if (systolic <= ranges.normal.systolic && diastolic <= ranges.normal.diastolic) return { color: 'text-green-600', bgColor: 'bg-green-100', status: '', level: 'normal', priority: 0 };
+        if (systolic <= ranges.elevated.systolic && diastolic <= ranges.elevated.diastolic) return { color: 'text-amber-600', bgColor: 'bg-amber-100', status: 'Elevated', level: 'warning', priority: 1 };
+        if (systolic <= ranges.stage1.systolic && diastolic <= ranges.stage1.diastolic) return { color: 'text-amber-600', bgColor: 'bg-amber-100', status: 'Stage 1', level: 'warning', priority: 1 };
+        return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'Stage 2', level: 'high', priority: 2 };
+
       case 'hba1c':
         if (numValue <= ranges.normal.max) return { color: 'text-green-600', bgColor: 'bg-green-100', status: '', level: 'normal', priority: 0 };
         if (numValue >= ranges.prediabetic.min && numValue <= ranges.prediabetic.max) return { color: 'text-amber-600', bgColor: 'bg-amber-100', status: 'Prediabetic', level: 'warning', priority: 1 };
@@ -579,11 +444,13 @@ const MemberPage = () => {
         break;
 
       default:
-        // Generic handling for vitals with simple normal ranges
-        if (ranges.normal) {
-          if (numValue < ranges.normal.min) return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'Low', level: 'low', priority: 2 };
-          if (numValue >= ranges.normal.min && numValue <= ranges.normal.max) return { color: 'text-green-600', bgColor: 'bg-green-100', status: '', level: 'normal', priority: 0 };
-          if (numValue > ranges.normal.max) return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'High', level: 'high', priority: 2 };
+        // Generic handling for vitals with simple normal ranges, including
+        // age- and gender-specific ranges on custom types
+        const normalRange = resolveReferenceRange(ranges, memberGender, member?.date_of_birth);
+        if (normalRange) {
+          if (numValue < normalRange.min) return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'Low', level: 'low', priority: 2 };
+          if (numValue >= normalRange.min && numValue <= normalRange.max) return { color: 'text-green-600', bgColor: 'bg-green-100', status: '', level: 'normal', priority: 0 };
+          if (numValue > normalRange.max) return { color: 'text-rose-600', bgColor: 'bg-rose-100', status: 'High', level: 'high', priority: 2 };
         }
         break;
     }
@@ -591,49 +458,27 @@ const MemberPage = () => {
     return { color: 'text-gray-600', bgColor: 'bg-gray-100', status: 'Unknown', level: 'unknown', priority: 0 };
   };
 
-  // Calculate BMI based on height and weight
-  const calculateBMI = (height, weight) => {
-    if (!height || !weight) return null;
-    // Height in cm, weight in kg
-    const heightInMeters = height / 100;
-    const bmi = weight / (heightInMeters * heightInMeters);
-    return Math.round(bmi * 10) / 10; // Round to 1 decimal place
-  };
-
-  // Get BMI records based on latest height and all weight records
-  const getBMIRecords = () => {
-    const heightRecords = healthVitals.filter(vital => vital.vital_type === 'height');
-    const weightRecords = healthVitals.filter(vital => vital.vital_type === 'weight');
-
-    if (heightRecords.length === 0 || weightRecords.length === 0) return [];
-
-    // Get the latest height
-    const latestHeight = heightRecords.sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at))[0];
-
-    // Calculate BMI for each weight record
-    return weightRecords
-      .sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at))
-      .map(weightRecord => {
-        const bmiValue = calculateBMI(latestHeight.value, weightRecord.value);
-        return {
-          id: `bmi-${weightRecord.id}`,
-          vital_type: 'bmi',
-          value: bmiValue,
-          unit: 'kg/m²',
-          notes: `Calculated from height: ${latestHeight.value}cm, weight: ${weightRecord.value}kg`,
-          recorded_at: weightRecord.recorded_at,
-          created_at: weightRecord.created_at,
-          updated_at: weightRecord.updated_at,
-          isCalculated: true
-        };
-      });
+  // Status of a stored reading: the API evaluates it against the member's age-
+  // and gender-specific range; calculated records (BMI) are evaluated here
+  const getRecordStatus = (vital) => {
+    if (!vital.status) {
+      return getVitalStatus(vital.vital_type, vital.value, member?.gender, vital.readings);
+    }
+    const { level, label, priority } = vital.status;
+    const styles = {
+      normal: { color: 'text-green-600', bgColor: 'bg-green-100' },
+      warning: { color: 'text-amber-600', bgColor: 'bg-amber-100' },
+      low: { color: 'text-rose-600', bgColor: 'bg-rose-100' },
+      high: { color: 'text-rose-600', bgColor: 'bg-rose-100' }
+    };
+    return { ...(styles[level] || { color: 'text-gray-600', bgColor: 'bg-gray-100' }), status: label, level, priority };
   };
 
   // Sort vitals by priority (high priority first, then by name)
   const sortVitalsByPriority = (vitals) => {
     return vitals.sort((a, b) => {
-      const aStatus = getVitalStatus(a.vital_type, a.value, member?.gender);
-      const bStatus = getVitalStatus(b.vital_type, b.value, member?.gender);
+      const aStatus = getRecordStatus(a);
+      const bStatus = getRecordStatus(b);
 
       // BMI always comes first
       if (a.vital_type === 'bmi') return -1;
@@ -669,9 +514,9 @@ const MemberPage = () => {
 
   // Sort grouped vitals by latest record status priority
   const sortGroupedVitalsByStatus = (groupedVitals) => {
-    const vitalTypes = Object.keys(groupedVitals);
+    const typeKeys = Object.keys(groupedVitals);
 
-    return vitalTypes.sort((a, b) => {
+    return typeKeys.sort((a, b) => {
       const aVitals = groupedVitals[a];
       const bVitals = groupedVitals[b];
 
@@ -683,8 +528,8 @@ const MemberPage = () => {
       const aLatestVital = aVitals[0]; // First one is the latest due to sorting
       const bLatestVital = bVitals[0];
 
-      const aStatus = getVitalStatus(a, aLatestVital.value, member?.gender);
-      const bStatus = getVitalStatus(b, bLatestVital.value, member?.gender);
+      const aStatus = getRecordStatus(aLatestVital);
+      const bStatus = getRecordStatus(bLatestVital);
 
       // Sort by priority (high to low)
       if (aStatus.priority !== bStatus.priority) {
@@ -814,11 +659,12 @@ const MemberPage = () => {
 
   // Open Add Vital modal pre-filled for a type
   const openAddVitalForType = (vitalType) => {
-    const vitalConfig = VITAL_TYPES[vitalType];
+    const vitalConfig = vitalTypes[vitalType];
     setVitalFormData({
       vitalType,
       value: '',
-      unit: vitalConfig ? vitalConfig.unit : '',
+      readings: {},
+      unit: vitalConfig ? vitalConfig.preferredUnit || vitalConfig.unit : '',
       notes: '',
       recordedAt: new Date().toISOString().split('T')[0]
     });
@@ -894,11 +740,14 @@ const MemberPage = () => {
   const tabParam = searchParams.get('tab');
   const initialTab = tabParam === 'medical-reports' ? 'reports' :
     tabParam === 'documents' ? 'documents' :
-      tabParam === 'health-vitals' ? 'vitals' : 'vitals';
+      tabParam === 'medications' ? 'medications' :
+        tabParam === 'health-vitals' ? 'vitals' : 'vitals';
   const [activeTab, setActiveTab] = useState(initialTab);
   const [activeVitalSubTab, setActiveVitalSubTab] = useState('all');
   const [activeReportSubTab, setActiveReportSubTab] = useState('all');
   const [documents, setDocuments] = useState([]);
+  const [medications, setMedications] = useState([]);
+  const [showMedicationForm, setShowMedicationForm] = useState(false);
 
   // Confetti and animation states
   const [showConfetti, setShowConfetti] = useState(false);
@@ -912,7 +761,7 @@ const MemberPage = () => {
 
   useEffect(() => {
     fetchMemberData();
-  }, [memberName]);
+  }, [memberName, user?.unitPreferences]);
 
   const fetchMemberData = async () => {
     try {
@@ -934,8 +783,19 @@ const MemberPage = () => {
         return;
       }
 
-      setMember(foundMember);
+      // Allergies, conditions and surgeries come with the single member
+      let medicalHistory = { allergies: [], conditions: [], surgeries: [] };
+      try {
+        const memberResponse = await axios.get(`/family/members/${foundMember.id}`);
+        const { allergies, conditions, surgeries } = memberResponse.data.member;
+        medicalHistory = { allergies, conditions, surgeries };
+      } catch (error) {
+        console.error('Error fetching medical history:', error);
+      }
+
+      setMember({ ...foundMember, ...medicalHistory });
       setFormData({
+        ...medicalHistoryFormData(medicalHistory),
         name: foundMember.name,
         dateOfBirth: foundMember.date_of_birth ? foundMember.date_of_birth.split('T')[0] : '',
         gender: foundMember.gender || '',
@@ -957,7 +817,7 @@ const MemberPage = () => {
       // Fetch health vitals
       try {
         const vitalsResponse = await axios.get(`/health/vitals/${foundMember.id}`);
-        setHealthVitals(vitalsResponse.data.vitals || []);
+        setHealthVitals([...(vitalsResponse.data.vitals || []), ...(vitalsResponse.data.calculatedVitals || [])]);
       } catch (error) {
         setHealthVitals([]);
       }
@@ -978,6 +838,14 @@ const MemberPage = () => {
         setDocuments([]);
       }
 
+      // Fetch medications
+      try {
+        const medicationsResponse = await axios.get(`/health/medications/${foundMember.id}`);
+        setMedications(medicationsResponse.data.medications || []);
+      } catch (error) {
+        setMedications([]);
+      }
+
     } catch (error) {
       toast.error('Failed to fetch member data');
       navigate('/dashboard');
@@ -1069,6 +937,7 @@ const MemberPage = () => {
           updateData[key] = formData[key];
         }
       });
+      Object.assign(updateData, medicalHistoryPayload(formData));
 
       await axios.put(`/family/members/${member.id}`, updateData);
       toast.success('Member updated successfully');
@@ -1110,7 +979,8 @@ const MemberPage = () => {
       dateOfBirth: member.date_of_birth ? member.date_of_birth.split('T')[0] : '',
       gender: member.gender || '',
       email: member.user_email || '',
-      password: ''
+      password: '',
+      ...medicalHistoryFormData(member)
     });
     setEditDateComponents(getCurrentDateComponents());
   };
@@ -1131,12 +1001,13 @@ const MemberPage = () => {
 
   // Health Vitals Functions
   const handleVitalTypeChange = (vitalType) => {
-    const vitalConfig = VITAL_TYPES[vitalType];
+    const vitalConfig = vitalTypes[vitalType];
     setVitalFormData(prev => ({
       ...prev,
       vitalType,
-      unit: vitalConfig ? vitalConfig.unit : '',
-      value: ''
+      unit: vitalConfig ? vitalConfig.preferredUnit || vitalConfig.unit : '',
+      value: '',
+      readings: {}
     }));
   };
 
@@ -1153,11 +1024,17 @@ const MemberPage = () => {
       toast.error('Vital Type is required');
       return;
     }
-    if (!vitalFormData.value || vitalFormData.value.trim() === '') {
+    const compound = isCompoundVital(vitalTypes[vitalFormData.vitalType]);
+    const readings = compound ? parseReadings(vitalTypes[vitalFormData.vitalType], vitalFormData.readings) : null;
+    if (compound && !readings) {
+      toast.error(`Please enter all required ${vitalTypes[vitalFormData.vitalType].label} readings`);
+      return;
+    }
+    if (!compound && (!vitalFormData.value || vitalFormData.value.trim() === '')) {
       toast.error('Value is required');
       return;
     }
-    if (isNaN(parseFloat(vitalFormData.value))) {
+    if (!compound && isNaN(parseFloat(vitalFormData.value))) {
       toast.error('Value must be a valid number');
       return;
     }
@@ -1176,7 +1053,7 @@ const MemberPage = () => {
       await axios.post('/health/vitals', {
         memberId: member.id,
         vitalType: vitalFormData.vitalType,
-        value: parseFloat(vitalFormData.value),
+        ...(compound ? { readings } : { value: parseFloat(vitalFormData.value) }),
         unit: vitalFormData.unit,
         notes: vitalFormData.notes,
         recordedAt: vitalFormData.recordedAt
@@ -1187,6 +1064,7 @@ const MemberPage = () => {
       setVitalFormData({
         vitalType: '',
         value: '',
+        readings: {},
         unit: '',
         notes: '',
         recordedAt: new Date().toISOString().split('T')[0]
@@ -1196,7 +1074,7 @@ const MemberPage = () => {
       if (error.response && error.response.status === 409) {
         toast.error('This vital has already been added recently. Please wait a moment before trying again.');
       } else {
-        toast.error('Failed to add health vital');
+        toast.error(error.response?.data?.message || 'Failed to add health vital');
       }
     } finally {
       setIsSubmittingVital(false);
@@ -1208,6 +1086,7 @@ const MemberPage = () => {
     setEditVitalFormData({
       vitalType: vital.vital_type,
       value: vital.value.toString(),
+      readings: vital.readings || {},
       unit: vital.unit,
       notes: vital.notes || '',
       recordedAt: vital.recorded_at ? vital.recorded_at.split('T')[0] : new Date().toISOString().split('T')[0]
@@ -1226,11 +1105,25 @@ const MemberPage = () => {
 
   const handleUpdateVital = async (e) => {
     e.preventDefault();
+    const compound = isCompoundVital(vitalTypes[editVitalFormData.vitalType]);
+    const readings = compound ? parseReadings(vitalTypes[editVitalFormData.vitalType], editVitalFormData.readings) : null;
+    if (compound && !readings) {
+      toast.error(`Please enter all required ${vitalTypes[editVitalFormData.vitalType].label} readings`);
+      return;
+    }
+    // Values are shown in the preferred unit; resend them only when edited so
+    // an unchanged reading is not converted back and forth
+    const valueChanged = editVitalFormData.value !== editingVital.value.toString() ||
+      editVitalFormData.unit !== editingVital.unit ||
+      editVitalFormData.vitalType !== editingVital.vital_type;
+    if (!compound && valueChanged && isNaN(parseFloat(editVitalFormData.value))) {
+      toast.error('Value must be a valid number');
+      return;
+    }
     try {
       await axios.put(`/health/vitals/${editingVital.id}`, {
         vitalType: editVitalFormData.vitalType,
-        value: parseFloat(editVitalFormData.value),
-        unit: editVitalFormData.unit,
+        ...(compound ? { readings } : valueChanged ? { value: parseFloat(editVitalFormData.value), unit: editVitalFormData.unit } : {}),
         notes: editVitalFormData.notes,
         recordedAt: editVitalFormData.recordedAt
       });
@@ -1240,13 +1133,14 @@ const MemberPage = () => {
       setEditVitalFormData({
         vitalType: '',
         value: '',
+        readings: {},
         unit: '',
         notes: '',
         recordedAt: new Date().toISOString().split('T')[0]
       });
       fetchMemberData();
     } catch (error) {
-      toast.error('Failed to update health vital');
+      toast.error(error.response?.data?.message || 'Failed to update health vital');
     }
   };
 
@@ -1319,6 +1213,9 @@ const MemberPage = () => {
       formData.append('description', reportFormData.description);
       formData.append('reportDate', reportFormData.reportDate);
       formData.append('file', reportFormData.file);
+      if (reportPassword.value) formData.append('password', reportPassword.value);
+      formData.append('storeDecrypted', String(storeDecryptedReport));
+      if (reportDuplicate) formData.append('allowDuplicate', 'true');
 
       await axios.post('/health/reports', formData, {
         headers: {
@@ -1332,6 +1229,8 @@ const MemberPage = () => {
       });
 
       toast.success('Medical report uploaded successfully');
+      setReportPassword({ required: false, incorrect: false, value: '' });
+      setReportDuplicate(null);
       triggerConfetti(); // Trigger confetti animation
       setShowUploadReportModal(false);
       setReportFormData({
@@ -1344,6 +1243,16 @@ const MemberPage = () => {
       });
       fetchMemberData();
     } catch (error) {
+      if (error.response?.data?.passwordRequired) {
+        setReportPassword({ required: true, incorrect: error.response.data.incorrect, value: '' });
+        toast.error(error.response.data.message);
+        return;
+      }
+      if (error.response?.data?.duplicate) {
+        setReportDuplicate(error.response.data.duplicate);
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error('Failed to upload medical report');
     } finally {
       setIsUploading(false);
@@ -1353,6 +1262,8 @@ const MemberPage = () => {
   };
 
   const handleFileChange = (e) => {
+    setReportPassword({ required: false, incorrect: false, value: '' });
+    setReportDuplicate(null);
     const file = e.target.files[0];
     // Auto-fill title with filename (without extension) if title is empty
     const fileNameWithoutExt = file ? file.name.replace(/\.[^/.]+$/, '') : '';
@@ -1372,6 +1283,7 @@ const MemberPage = () => {
 
   // Document handling functions
   const handleDocumentFileChange = (e) => {
+    setDocumentDuplicate(null);
     setDocumentFormData({
       ...documentFormData,
       file: e.target.files[0]
@@ -1424,6 +1336,7 @@ const MemberPage = () => {
       formData.append('description', documentFormData.description);
       formData.append('uploadDate', documentFormData.uploadDate);
       formData.append('file', documentFormData.file);
+      if (documentDuplicate) formData.append('allowDuplicate', 'true');
 
       await axios.post(`/health/documents/${member.id}`, formData, {
         headers: {
@@ -1437,6 +1350,7 @@ const MemberPage = () => {
       });
 
       toast.success('Document uploaded successfully');
+      setDocumentDuplicate(null);
       triggerConfetti(); // Trigger confetti animation
       setShowUploadDocumentModal(false);
       setDocumentFormData({
@@ -1447,6 +1361,11 @@ const MemberPage = () => {
       });
       fetchDocuments(); // Fetch updated documents
     } catch (error) {
+      if (error.response?.data?.duplicate) {
+        setDocumentDuplicate(error.response.data.duplicate);
+        toast.error(error.response.data.message);
+        return;
+      }
       console.error('Error uploading document:', error);
       toast.error('Failed to upload document');
     } finally {
@@ -1461,6 +1380,7 @@ const MemberPage = () => {
     setShowAddVitalModal(false);
     setShowUploadReportModal(false);
     setShowUploadDocumentModal(false);
+    setShowMedicationForm(false);
   };
 
   const handleQuickAddAction = () => {
@@ -1471,6 +1391,9 @@ const MemberPage = () => {
       case 'documents':
         setShowUploadDocumentModal(true);
         break;
+      case 'medications':
+        setShowMedicationForm(true);
+        break;
       case 'vitals':
       default:
         setShowAddVitalModal(true);
@@ -1478,6 +1401,15 @@ const MemberPage = () => {
   };
 
 
+  const fetchMedications = async () => {
+    try {
+      const response = await axios.get(`/health/medications/${member.id}`);
+      setMedications(response.data.medications || []);
+    } catch (error) {
+      console.error('Error fetching medications:', error);
+    }
+  };
+
   const fetchDocuments = async () => {
     try {
       const response = await axios.get(`/health/documents/${member.id}`);
@@ -1678,6 +1610,15 @@ const MemberPage = () => {
     }
   };
 
+  // Open the existing upload a duplicate warning points at
+  const handleViewDuplicate = (duplicate) => {
+    if (duplicate.type === 'report') {
+      handleViewReport({ id: duplicate.id, file_name: duplicate.fileName });
+    } else {
+      handleViewDocument({ id: duplicate.id });
+    }
+  };
+
 
 
 
@@ -1742,7 +1683,8 @@ const MemberPage = () => {
           {/* Pulse ring effect for empty states */}
           {((activeTab === 'vitals' && healthVitals.length === 0) ||
             (activeTab === 'reports' && medicalReports.length === 0) ||
-            (activeTab === 'documents' && documents.length === 0)) && (
+            (activeTab === 'documents' && documents.length === 0) ||
+            (activeTab === 'medications' && medications.length === 0)) && (
               <div className="absolute inset-0 rounded-full bg-teal-400 animate-ping opacity-20"></div>
             )}
           <button
@@ -1768,7 +1710,9 @@ const MemberPage = () => {
               ? 'Upload Report'
               : activeTab === 'documents'
                 ? 'Upload Document'
-                : 'Add Vital'}
+                : activeTab === 'medications'
+                  ? 'Add Medication'
+                  : 'Add Vital'}
           </span>
         </button>
       </div>
@@ -1797,6 +1741,13 @@ const MemberPage = () => {
 
               {/* Admin Actions - Compact */}
               <div className="flex space-x-1">
+                <button
+                  onClick={() => setShowEmergencyCard(true)}
+                  className="p-1.5 bg-red-50 text-red-600 hover:bg-red-100 rounded-lg transition-colors"
+                  title="Emergency Card"
+                >
+                  <EmergencyCardIcon />
+                </button>
                 {isAdmin() ? (
                   <>
                     <button
@@ -1853,8 +1804,13 @@ const MemberPage = () => {
             </div>
           </div>
         </div>
+        <MedicalHistorySummary member={member} />
       </div>
 
+      {showEmergencyCard && (
+        <EmergencyCardModal member={member} onClose={() => setShowEmergencyCard(false)} />
+      )}
+
       {/* Edit Form */}
       {showEditForm && (
         <div className="glass-panel p-3 sm:p-4 md:p-6 w-full max-w-full">
@@ -2053,7 +2009,10 @@ const MemberPage = () => {
               </div>
             </div>
 
-
+            <MedicalHistoryFields
+              value={formData}
+              onChange={(history) => setFormData({ ...formData, ...history })}
+            />
 
             <div className="flex space-x-3">
               <button
@@ -2090,103 +2049,8 @@ const MemberPage = () => {
             <div>
 
 
-              {(healthVitals.length > 0 || getBMIRecords().length > 0) ? (
+              {healthVitals.length > 0 ? (
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 items-start w-full max-w-full">
-                  {/* BMI Card - Always show if there are height and weight records */}
-                  {getBMIRecords().length > 0 && (
-                    (() => {
-                      const bmiRecords = getBMIRecords();
-                      const latestBMI = bmiRecords[0];
-                      const isExpanded = expandedVitalTypes.has('bmi');
-                      const vitalStatus = getVitalStatus('bmi', latestBMI.value, member?.gender);
-                      const vitalConfig = VITAL_TYPES['bmi'];
-
-                      // Create gradient background based on status
-                      const getBMIGradientClass = (status) => {
-                        switch (status.level) {
-                          case 'high':
-                          case 'low':
-                            return 'glass-tint-rose';
-                          case 'warning':
-                            return 'glass-tint-amber';
-                          case 'normal':
-                            return 'glass-tint-green';
-                          default:
-                            return 'glass-tint-gray';
-                        }
-                      };
-
-                      return (
-                        <div className={`glass-card flex flex-col card-consistent-height w-full max-w-full ${getBMIGradientClass(vitalStatus)}`}>
-                          {/* BMI Card - Always Visible */}
-                          <div
-                            className="p-3 cursor-pointer card-content"
-                            onClick={() => toggleVitalTypeExpansion('bmi')}
-                          >
-                            <div className="flex justify-between items-center card-body">
-                              <div className="flex-1">
-                                <div className="flex items-center space-x-2 mb-1">
-                                  <h4 className="text-lg font-semibold text-gray-900">BMI</h4>
-                                  {vitalStatus.status && (
-                                    <span className={`text-xs px-2 py-1 rounded-full ${vitalStatus.bgColor} ${vitalStatus.color}`}>
-                                      {vitalStatus.status}
-                                    </span>
-                                  )}
-                                  <span className={`text-xs px-2 py-1 rounded-full ${getAgeTagColor(vitalStatus)}`}>
-                                    {calculateRecordAge(latestBMI.recorded_at)}
-                                  </span>
-                                </div>
-                                <div className="flex items-center space-x-2">
-                                  <p className={`text-lg font-bold ${vitalStatus.color}`}>
-                                    {latestBMI.value} {decodeHtmlEntities(latestBMI.unit)}
-                                  </p>
-                                  {vitalConfig.ranges && (
-                                    <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
-                                      {vitalConfig.ranges.display}
-                                    </span>
-                                  )}
-                                </div>
-                              </div>
-                            </div>
-                          </div>
-
-                          {/* Expanded BMI Records */}
-                          {isExpanded && bmiRecords.length > 1 && (
-                            <div className="border-t border-white/40 liquid-glass-subtle p-4">
-                              <div className="space-y-3">
-                                {bmiRecords.map((bmiRecord, index) => {
-                                  const recordStatus = getVitalStatus('bmi', bmiRecord.value, member?.gender);
-                                  return (
-                                    <div key={bmiRecord.id} className="flex justify-between items-center p-3 liquid-glass-subtle rounded-xl border border-white/50">
-                                      <div className="flex-1">
-                                        <div className="flex items-center space-x-2 mb-1">
-                                          <p className={`font-medium ${recordStatus.color}`}>
-                                            {bmiRecord.value} {decodeHtmlEntities(bmiRecord.unit)}
-                                          </p>
-                                          {recordStatus.status && (
-                                            <span className={`text-xs px-2 py-1 rounded-full ${recordStatus.bgColor} ${recordStatus.color}`}>
-                                              {recordStatus.status}
-                                            </span>
-                                          )}
-                                        </div>
-                                        <p className="text-sm text-gray-500">
-                                          {formatDate(bmiRecord.recorded_at)}
-                                        </p>
-                                        <p className="text-xs text-gray-400 mt-1">
-                                          {bmiRecord.notes}
-                                        </p>
-                                      </div>
-                                    </div>
-                                  );
-                                })}
-                              </div>
-                            </div>
-                          )}
-                        </div>
-                      );
-                    })()
-                  )}
-
                   {/* Regular Vital Cards */}
                   {(() => {
                     const groupedVitals = groupVitalsByType(healthVitals);
@@ -2194,10 +2058,10 @@ const MemberPage = () => {
 
                     return sortedVitalTypes.map(vitalType => {
                       const vitals = groupedVitals[vitalType];
-                      const vitalConfig = VITAL_TYPES[vitalType] || { label: vitalType.replace('_', ' ').toUpperCase() };
+                      const vitalConfig = vitalTypes[vitalType] || { label: vitalType.replace('_', ' ').toUpperCase() };
                       const latestVital = vitals[0]; // First one is the latest due to sorting
                       const isExpanded = expandedVitalTypes.has(vitalType);
-                      const vitalStatus = getVitalStatus(vitalType, latestVital.value, member?.gender);
+                      const vitalStatus = getRecordStatus(latestVital);
 
                       // Create gradient background based on status
                       const getGradientClass = (status) => {
@@ -2236,84 +2100,121 @@ const MemberPage = () => {
                                 </div>
                                 <div className="flex items-center space-x-2">
                                   <p className={`text-lg font-bold ${vitalStatus.color}`}>
-                                    {latestVital.value} {decodeHtmlEntities(latestVital.unit)}
+                                    {formatVitalReading(latestVital, vitalConfig)} {decodeHtmlEntities(displayUnit(latestVital.unit))}
                                   </p>
+                                  {latestVital.readings?.pulse && (
+                                    <span className="text-xs text-gray-600">Pulse {latestVital.readings.pulse} bpm</span>
+                                  )}
                                   {vitalConfig.ranges && (
                                     <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
-                                      {vitalConfig.ranges.display}
+                                      {latestVital.reference_range?.display || vitalConfig.ranges.display}
                                     </span>
                                   )}
                                 </div>
                               </div>
-                              <div className="flex items-center space-x-2">
-                                {/* Add Vital inside this type */}
-                                <button
-                                  onClick={(e) => { e.stopPropagation(); openAddVitalForType(vitalType); }}
-                                  className="text-primary-600 hover:text-primary-800 p-2 liquid-glass-subtle rounded-xl transition-colors"
-                                  title={`Add ${vitalConfig.label}`}
-                                >
-                                  <PlusIcon />
-                                </button>
-                              </div>
+                              {/* Add Vital inside this type (calculated types come from their inputs) */}
+                              {!vitalConfig.calculated && (
+                                <div className="flex items-center space-x-2">
+                                  <button
+                                    onClick={(e) => { e.stopPropagation(); openAddVitalForType(vitalType); }}
+                                    className="text-primary-600 hover:text-primary-800 p-2 liquid-glass-subtle rounded-xl transition-colors"
+                                    title={`Add ${vitalConfig.label}`}
+                                  >
+                                    <PlusIcon />
+                                  </button>
+                                </div>
+                              )}
                             </div>
                           </div>
 
-                          {/* Expanded Content - Show All Records */}
+                          {/* Expanded Content - Trend Chart and All Records */}
                           {isExpanded && vitals.length > 0 && (
                             <div className="mt-4 pt-4 border-t border-gray-200">
+                              <VitalTrendChart
+                                memberId={member.id}
+                                vitalType={vitalType}
+                                vitalTypes={vitalTypes}
+                                availableTypes={sortedVitalTypes}
+                                onOpenReport={handleViewReport}
+                              />
                               <div className="p-2 rounded-lg">
                                 {vitals.map((vital, index) => {
                                   const latestCard = index === 0;
-                                  const recordStatus = getVitalStatus(vitalType, vital.value, member?.gender);
+                                  const recordStatus = getRecordStatus(vital);
                                   return (
                                     <div key={vital.id} className={`p-1.5 rounded-md shadow-sm mx-1 my-0.5 ${getSubCardGradientClass(recordStatus)} hover:shadow-md transition-shadow duration-200`}>
                                       <div className="flex justify-between items-start">
                                         <div className="flex-1">
                                           <div className="flex items-center space-x-2 mb-1">
                                             <p className={`text-sm font-medium ${recordStatus.color}`}>
-                                              {vital.value} {decodeHtmlEntities(vital.unit)}
+                                              {formatVitalReading(vital, vitalConfig)} {decodeHtmlEntities(displayUnit(vital.unit))}
                                             </p>
+                                            {vital.readings?.pulse && (
+                                              <span className="text-xs text-gray-500">Pulse {vital.readings.pulse}</span>
+                                            )}
                                             {recordStatus.status && (
                                               <span className={`text-xs px-1.5 py-0.5 rounded-full ${recordStatus.bgColor} ${recordStatus.color}`}>
                                                 {recordStatus.status}
                                               </span>
                                             )}
+                                            {vital.calculated && (
+                                              <span className="text-xs px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-600" title={vital.formula}>
+                                                Calculated
+                                              </span>
+                                            )}
+                                            {vital.lab_flag && (
+                                              <span className="text-xs px-1.5 py-0.5 rounded-full bg-red-100 text-red-700 font-semibold" title="Flag from the lab report">
+                                                {vital.lab_flag}
+                                              </span>
+                                            )}
                                           </div>
                                           <p className="text-xs text-gray-500 mt-1">
                                             {formatDate(vital.recorded_at)}
                                           </p>
+                                          {vital.lab_range?.text && (
+                                            <p className="text-xs text-gray-500 mt-1">
+                                              Lab range {decodeHtmlEntities(vital.lab_range.text)} {decodeHtmlEntities(displayUnit(vital.lab_range.printedUnit || ''))}
+                                            </p>
+                                          )}
                                           {vital.notes && (
                                             <p className="text-xs text-gray-600 mt-1 line-clamp-1">{vital.notes}</p>
                                           )}
+                                          {vital.sources && (
+                                            <p className="text-xs text-gray-400 mt-1">
+                                              From {vital.sources.map(source => `${vitalTypes[source.vital_type]?.label || source.vital_type} ${formatVitalReading(source, vitalTypes[source.vital_type])} ${decodeHtmlEntities(displayUnit(source.unit))}`.trim()).join(', ')}
+                                            </p>
+                                          )}
                                         </div>
-                                        <div className="flex space-x-1 ml-2">
-                                          <button
-                                            onClick={(e) => {
-                                              e.stopPropagation();
-                                              handleEditVital(vital);
-                                            }}
-                                            className="text-green-600 hover:text-green-800 p-1.5 bg-green-50 hover:bg-green-100 rounded transition-colors"
-                                            title="Edit"
-                                          >
-                                            <EditIcon />
-                                          </button>
-                                          <button
-                                            onClick={(e) => {
-                                              e.stopPropagation();
-                                              if (isAdmin()) {
-                                                handleDeleteVital(vital);
-                                              }
-                                            }}
-                                            className={`p-1.5 rounded transition-colors ${isAdmin()
-                                              ? 'text-red-600 hover:text-red-800 bg-red-50 hover:bg-red-100'
-                                              : 'text-gray-400 bg-gray-50 cursor-not-allowed'
-                                              }`}
-                                            title={isAdmin() ? "Delete" : "Only admins can delete"}
-                                            disabled={!isAdmin()}
-                                          >
-                                            <DeleteIcon />
-                                          </button>
-                                        </div>
+                                        {!vital.calculated && (
+                                          <div className="flex space-x-1 ml-2">
+                                            <button
+                                              onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleEditVital(vital);
+                                              }}
+                                              className="text-green-600 hover:text-green-800 p-1.5 bg-green-50 hover:bg-green-100 rounded transition-colors"
+                                              title="Edit"
+                                            >
+                                              <EditIcon />
+                                            </button>
+                                            <button
+                                              onClick={(e) => {
+                                                e.stopPropagation();
+                                                if (isAdmin()) {
+                                                  handleDeleteVital(vital);
+                                                }
+                                              }}
+                                              className={`p-1.5 rounded transition-colors ${isAdmin()
+                                                ? 'text-red-600 hover:text-red-800 bg-red-50 hover:bg-red-100'
+                                                : 'text-gray-400 bg-gray-50 cursor-not-allowed'
+                                                }`}
+                                              title={isAdmin() ? "Delete" : "Only admins can delete"}
+                                              disabled={!isAdmin()}
+                                            >
+                                              <DeleteIcon />
+                                            </button>
+                                          </div>
+                                        )}
                                       </div>
                                     </div>
                                   );
@@ -2606,6 +2507,18 @@ const MemberPage = () => {
             </div>
           )}
 
+          {activeTab === 'medications' && (
+            <MedicationsTab
+              member={member}
+              medications={medications}
+              reports={medicalReports}
+              showForm={showMedicationForm}
+              onShowFormChange={setShowMedicationForm}
+              onChange={fetchMedications}
+              onViewReport={handleViewReport}
+            />
+          )}
+
           {/* Add Vital Modal */}
           {showAddVitalModal && ReactDOM.createPortal(
             <div className="modal-overlay">
@@ -2621,34 +2534,33 @@ const MemberPage = () => {
                       required
                     >
                       <option value="">Select Vital Type</option>
-                      {Object.entries(VITAL_TYPES).map(([key, config]) => (
+                      {Object.entries(vitalTypes).filter(([, config]) => !config.calculated).map(([key, config]) => (
                         <option key={key} value={key}>{config.label}</option>
                       ))}
                     </select>
+                    {isAdmin() && (
+                      <button
+                        type="button"
+                        onClick={() => setShowCustomVitalTypesModal(true)}
+                        className="mt-1 text-sm text-primary-600 hover:text-primary-800 font-medium"
+                      >
+                        Manage custom vital types
+                      </button>
+                    )}
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Value <span className="text-red-500">*</span></label>
-                    <input
-                      type="number"
-                      step="0.01"
-                      value={vitalFormData.value}
-                      onChange={(e) => setVitalFormData({ ...vitalFormData, value: e.target.value })}
-                      className="glass-input w-full"
-                      placeholder={vitalFormData.vitalType ? VITAL_TYPES[vitalFormData.vitalType]?.placeholder : ''}
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Unit <span className="text-red-500">*</span></label>
-                    <input
-                      type="text"
-                      value={vitalFormData.unit}
-                      onChange={(e) => setVitalFormData({ ...vitalFormData, unit: e.target.value })}
-                      className="glass-input w-full"
-                      placeholder={vitalFormData.vitalType ? VITAL_TYPES[vitalFormData.vitalType]?.unit : ''}
-                      required
-                    />
-                  </div>
+                  <VitalValueInput
+                    vitalConfig={vitalTypes[vitalFormData.vitalType]}
+                    value={vitalFormData.value}
+                    readings={vitalFormData.readings}
+                    unit={vitalFormData.unit}
+                    onValueChange={(value) => setVitalFormData({ ...vitalFormData, value })}
+                    onReadingsChange={(readings) => setVitalFormData({ ...vitalFormData, readings })}
+                  />
+                  <VitalUnitSelect
+                    vitalConfig={vitalTypes[vitalFormData.vitalType]}
+                    value={vitalFormData.unit}
+                    onChange={(unit) => setVitalFormData({ ...vitalFormData, unit, value: '' })}
+                  />
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Date Recorded <span className="text-red-500">*</span></label>
                     <div className="grid grid-cols-3 gap-2 sm:flex sm:space-x-2">
@@ -2736,6 +2648,14 @@ const MemberPage = () => {
             </div>, document.body)
           }
 
+          {showCustomVitalTypesModal && (
+            <CustomVitalTypesModal
+              vitalTypes={vitalTypes}
+              onClose={() => setShowCustomVitalTypesModal(false)}
+              onChange={refreshVitalTypes}
+            />
+          )}
+
           {/* Edit Vital Modal */}
           {showEditVitalModal && ReactDOM.createPortal(
             <div className="modal-overlay">
@@ -2747,45 +2667,37 @@ const MemberPage = () => {
                     <select
                       value={editVitalFormData.vitalType}
                       onChange={(e) => {
-                        const vitalConfig = VITAL_TYPES[e.target.value];
+                        const vitalConfig = vitalTypes[e.target.value];
                         setEditVitalFormData({
                           ...editVitalFormData,
                           vitalType: e.target.value,
-                          unit: vitalConfig ? vitalConfig.unit : editVitalFormData.unit
+                          unit: vitalConfig ? vitalConfig.preferredUnit || vitalConfig.unit : editVitalFormData.unit
                         });
                       }}
                       className="glass-input w-full"
                       required
                     >
                       <option value="">Select Vital Type</option>
-                      {Object.entries(VITAL_TYPES).map(([key, config]) => (
+                      {Object.entries(vitalTypes).filter(([key, config]) => !config.calculated || key === editingVital?.vital_type).map(([key, config]) => (
                         <option key={key} value={key}>{config.label}</option>
                       ))}
                     </select>
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Value</label>
-                    <input
-                      type="number"
-                      step="0.01"
-                      value={editVitalFormData.value}
-                      onChange={(e) => setEditVitalFormData({ ...editVitalFormData, value: e.target.value })}
-                      className="glass-input w-full"
-                      placeholder={editVitalFormData.vitalType ? VITAL_TYPES[editVitalFormData.vitalType]?.placeholder : ''}
-                      required
-                    />
-                  </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Unit</label>
-                    <input
-                      type="text"
-                      value={editVitalFormData.unit}
-                      onChange={(e) => setEditVitalFormData({ ...editVitalFormData, unit: e.target.value })}
-                      className="glass-input w-full"
-                      placeholder={editVitalFormData.vitalType ? VITAL_TYPES[editVitalFormData.vitalType]?.unit : ''}
-                      required
-                    />
-                  </div>
+                  <VitalValueInput
+                    vitalConfig={vitalTypes[editVitalFormData.vitalType]}
+                    value={editVitalFormData.value}
+                    readings={editVitalFormData.readings}
+                    unit={editVitalFormData.unit}
+                    onValueChange={(value) => setEditVitalFormData({ ...editVitalFormData, value })}
+                    onReadingsChange={(readings) => setEditVitalFormData({ ...editVitalFormData, readings })}
+                    markRequired={false}
+                  />
+                  <VitalUnitSelect
+                    vitalConfig={vitalTypes[editVitalFormData.vitalType]}
+                    value={editVitalFormData.unit}
+                    onChange={(unit) => setEditVitalFormData({ ...editVitalFormData, unit, value: '' })}
+                    markRequired={false}
+                  />
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">Date Recorded</label>
                     <div className="grid grid-cols-3 gap-2 sm:flex sm:space-x-2">
@@ -2985,6 +2897,28 @@ const MemberPage = () => {
                     />
                     <p className="text-xs text-gray-500 mt-1">Only PDF files are accepted (max 20MB)</p>
                   </div>
+                  <PdfPasswordField
+                    passwordRequired={reportPassword.required}
+                    incorrect={reportPassword.incorrect}
+                    password={reportPassword.value}
+                    onPasswordChange={(value) => setReportPassword({ ...reportPassword, value })}
+                    storeDecrypted={storeDecryptedReport}
+                    onStoreDecryptedChange={setStoreDecryptedReport}
+                  />
+                  {reportDuplicate && (
+                    <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+                      <p className="text-amber-800">
+                        Already uploaded as the {reportDuplicate.type} "{reportDuplicate.title}" for {reportDuplicate.memberName} ({reportDuplicate.date}).
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => handleViewDuplicate(reportDuplicate)}
+                        className="mt-1 text-xs font-semibold text-amber-900 underline"
+                      >
+                        View existing
+                      </button>
+                    </div>
+                  )}
                   <div className="flex space-x-3">
                     <button
                       type="submit"
@@ -3004,6 +2938,8 @@ const MemberPage = () => {
                         </>
                       ) : isSubmittingReport ? (
                         'Uploading...'
+                      ) : reportDuplicate ? (
+                        'Upload Anyway'
                       ) : (
                         'Upload Report'
                       )}
@@ -3243,6 +3179,20 @@ const MemberPage = () => {
                     />
                     <p className="text-xs text-gray-500 mt-1">Only PDF files are accepted (max 20MB)</p>
                   </div>
+                  {documentDuplicate && (
+                    <div className="p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm">
+                      <p className="text-amber-800">
+                        Already uploaded as the {documentDuplicate.type} "{documentDuplicate.title}" for {documentDuplicate.memberName} ({documentDuplicate.date}).
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => handleViewDuplicate(documentDuplicate)}
+                        className="mt-1 text-xs font-semibold text-amber-900 underline"
+                      >
+                        View existing
+                      </button>
+                    </div>
+                  )}
                   <div className="flex space-x-3">
                     <button
                       type="submit"
@@ -3262,6 +3212,8 @@ const MemberPage = () => {
                         </>
                       ) : isSubmittingDocument ? (
                         'Uploading...'
+                      ) : documentDuplicate ? (
+                        'Upload Anyway'
                       ) : (
                         'Upload Document'
                       )}
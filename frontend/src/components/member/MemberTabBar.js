@@ -26,11 +26,18 @@ const DocumentsIcon = () => (
   </svg>
 );
 
+const MedicationsIcon = () => (
+  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.5 20.5l10-10a4.95 4.95 0 10-7-7l-10 10a4.95 4.95 0 107 7zM8.5 8.5l7 7" />
+  </svg>
+);
+
 const tabs = [
   { id: 'home', label: 'Home', type: 'link', to: '/dashboard', Icon: HomeIcon },
   { id: 'vitals', label: 'Vitals', type: 'tab', Icon: VitalsIcon },
   { id: 'reports', label: 'Reports', type: 'tab', Icon: ReportsIcon },
   { id: 'documents', label: 'Documents', type: 'tab', Icon: DocumentsIcon },
+  { id: 'medications', label: 'Medications', type: 'tab', Icon: MedicationsIcon },
 ];
 
 const TabItem = ({ tab, isActive, onTabChange }) => {
@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { formatDate } from '../../utils/dateUtils';
+
+// Shade each reading's reference range from that reading until the next one,
+// so ranges that change with age show up as steps
+const referenceBandsPlugin = {
+  id: 'referenceBands',
+  beforeDatasetsDraw(chart, args, options) {
+    const bands = options.bands || [];
+    const { ctx, chartArea, scales: { x, y } } = chart;
+    if (!bands.length || !x || !y) return;
+
+    ctx.save();
+    ctx.fillStyle = options.color;
+    bands.forEach(band => {
+      const left = band.from === null ? chartArea.left : Math.max(x.getPixelForValue(band.from), chartArea.left);
+      const right = band.to === null ? chartArea.right : Math.min(x.getPixelForValue(band.to), chartArea.right);
+      const top = Math.max(y.getPixelForValue(band.max), chartArea.top);
+      const bottom = Math.min(y.getPixelForValue(band.min), chartArea.bottom);
+      if (right > left && bottom > top) {
+        ctx.fillRect(left, top, right - left, bottom - top);
+      }
+    });
+    ctx.restore();
+  }
+};
+
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend, referenceBandsPlugin);
+
+const TIME_WINDOWS = [
+  { key: '3m', label: '3M', months: 3 },
+  { key: '6m', label: '6M', months: 6 },
+  { key: '1y', label: '1Y', months: 12 },
+  { key: '3y', label: '3Y', months: 36 },
+  { key: 'all', label: 'All', months: null }
+];
+
+// Analytes that are usually read together, offered first for the overlay
+const RELATED_VITALS = {
+  sgpt: ['sgot'],
+  sgot: ['sgpt'],
+  thyroid_tsh: ['thyroid_t3', 'thyroid_t4'],
+  thyroid_t3: ['thyroid_t4', 'thyroid_tsh'],
+  thyroid_t4: ['thyroid_t3', 'thyroid_tsh'],
+  urea: ['creatinine'],
+  creatinine: ['egfr', 'urea'],
+  egfr: ['creatinine'],
+  hba1c: ['fasting_blood_glucose'],
+  fasting_blood_glucose: ['hba1c', 'fasting_insulin'],
+  fasting_insulin: ['fasting_blood_glucose', 'homa_ir'],
+  homa_ir: ['fasting_insulin', 'fasting_blood_glucose'],
+  cholesterol: ['ldl', 'hdl', 'triglycerides', 'weight'],
+  hdl: ['ldl', 'cholesterol'],
+  ldl: ['hdl', 'cholesterol'],
+  non_hdl: ['ldl', 'cholesterol'],
+  triglycerides: ['hdl', 'ldl'],
+  height: ['weight'],
+  weight: ['bmi', 'height'],
+  bmi: ['weight'],
+  blood_pressure: ['heart_rate'],
+  heart_rate: ['blood_pressure', 'spo2'],
+  spo2: ['heart_rate'],
+  vitamin_d: ['calcium'],
+  calcium: ['vitamin_d']
+};
+
+const SERIES_COLORS = [
+  ['#0d9488', '#5eead4'],
+  ['#6366f1', '#a5b4fc']
+];
+
+const STATUS_COLORS = {
+  normal: '#16a34a',
+  warning: '#d97706',
+  low: '#e11d48',
+  high: '#e11d48'
+};
+
+const decodeHtmlEntities = (text) => {
+  if (!text) return text;
+  const textarea = document.createElement('textarea');
+  textarea.innerHTML = text;
+  return textarea.value;
+};
+
+const windowStart = (months) => {
+  if (!months) return null;
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date.toISOString().split('T')[0];
+};
+
+// One dataset per plotted component: the value, or each required field of a
+// compound vital (systolic and diastolic for blood pressure)
+const buildDatasets = (series, seriesIndex) => {
+  const { vitalType, points } = series;
+  const components = vitalType.fields
+    ? vitalType.fields.filter(field => field.required).map(field => ({
+      label: `${vitalType.label} ${field.label}`,
+      read: (point) => point.readings?.[field.key]
+    }))
+    : [{ label: vitalType.label, read: (point) => parseFloat(point.value) }];
+
+  return components.map((component, componentIndex) => {
+    const color = SERIES_COLORS[seriesIndex][componentIndex % 2];
+    return {
+      label: vitalType.unit ? `${component.label} (${decodeHtmlEntities(vitalType.unit)})` : component.label,
+      data: points
+        .map(point => ({ x: new Date(point.recorded_at).getTime(), y: component.read(point), point }))
+        .filter(item => item.y !== undefined && item.y !== null && !isNaN(item.y)),
+      yAxisID: seriesIndex === 0 ? 'y' : 'y1',
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      tension: 0.25,
+      pointStyle: (ctx) => (ctx.raw?.point?.report_id ? 'rectRot' : 'circle'),
+      pointRadius: (ctx) => (ctx.raw?.point?.report_id ? 6 : 4),
+      pointHoverRadius: 8,
+      pointBackgroundColor: (ctx) => STATUS_COLORS[ctx.raw?.point?.status?.level] || color,
+      pointBorderColor: color
+    };
+  });
+};
+
+// Reference bands for the primary series (single-value vitals only)
+const buildBands = (series) => {
+  if (!series || series.vitalType.fields) return [];
+  const points = series.points.filter(point => point.reference_range?.min !== undefined);
+  return points.map((point, index) => ({
+    from: index === 0 ? null : new Date(point.recorded_at).getTime(),
+    to: index === points.length - 1 ? null : new Date(points[index + 1].recorded_at).getTime(),
+    min: point.reference_range.min,
+    max: point.reference_range.max
+  }));
+};
+
+// Time-series chart of one vital type with reference ranges, time windows,
+// links to source reports and an optional overlay of a second vital type
+const VitalTrendChart = ({ memberId, vitalType, vitalTypes, availableTypes = [], onOpenReport }) => {
+  const [timeWindow, setTimeWindow] = useState('all');
+  const [compareType, setCompareType] = useState('');
+  const [series, setSeries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const months = TIME_WINDOWS.find(option => option.key === timeWindow)?.months;
+
+    setLoading(true);
+    axios.get(`/health/vitals/${memberId}/trends`, {
+      params: {
+        types: [vitalType, compareType].filter(Boolean).join(','),
+        ...(months ? { from: windowStart(months) } : {})
+      }
+    })
+      .then(response => {
+        if (!cancelled) setSeries(response.data.series);
+      })
+      .catch(error => {
+        console.error('Error fetching vital trends:', error);
+        if (!cancelled) setSeries([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [memberId, vitalType, compareType, timeWindow]);
+
+  const related = (RELATED_VITALS[vitalType] || []).filter(type => availableTypes.includes(type));
+  const others = availableTypes.filter(type => type !== vitalType && !related.includes(type));
+  const typeLabel = (type) => vitalTypes[type]?.label || type;
+
+  const datasets = series.flatMap((item, index) => buildDatasets(item, index));
+  const hasData = datasets.some(dataset => dataset.data.length > 0);
+
+  const data = { datasets };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'nearest', intersect: true },
+    scales: {
+      x: {
+        type: 'linear',
+        ticks: {
+          maxTicksLimit: 6,
+          callback: (value) => formatDate(value)
+        }
+      },
+      y: {
+        position: 'left',
+        grace: '10%'
+      },
+      ...(series.length > 1 ? {
+        y1: {
+          position: 'right',
+          grace: '10%',
+          grid: { drawOnChartArea: false }
+        }
+      } : {})
+    },
+    plugins: {
+      legend: {
+        display: datasets.length > 1,
+        labels: { boxWidth: 12, font: { size: 11 } }
+      },
+      tooltip: {
+        callbacks: {
+          title: (items) => (items.length ? formatDate(items[0].raw.x) : ''),
+          label: (item) => {
+            const status = item.raw.point.status?.label;
+            return `${item.dataset.label}: ${item.raw.y}${status ? ` (${status})` : ''}`;
+          },
+          footer: (items) => {
+            const point = items[0]?.raw.point;
+            return point?.report_id
+              ? `From report: ${decodeHtmlEntities(point.report_title) || 'Medical report'} (click to open)`
+              : '';
+          }
+        }
+      },
+      referenceBands: {
+        bands: buildBands(series[0]),
+        color: 'rgba(34, 197, 94, 0.12)'
+      }
+    },
+    onClick: (event, elements, chart) => {
+      if (!elements.length || !onOpenReport) return;
+      const { datasetIndex, index } = elements[0];
+      const point = chart.data.datasets[datasetIndex].data[index]?.point;
+      if (point?.report_id) {
+        onOpenReport({ id: point.report_id, file_name: point.report_file_name });
+      }
+    },
+    onHover: (event, elements, chart) => {
+      const point = elements.length
+        ? chart.data.datasets[elements[0].datasetIndex].data[elements[0].index]?.point
+        : null;
+      chart.canvas.style.cursor = point?.report_id ? 'pointer' : 'default';
+    }
+  };
+
+  return (
+    <div className="mb-3 p-2 rounded-lg bg-white/40">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex space-x-1">
+          {TIME_WINDOWS.map(option => (
+            <button
+              key={option.key}
+              type="button"
+              onClick={(e) => { e.stopPropagation(); setTimeWindow(option.key); }}
+              className={`text-xs px-2 py-1 rounded-full transition-colors ${timeWindow === option.key
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {(related.length > 0 || others.length > 0) && (
+          <select
+            value={compareType}
+            onChange={(e) => setCompareType(e.target.value)}
+            onClick={(e) => e.stopPropagation()}
+            className="glass-input text-xs py-1"
+          >
+            <option value="">Compare with...</option>
+            {related.length > 0 && (
+              <optgroup label="Related">
+                {related.map(type => (
+                  <option key={type} value={type}>{typeLabel(type)}</option>
+                ))}
+              </optgroup>
+            )}
+            {others.length > 0 && (
+              <optgroup label="Other vitals">
+                {others.map(type => (
+                  <option key={type} value={type}>{typeLabel(type)}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        )}
+      </div>
+      <div className="h-56" onClick={(e) => e.stopPropagation()}>
+        {loading ? (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">Loading trend...</div>
+        ) : hasData ? (
+          <Line data={data} options={options} />
+        ) : (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">No readings in this period</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VitalTrendChart;
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+
+// Vital types rarely change, so share one request across all components
+let vitalTypesRequest = null;
+
+const fetchVitalTypes = () => {
+  if (!vitalTypesRequest) {
+    vitalTypesRequest = axios.get('/health/vital-types')
+      .then(response => Object.fromEntries(
+        response.data.vitalTypes.map(type => [type.key, type])
+      ))
+      .catch(error => {
+        vitalTypesRequest = null;
+        throw error;
+      });
+  }
+  return vitalTypesRequest;
+};
+
+// Force the next useVitalTypes() mount to refetch the registry
+export const invalidateVitalTypes = () => {
+  vitalTypesRequest = null;
+};
+
+// Custom hook returning the vital type registry keyed by vital type
+export const useVitalTypes = () => {
+  const [vitalTypes, setVitalTypes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [version, setVersion] = useState(0);
+  const { user } = useAuth();
+  // Units are resolved per user, so reload when the preferences change
+  const preferencesKey = JSON.stringify(user?.unitPreferences || {});
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchVitalTypes()
+      .then(types => {
+        if (!cancelled) setVitalTypes(types);
+      })
+      .catch(error => {
+        console.error('Failed to load vital types:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [version, preferencesKey]);
+
+  // Refetch after custom vital types are added, edited or removed
+  const refresh = useCallback(() => {
+    invalidateVitalTypes();
+    setVersion(v => v + 1);
+  }, []);
+
+  return { vitalTypes, loading, refresh };
+};
@@ -1,173 +1,72 @@
-// Shared vital types configuration
-export const VITAL_TYPES = {
-  height: { 
-    label: 'Height', 
-    unit: 'cm',
-    placeholder: '170',
-    ranges: {
-      normal: { min: 0, max: 200 },
-      display: '0-200'
-    }
-  },
-  weight: { 
-    label: 'Weight', 
-    unit: 'kg', 
-    placeholder: '70',
-    ranges: {
-      normal: { min: 0, max: 120 },
-      display: '0-120'
-    }
-  },
-  bmi: { 
-    label: 'BMI', 
-    unit: 'kg/m²', 
-    placeholder: '24.2', 
-    calculated: true,
-    ranges: {
-      underweight: { min: 0, max: 18.4 },
-      normal: { min: 18.5, max: 24.9 },
-      overweight: { min: 25, max: 29.9 },
-      obese: { min: 30, max: 100 },
-      display: '18.5-24.9'
-    }
-  },
-  cholesterol: { 
-    label: 'Cholesterol', 
-    unit: 'mg/dL', 
-    placeholder: '200',
-    ranges: {
-      optimal: { min: 0, max: 199 },
-      borderline: { min: 200, max: 239 },
-      high: { min: 240, max: 500 },
-      display: '<200'
-    }
-  },
-  hemoglobin: { 
-    label: 'Hemoglobin', 
-    unit: 'g/dL', 
-    placeholder: '14',
-    ranges: {
-      male: { min: 13.8, max: 17.2 },
-      female: { min: 12.1, max: 15.1 },
-      display: 'M: 13.8-17.2, F: 12.1-15.1'
-    }
-  },
-  sgpt: { 
-    label: 'S.G.P.T.', 
-    unit: 'U/L', 
-    placeholder: '40',
-    ranges: {
-      normal: { min: 7, max: 56 },
-      display: '7-56'
-    }
-  },
-  sgot: { 
-    label: 'S.G.O.T.', 
-    unit: 'U/L', 
-    placeholder: '40',
-    ranges: {
-      normal: { min: 10, max: 40 },
-      display: '10-40'
-    }
-  },
-  vitamin_d: { 
-    label: 'Vitamin D', 
-    unit: 'ng/mL', 
-    placeholder: '30',
-    ranges: {
-      deficient: { min: 0, max: 19 },
-      insufficient: { min: 20, max: 29 },
-      sufficient: { min: 30, max: 100 },
-      display: '30-100'
-    }
-  },
-  thyroid_tsh: { 
-    label: 'Thyroid TSH', 
-    unit: 'μIU/mL', 
-    placeholder: '2.5',
-    ranges: {
-      normal: { min: 0.27, max: 4.2 },
-      display: '0.27-4.2'
-    }
-  },
-  thyroid_t3: { 
-    label: 'Thyroid T3', 
-    unit: 'ng/dL', 
-    placeholder: '120',
-    ranges: {
-      normal: { min: 80, max: 200 },
-      display: '80-200'
-    }
-  },
-  thyroid_t4: { 
-    label: 'Thyroid T4', 
-    unit: 'μg/dL', 
-    placeholder: '1.2',
-    ranges: {
-      normal: { min: 5.1, max: 14.1 },
-      display: '5.1-14.1'
-    }
-  },
-  vitamin_b12: { 
-    label: 'Vitamin B12', 
-    unit: 'pg/mL', 
-    placeholder: '500',
-    ranges: {
-      deficient: { min: 0, max: 199 },
-      low: { min: 200, max: 299 },
-      normal: { min: 300, max: 900 },
-      display: '300-900'
-    }
-  },
-  calcium: { 
-    label: 'Calcium', 
-    unit: 'mg/dL', 
-    placeholder: '9.5',
-    ranges: {
-      normal: { min: 8.5, max: 10.2 },
-      display: '8.5-10.2'
-    }
-  },
-  hba1c: { 
-    label: 'HbA1c', 
-    unit: '%', 
-    placeholder: '5.7',
-    ranges: {
-      normal: { min: 0, max: 5.6 },
-      prediabetic: { min: 5.7, max: 6.4 },
-      diabetic: { min: 6.5, max: 15 },
-      display: '<5.7'
-    }
-  },
-  urea: { 
-    label: 'Urea', 
-    unit: 'mg/dL', 
-    placeholder: '20',
-    ranges: {
-      normal: { min: 6, max: 24 },
-      display: '6-24'
-    }
-  },
-  fasting_blood_glucose: { 
-    label: 'Fasting Blood Glucose', 
-    unit: 'mg/dL', 
-    placeholder: '100',
-    ranges: {
-      normal: { min: 70, max: 99 },
-      prediabetic: { min: 100, max: 125 },
-      diabetic: { min: 126, max: 300 },
-      display: '70-99'
-    }
-  },
-  creatinine: { 
-    label: 'Creatinine', 
-    unit: 'mg/dL', 
-    placeholder: '1.0',
-    ranges: {
-      normal: { min: 0.6, max: 1.4 },
-      display: '0.6-1.4'
-    }
+// Vital type definitions (labels, units, reference ranges) are served by the
+// backend registry; load them with the useVitalTypes hook.
+
+// Whether a vital type is recorded as several values in one entry (e.g. blood pressure)
+export const isCompoundVital = (vitalConfig) => Boolean(vitalConfig?.fields);
+
+// Convert compound form inputs to numbers, dropping blank optional fields.
+// Returns null when a required field is missing or not a number.
+export const parseReadings = (vitalConfig, readings = {}) => {
+  if (!vitalConfig?.fields) return null;
+
+  const parsed = {};
+  for (const field of vitalConfig.fields) {
+    const raw = readings[field.key];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (field.required) return null;
+      continue;
+    }
+    const num = parseFloat(raw);
+    if (isNaN(num)) return null;
+    parsed[field.key] = num;
   }
+  return parsed;
+};
+
+// Format a vital's value for display, e.g. "120/80" for blood pressure or
+// 5′ 7″ for a height shown in ft/in (carried as total inches)
+export const formatVitalReading = (vital, vitalConfig) => {
+  if (vitalConfig?.fields && vital.readings) {
+    const required = vitalConfig.fields.filter(field => field.required);
+    return required.map(field => vital.readings[field.key]).join('/');
+  }
+  if (vital.unit === 'ft/in') {
+    const totalInches = Math.round(parseFloat(vital.value));
+    return `${Math.floor(totalInches / 12)}′ ${totalInches % 12}″`;
+  }
+  return vital.value;
+};
+
+// Unit label shown next to a formatted reading (ft/in is already spelled out)
+export const displayUnit = (unit) => (unit === 'ft/in' ? '' : unit);
+
+// Age in whole years from a date of birth, or null when unknown
+const ageInYears = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const today = new Date();
+  const birthDate = new Date(dateOfBirth);
+  const months = (today.getFullYear() - birthDate.getFullYear()) * 12 +
+    (today.getMonth() - birthDate.getMonth());
+  return Math.floor(months / 12);
+};
+
+// Pick the normal range that applies to a member: a matching age band first
+// (minAge inclusive, maxAge exclusive), then the gender range, then the default
+export const resolveReferenceRange = (ranges, gender = null, dateOfBirth = null) => {
+  if (!ranges) return null;
+
+  const age = ageInYears(dateOfBirth);
+  if (Array.isArray(ranges.age) && age !== null) {
+    const band = ranges.age.find(range =>
+      (range.minAge === null || range.minAge === undefined || age >= range.minAge) &&
+      (range.maxAge === null || range.maxAge === undefined || age < range.maxAge) &&
+      (!range.gender || range.gender === gender)
+    );
+    if (band) return { min: band.min, max: band.max };
+  }
+
+  if (gender && ranges[gender]?.min !== undefined) return ranges[gender];
+  return ranges.normal || null;
 };
 
 // Report types configuration